@@ -17,6 +17,19 @@ function parseDuration(envVar, defaultValue) {
   return isNaN(value) ? defaultValue : value;
 }
 
+// Helper function to parse a count (concurrency, batch size, attempts...) with fallback
+function parseInteger(envVar, defaultValue, minValue = 0) {
+  const envValue = process.env[envVar];
+  if (envValue === undefined || envValue === '') return defaultValue;
+
+  const value = Number(envValue);
+  if (!Number.isInteger(value) || value < minValue) {
+    console.warn(`Invalid ${envVar} (expected a whole number >= ${minValue}), using default ${defaultValue}: ${envValue}`);
+    return defaultValue;
+  }
+  return value;
+}
+
 // Helper function to parse backoff sequence from environment
 function parseBackoffSequence(envVar, defaultSequence) {
   const envValue = process.env[envVar];
@@ -37,10 +50,65 @@ function parseBackoffSequence(envVar, defaultSequence) {
   }
 }
 
+// Helper function to parse a "<requests_per_minute>,<burst>" rate limit from environment
+function parseRateLimit(envVar, defaultLimit) {
+  const envValue = process.env[envVar];
+  if (!envValue) return defaultLimit;
+
+  const [requestsPerMinute, burst] = envValue.split(',').map(val => parseFloat(val.trim()));
+  if (!isNaN(requestsPerMinute) && requestsPerMinute > 0 && !isNaN(burst) && burst >= 1) {
+    return { requestsPerMinute, burst };
+  }
+
+  console.warn(`Invalid ${envVar} format (expected "<requests_per_minute>,<burst>"), using default: ${envValue}`);
+  return defaultLimit;
+}
+
+// Helper function to parse a float with fallback
+function parseFloatValue(envVar, defaultValue) {
+  const value = parseFloat(process.env[envVar]);
+  return isNaN(value) ? defaultValue : value;
+}
+
+// Helper function to parse "name:secret:scope1|scope2" API keys (comma separated) from environment
+function parseApiKeys(envVar) {
+  const envValue = process.env[envVar];
+  const keys = [];
+
+  (envValue ? envValue.split(',') : []).forEach(entry => {
+    const [name, secret, scopes] = entry.trim().split(':');
+    if (!name || !secret) {
+      console.warn(`Invalid ${envVar} entry (expected "name:secret:scopes"), skipping: ${name || entry}`);
+      return;
+    }
+    keys.push({ name, secret, scopes: scopes ? scopes.split('|') : ['read'] });
+  });
+
+  // The shared LINK_HARVESTER_API_KEY (sent by the other services as X-API-Key) gets full access
+  if (process.env.LINK_HARVESTER_API_KEY) {
+    keys.push({ name: 'link-harvester', secret: process.env.LINK_HARVESTER_API_KEY, scopes: ['admin'] });
+  }
+
+  return keys;
+}
+
+// Helper function to parse a comma separated list from environment
+function parseList(envVar, defaultList) {
+  const envValue = process.env[envVar];
+  if (!envValue) return defaultList;
+  return envValue.split(',').map(val => val.trim()).filter(Boolean);
+}
+
 // Define configuration
 const CONFIG = {
   // File paths - updated for new structure
-  QUEUE_PATH: path.join(__dirname, '../profiles_queue.json'), // Queue file inside steam-id-processor
+  QUEUE_PATH: path.join(__dirname, '../profiles_queue.json'), // Queue file inside steam-id-processor (JSON store, migrated into SQLite)
+  QUEUE_DB_PATH: process.env.STEAM_ID_PROCESSOR_QUEUE_DB_PATH || path.join(__dirname, '../profiles_queue.db'),
+  QUEUE_STORE: process.env.STEAM_ID_PROCESSOR_QUEUE_STORE || 'sqlite', // sqlite or json
+  QUEUE_JOURNAL_PATH: path.join(__dirname, '../profiles_queue.journal'), // Transition journal for the JSON store
+  QUEUE_JOURNAL_MAX_ENTRIES: parseInteger('QUEUE_JOURNAL_MAX_ENTRIES', 5000, 1), // Compact journal after this many entries
+  RESULTS_DB_PATH: process.env.STEAM_ID_PROCESSOR_RESULTS_DB_PATH || path.join(__dirname, '../validation_results.db'), // Result history of completed profiles
+  VALIDATION_RULES_PATH: process.env.STEAM_ID_PROCESSOR_RULES_PATH || path.join(__dirname, '../validation_rules.json'), // Check thresholds and per-user overrides
   LOG_DIR: path.join(parentDir, 'logs'),
   LOG_LEVEL: process.env.STEAM_ID_PROCESSOR_LOG_LEVEL || 'info', // debug, info, warn, error
 
@@ -54,6 +122,53 @@ const CONFIG = {
   API_PORT: parseInt(process.env.PORT) || parseInt(process.env.STEAM_PROCESSOR_API_PORT) || 3002,
   API_HOST: process.env.STEAM_PROCESSOR_API_HOST || '0.0.0.0',
   
+  // API Server authentication: scopes are read < enqueue < admin
+  // STEAM_PROCESSOR_API_KEYS="dashboard:secret1:read,harvester:secret2:enqueue"
+  API_AUTH: {
+    ENABLED: process.env.STEAM_PROCESSOR_API_AUTH !== 'disabled', // Set to "disabled" for local development only
+    KEYS: parseApiKeys('STEAM_PROCESSOR_API_KEYS'),
+    HMAC_MAX_SKEW_MS: parseDuration('STEAM_PROCESSOR_API_HMAC_MAX_SKEW_MS', 5 * 60 * 1000) // Max age of signed requests
+  },
+  CORS_ORIGINS: parseList('STEAM_PROCESSOR_CORS_ORIGINS', []), // Allowed browser origins ("*" for any, empty for none)
+  
+  // Webhook / callback notifications about profile outcomes (global subscriptions live in config_webhooks.json)
+  WEBHOOKS: {
+    ENABLED: process.env.STEAM_PROCESSOR_WEBHOOKS !== 'disabled',
+    CONFIG_PATH: process.env.STEAM_ID_PROCESSOR_WEBHOOKS_PATH || path.join(__dirname, '../config_webhooks.json'),
+    SECRET: process.env.STEAM_PROCESSOR_WEBHOOK_SECRET, // Signs callbacks and subscriptions without their own secret
+    CALLBACK_ALLOWED_HOSTS: parseList('WEBHOOK_CALLBACK_ALLOWED_HOSTS', []).map(host => host.toLowerCase()), // example.com or .example.com; empty = any public host
+    TIMEOUT_MS: parseDuration('WEBHOOK_TIMEOUT_MS', 10000),
+    RETRY_DELAYS_MS: parseList('WEBHOOK_RETRY_DELAYS_SECONDS', ['30', '120', '600', '1800', '3600'])
+      .map(seconds => parseInt(seconds) * 1000)
+      .filter(delay => delay > 0), // One retry per entry, then dead-lettered
+    DEAD_LETTER_PATH: process.env.STEAM_ID_PROCESSOR_WEBHOOK_DEAD_LETTER_PATH || path.join(__dirname, '../webhook_dead_letters.jsonl')
+  },
+  
+  // Outbox of passed profiles waiting for submission to the link API (retried with backoff, then dead-lettered)
+  SUBMISSION_OUTBOX: {
+    DB_PATH: process.env.STEAM_ID_PROCESSOR_OUTBOX_DB_PATH || path.join(__dirname, '../submission_outbox.db'),
+    INTERVAL_MS: parseDuration('OUTBOX_INTERVAL_MS', 5000), // How often due submissions are sent
+    BATCH_SIZE: parseInteger('OUTBOX_BATCH_SIZE', 10, 1), // Submissions sent per run
+    MAX_ATTEMPTS: parseInteger('OUTBOX_MAX_ATTEMPTS', 8, 1), // Then the submission is dead until replayed
+    BASE_DELAY_MS: parseDuration('OUTBOX_BASE_DELAY_MS', 30000), // Doubled after each failed attempt
+    MAX_DELAY_MS: parseDuration('OUTBOX_MAX_DELAY_MS', 60 * 60 * 1000),
+    JITTER: parseFloatValue('OUTBOX_JITTER', 0.2) // +/- fraction of the delay
+  },
+
+  // Shadow mode: claim and validate as usual, but don't submit links or complete Redis items - results go to a report
+  SHADOW_MODE: {
+    ENABLED: process.env.STEAM_ID_PROCESSOR_SHADOW_MODE === 'enabled',
+    REPORT_PATH: process.env.STEAM_ID_PROCESSOR_SHADOW_REPORT_PATH || path.join(__dirname, '../shadow_report.jsonl'),
+    // Redis items already validated are remembered here (survives restarts) so they're released unvalidated when claimed again
+    SEEN_ITEMS_PATH: process.env.STEAM_ID_PROCESSOR_SHADOW_SEEN_ITEMS_PATH || path.join(__dirname, '../shadow_seen_items.json'),
+    SEEN_ITEM_TTL_MS: parseDuration('SHADOW_MODE_SEEN_ITEM_TTL_MS', 24 * 60 * 60 * 1000), // Default: 24 hours
+    CAUGHT_UP_PAUSE_MS: parseDuration('SHADOW_MODE_CAUGHT_UP_PAUSE_MS', 5 * 60 * 1000) // No claims for this long once a claim only returns seen items
+  },
+  
+  // Connection pool: direct/SOCKS5/HTTP connections Steam requests are spread over
+  PROXY_CONFIG_PATH: process.env.STEAM_ID_PROCESSOR_PROXIES_PATH || path.join(__dirname, '../config_proxies.json'),
+  CONNECTION_SELECTION: process.env.STEAM_ID_PROCESSOR_CONNECTION_SELECTION || 'round_robin', // round_robin or least_recently_limited
+
   // Processing settings
   BATCH_SIZE: 20,
   CHECK_INTERVAL: 15000, // Check for new queue items every 15 seconds
@@ -61,12 +176,79 @@ const CONFIG = {
   EMPTY_QUEUE_DELAY: 5000, // Delay when queue is empty
   ERROR_DELAY: 30000, // Delay after errors
   MAX_RETRIES: 3, // Max retries for a single API call
-  REQUEST_DELAY: 2000, // Delay between Steam API requests
+  WORKER_CONCURRENCY: parseInteger('STEAM_ID_PROCESSOR_CONCURRENCY', 4, 1), // Profiles processed concurrently
+
+  // Cache of successful Steam responses per endpoint + Steam ID (re-queued profiles don't refetch everything)
+  // Override TTLs with CACHE_TTL_<ENDPOINT>_MS, e.g. CACHE_TTL_INVENTORY_MS=600000 (0 disables caching for the endpoint)
+  RESPONSE_CACHE: {
+    ENABLED: process.env.STEAM_ID_PROCESSOR_RESPONSE_CACHE !== 'disabled',
+    DB_PATH: process.env.STEAM_ID_PROCESSOR_CACHE_DB_PATH || path.join(__dirname, '../steam_response_cache.db'),
+    MAX_ENTRY_BYTES: parseInteger('CACHE_MAX_ENTRY_BYTES', 512 * 1024, 1), // Larger responses aren't cached
+    TTLS_MS: {
+      'steam_level': parseDuration('CACHE_TTL_STEAM_LEVEL_MS', 24 * 60 * 60 * 1000), // Default: 24 hours
+      'animated_avatar': parseDuration('CACHE_TTL_ANIMATED_AVATAR_MS', 24 * 60 * 60 * 1000),
+      'avatar_frame': parseDuration('CACHE_TTL_AVATAR_FRAME_MS', 24 * 60 * 60 * 1000),
+      'mini_profile_background': parseDuration('CACHE_TTL_MINI_PROFILE_BACKGROUND_MS', 24 * 60 * 60 * 1000),
+      'profile_background': parseDuration('CACHE_TTL_PROFILE_BACKGROUND_MS', 24 * 60 * 60 * 1000),
+      'friends': parseDuration('CACHE_TTL_FRIENDS_MS', 6 * 60 * 60 * 1000), // Default: 6 hours
+      'inventory': parseDuration('CACHE_TTL_INVENTORY_MS', 30 * 60 * 1000), // Default: 30 minutes
+      'player_summaries': parseDuration('CACHE_TTL_PLAYER_SUMMARIES_MS', 60 * 60 * 1000), // Default: 1 hour
+      'player_bans': parseDuration('CACHE_TTL_PLAYER_BANS_MS', 6 * 60 * 60 * 1000),
+      'default': parseDuration('CACHE_TTL_DEFAULT_MS', 60 * 60 * 1000) // Endpoints without their own entry
+    }
+  },
+
+  // Bulk prefilter: GetPlayerSummaries / GetPlayerBans for up to 100 queued Steam IDs per request
+  BULK_PREFILTER: {
+    ENABLED: process.env.STEAM_ID_PROCESSOR_BULK_PREFILTER !== 'disabled',
+    BATCH_SIZE: parseInteger('BULK_PREFILTER_BATCH_SIZE', 100, 1) // Steam IDs per request (max 100)
+  },
+
+  // Check run order: cheapest / most often rejecting checks first, learned from the result history
+  // Set STEAM_ID_PROCESSOR_CHECK_ORDERING=fixed to run checks in registration order
+  CHECK_ORDERING: {
+    ENABLED: process.env.STEAM_ID_PROCESSOR_CHECK_ORDERING !== 'fixed',
+    HISTORY_WINDOW_MS: parseDuration('CHECK_ORDERING_WINDOW_MS', 7 * 24 * 60 * 60 * 1000), // Default: last 7 days of results
+    REFRESH_INTERVAL_MS: parseDuration('CHECK_ORDERING_REFRESH_MS', 10 * 60 * 1000), // Default: 10 minutes
+    PRIOR_REJECTION_RATE: parseFloatValue('CHECK_ORDERING_PRIOR_REJECTION_RATE', 0.1), // Assumed rate for checks without history
+    PRIOR_WEIGHT: parseInteger('CHECK_ORDERING_PRIOR_WEIGHT', 20, 1) // Results needed before history outweighs the prior
+  },
+
+  // Per-endpoint token buckets for Steam API requests (refill rate and bucket size)
+  // Override with RATE_LIMIT_<ENDPOINT>="<requests_per_minute>,<burst>", e.g. RATE_LIMIT_INVENTORY="6,1"
+  RATE_LIMITS: {
+    'friends': parseRateLimit('RATE_LIMIT_FRIENDS', { requestsPerMinute: 60, burst: 3 }),
+    'inventory': parseRateLimit('RATE_LIMIT_INVENTORY', { requestsPerMinute: 10, burst: 1 }), // steamcommunity.com 429s quickly
+    'steam_level': parseRateLimit('RATE_LIMIT_STEAM_LEVEL', { requestsPerMinute: 60, burst: 3 }),
+    'animated_avatar': parseRateLimit('RATE_LIMIT_ANIMATED_AVATAR', { requestsPerMinute: 120, burst: 5 }),
+    'avatar_frame': parseRateLimit('RATE_LIMIT_AVATAR_FRAME', { requestsPerMinute: 120, burst: 5 }),
+    'mini_profile_background': parseRateLimit('RATE_LIMIT_MINI_PROFILE_BACKGROUND', { requestsPerMinute: 120, burst: 5 }),
+    'profile_background': parseRateLimit('RATE_LIMIT_PROFILE_BACKGROUND', { requestsPerMinute: 120, burst: 5 }),
+    'player_summaries': parseRateLimit('RATE_LIMIT_PLAYER_SUMMARIES', { requestsPerMinute: 60, burst: 3 }),
+    'player_bans': parseRateLimit('RATE_LIMIT_PLAYER_BANS', { requestsPerMinute: 60, burst: 3 }),
+    'default': parseRateLimit('RATE_LIMIT_DEFAULT', { requestsPerMinute: 60, burst: 1 }) // Endpoints without their own entry
+  },
   
   // NEW: Exponential backoff sequence for 429 errors (in minutes)
   // Can be overridden via BACKOFF_SEQUENCE_MINUTES environment variable
   BACKOFF_SEQUENCE_MINUTES: parseBackoffSequence('BACKOFF_SEQUENCE_MINUTES', [1, 2, 4, 8, 16, 32, 60, 120, 240, 480]),
   
+  // Backoff level recovery: drop one level per N consecutive successes or per quiet period without a 429
+  BACKOFF_DECAY: {
+    SUCCESSES_PER_LEVEL: parseInteger('BACKOFF_DECAY_SUCCESSES', 10, 0), // 0 disables
+    QUIET_PERIOD_MS: parseDuration('BACKOFF_DECAY_QUIET_PERIOD_MS', 30 * 60 * 1000) // Default: 30 minutes, 0 disables
+  },
+  
+  // Server retry hints on 429s (Retry-After / rate-limit reset headers, retry_after in the body)
+  // The hinted wait is used instead of the backoff ladder, but never shorter than LADDER_FLOOR x the ladder step,
+  // so an endpoint that keeps getting 429s still backs off
+  RETRY_HINTS: {
+    ENABLED: process.env.RETRY_HINTS_ENABLED !== 'false',
+    LADDER_FLOOR: parseFloatValue('RETRY_HINT_LADDER_FLOOR', 0.1), // Fraction of the ladder step (0 = trust hints fully)
+    MIN_MS: parseDuration('RETRY_HINT_MIN_MS', 5000), // Never retry sooner than this
+    MAX_MS: parseDuration('RETRY_HINT_MAX_MS', 8 * 60 * 60 * 1000) // Ignore hints beyond 8 hours
+  },
+  
   // Cooldown durations in milliseconds (from environment variables)
   // NOTE: inventory cooldown is now managed by exponential backoff for 429 errors
   COOLDOWN_DURATIONS: {
@@ -104,16 +286,79 @@ console.log(`   Log directory: ${CONFIG.LOG_DIR}`);
 console.log(`   Log level: ${CONFIG.LOG_LEVEL} (set via LOG_LEVEL env var)`);
 console.log(`   File logging: ${CONFIG.ENABLE_FILE_LOGGING ? 'enabled' : 'disabled (cloud environment detected)'}`);
 
+// Log queue store configuration
+console.log('🗄️ Queue store configuration:');
+console.log(`   Store: ${CONFIG.QUEUE_STORE} (set via STEAM_ID_PROCESSOR_QUEUE_STORE env var)`);
+console.log(`   Location: ${CONFIG.QUEUE_STORE === 'sqlite' ? CONFIG.QUEUE_DB_PATH : CONFIG.QUEUE_PATH}`);
+console.log(`   Result history: ${CONFIG.RESULTS_DB_PATH} (set via STEAM_ID_PROCESSOR_RESULTS_DB_PATH env var)`);
+
 // Log API server configuration
 console.log('🌐 API Server configuration:');
 console.log(`   Host: ${CONFIG.API_HOST}`);
 console.log(`   Port: ${CONFIG.API_PORT}`);
 console.log(`   Environment override: STEAM_PROCESSOR_API_PORT`);
+console.log(`   Authentication: ${CONFIG.API_AUTH.ENABLED ? `enabled (${CONFIG.API_AUTH.KEYS.length} keys)` : 'DISABLED'}`);
+console.log(`   CORS origins: ${CONFIG.CORS_ORIGINS.length > 0 ? CONFIG.CORS_ORIGINS.join(', ') : 'none'} (set via STEAM_PROCESSOR_CORS_ORIGINS env var)`);
+
+// Log webhook configuration
+console.log('🪝 Webhook notifications:');
+console.log(`   Enabled: ${CONFIG.WEBHOOKS.ENABLED} (set via STEAM_PROCESSOR_WEBHOOKS env var)`);
+console.log(`   Subscriptions: ${CONFIG.WEBHOOKS.CONFIG_PATH} (set via STEAM_ID_PROCESSOR_WEBHOOKS_PATH env var)`);
+console.log(`   Signing secret: ${CONFIG.WEBHOOKS.SECRET ? 'set' : 'not set'} (STEAM_PROCESSOR_WEBHOOK_SECRET)`);
+console.log(`   Callback hosts: ${CONFIG.WEBHOOKS.CALLBACK_ALLOWED_HOSTS.length > 0 ? CONFIG.WEBHOOKS.CALLBACK_ALLOWED_HOSTS.join(', ') : 'any public host'} (set via WEBHOOK_CALLBACK_ALLOWED_HOSTS env var)`);
+console.log(`   Retries: ${CONFIG.WEBHOOKS.RETRY_DELAYS_MS.map(delay => `${delay / 1000}s`).join(' → ')} → dead letter (${CONFIG.WEBHOOKS.DEAD_LETTER_PATH})`);
+
+// Log submission outbox configuration
+console.log('📮 Submission outbox:');
+console.log(`   Location: ${CONFIG.SUBMISSION_OUTBOX.DB_PATH} (set via STEAM_ID_PROCESSOR_OUTBOX_DB_PATH env var)`);
+console.log(`   Retries: ${CONFIG.SUBMISSION_OUTBOX.MAX_ATTEMPTS} attempts, ${CONFIG.SUBMISSION_OUTBOX.BASE_DELAY_MS / 1000}s doubling up to ${CONFIG.SUBMISSION_OUTBOX.MAX_DELAY_MS / 1000}s (±${Math.round(CONFIG.SUBMISSION_OUTBOX.JITTER * 100)}% jitter)`);
+
+// Log shadow mode configuration
+console.log('👥 Shadow mode:');
+console.log(`   Enabled: ${CONFIG.SHADOW_MODE.ENABLED} (set via STEAM_ID_PROCESSOR_SHADOW_MODE env var)`);
+if (CONFIG.SHADOW_MODE.ENABLED) {
+  console.log(`   Report: ${CONFIG.SHADOW_MODE.REPORT_PATH} (set via STEAM_ID_PROCESSOR_SHADOW_REPORT_PATH env var)`);
+  console.log('   Nothing is submitted to the link API and Redis items are released instead of completed');
+  console.log(`   Seen items: ${CONFIG.SHADOW_MODE.SEEN_ITEMS_PATH}, skipped for ${Math.round(CONFIG.SHADOW_MODE.SEEN_ITEM_TTL_MS / 60000)}m, claims paused ${Math.round(CONFIG.SHADOW_MODE.CAUGHT_UP_PAUSE_MS / 1000)}s once only seen items come back`);
+}
+
+// Log connection pool configuration
+console.log('🔌 Connection pool configuration:');
+console.log(`   Proxy config: ${CONFIG.PROXY_CONFIG_PATH} (set via STEAM_ID_PROCESSOR_PROXIES_PATH env var)`);
+console.log(`   Selection strategy: ${CONFIG.CONNECTION_SELECTION} (set via STEAM_ID_PROCESSOR_CONNECTION_SELECTION env var)`);
 
 // Log backoff sequence configuration
 console.log('🔄 Exponential backoff sequence for 429 errors:');
 console.log(`   Sequence: ${CONFIG.BACKOFF_SEQUENCE_MINUTES.join('min → ')}min → reset`);
 console.log(`   Max cooldown: ${Math.max(...CONFIG.BACKOFF_SEQUENCE_MINUTES)} minutes`);
+console.log(`   Decay: -1 level per ${CONFIG.BACKOFF_DECAY.SUCCESSES_PER_LEVEL} consecutive successes or ${Math.round(CONFIG.BACKOFF_DECAY.QUIET_PERIOD_MS / 60000)} quiet minutes`);
+
+// Log retry hint configuration
+console.log('⏱️ Server retry hints for 429 errors:');
+console.log(`   Enabled: ${CONFIG.RETRY_HINTS.ENABLED} (set via RETRY_HINTS_ENABLED env var)`);
+console.log(`   Ladder floor: ${CONFIG.RETRY_HINTS.LADDER_FLOOR} x backoff step, min ${CONFIG.RETRY_HINTS.MIN_MS}ms, max ${CONFIG.RETRY_HINTS.MAX_MS}ms`);
+
+// Log response cache configuration
+console.log('💾 Steam response cache:');
+console.log(`   Enabled: ${CONFIG.RESPONSE_CACHE.ENABLED} (set via STEAM_ID_PROCESSOR_RESPONSE_CACHE env var)`);
+console.log(`   Location: ${CONFIG.RESPONSE_CACHE.DB_PATH}`);
+console.log(`   TTLs: ${Object.entries(CONFIG.RESPONSE_CACHE.TTLS_MS).map(([endpoint, ttl]) => `${endpoint} ${Math.round(ttl / 60000)}m`).join(', ')}`);
+
+// Log bulk prefilter configuration
+console.log('📦 Bulk prefilter:');
+console.log(`   Enabled: ${CONFIG.BULK_PREFILTER.ENABLED} (set via STEAM_ID_PROCESSOR_BULK_PREFILTER env var)`);
+console.log(`   Batch size: ${Math.min(CONFIG.BULK_PREFILTER.BATCH_SIZE, 100)} Steam IDs per request`);
+
+// Log check ordering configuration
+console.log('🧮 Check ordering:');
+console.log(`   Mode: ${CONFIG.CHECK_ORDERING.ENABLED ? 'cheapest / most rejecting first' : 'fixed (registration order)'} (set via STEAM_ID_PROCESSOR_CHECK_ORDERING env var)`);
+console.log(`   History window: ${Math.round(CONFIG.CHECK_ORDERING.HISTORY_WINDOW_MS / 3600000)}h, prior rejection rate ${CONFIG.CHECK_ORDERING.PRIOR_REJECTION_RATE} (weight ${CONFIG.CHECK_ORDERING.PRIOR_WEIGHT})`);
+
+// Log per-endpoint rate limits
+console.log('🚦 Steam API rate limits (token buckets):');
+Object.entries(CONFIG.RATE_LIMITS).forEach(([endpoint, limit]) => {
+  console.log(`   ${endpoint}: ${limit.requestsPerMinute}/min, burst ${limit.burst}`);
+});
 
 // Log cooldown duration configuration for other errors
 console.log('📅 Other error cooldown durations:');
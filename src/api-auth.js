@@ -0,0 +1,185 @@
+// steam-id-processor/src/api-auth.js
+const crypto = require('crypto');
+const logger = require('./utils/logger');
+
+// Each scope includes the ones before it: admin can enqueue and read, enqueue can read
+const SCOPES = ['read', 'enqueue', 'admin'];
+
+/**
+ * API key / HMAC request authentication for ApiServer
+ *
+ * Clients authenticate one of two ways:
+ *   - API key: `X-API-Key: <secret>` (same header RedisQueueClient sends) or `Authorization: Bearer <secret>`
+ *   - HMAC:    `X-Key-Id: <key name>`, `X-Timestamp: <unix ms>`,
+ *              `X-Signature: hex(HMAC-SHA256(secret, "<timestamp>.<METHOD>.<path+query>.<raw body>"))`
+ *
+ * Routes that stream their body (bulk import) sign `X-Content-SHA256: <hex SHA-256 of the body>` in
+ * place of the raw body; the route checks the body against it once it's read. A signature is
+ * accepted once - repeating a signed request within the timestamp window is rejected as a replay.
+ */
+class ApiAuth {
+  /**
+   * @param {Object} options
+   * @param {boolean} [options.enabled] - false lets every request through (local development)
+   * @param {Array<Object>} [options.keys] - { name, secret, scopes }
+   * @param {number} [options.hmacMaxSkewMs] - Max age of a signed request's timestamp
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.hmacMaxSkewMs = options.hmacMaxSkewMs || 5 * 60 * 1000;
+    this.seenSignatures = new Map(); // Accepted signature -> when its timestamp leaves the skew window
+    this.keys = (options.keys || []).filter(key => {
+      const unknownScopes = key.scopes.filter(scope => !SCOPES.includes(scope));
+      if (unknownScopes.length > 0) {
+        logger.warn(`API key '${key.name}' has unknown scopes (${unknownScopes.join(', ')}) - key ignored`);
+        return false;
+      }
+      return true;
+    });
+
+    if (!this.enabled) {
+      logger.warn('⚠️ API authentication is DISABLED - every route is open');
+    } else if (this.keys.length === 0) {
+      logger.error('❌ No API keys configured - protected routes will reject every request');
+    } else {
+      logger.info(`🔐 API authentication enabled with ${this.keys.length} keys: ${this.keys.map(key => `${key.name} [${key.scopes.join(', ')}]`).join(', ')}`);
+    }
+  }
+
+  /**
+   * @param {Object} key - { scopes }
+   * @param {string} scope - Required scope
+   * @returns {boolean} True if one of the key's scopes is at least the required one
+   */
+  hasScope(key, scope) {
+    const required = SCOPES.indexOf(scope);
+    return key.scopes.some(keyScope => SCOPES.indexOf(keyScope) >= required);
+  }
+
+  /**
+   * Identify the key a request was made with
+   * @param {Object} req - Express request (req.rawBody is set by the JSON parser)
+   * @param {Object} [options]
+   * @param {boolean} [options.streamedBody] - Route reads the body itself (signed via X-Content-SHA256)
+   * @returns {Object} { key } or { error }
+   */
+  authenticate(req, options = {}) {
+    const signature = req.headers['x-signature'];
+    if (signature) {
+      return this.authenticateHmac(req, signature, options);
+    }
+
+    const authorization = req.headers['authorization'] || '';
+    const secret = req.headers['x-api-key'] ||
+      (authorization.startsWith('Bearer ') ? authorization.slice('Bearer '.length).trim() : null);
+
+    if (!secret) {
+      return { error: 'Missing API key (X-API-Key or Authorization: Bearer) or request signature' };
+    }
+
+    const key = this.keys.find(candidate => safeEqual(candidate.secret, secret));
+    return key ? { key } : { error: 'Invalid API key' };
+  }
+
+  authenticateHmac(req, signature, options = {}) {
+    const keyId = req.headers['x-key-id'];
+    const timestamp = Number(req.headers['x-timestamp']);
+
+    const key = this.keys.find(candidate => candidate.name === keyId);
+    if (!key) {
+      return { error: 'Unknown X-Key-Id' };
+    }
+
+    if (!timestamp || Math.abs(Date.now() - timestamp) > this.hmacMaxSkewMs) {
+      return { error: 'Missing or expired X-Timestamp' };
+    }
+
+    let signedBody = req.rawBody || '';
+    if (options.streamedBody) {
+      const contentSha256 = String(req.headers['x-content-sha256'] || '').toLowerCase();
+      if (!/^[0-9a-f]{64}$/.test(contentSha256)) {
+        return { error: 'Signed requests to this route need X-Content-SHA256 (hex SHA-256 of the body)' };
+      }
+      // Checked against the body by the route, as it reads it
+      req.contentSha256 = contentSha256;
+      signedBody = contentSha256;
+    }
+
+    const payload = `${timestamp}.${req.method}.${req.originalUrl}.${signedBody}`;
+    const expected = crypto.createHmac('sha256', key.secret).update(payload).digest('hex');
+    if (!safeEqual(expected, String(signature).toLowerCase())) {
+      return { error: 'Invalid request signature' };
+    }
+
+    if (!this.rememberSignature(expected, timestamp)) {
+      return { error: 'Replayed request signature' };
+    }
+    return { key };
+  }
+
+  /**
+   * Record an accepted signature until its timestamp is too old to be accepted anyway
+   * @param {string} signature - Verified signature (hex)
+   * @param {number} timestamp - The request's X-Timestamp
+   * @returns {boolean} False if the signature was already used
+   */
+  rememberSignature(signature, timestamp) {
+    const now = Date.now();
+    for (const [seenSignature, expiresAt] of this.seenSignatures) {
+      if (expiresAt <= now) {
+        this.seenSignatures.delete(seenSignature);
+      }
+    }
+
+    if (this.seenSignatures.has(signature)) {
+      return false;
+    }
+    this.seenSignatures.set(signature, timestamp + this.hmacMaxSkewMs);
+    return true;
+  }
+
+  /**
+   * Express middleware requiring a key with the given scope
+   * @param {string} scope - read, enqueue or admin
+   * @param {Object} [options] - See authenticate()
+   * @returns {Function} Middleware
+   */
+  requireScope(scope, options = {}) {
+    return (req, res, next) => {
+      if (!this.enabled) {
+        return next();
+      }
+
+      const { key, error } = this.authenticate(req, options);
+      if (!key) {
+        logger.warn(`🔐 Rejected ${req.method} ${req.path}: ${error}`);
+        return res.status(401).json({
+          success: false,
+          error: error,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      req.apiKey = key;
+
+      if (!this.hasScope(key, scope)) {
+        logger.warn(`🔐 Key '${key.name}' lacks '${scope}' scope for ${req.method} ${req.path}`);
+        return res.status(403).json({
+          success: false,
+          error: `API key '${key.name}' does not have the '${scope}' scope`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      next();
+    };
+  }
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+module.exports = ApiAuth;
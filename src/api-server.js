@@ -4,14 +4,50 @@ const fs = require('fs-extra');
 const path = require('path');
 const CONFIG = require('../config/config');
 const QueueManager = require('./queue-manager');
+const checkRegistry = require('./check-registry');
+const validationRules = require('./validation-rules');
+const { loadProxyConnections, maskProxyUrl } = require('./proxy-connections');
+const metrics = require('./metrics');
+const ApiAuth = require('./api-auth');
+const resultHistory = require('./result-history');
+const checkPlanner = require('./check-planner');
+const responseCache = require('./response-cache');
+const webhookNotifier = require('./webhook-notifier');
+const submissionOutbox = require('./submission-outbox');
+const shadowReport = require('./shadow-report');
+const bulkIo = require('./bulk-io');
+const { validateSteamId } = require('./one-off-validation');
+const { cancelProfile } = require('./profile-completion');
 const logger = require('./utils/logger');
 
+/**
+ * Express parses a repeated parameter (?sort=a&sort=b) into an array and a[b]= into an object
+ * @param {Object} query - req.query
+ * @param {Array<string>} fields - Parameters that take a single value
+ * @returns {string|null} Error for the first of them that isn't a plain string, or null
+ */
+function checkSingleValueParams(query, fields) {
+  const field = fields.find(name => query[name] !== undefined && typeof query[name] !== 'string');
+  return field ? `${field} must be given once, as a single value` : null;
+}
+
 class ApiServer {
-  constructor() {
+  constructor(options = {}) {
     this.app = express();
     this.server = null;
-    this.queueManager = null;
+    // Share the processor's QueueManager when given, so both use the same queue store
+    this.queueManager = options.queueManager || null;
+    // Processor's SteamValidator (live rate limiter state); null when running standalone
+    this.steamValidator = options.steamValidator || null;
+    // Processor's ApiService (link submission counts); null when running standalone
+    this.apiService = options.apiService || null;
     this.port = CONFIG.API_PORT || 3002;
+    this.auth = new ApiAuth({
+      enabled: CONFIG.API_AUTH.ENABLED,
+      keys: CONFIG.API_AUTH.KEYS,
+      hmacMaxSkewMs: CONFIG.API_AUTH.HMAC_MAX_SKEW_MS
+    });
+    this.corsOrigins = CONFIG.CORS_ORIGINS || [];
     this.setupMiddleware();
     this.setupRoutes();
   }
@@ -20,20 +56,31 @@ class ApiServer {
     // Trust proxy headers
     this.app.set('trust proxy', true);
     
-    // Parse JSON with size limit
+    // Parse JSON with size limit (raw body kept for HMAC signature checks)
     this.app.use(express.json({ 
       limit: '10mb',
       strict: true,
-      type: 'application/json'
+      type: 'application/json',
+      verify: (req, res, buf) => {
+        req.rawBody = buf.toString('utf8');
+      }
     }));
     
     // Security headers
     this.app.use((req, res, next) => {
       res.setHeader('X-Content-Type-Options', 'nosniff');
       res.setHeader('X-Frame-Options', 'DENY');
-      res.setHeader('Access-Control-Allow-Origin', '*');
-      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+      
+      // CORS only for configured origins
+      const origin = req.headers.origin;
+      if (this.corsOrigins.includes('*')) {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+      } else if (origin && this.corsOrigins.includes(origin)) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Vary', 'Origin');
+      }
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Key-Id, X-Timestamp, X-Signature, X-Content-SHA256');
       
       if (req.method === 'OPTIONS') {
         return res.status(200).end();
@@ -42,20 +89,34 @@ class ApiServer {
       next();
     });
 
-    // Request logging
+    // Request logging (once the response is sent, so the authenticated key is known)
     this.app.use((req, res, next) => {
       const clientIP = req.headers['x-real-ip'] || 
                        req.headers['x-forwarded-for'] || 
                        req.connection.remoteAddress;
       
-      logger.info(`API: ${req.method} ${req.path} from ${clientIP}`);
+      res.on('finish', () => {
+        const keyName = req.apiKey ? req.apiKey.name : 'anonymous';
+        logger.info(`API: ${req.method} ${req.path} from ${clientIP} (key: ${keyName}) → ${res.statusCode}`);
+      });
       next();
     });
   }
 
   setupRoutes() {
-    // Initialize queue manager
-    this.queueManager = new QueueManager(CONFIG);
+    // Initialize queue manager (standalone mode)
+    if (!this.queueManager) {
+      this.queueManager = new QueueManager(CONFIG);
+    }
+
+    // Route scopes (GET /health stays public for the platform's health checks)
+    const requireRead = this.auth.requireScope('read');
+    const requireEnqueue = this.auth.requireScope('enqueue');
+    const requireAdmin = this.auth.requireScope('admin');
+
+    // Queue depth gauges are read from the queue store on each scrape
+    metrics.setQueueDepthProvider(() => this.queueManager.getQueuedProfiles());
+    metrics.setOutboxStatsProvider(() => submissionOutbox.getStats());
 
     // Health check endpoint
     this.app.get('/health', (req, res) => {
@@ -68,7 +129,7 @@ class ApiServer {
     });
 
     // Cooldowns status endpoint - REAL IMPLEMENTATION
-    this.app.get('/health/cooldowns', async (req, res) => {
+    this.app.get('/health/cooldowns', requireRead, async (req, res) => {
       try {
         const cooldownData = await this.getCooldownStatus();
         
@@ -78,6 +139,10 @@ class ApiServer {
           cooldowns: cooldownData.cooldowns,
           summary: cooldownData.summary,
           overall_status: cooldownData.overallStatus,
+          backoff_decay: {
+            successes_per_level: CONFIG.BACKOFF_DECAY.SUCCESSES_PER_LEVEL,
+            quiet_period_ms: CONFIG.BACKOFF_DECAY.QUIET_PERIOD_MS
+          },
           timestamp: new Date().toISOString()
         });
         
@@ -92,11 +157,81 @@ class ApiServer {
       }
     });
 
+    // Per-endpoint rate limiter (token bucket) state
+    this.app.get('/health/rate-limits', requireRead, (req, res) => {
+      if (!this.steamValidator) {
+        return res.status(503).json({
+          status: 'error',
+          error: 'Rate limiter state not available (API server running without the processor)',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      res.json({
+        status: 'ok',
+        service: 'steam-id-processor',
+        rate_limits: this.steamValidator.getRateLimitStatus(),
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Check run order and the learned rejection rates behind it
+    this.app.get('/health/check-order', requireRead, (req, res) => {
+      res.json({
+        status: 'ok',
+        service: 'steam-id-processor',
+        check_order: checkPlanner.getStatus(),
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Steam response cache entries per endpoint and TTLs
+    this.app.get('/health/cache', requireRead, (req, res) => {
+      res.json({
+        status: 'ok',
+        service: 'steam-id-processor',
+        cache: responseCache.getStatus(),
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Webhook subscriptions and delivery counters
+    this.app.get('/health/webhooks', requireRead, (req, res) => {
+      res.json({
+        status: 'ok',
+        service: 'steam-id-processor',
+        webhooks: webhookNotifier.getStatus(),
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Shadow mode state and outcome counts since start
+    this.app.get('/health/shadow', requireRead, (req, res) => {
+      res.json({
+        status: 'ok',
+        service: 'steam-id-processor',
+        shadow_mode: shadowReport.getStatus(),
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Prometheus metrics
+    this.app.get('/metrics', requireRead, async (req, res) => {
+      try {
+        res.set('Content-Type', metrics.register.contentType);
+        res.end(await metrics.register.metrics());
+      } catch (error) {
+        logger.error(`Error collecting metrics: ${error.message}`);
+        res.status(500).end(`# Error collecting metrics: ${error.message}\n`);
+      }
+    });
+
     // Add profiles to queue
-    this.app.post('/profiles', async (req, res) => {
+    this.app.post('/profiles', requireEnqueue, async (req, res) => {
       try {
         const profiles = Array.isArray(req.body) ? req.body : [req.body];
         const results = [];
+        const seenSteamIds = new Set();
 
         for (const profile of profiles) {
           // Validate profile structure
@@ -109,24 +244,67 @@ class ApiServer {
             continue;
           }
 
+          // SteamID2/SteamID3/profile and vanity URLs are queued as SteamID64
+          const normalized = await this.queueManager.normalizeSteamId(profile.steam_id);
+          if (!normalized.success) {
+            results.push({
+              success: false,
+              error: `Invalid steam_id: ${normalized.error}`,
+              profile: profile
+            });
+            continue;
+          }
+          const steamId = normalized.steamId;
+          const input = steamId !== profile.steam_id ? { input: profile.steam_id } : {};
+
+          if (seenSteamIds.has(steamId)) {
+            results.push({
+              success: true,
+              steam_id: steamId,
+              ...input,
+              username: profile.username,
+              added: false,
+              message: 'Duplicate of an earlier profile in this request'
+            });
+            continue;
+          }
+          seenSteamIds.add(steamId);
+
+          // Optional callback notified when the profile passes, fails or is submitted (public hosts only)
+          const callbackError = profile.callback_url !== undefined
+            ? await webhookNotifier.checkCallbackUrl(profile.callback_url)
+            : null;
+          if (callbackError) {
+            results.push({
+              success: false,
+              error: callbackError,
+              profile: profile
+            });
+            continue;
+          }
+
           // Add to queue using existing queue manager
           const result = await this.queueManager.addProfileToQueue(
-            profile.steam_id, 
-            profile.username
+            steamId,
+            profile.username,
+            null,
+            profile.callback_url ? { callback_url: profile.callback_url } : {}
           );
 
           if (result) {
             results.push({
               success: true,
-              steam_id: profile.steam_id,
+              steam_id: steamId,
+              ...input,
               username: profile.username,
               added: true
             });
-            logger.info(`API: Added profile ${profile.steam_id} (${profile.username}) to queue`);
+            logger.info(`API: Added profile ${steamId} (${profile.username}) to queue`);
           } else {
             results.push({
               success: true,
-              steam_id: profile.steam_id,
+              steam_id: steamId,
+              ...input,
               username: profile.username,
               added: false,
               message: 'Profile already exists in queue'
@@ -154,17 +332,109 @@ class ApiServer {
       }
     });
 
-    // Get queue contents
-    this.app.get('/profiles/queue', async (req, res) => {
+    // Bulk import of a CSV (steam_id,username) or NDJSON file, read line by line from the request body
+    // Content-Type: text/csv | application/x-ndjson (or ?format=csv|ndjson); ?username= for lines without one
+    // The body is streamed, so HMAC signatures on this route sign X-Content-SHA256 instead of the body
+    this.app.post('/profiles/import', this.auth.requireScope('enqueue', { streamedBody: true }), async (req, res) => {
+      const format = bulkIo.detectFormat(req.query.format || req.headers['content-type']);
+      if (!format) {
+        return res.status(400).json({
+          success: false,
+          error: `Unsupported import format. Use ?format= or a Content-Type of: ${Object.values(bulkIo.CONTENT_TYPES).join(', ')}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      try {
+        let input = req;
+        let verifyInput = null;
+        if (req.contentSha256) {
+          const hashed = bulkIo.sha256Passthrough(req);
+          input = hashed.stream;
+          verifyInput = () => hashed.digest() === req.contentSha256 ? null : 'Request body does not match X-Content-SHA256';
+        }
+
+        const summary = await bulkIo.importProfiles(this.queueManager, input, {
+          format: format,
+          username: req.query.username ? String(req.query.username) : null,
+          verifyInput
+        });
+        if (summary.error) {
+          logger.warn(`🔐 Rejected import (key: ${this.getKeyName(req)}): ${summary.error}`);
+          return res.status(401).json({
+            success: false,
+            error: summary.error,
+            timestamp: new Date().toISOString()
+          });
+        }
+        logger.info(`API: Imported ${summary.added} profiles from ${format.toUpperCase()} (key: ${this.getKeyName(req)})`);
+
+        res.json({
+          success: true,
+          format: format,
+          summary: summary,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error importing profiles: ${error.message}`);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to import profiles',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    // Stream the queue as CSV (one status column per check) or NDJSON (full profiles)
+    // ?format=csv|ndjson plus the GET /profiles/queue filters
+    this.app.get('/profiles/export', requireRead, async (req, res) => {
+      try {
+        const { options, error } = this.parseQueueQuery(req.query);
+        const format = bulkIo.detectFormat(req.query.format || 'csv');
+        if (error || !format) {
+          return res.status(400).json({
+            success: false,
+            error: error || `format must be one of: ${bulkIo.FORMATS.join(', ')}`,
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        await this.sendExport(res, 'queue', format, bulkIo.queueExportRecords(this.queueManager, options));
+      } catch (error) {
+        this.sendExportError(res, 'queue', error);
+      }
+    });
+
+    // Get queue contents, filtered and paginated
+    // ?username=&status=deferred&check=friends:failed&since=&until=&sort=-timestamp&limit=100&offset=0|cursor=
+    this.app.get('/profiles/queue', requireRead, async (req, res) => {
       try {
-        const profiles = await this.queueManager.getQueuedProfiles();
-        const stats = await this.queueManager.getQueueStats();
+        const { options, error } = this.parseQueueQuery(req.query);
+        if (error) {
+          return res.status(400).json({
+            success: false,
+            error: error,
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        const result = await this.queueManager.queryProfiles(options);
 
         res.json({
           success: true,
           queue: {
-            profiles: profiles,
-            stats: stats
+            profiles: result.profiles,
+            stats: result.stats
+          },
+          pagination: {
+            total: result.total,
+            offset: result.offset,
+            limit: result.limit,
+            returned: result.profiles.length,
+            next_cursor: result.nextCursor
+              ? Buffer.from(JSON.stringify(result.nextCursor)).toString('base64url')
+              : null
           },
           timestamp: new Date().toISOString()
         });
@@ -180,6 +450,585 @@ class ApiServer {
       }
     });
 
+    // Get a single queued profile
+    this.app.get('/profiles/:steamId', requireRead, async (req, res) => {
+      try {
+        const profile = await this.queueManager.getProfileBySteamId(req.params.steamId);
+        if (!profile) {
+          return this.sendProfileNotFound(res, req.params.steamId);
+        }
+
+        res.json({
+          success: true,
+          profile: profile,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error getting profile ${req.params.steamId}: ${error.message}`);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to get profile',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    // Cancel a queued profile (also marks it complete in the Redis queue)
+    this.app.delete('/profiles/:steamId', requireAdmin, async (req, res) => {
+      const { steamId } = req.params;
+
+      try {
+        const profile = await cancelProfile(this.queueManager, steamId, `API by ${this.getKeyName(req)}`);
+        if (!profile) {
+          return this.sendProfileNotFound(res, steamId);
+        }
+
+        if (this.steamValidator) {
+          this.steamValidator.clearDeferredChecksForProfile(steamId);
+        }
+        logger.info(`API: Removed profile ${steamId} (${profile.username}) from queue (key: ${this.getKeyName(req)})`);
+
+        res.json({
+          success: true,
+          removed: profile,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error removing profile ${steamId}: ${error.message}`);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to remove profile',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    // Reset all (or the listed) checks of a profile to to_check
+    // Body: { "checks": ["friends", "csgo_inventory"] } (optional)
+    this.app.post('/profiles/:steamId/requeue', requireAdmin, async (req, res) => {
+      const { steamId } = req.params;
+      const checkNames = req.body && req.body.checks !== undefined ? req.body.checks : null;
+
+      if (checkNames !== null) {
+        const unknownChecks = Array.isArray(checkNames)
+          ? checkNames.filter(checkName => !checkRegistry.has(checkName))
+          : null;
+        if (!unknownChecks || checkNames.length === 0 || unknownChecks.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: unknownChecks && unknownChecks.length > 0
+              ? `Unknown checks: ${unknownChecks.join(', ')}`
+              : 'checks must be a non-empty array of check names',
+            timestamp: new Date().toISOString()
+          });
+        }
+      }
+
+      try {
+        const queuedProfile = await this.queueManager.getProfileBySteamId(steamId);
+        if (!queuedProfile) {
+          return this.sendProfileNotFound(res, steamId);
+        }
+
+        const missingChecks = (checkNames || []).filter(checkName => !(checkName in queuedProfile.checks));
+        if (missingChecks.length > 0) {
+          return res.status(404).json({
+            success: false,
+            error: `Checks not found on profile ${steamId}: ${missingChecks.join(', ')}`,
+            available_checks: Object.keys(queuedProfile.checks),
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        const profile = await this.queueManager.requeueProfile(steamId, checkNames, `api:${this.getKeyName(req)}`);
+        if (!profile) {
+          return this.sendProfileNotFound(res, steamId);
+        }
+
+        if (this.steamValidator) {
+          (checkNames || Object.keys(profile.checks)).forEach(checkName =>
+            this.steamValidator.clearDeferredCheck(steamId, checkName)
+          );
+        }
+
+        res.json({
+          success: true,
+          profile: profile,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error requeueing profile ${steamId}: ${error.message}`);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to requeue profile',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    // Set the status of one check. Body: { "status": "passed" }
+    this.app.patch('/profiles/:steamId/checks/:checkName', requireAdmin, async (req, res) => {
+      const { steamId, checkName } = req.params;
+      const status = req.body ? req.body.status : undefined;
+      const validStatuses = ['to_check', 'passed', 'failed', 'deferred', 'skipped'];
+
+      if (!validStatuses.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `status must be one of: ${validStatuses.join(', ')}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      try {
+        const profile = await this.queueManager.getProfileBySteamId(steamId);
+        if (!profile) {
+          return this.sendProfileNotFound(res, steamId);
+        }
+
+        if (!(checkName in profile.checks)) {
+          return res.status(404).json({
+            success: false,
+            error: `Check '${checkName}' not found on profile ${steamId}`,
+            available_checks: Object.keys(profile.checks),
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        const updated = await this.queueManager.updateProfileCheckExternal(steamId, checkName, status, `api:${this.getKeyName(req)}`);
+        if (!updated) {
+          throw new Error('Queue store rejected the update');
+        }
+
+        if (status === 'passed' || status === 'failed') {
+          resultHistory.recordCheckResult(steamId, checkName, status, { manual: true, updatedBy: `api:${this.getKeyName(req)}` });
+        }
+
+        // Keep the processor's in-memory deferred list in step with the queue
+        if (this.steamValidator) {
+          if (status === 'deferred') {
+            this.steamValidator.addToDeferredChecks(steamId, checkName);
+          } else {
+            this.steamValidator.clearDeferredCheck(steamId, checkName);
+          }
+        }
+
+        res.json({
+          success: true,
+          profile: await this.queueManager.getProfileBySteamId(steamId),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error updating check ${checkName} for ${steamId}: ${error.message}`);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to update check',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    // Result history of completed profiles
+    // ?username=&outcome=rejected&failed_check=friends&since=&until=&limit=100&offset=0
+    this.app.get('/results', requireRead, (req, res) => {
+      const { options, error } = this.parseResultsQuery(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      try {
+        const { results, total } = resultHistory.queryResults(options);
+
+        res.json({
+          success: true,
+          results: results,
+          pagination: {
+            total: total,
+            offset: options.offset,
+            limit: options.limit,
+            returned: results.length
+          },
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error querying result history: ${error.message}`);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to query result history',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    // Stream the result history as CSV (one status column per check) or NDJSON (full records)
+    // ?format=csv|ndjson plus the GET /results filters
+    this.app.get('/results/export', requireRead, async (req, res) => {
+      try {
+        const { options, error } = this.parseResultsQuery(req.query);
+        const format = bulkIo.detectFormat(req.query.format || 'csv');
+        if (error || !format) {
+          return res.status(400).json({
+            success: false,
+            error: error || `format must be one of: ${bulkIo.FORMATS.join(', ')}`,
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        await this.sendExport(res, 'results', format, bulkIo.resultExportRecords(resultHistory, options));
+      } catch (error) {
+        this.sendExportError(res, 'results', error);
+      }
+    });
+
+    // Every recorded outcome for one Steam ID (newest first), plus results of checks still in progress
+    this.app.get('/results/:steamId', requireRead, (req, res) => {
+      const { steamId } = req.params;
+
+      try {
+        const { results, pending } = resultHistory.getResultsForSteamId(steamId);
+        if (results.length === 0 && Object.keys(pending).length === 0) {
+          return res.status(404).json({
+            success: false,
+            error: `No results recorded for ${steamId}`,
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        res.json({
+          success: true,
+          steam_id: steamId,
+          latest: results[0] || null,
+          results: results,
+          pending_checks: pending,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error getting results for ${steamId}: ${error.message}`);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to get results',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    // Passed profiles waiting for (or given up on) submission to the link API
+    // ?status=pending|dead&limit=100&offset=0
+    this.app.get('/outbox', requireRead, (req, res) => {
+      const status = req.query.status || null;
+      const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : 100;
+      const offset = req.query.offset !== undefined ? parseInt(req.query.offset) : 0;
+
+      if (status && !submissionOutbox.statuses.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid status. Must be one of: ${submissionOutbox.statuses.join(', ')}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      if (isNaN(limit) || limit < 1 || limit > 1000 || isNaN(offset) || offset < 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'limit must be between 1 and 1000 and offset must be 0 or more',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      try {
+        const { entries, total } = submissionOutbox.list({ status, limit, offset });
+
+        res.json({
+          success: true,
+          stats: submissionOutbox.getStats(),
+          submission_results: this.apiService ? this.apiService.getStats() : null,
+          entries: entries,
+          pagination: {
+            total: total,
+            offset: offset,
+            limit: limit,
+            returned: entries.length
+          },
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error listing submission outbox: ${error.message}`);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to list submission outbox',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    this.app.get('/outbox/:steamId', requireRead, (req, res) => {
+      const { steamId } = req.params;
+
+      try {
+        const entry = submissionOutbox.get(steamId);
+        if (!entry) {
+          return res.status(404).json({
+            success: false,
+            error: `${steamId} is not in the submission outbox`,
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        res.json({
+          success: true,
+          entry: entry,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error getting outbox entry for ${steamId}: ${error.message}`);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to get outbox entry',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    // Retry every dead submission with a fresh attempt budget
+    this.app.post('/outbox/replay', requireAdmin, (req, res) => {
+      try {
+        const replayed = submissionOutbox.replay();
+        logger.info(`API: Replaying ${replayed} dead submissions (key: ${this.getKeyName(req)})`);
+
+        res.json({
+          success: true,
+          replayed: replayed,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error replaying submission outbox: ${error.message}`);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to replay submissions',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    // Submit one entry on the next outbox run (dead or still backing off)
+    this.app.post('/outbox/:steamId/replay', requireAdmin, (req, res) => {
+      const { steamId } = req.params;
+
+      try {
+        if (submissionOutbox.replay(steamId) === 0) {
+          return res.status(404).json({
+            success: false,
+            error: `${steamId} is not in the submission outbox`,
+            timestamp: new Date().toISOString()
+          });
+        }
+        logger.info(`API: Replaying submission for ${steamId} (key: ${this.getKeyName(req)})`);
+
+        res.json({
+          success: true,
+          entry: submissionOutbox.get(steamId),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error replaying submission for ${steamId}: ${error.message}`);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to replay submission',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    // Run the checks for one Steam ID now, without queueing it.
+    // Body: { "steam_id": "...", "username": "...", "checks": ["friends"], "dry_run": false }
+    // Dry run by default; dry_run: false queues a passed Steam ID for submission (see validateSteamId)
+    this.app.post('/validate', requireEnqueue, async (req, res) => {
+      const { steam_id: steamId, username, checks: checkNames, dry_run: dryRun = true } = req.body || {};
+
+      if (typeof dryRun !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: 'dry_run must be a boolean',
+          timestamp: new Date().toISOString()
+        });
+      }
+      if (!this.steamValidator) {
+        return res.status(503).json({
+          success: false,
+          error: 'One-off validation not available (API server running without the processor)',
+          timestamp: new Date().toISOString()
+        });
+      }
+      if (!steamId || (!username && !dryRun)) {
+        return res.status(400).json({
+          success: false,
+          error: dryRun ? 'Missing required field: steam_id' : 'Missing required fields: steam_id and username (username is required when dry_run is false)',
+          timestamp: new Date().toISOString()
+        });
+      }
+      if (checkNames !== undefined) {
+        const unknownChecks = Array.isArray(checkNames)
+          ? checkNames.filter(checkName => !checkRegistry.has(checkName))
+          : null;
+        if (!unknownChecks || checkNames.length === 0 || unknownChecks.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: unknownChecks && unknownChecks.length > 0
+              ? `Unknown checks: ${unknownChecks.join(', ')}`
+              : 'checks must be a non-empty array of check names',
+            timestamp: new Date().toISOString()
+          });
+        }
+      }
+
+      try {
+        logger.info(`API: One-off validation of ${steamId} requested (key: ${this.getKeyName(req)})`);
+        const result = await validateSteamId(this.steamValidator, steamId, {
+          username: username ? String(username) : null,
+          checks: checkNames,
+          dryRun
+        });
+
+        if (!result.success) {
+          return res.status(400).json({
+            ...result,
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        res.json({
+          ...result,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error validating ${steamId}: ${error.message}`);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to validate Steam ID',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    // Drop cached Steam responses for a Steam ID, so its next checks go to Steam
+    this.app.delete('/cache/:steamId', requireAdmin, (req, res) => {
+      const { steamId } = req.params;
+
+      try {
+        const endpoints = responseCache.invalidate(steamId);
+        logger.info(`API: Invalidated ${endpoints.length} cached responses for ${steamId} (key: ${this.getKeyName(req)})`);
+
+        res.json({
+          success: true,
+          steam_id: steamId,
+          invalidated: endpoints,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error invalidating cache for ${steamId}: ${error.message}`);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to invalidate cache',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    // Get validation rules (raw file contents, plus effective rules for ?username=)
+    this.app.get('/rules', requireRead, (req, res) => {
+      const username = req.query.username || null;
+
+      res.json({
+        success: true,
+        rules: validationRules.getRawRules(),
+        effective: {
+          username: username,
+          checks: validationRules.getRulesForUser(username)
+        },
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Replace default validation rules
+    this.app.put('/rules/defaults', requireAdmin, (req, res) => {
+      try {
+        validationRules.setDefaultRules(req.body);
+
+        res.json({
+          success: true,
+          rules: validationRules.getRawRules(),
+          timestamp: new Date().toISOString()
+        });
+
+      } catch (error) {
+        logger.warn(`API: Rejected default rules update: ${error.message}`);
+        res.status(400).json({
+          success: false,
+          error: 'Invalid validation rules',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    // Replace validation rule overrides for one username
+    this.app.put('/rules/users/:username', requireAdmin, (req, res) => {
+      try {
+        validationRules.setUserRules(req.params.username, req.body);
+
+        res.json({
+          success: true,
+          username: req.params.username,
+          effective: validationRules.getRulesForUser(req.params.username),
+          timestamp: new Date().toISOString()
+        });
+
+      } catch (error) {
+        logger.warn(`API: Rejected rules update for ${req.params.username}: ${error.message}`);
+        res.status(400).json({
+          success: false,
+          error: 'Invalid validation rules',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    // Remove validation rule overrides for one username
+    this.app.delete('/rules/users/:username', requireAdmin, (req, res) => {
+      const removed = validationRules.removeUserRules(req.params.username);
+
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          error: `No rules found for user ${req.params.username}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      res.json({
+        success: true,
+        username: req.params.username,
+        removed: true,
+        timestamp: new Date().toISOString()
+      });
+    });
+
     // 404 handler
     this.app.use('*', (req, res) => {
       res.status(404).json({
@@ -188,32 +1037,253 @@ class ApiServer {
         available_endpoints: [
           'GET /health',
           'GET /health/cooldowns', 
+          'GET /health/rate-limits',
+          'GET /health/check-order',
+          'GET /health/cache',
+          'GET /health/webhooks',
+          'GET /health/shadow',
+          'GET /metrics',
           'POST /profiles',
-          'GET /profiles/queue'
+          'POST /profiles/import',
+          'GET /profiles/export',
+          'GET /profiles/queue',
+          'GET /profiles/:steamId',
+          'DELETE /profiles/:steamId',
+          'POST /profiles/:steamId/requeue',
+          'PATCH /profiles/:steamId/checks/:checkName',
+          'GET /results',
+          'GET /results/export',
+          'GET /results/:steamId',
+          'GET /outbox',
+          'GET /outbox/:steamId',
+          'POST /outbox/replay',
+          'POST /outbox/:steamId/replay',
+          'POST /validate',
+          'DELETE /cache/:steamId',
+          'GET /rules',
+          'PUT /rules/defaults',
+          'PUT /rules/users/:username',
+          'DELETE /rules/users/:username'
         ],
         timestamp: new Date().toISOString()
       });
     });
   }
 
+  /**
+   * Validate GET /profiles/queue query parameters
+   * @param {Object} query - req.query
+   * @returns {Object} { options } for QueueManager.queryProfiles, or { error }
+   */
+  parseQueueQuery(query) {
+    const validStatuses = ['to_check', 'passed', 'failed', 'deferred', 'skipped'];
+    const sortFields = ['timestamp', 'username', 'steam_id'];
+    const options = {};
+
+    const paramError = checkSingleValueParams(query, ['username', 'status', 'since', 'until', 'sort', 'limit', 'offset', 'cursor', 'format']);
+    if (paramError) {
+      return { error: paramError };
+    }
+
+    if (query.username) {
+      options.username = String(query.username);
+    }
+
+    if (query.status) {
+      if (!validStatuses.includes(query.status)) {
+        return { error: `status must be one of: ${validStatuses.join(', ')}` };
+      }
+      options.status = query.status;
+    }
+
+    // check=friends:failed,csgo_inventory:passed (or repeated check= parameters)
+    if (query.check) {
+      options.checks = {};
+      const entries = [].concat(query.check).join(',').split(',').filter(Boolean);
+      for (const entry of entries) {
+        const [checkName, status] = entry.split(':');
+        if (!checkRegistry.has(checkName)) {
+          return { error: `Unknown check '${checkName}'` };
+        }
+        if (!validStatuses.includes(status)) {
+          return { error: `check must be <check>:<status> with status one of: ${validStatuses.join(', ')}` };
+        }
+        options.checks[checkName] = status;
+      }
+    }
+
+    // since/until accept epoch milliseconds or ISO dates
+    for (const field of ['since', 'until']) {
+      if (query[field]) {
+        const value = /^\d+$/.test(query[field]) ? Number(query[field]) : Date.parse(query[field]);
+        if (isNaN(value)) {
+          return { error: `${field} must be epoch milliseconds or an ISO date` };
+        }
+        options[field] = value;
+      }
+    }
+
+    if (query.sort) {
+      const sortOrder = query.sort.startsWith('-') ? 'desc' : 'asc';
+      const sortBy = query.sort.replace(/^[-+]/, '');
+      if (!sortFields.includes(sortBy)) {
+        return { error: `sort must be one of: ${sortFields.join(', ')} (prefix with - for descending)` };
+      }
+      options.sortBy = sortBy;
+      options.sortOrder = sortOrder;
+    }
+
+    if (query.limit !== undefined) {
+      const limit = Number(query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+        return { error: 'limit must be an integer between 1 and 1000' };
+      }
+      options.limit = limit;
+    }
+
+    if (query.cursor) {
+      try {
+        const cursor = JSON.parse(Buffer.from(String(query.cursor), 'base64url').toString('utf8'));
+        if (!cursor || cursor.steam_id === undefined || cursor.value === undefined) {
+          throw new Error('incomplete cursor');
+        }
+        options.cursor = cursor;
+      } catch (error) {
+        return { error: 'Invalid cursor' };
+      }
+    } else if (query.offset !== undefined) {
+      const offset = Number(query.offset);
+      if (!Number.isInteger(offset) || offset < 0) {
+        return { error: 'offset must be a non-negative integer' };
+      }
+      options.offset = offset;
+    }
+
+    return { options };
+  }
+
+  /**
+   * Validate GET /results query parameters
+   * @param {Object} query - req.query
+   * @returns {Object} { options } for ResultHistory.queryResults, or { error }
+   */
+  parseResultsQuery(query) {
+    const options = { limit: 100, offset: 0 };
+
+    const paramError = checkSingleValueParams(query, ['username', 'outcome', 'failed_check', 'since', 'until', 'limit', 'offset', 'format']);
+    if (paramError) {
+      return { error: paramError };
+    }
+
+    if (query.username) {
+      options.username = String(query.username);
+    }
+
+    if (query.outcome) {
+      if (!resultHistory.outcomes.includes(query.outcome)) {
+        return { error: `outcome must be one of: ${resultHistory.outcomes.join(', ')}` };
+      }
+      options.outcome = query.outcome;
+    }
+
+    if (query.failed_check) {
+      if (!checkRegistry.has(query.failed_check)) {
+        return { error: `Unknown check '${query.failed_check}'` };
+      }
+      options.failedCheck = query.failed_check;
+    }
+
+    for (const field of ['since', 'until']) {
+      if (query[field]) {
+        const value = /^\d+$/.test(query[field]) ? Number(query[field]) : Date.parse(query[field]);
+        if (isNaN(value)) {
+          return { error: `${field} must be epoch milliseconds or an ISO date` };
+        }
+        options[field] = value;
+      }
+    }
+
+    if (query.limit !== undefined) {
+      const limit = Number(query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+        return { error: 'limit must be an integer between 1 and 1000' };
+      }
+      options.limit = limit;
+    }
+
+    if (query.offset !== undefined) {
+      const offset = Number(query.offset);
+      if (!Number.isInteger(offset) || offset < 0) {
+        return { error: 'offset must be a non-negative integer' };
+      }
+      options.offset = offset;
+    }
+
+    return { options };
+  }
+
+  /**
+   * Stream export records as a CSV/NDJSON download
+   * @param {Object} res - Express response
+   * @param {string} type - queue or results
+   * @param {string} format - csv or ndjson
+   * @param {AsyncIterable<Object>} records - Export records
+   */
+  async sendExport(res, type, format, records) {
+    const filename = `${type}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    try {
+      res.setHeader('Content-Type', `${bulkIo.CONTENT_TYPES[format]}; charset=utf-8`);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      const count = await bulkIo.writeExport(res, records, { type, format });
+      res.end();
+      logger.info(`API: Exported ${count} ${type} records as ${format.toUpperCase()}`);
+    } catch (error) {
+      this.sendExportError(res, type, error);
+    }
+  }
+
+  sendExportError(res, type, error) {
+    logger.error(`Error exporting ${type}: ${error.message}`);
+    if (res.headersSent) {
+      // Already streaming - cut the download short rather than append an error to it
+      res.destroy(error);
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      error: `Failed to export ${type}`,
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  sendProfileNotFound(res, steamId) {
+    return res.status(404).json({
+      success: false,
+      error: `Profile ${steamId} not found in queue`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  getKeyName(req) {
+    return req.apiKey ? req.apiKey.name : 'anonymous';
+  }
+
   async getCooldownStatus() {
     try {
       // Read endpoint cooldowns file
       const cooldownPath = path.join(__dirname, '../endpoint_cooldowns.json');
-      const configPath = path.join(__dirname, '../config_proxies.json');
       
       let cooldownData = { connections: [] };
-      let configData = { connections: [] };
       
       // Read cooldown file if exists
       if (await fs.pathExists(cooldownPath)) {
         cooldownData = await fs.readJson(cooldownPath);
       }
       
-      // Read config file if exists  
-      if (await fs.pathExists(configPath)) {
-        configData = await fs.readJson(configPath);
-      }
+      // Same connection pool the processor loads (single direct connection without config_proxies.json)
+      const configData = { connections: loadProxyConnections(CONFIG.PROXY_CONFIG_PATH) };
       
       const now = Date.now();
       const cooldowns = {};
@@ -228,19 +1298,20 @@ class ApiServer {
       // Process each connection
       for (let i = 0; i < configData.connections.length; i++) {
         const configConn = configData.connections[i];
-        const cooldownConn = cooldownData.connections.find(c => c.index === i) || { endpoint_cooldowns: {} };
+        const cooldownConn = (cooldownData.connections || []).find(c => c.index === i) || { endpoint_cooldowns: {} };
+        const backoffLevels = cooldownConn.backoff_levels || {};
         
-        const connectionKey = configConn.type === 'direct' ? 'direct' : `socks5_${i}`;
+        const connectionKey = configConn.type === 'direct' ? 'direct' : `${configConn.type}_${i}`;
         cooldowns[connectionKey] = {
           type: configConn.type,
-          url: configConn.url || null,
+          url: maskProxyUrl(configConn.url),
           endpoints: {}
         };
         
         let hasActiveCooldowns = false;
         
         // Check each endpoint for this connection
-        const commonEndpoints = ['inventory', 'friends', 'steam_level', 'animated_avatar', 'avatar_frame', 'mini_profile_background', 'profile_background'];
+        const commonEndpoints = checkRegistry.getEndpointNames();
         
         for (const endpoint of commonEndpoints) {
           const cooldown = cooldownConn.endpoint_cooldowns[endpoint];
@@ -256,6 +1327,8 @@ class ApiServer {
               remainingMinutes: remainingMinutes,
               reason: cooldown.reason,
               backoffLevel: cooldown.backoff_level || null,
+              decisionSource: cooldown.decision_source || null,
+              retryHintMs: cooldown.retry_hint_ms || null,
               until: new Date(cooldown.cooldown_until).toISOString()
             };
             
@@ -288,6 +1361,21 @@ class ApiServer {
               remainingMinutes: 0
             };
           }
+          
+          // Backoff level the next 429 escalates from, and how it is decaying
+          const backoffState = backoffLevels[endpoint];
+          if (backoffState) {
+            const { SUCCESSES_PER_LEVEL, QUIET_PERIOD_MS } = CONFIG.BACKOFF_DECAY;
+            const decayFrom = Math.max(backoffState.last_rate_limited_at || 0, backoffState.last_decay_at || 0);
+            
+            cooldowns[connectionKey].endpoints[endpoint].backoff = {
+              level: backoffState.backoff_level,
+              consecutiveSuccesses: backoffState.consecutive_successes,
+              successesUntilDecay: SUCCESSES_PER_LEVEL > 0 ? Math.max(0, SUCCESSES_PER_LEVEL - backoffState.consecutive_successes) : null,
+              nextQuietDecayAt: QUIET_PERIOD_MS > 0 ? new Date(decayFrom + QUIET_PERIOD_MS).toISOString() : null,
+              lastRateLimitedAt: backoffState.last_rate_limited_at ? new Date(backoffState.last_rate_limited_at).toISOString() : null
+            };
+          }
         }
         
         if (!hasActiveCooldowns) {
@@ -322,8 +1410,33 @@ class ApiServer {
         logger.info(`📡 Available endpoints:`);
         logger.info(`   GET  http://localhost:${this.port}/health`);
         logger.info(`   GET  http://localhost:${this.port}/health/cooldowns`);
+        logger.info(`   GET  http://localhost:${this.port}/health/rate-limits`);
+        logger.info(`   GET  http://localhost:${this.port}/health/check-order`);
+        logger.info(`   GET  http://localhost:${this.port}/health/cache`);
+        logger.info(`   GET  http://localhost:${this.port}/health/webhooks`);
+        logger.info(`   GET  http://localhost:${this.port}/health/shadow`);
+        logger.info(`   GET  http://localhost:${this.port}/metrics`);
         logger.info(`   POST http://localhost:${this.port}/profiles`);
+        logger.info(`   POST http://localhost:${this.port}/profiles/import`);
+        logger.info(`   GET  http://localhost:${this.port}/profiles/export`);
         logger.info(`   GET  http://localhost:${this.port}/profiles/queue`);
+        logger.info(`   GET  http://localhost:${this.port}/profiles/:steamId`);
+        logger.info(`   DELETE http://localhost:${this.port}/profiles/:steamId`);
+        logger.info(`   POST http://localhost:${this.port}/profiles/:steamId/requeue`);
+        logger.info(`   PATCH http://localhost:${this.port}/profiles/:steamId/checks/:checkName`);
+        logger.info(`   GET  http://localhost:${this.port}/results`);
+        logger.info(`   GET  http://localhost:${this.port}/results/export`);
+        logger.info(`   GET  http://localhost:${this.port}/results/:steamId`);
+        logger.info(`   GET  http://localhost:${this.port}/outbox`);
+        logger.info(`   GET  http://localhost:${this.port}/outbox/:steamId`);
+        logger.info(`   POST http://localhost:${this.port}/outbox/replay`);
+        logger.info(`   POST http://localhost:${this.port}/outbox/:steamId/replay`);
+        logger.info(`   POST http://localhost:${this.port}/validate`);
+        logger.info(`   DELETE http://localhost:${this.port}/cache/:steamId`);
+        logger.info(`   GET  http://localhost:${this.port}/rules`);
+        logger.info(`   PUT  http://localhost:${this.port}/rules/defaults`);
+        logger.info(`   PUT  http://localhost:${this.port}/rules/users/:username`);
+        logger.info(`   DELETE http://localhost:${this.port}/rules/users/:username`);
         resolve();
       });
 
@@ -2,18 +2,89 @@
 const axios = require('axios');
 const path = require('path');
 const logger = require('./utils/logger');
+const metrics = require('./metrics');
 
 // Load environment variables
 require('dotenv').config({ path: path.resolve(__dirname, '../../.env') });
 
+/**
+ * Classes a link submission result falls into:
+ * - ok: link added
+ * - duplicate: link already exists (counts as submitted)
+ * - invalid_id: the API rejected the Steam ID
+ * - auth_error: missing or rejected API key
+ * - retryable: network errors, timeouts, 429 and 5xx - worth trying again later
+ * - permanent: any other rejection
+ */
+const SUBMISSION_RESULTS = ['ok', 'duplicate', 'invalid_id', 'auth_error', 'retryable', 'permanent'];
+
+// Structured error body: { "error": "...", "code": "link_exists" }
+const ERROR_CODE_RESULTS = {
+  link_exists: 'duplicate',
+  duplicate: 'duplicate',
+  invalid_steam_id: 'invalid_id',
+  invalid_api_key: 'auth_error',
+  missing_api_key: 'auth_error'
+};
+
+// Older API deployments only send { "error": "..." } - these messages are the only ones we recognise without a code
+const LEGACY_ERROR_MESSAGES = [
+  ['Link already exists', 'duplicate'],
+  ['Invalid Steam ID format', 'invalid_id']
+];
+
 class ApiService {
   constructor(config) {
     this.config = config;
     this.apiEndpoint = config.API_ENDPOINT;
     this.credentials = null;
+    this.submissionResults = SUBMISSION_RESULTS;
+    this.stats = Object.fromEntries(SUBMISSION_RESULTS.map(result => [result, 0]));
     this.loadCredentials();
   }
 
+  /**
+   * Classify a link API response by HTTP status and structured error body
+   * @param {number} status - HTTP status
+   * @param {Object} [body] - Response body ({ error, code } on errors)
+   * @returns {string} One of SUBMISSION_RESULTS
+   */
+  classifyResponse(status, body = {}) {
+    if (status >= 200 && status < 300) {
+      return 'ok';
+    }
+
+    const code = body && typeof body.code === 'string' ? body.code : null;
+    if (code && ERROR_CODE_RESULTS[code]) {
+      return ERROR_CODE_RESULTS[code];
+    }
+
+    if (!code && body && typeof body.error === 'string') {
+      const legacy = LEGACY_ERROR_MESSAGES.find(([message]) => body.error.includes(message));
+      if (legacy) {
+        return legacy[1];
+      }
+    }
+
+    if (status === 409) {
+      return 'duplicate';
+    }
+    if (status === 401 || status === 403) {
+      return 'auth_error';
+    }
+    if (status === 408 || status === 429 || status >= 500) {
+      return 'retryable';
+    }
+    return 'permanent';
+  }
+
+  /**
+   * @returns {Object} Submissions per result class since startup
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+
   loadCredentials() {
     // Load credentials from environment variables
     this.credentials = {
@@ -64,6 +135,7 @@ class ApiService {
     if (!this.credentials?.apiKey) {
       return {
         success: false,
+        result: 'auth_error',
         error: 'Missing API key (LINK_HARVESTER_API_KEY not set in environment)'
       };
     }
@@ -72,6 +144,7 @@ class ApiService {
     if (!username || typeof username !== 'string') {
       return {
         success: false,
+        result: 'permanent',
         error: 'Invalid or missing username parameter'
       };
     }
@@ -92,34 +165,30 @@ class ApiService {
         timeout: 10000
       });
       
-      // Process response
-      if (response.status === 200) {
-        logger.info(`Successfully added Steam ID ${steamId} to kuchababok.com (user: ${username})`);
-        return {
-          success: true,
-          data: response.data
-        };
-      } else {
-        logger.warn(`Unexpected status code for ${steamId} (user: ${username}): ${response.status}`);
-        return {
-          success: false,
-          error: `Unexpected status code: ${response.status}`,
-          data: response.data
-        };
-      }
+      // Process response (axios rejects non-2xx statuses)
+      logger.info(`Successfully added Steam ID ${steamId} to kuchababok.com (user: ${username})`);
+      return {
+        success: true,
+        result: 'ok',
+        status: response.status,
+        data: response.data
+      };
     } catch (error) {
       // Handle specific error types
       if (error.response) {
         // Server responded with an error
         const status = error.response.status;
-        const errorData = error.response.data || {};
+        const errorData = error.response.data && typeof error.response.data === 'object' ? error.response.data : {};
         const errorMessage = errorData.error || error.message;
+        const result = this.classifyResponse(status, errorData);
         
-        logger.error(`API error for ${steamId} (user: ${username}): ${status} - ${errorMessage}`);
+        logger.error(`API error for ${steamId} (user: ${username}): ${status} - ${errorMessage} (${result})`);
         
         return {
           success: false,
+          result,
           status,
+          code: errorData.code || null,
           error: errorMessage,
           data: errorData
         };
@@ -128,6 +197,7 @@ class ApiService {
         logger.error(`API no response for ${steamId} (user: ${username}): ${error.message}`);
         return {
           success: false,
+          result: 'retryable',
           error: 'No response from server',
           details: error.message
         };
@@ -136,6 +206,7 @@ class ApiService {
         logger.error(`API request setup error for ${steamId} (user: ${username}): ${error.message}`);
         return {
           success: false,
+          result: 'retryable',
           error: 'Request setup error',
           details: error.message
         };
@@ -143,58 +214,74 @@ class ApiService {
     }
   }
 
+  /**
+   * Submit a Steam ID and classify the outcome
+   * @param {string} steamId - Steam ID
+   * @param {string} username - Submitting username (from the queue)
+   * @returns {Object} { steamId, username, success, result, status, error } - result is one of SUBMISSION_RESULTS,
+   *   success is true for ok and duplicate
+   */
   async handleNewSteamId(steamId, username) {
     const result = {
       steamId,
       username,
       success: false,
+      result: null,
+      status: null,
       error: null
     };
     
     // Validate username parameter
     if (!username || typeof username !== 'string') {
+      result.result = 'permanent';
       result.error = 'Invalid or missing username';
       logger.error(`Invalid username '${username}' for Steam ID ${steamId}`);
-      return result;
+      return this.countResult(result);
     }
     
     try {
       // Send to API with username from parameter (from queue)
       const apiResponse = await this.sendSteamIdToApi(steamId, username);
       
-      if (apiResponse.success) {
-        // Successful API call
-        result.success = true;
-        logger.info(`Successfully added Steam ID ${steamId} (user: ${username}) to kuchababok.com`);
-        return result;
-      }
-      
-      // Handle different error types
-      const errorMessage = apiResponse.error || 'Unknown error';
-      result.error = errorMessage;
+      result.result = apiResponse.result;
+      result.status = apiResponse.status || null;
+      result.error = apiResponse.success ? null : (apiResponse.error || 'Unknown error');
       
-      if (errorMessage.includes('Link already exists')) {
-        // Link already exists - consider this a success
-        logger.info(`Steam ID ${steamId} (user: ${username}) already exists on kuchababok.com`);
-        result.success = true;
-        return result;
-      } else if (errorMessage.includes('Invalid Steam ID format')) {
-        // Invalid Steam ID format - don't retry
-        logger.warn(`Invalid Steam ID format: ${steamId} (user: ${username})`);
-        return result;
-      } else {
-        // Other errors - log and return failure
-        logger.warn(`API call failed for ${steamId} (user: ${username}): ${errorMessage}`);
-        return result;
+      switch (apiResponse.result) {
+        case 'ok':
+          result.success = true;
+          logger.info(`Successfully added Steam ID ${steamId} (user: ${username}) to kuchababok.com`);
+          break;
+        case 'duplicate':
+          // Link already exists - consider this a success
+          result.success = true;
+          logger.info(`Steam ID ${steamId} (user: ${username}) already exists on kuchababok.com`);
+          break;
+        case 'invalid_id':
+          logger.warn(`Invalid Steam ID format: ${steamId} (user: ${username})`);
+          break;
+        case 'auth_error':
+          logger.error(`API key rejected while submitting ${steamId} (user: ${username}): ${result.error}`);
+          break;
+        default:
+          logger.warn(`API call failed for ${steamId} (user: ${username}, ${apiResponse.result}): ${result.error}`);
       }
+      return this.countResult(result);
     } catch (error) {
       // Unexpected error
       const errorMessage = `Unexpected error processing ${steamId} (user: ${username}): ${error.message}`;
       logger.error(errorMessage);
+      result.result = 'permanent';
       result.error = errorMessage;
-      return result;
+      return this.countResult(result);
     }
   }
+
+  countResult(result) {
+    this.stats[result.result]++;
+    metrics.recordApiSubmission(result.result);
+    return result;
+  }
 }
 
 module.exports = ApiService;
\ No newline at end of file
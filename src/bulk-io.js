@@ -0,0 +1,328 @@
+// steam-id-processor/src/bulk-io.js
+const crypto = require('crypto');
+const readline = require('readline');
+const { once } = require('events');
+const { Transform, pipeline } = require('stream');
+const checkRegistry = require('./check-registry');
+const logger = require('./utils/logger');
+
+const FORMATS = ['csv', 'ndjson'];
+const CONTENT_TYPES = { csv: 'text/csv', ndjson: 'application/x-ndjson' };
+
+// Per-line errors kept in an import summary (the count covers all of them)
+const MAX_REPORTED_ERRORS = 1000;
+
+// Queue/result pages read at a time while exporting
+const EXPORT_PAGE_SIZE = 500;
+
+/**
+ * Pick the format from an explicit value, a Content-Type header or a file name
+ * @param {string} [value] - csv, ndjson, a Content-Type or a path
+ * @returns {string|null} csv, ndjson or null if unknown
+ */
+function detectFormat(value) {
+  const normalized = String(value || '').toLowerCase().split(';')[0].trim();
+  if (normalized === 'csv' || normalized === 'text/csv' || normalized.endsWith('.csv')) {
+    return 'csv';
+  }
+  if (['ndjson', 'jsonl', 'application/x-ndjson', 'application/jsonl'].includes(normalized) ||
+      normalized.endsWith('.ndjson') || normalized.endsWith('.jsonl')) {
+    return 'ndjson';
+  }
+  return null;
+}
+
+/**
+ * Split one CSV line (RFC 4180 quoting, no line breaks inside quoted fields)
+ * @param {string} line - CSV line
+ * @returns {Array<string>} Fields
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+function csvEscape(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Read steam_id/username records from a CSV or NDJSON stream, line by line
+ *
+ * CSV: `steam_id,username` per line; an optional header row may name the columns in any order.
+ * NDJSON: one `{"steam_id": "...", "username": "..."}` object per line.
+ * Blank lines and lines starting with # are ignored.
+ *
+ * @param {Readable} input - Stream of the file
+ * @param {string} format - csv or ndjson
+ * @yields {Object} { line, steamId, username } or { line, error, input }
+ */
+async function* readImportRecords(input, format) {
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let columns = null;
+  let lineNumber = 0;
+
+  for await (const rawLine of lines) {
+    lineNumber++;
+    const line = lineNumber === 1 ? rawLine.replace(/^\uFEFF/, '').trim() : rawLine.trim();
+    if (line === '' || line.startsWith('#')) {
+      continue;
+    }
+
+    try {
+      if (format === 'ndjson') {
+        const record = JSON.parse(line);
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+          throw new Error('Expected a JSON object');
+        }
+        yield { line: lineNumber, steamId: record.steam_id, username: record.username };
+        continue;
+      }
+
+      const fields = parseCsvLine(line);
+      if (!columns) {
+        const header = fields.map(field => field.toLowerCase());
+        if (header.includes('steam_id')) {
+          columns = { steamId: header.indexOf('steam_id'), username: header.indexOf('username') };
+          continue;
+        }
+        columns = { steamId: 0, username: 1 };
+      }
+
+      yield {
+        line: lineNumber,
+        steamId: fields[columns.steamId],
+        username: columns.username >= 0 ? fields[columns.username] : undefined
+      };
+    } catch (error) {
+      yield { line: lineNumber, error: `Unparseable ${format.toUpperCase()} line: ${error.message}`, input: line.slice(0, 200) };
+    }
+  }
+}
+
+/**
+ * Queue every record of a CSV/NDJSON import
+ * @param {QueueManager} queueManager - Queue manager
+ * @param {Readable} input - Stream of the file
+ * @param {Object} options
+ * @param {string} options.format - csv or ndjson
+ * @param {string} [options.username] - Username for records without one
+ * @param {Function} [options.verifyInput] - Called once the input is read, before anything is queued;
+ *   returns why the input can't be trusted (nothing is queued then) or null
+ * @returns {Object} { lines, added, already_queued, duplicates, invalid, errors: [{ line, error, input }] }
+ *   or { error } if verifyInput refused the input
+ */
+async function importProfiles(queueManager, input, options) {
+  const summary = { lines: 0, added: 0, already_queued: 0, duplicates: 0, invalid: 0, errors: [] };
+  const seenSteamIds = new Set();
+  const profilesToQueue = [];
+
+  const reject = (record, error) => {
+    summary.invalid++;
+    if (summary.errors.length < MAX_REPORTED_ERRORS) {
+      summary.errors.push({ line: record.line, error, input: record.input !== undefined ? record.input : record.steamId });
+    }
+  };
+
+  for await (const record of readImportRecords(input, options.format)) {
+    summary.lines++;
+    if (record.error) {
+      reject(record, record.error);
+      continue;
+    }
+
+    const username = record.username || options.username;
+    if (!record.steamId || !username) {
+      reject(record, 'Missing required fields: steam_id and username');
+      continue;
+    }
+
+    const normalized = await queueManager.normalizeSteamId(record.steamId);
+    if (!normalized.success) {
+      reject(record, `Invalid steam_id: ${normalized.error}`);
+      continue;
+    }
+
+    if (seenSteamIds.has(normalized.steamId)) {
+      summary.duplicates++;
+      continue;
+    }
+    seenSteamIds.add(normalized.steamId);
+    profilesToQueue.push({ record, steamId: normalized.steamId, username: String(username) });
+  }
+
+  // Queue only once the whole input was read (and verified)
+  const verifyError = options.verifyInput ? options.verifyInput() : null;
+  if (verifyError) {
+    logger.warn(`📥 Import refused after ${summary.lines} lines: ${verifyError}`);
+    return { error: verifyError };
+  }
+
+  for (const { record, steamId, username } of profilesToQueue) {
+    if (await queueManager.getProfileBySteamId(steamId)) {
+      summary.already_queued++;
+      continue;
+    }
+
+    if (await queueManager.addProfileToQueue(steamId, username)) {
+      summary.added++;
+    } else {
+      reject(record, 'Not queued');
+    }
+  }
+
+  logger.info(`📥 Import finished: ${summary.lines} lines, ${summary.added} added, ${summary.already_queued} already queued, ${summary.duplicates} duplicates, ${summary.invalid} invalid`);
+  return summary;
+}
+
+/**
+ * Pass a stream through while hashing it (checks a streamed request body against its X-Content-SHA256)
+ * @param {Readable} input - Stream to hash
+ * @returns {Object} { stream, digest } - read from stream; digest() is the hex SHA-256 once it has ended
+ */
+function sha256Passthrough(input) {
+  const hash = crypto.createHash('sha256');
+  const stream = pipeline(input, new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      callback(null, chunk);
+    }
+  }), () => {});
+  return { stream, digest: () => hash.digest('hex') };
+}
+
+/**
+ * Queued profiles as export records, in queue order
+ * @param {QueueManager} queueManager - Queue manager
+ * @param {Object} [filters] - QueueManager.queryProfiles filters (paging options are ignored)
+ * @yields {Object} Queue profile
+ */
+async function* queueExportRecords(queueManager, filters = {}) {
+  let cursor = null;
+  do {
+    const page = await queueManager.queryProfiles({ ...filters, offset: 0, cursor, limit: EXPORT_PAGE_SIZE });
+    yield* page.profiles;
+    cursor = page.nextCursor;
+  } while (cursor);
+}
+
+/**
+ * Completed results as export records, newest first
+ * @param {ResultHistory} resultHistory - Result history
+ * @param {Object} [filters] - ResultHistory.queryResults filters (paging options are ignored)
+ * @yields {Object} Result record
+ */
+async function* resultExportRecords(resultHistory, filters = {}) {
+  // Pin the upper bound so results completed during the export don't shift the pages
+  const pinned = { ...filters, until: filters.until || Date.now() };
+  for (let offset = 0; ; offset += EXPORT_PAGE_SIZE) {
+    const { results } = resultHistory.queryResults({ ...pinned, limit: EXPORT_PAGE_SIZE, offset });
+    yield* results;
+    if (results.length < EXPORT_PAGE_SIZE) {
+      break;
+    }
+  }
+}
+
+// CSV columns: fixed fields, then one status column per registered check
+const EXPORT_COLUMNS = {
+  queue: {
+    fields: ['steam_id', 'username', 'queued_at'],
+    flatten: profile => ({
+      steam_id: profile.steam_id,
+      username: profile.username,
+      queued_at: profile.timestamp ? new Date(profile.timestamp).toISOString() : null,
+      ...profile.checks
+    })
+  },
+  results: {
+    fields: ['id', 'steam_id', 'username', 'outcome', 'failed_check', 'queued_at', 'completed_at', 'submission_result', 'submission_error'],
+    flatten: record => ({
+      ...record,
+      submission_result: record.submission ? record.submission.result : null,
+      submission_error: record.submission ? record.submission.error : null,
+      ...Object.fromEntries(Object.entries(record.checks || {}).map(([checkName, check]) => [checkName, check.status]))
+    })
+  }
+};
+
+/**
+ * Stream records as CSV or NDJSON, respecting backpressure
+ * @param {Writable} output - Destination (HTTP response, file or stdout)
+ * @param {AsyncIterable<Object>} records - Records from queueExportRecords / resultExportRecords
+ * @param {Object} options
+ * @param {string} options.type - queue or results
+ * @param {string} options.format - csv or ndjson
+ * @returns {number} Records written
+ */
+async function writeExport(output, records, options) {
+  const columns = EXPORT_COLUMNS[options.type];
+  const header = [...columns.fields, ...checkRegistry.getCheckNames()];
+  let count = 0;
+
+  const write = async text => {
+    if (!output.write(text)) {
+      await once(output, 'drain');
+    }
+  };
+
+  if (options.format === 'csv') {
+    await write(`${header.join(',')}\n`);
+  }
+
+  for await (const record of records) {
+    if (options.format === 'csv') {
+      const flat = columns.flatten(record);
+      await write(`${header.map(column => csvEscape(flat[column])).join(',')}\n`);
+    } else {
+      await write(`${JSON.stringify(record)}\n`);
+    }
+    count++;
+  }
+
+  return count;
+}
+
+module.exports = {
+  FORMATS,
+  CONTENT_TYPES,
+  detectFormat,
+  readImportRecords,
+  importProfiles,
+  sha256Passthrough,
+  queueExportRecords,
+  resultExportRecords,
+  writeExport
+};
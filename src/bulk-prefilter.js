@@ -0,0 +1,135 @@
+// steam-id-processor/src/bulk-prefilter.js
+const checkRegistry = require('./check-registry');
+const logger = require('./utils/logger');
+
+// GetPlayerSummaries / GetPlayerBans accept at most 100 Steam IDs per request
+const MAX_BATCH_SIZE = 100;
+
+/**
+ * Bulk prefilter stage
+ *
+ * Before profiles are handed to workers, fetches the bulk endpoints (GetPlayerSummaries,
+ * GetPlayerBans - see checkRegistry.getBulkSources()) for up to 100 queued Steam IDs per request
+ * and stores each player's record on the profile. Checks with a bulkField (account_age,
+ * community_visibility, bans) are then evaluated from the stored record without a request of their own.
+ */
+class BulkPrefilter {
+  /**
+   * @param {SteamValidator} steamValidator - Makes the requests (rate limits, cooldowns, connection pool)
+   * @param {QueueManager} queueManager - Queue the records are stored in
+   * @param {Object} [options] - CONFIG.BULK_PREFILTER
+   */
+  constructor(steamValidator, queueManager, options = {}) {
+    this.steamValidator = steamValidator;
+    this.queueManager = queueManager;
+    this.enabled = options.ENABLED !== false;
+    this.batchSize = Math.min(MAX_BATCH_SIZE, Math.max(1, options.BATCH_SIZE || MAX_BATCH_SIZE));
+  }
+
+  /**
+   * Whether a profile still needs the record of a bulk source: it has no record yet
+   * and one of the checks fed by that source hasn't run
+   * @param {Object} profile - Queued profile
+   * @param {string} bulkField - Profile field of the bulk source
+   * @returns {boolean}
+   */
+  needsRecord(profile, bulkField) {
+    if (profile[bulkField] !== undefined) {
+      return false;
+    }
+
+    return Object.entries(profile.checks || {}).some(([checkName, status]) => {
+      const check = checkRegistry.get(checkName);
+      return check && check.bulkField === bulkField && (status === 'to_check' || status === 'deferred');
+    });
+  }
+
+  /**
+   * Fetch and store bulk records for queued profiles
+   * @param {Array<Object>} [priorityProfiles] - Profiles about to be processed; they go first in the batch,
+   *   which is topped up with other queued profiles still missing records
+   * @returns {Map<string, Object>} steamId -> fields stored on the profile
+   */
+  async prefilter(priorityProfiles = []) {
+    const stored = new Map();
+    const sources = checkRegistry.getBulkSources();
+
+    if (!this.enabled || sources.length === 0) {
+      return stored;
+    }
+
+    if (!this.steamValidator.apiKey) {
+      logger.debug('Bulk prefilter skipped - Steam API key not available');
+      return stored;
+    }
+
+    const priorityIds = new Set(priorityProfiles.map(profile => profile.steam_id));
+    const queued = await this.queueManager.getQueuedProfiles();
+    const candidates = [...priorityProfiles, ...queued.filter(profile => !priorityIds.has(profile.steam_id))];
+
+    for (const source of sources) {
+      const batch = candidates
+        .filter(profile => this.needsRecord(profile, source.bulkField))
+        .slice(0, this.batchSize)
+        .map(profile => profile.steam_id);
+
+      if (batch.length === 0) {
+        continue;
+      }
+
+      const records = await this.fetchRecords(source, batch);
+      if (!records) {
+        continue;
+      }
+
+      // IDs missing from the response are stored as null: the endpoint doesn't know them
+      for (const steamId of batch) {
+        const fields = stored.get(steamId) || {};
+        fields[source.bulkField] = records[steamId] || null;
+        stored.set(steamId, fields);
+      }
+    }
+
+    for (const [steamId, fields] of stored.entries()) {
+      fields.prefiltered_at = Date.now();
+      await this.queueManager.updateProfileFields(steamId, fields);
+    }
+
+    if (stored.size > 0) {
+      logger.info(`📦 Bulk prefilter stored player data for ${stored.size} profiles`);
+    }
+
+    return stored;
+  }
+
+  /**
+   * @param {Object} source - Check definition with buildBulkUrl / extractPlayers
+   * @param {Array<string>} steamIds - Up to 100 Steam IDs
+   * @returns {Object|null} { steamId: record }, or null if the request failed or was deferred
+   */
+  async fetchRecords(source, steamIds) {
+    const url = source.buildBulkUrl(steamIds, { apiKey: this.steamValidator.apiKey });
+    const result = await this.steamValidator.makeApiRequest(url);
+
+    if (result.allInCooldown) {
+      logger.warn(`Bulk ${source.endpoint} request for ${steamIds.length} profiles deferred - all connections in cooldown`);
+      return null;
+    }
+
+    if (!result.success) {
+      logger.error(`Bulk ${source.endpoint} request for ${steamIds.length} profiles failed: ${result.error}`);
+      return null;
+    }
+
+    const records = source.extractPlayers(result.data);
+    if (!records) {
+      logger.error(`Unexpected bulk ${source.endpoint} response format: ${JSON.stringify(result.data).substring(0, 200)}`);
+      return null;
+    }
+
+    logger.debug(`Bulk ${source.endpoint}: ${Object.keys(records).length}/${steamIds.length} players returned`);
+    return records;
+  }
+}
+
+module.exports = BulkPrefilter;
@@ -0,0 +1,126 @@
+// steam-id-processor/src/check-planner.js
+const CONFIG = require('../config/config');
+const checkRegistry = require('./check-registry');
+const resultHistory = require('./result-history');
+const logger = require('./utils/logger');
+
+/**
+ * Decides the order a profile's checks run in
+ *
+ * Checks run cheapest-and-most-likely-to-reject first: each check is scored
+ * cost / rejection rate, where the rejection rate is learned from the result history
+ * (smoothed towards a prior so checks with little history aren't trusted blindly).
+ * Processing stops at the first failed check, so the expensive rate-limited endpoints
+ * are only hit for profiles that survived the cheap ones.
+ *
+ * Checks that auto-pass on private profiles always run after the others, so the check that
+ * detects a private profile (steam_level) has had its chance to save their requests.
+ */
+class CheckPlanner {
+  /**
+   * @param {Object} options - CONFIG.CHECK_ORDERING
+   */
+  constructor(options = {}) {
+    this.enabled = options.ENABLED !== false;
+    this.historyWindowMs = options.HISTORY_WINDOW_MS || 7 * 24 * 60 * 60 * 1000;
+    this.refreshIntervalMs = options.REFRESH_INTERVAL_MS || 10 * 60 * 1000;
+    this.priorRejectionRate = options.PRIOR_REJECTION_RATE ?? 0.1;
+    this.priorWeight = options.PRIOR_WEIGHT ?? 20;
+    this.stats = {};
+    this.statsLoadedAt = 0;
+  }
+
+  /**
+   * Reload per-check pass/fail counts from the result history when they are stale
+   */
+  refreshStats() {
+    if (Date.now() - this.statsLoadedAt < this.refreshIntervalMs) {
+      return;
+    }
+
+    this.statsLoadedAt = Date.now();
+    this.stats = resultHistory.getCheckStats(Date.now() - this.historyWindowMs);
+
+    const summary = Object.entries(this.stats)
+      .map(([checkName, counts]) => `${checkName} ${counts.failed}/${counts.passed + counts.failed}`)
+      .join(', ');
+    logger.debug(`Check ordering stats refreshed (failed/total): ${summary || 'no history yet'}`);
+  }
+
+  /**
+   * Rejection rate smoothed towards the prior: (failed + prior * weight) / (total + weight)
+   * @param {string} checkName - Check name
+   * @returns {number} Estimated probability that the check fails a profile
+   */
+  getRejectionRate(checkName) {
+    const counts = this.stats[checkName] || { passed: 0, failed: 0 };
+    const total = counts.passed + counts.failed;
+    return (counts.failed + this.priorRejectionRate * this.priorWeight) / (total + this.priorWeight);
+  }
+
+  getScore(checkName) {
+    const check = checkRegistry.get(checkName);
+    const cost = check ? check.cost : 1;
+    return cost / this.getRejectionRate(checkName);
+  }
+
+  /**
+   * Order checks for execution
+   * @param {Array<string>} checkNames - Checks to run
+   * @returns {Array<string>} Checks in run order
+   */
+  orderChecks(checkNames) {
+    const isDeferredToPrivateDetection = (checkName) => {
+      const check = checkRegistry.get(checkName);
+      return Boolean(check && check.skipOnPrivateProfile);
+    };
+
+    // Fixed ordering: registration order, as before
+    if (!this.enabled) {
+      const registered = checkRegistry.getCheckNames();
+      return [...checkNames].sort((a, b) => registered.indexOf(a) - registered.indexOf(b));
+    }
+
+    this.refreshStats();
+
+    return [...checkNames].sort((a, b) =>
+      (isDeferredToPrivateDetection(a) - isDeferredToPrivateDetection(b)) ||
+      (this.getScore(a) - this.getScore(b))
+    );
+  }
+
+  /**
+   * Current plan for monitoring
+   * @returns {Object} { enabled, order, checks: { checkName: { cost, passed, failed, rejectionRate, score } } }
+   */
+  getStatus() {
+    const checkNames = checkRegistry.getCheckNames();
+    if (this.enabled) {
+      this.refreshStats();
+    }
+
+    const checks = {};
+    for (const checkName of checkNames) {
+      const counts = this.stats[checkName] || { passed: 0, failed: 0 };
+      checks[checkName] = {
+        cost: checkRegistry.get(checkName).cost,
+        passed: counts.passed,
+        failed: counts.failed,
+        rejectionRate: Math.round(this.getRejectionRate(checkName) * 1000) / 1000,
+        score: Math.round(this.getScore(checkName) * 100) / 100
+      };
+    }
+
+    return {
+      enabled: this.enabled,
+      historyWindowMs: this.historyWindowMs,
+      statsLoadedAt: this.statsLoadedAt ? new Date(this.statsLoadedAt).toISOString() : null,
+      order: this.orderChecks(checkNames),
+      checks
+    };
+  }
+}
+
+// Export singleton instance shared by the processor and the API server
+const checkPlanner = new CheckPlanner(CONFIG.CHECK_ORDERING);
+module.exports = checkPlanner;
@@ -0,0 +1,156 @@
+// steam-id-processor/src/check-registry.js
+const logger = require('./utils/logger');
+const builtinChecks = require('./checks/builtin-checks');
+
+/**
+ * Registry of profile checks
+ * Each check is declared once (name, endpoint, URL builder, response evaluator,
+ * private-profile semantics) and picked up by the queue, the validator and the cooldown manager
+ */
+class CheckRegistry {
+  constructor() {
+    this.checks = new Map(); // key: check name, value: check definition (insertion order = queue order)
+  }
+
+  /**
+   * Register a check definition
+   * @param {Object} definition - Check definition
+   * @param {string} definition.name - Check name as stored in the queue (e.g. 'friends')
+   * @param {string} definition.endpoint - Endpoint name used for cooldowns (e.g. 'inventory')
+   * @param {string|RegExp} definition.urlPattern - Pattern identifying the endpoint in a request URL
+   * @param {Function} definition.buildUrl - (steamId, { apiKey }) => request URL
+   * @param {Function} definition.evaluate - (data, { steamId, username, options }) => check result for a successful response
+   * @param {Function} [definition.handleError] - (apiResult, { steamId, username, options }) => check result, or null if unhandled
+   * @param {Object} [definition.defaultOptions] - Default thresholds, overridable through validation rules
+   * @param {Function} [definition.detectsPrivateProfile] - (checkResult) => true if the result reveals a private profile
+   * @param {boolean} [definition.skipOnPrivateProfile] - Auto-pass this check once a private profile is detected
+   * @param {boolean} [definition.requiresApiKey] - Check needs STEAM_API_KEY
+   * @param {boolean} [definition.enabledByDefault] - false: only runs where validation rules enable it
+   * @param {number} [definition.cost] - Relative cost of the request (rate limit pressure, latency); cheaper checks run first
+   * @param {number} [definition.timeoutMs] - Request timeout for the endpoint
+   * @param {string} [definition.label] - Human readable name for logs
+   * @param {string} [definition.bulkField] - Profile field BulkPrefilter stores this check's player record in
+   * @param {Function} [definition.buildBulkUrl] - (steamIds, { apiKey }) => request URL for up to 100 Steam IDs
+   * @param {Function} [definition.extractPlayers] - (data) => { steamId: player record } from a bulk response
+   * @param {Function} [definition.evaluateRecord] - (record, { steamId, username, options }) => check result from a stored record
+   */
+  register(definition) {
+    const required = ['name', 'endpoint', 'urlPattern', 'buildUrl', 'evaluate'];
+    const missing = required.filter(field => !definition || definition[field] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Invalid check definition: missing ${missing.join(', ')}`);
+    }
+
+    if (this.checks.has(definition.name)) {
+      logger.warn(`Check '${definition.name}' is already registered - replacing definition`);
+    }
+
+    this.checks.set(definition.name, {
+      label: definition.name,
+      requiresApiKey: false,
+      enabledByDefault: true,
+      skipOnPrivateProfile: false,
+      cost: 1,
+      defaultOptions: {},
+      ...definition
+    });
+
+    logger.debug(`Registered check '${definition.name}' (endpoint: ${definition.endpoint})`);
+  }
+
+  has(checkName) {
+    return this.checks.has(checkName);
+  }
+
+  get(checkName) {
+    return this.checks.get(checkName) || null;
+  }
+
+  getAll() {
+    return Array.from(this.checks.values());
+  }
+
+  getCheckNames() {
+    return Array.from(this.checks.keys());
+  }
+
+  /**
+   * Unique endpoint names across all registered checks
+   * @returns {Array<string>}
+   */
+  getEndpointNames() {
+    return [...new Set(this.getAll().map(check => check.endpoint))];
+  }
+
+  /**
+   * Map a check name to the endpoint it calls
+   * @param {string} checkName - Check name
+   * @returns {string|null} Endpoint name
+   */
+  getEndpointForCheck(checkName) {
+    const check = this.get(checkName);
+    return check ? check.endpoint : null;
+  }
+
+  /**
+   * Resolve the endpoint name for a request URL
+   * @param {string} url - Full request URL
+   * @returns {string|null} Endpoint name
+   */
+  getEndpointNameForUrl(url) {
+    for (const check of this.checks.values()) {
+      const matches = check.urlPattern instanceof RegExp
+        ? check.urlPattern.test(url)
+        : url.includes(check.urlPattern);
+      if (matches) {
+        return check.endpoint;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Request timeout for an endpoint (first registered check wins)
+   * @param {string} endpointName - Endpoint name
+   * @returns {number|null} Timeout in milliseconds
+   */
+  getTimeoutForEndpoint(endpointName) {
+    const check = this.getAll().find(c => c.endpoint === endpointName && c.timeoutMs);
+    return check ? check.timeoutMs : null;
+  }
+
+  /**
+   * Checks fed by bulk endpoints, one per profile field
+   * @returns {Array<Object>} Check definitions with a bulkField (first registered check per field)
+   */
+  getBulkSources() {
+    const sources = new Map();
+    for (const check of this.checks.values()) {
+      if (check.bulkField && check.buildBulkUrl && !sources.has(check.bulkField)) {
+        sources.set(check.bulkField, check);
+      }
+    }
+    return Array.from(sources.values());
+  }
+
+  /**
+   * Initial check map for a newly queued profile
+   * @param {Array<string>} [enabledChecks] - Check names to include (defaults to all registered checks)
+   * @returns {Object} { checkName: "to_check" }
+   */
+  buildInitialChecks(enabledChecks = null) {
+    const checks = {};
+    for (const checkName of this.checks.keys()) {
+      if (!enabledChecks || enabledChecks.includes(checkName)) {
+        checks[checkName] = "to_check";
+      }
+    }
+    return checks;
+  }
+}
+
+// Export singleton instance with the built-in checks registered
+const checkRegistry = new CheckRegistry();
+builtinChecks.forEach(check => checkRegistry.register(check));
+
+module.exports = checkRegistry;
@@ -0,0 +1,388 @@
+// steam-id-processor/src/checks/builtin-checks.js
+const logger = require('../utils/logger');
+
+/**
+ * Build a check for the IPlayerService "cosmetic item" endpoints.
+ * These all return `{ response: { <responseKey>: {...} } }` and pass when the item is empty.
+ */
+function playerServiceItemCheck({ name, label, method, responseKey }) {
+  return {
+    name,
+    label,
+    endpoint: name,
+    urlPattern: method,
+    buildUrl: (steamId) => `https://api.steampowered.com/IPlayerService/${method}/v1/?steamid=${steamId}`,
+    evaluate: (data) => {
+      if (data.response && responseKey in data.response) {
+        // Check if the item is an empty object (or empty array)
+        const hasItem = data.response[responseKey] &&
+                        Object.keys(data.response[responseKey]).length > 0;
+        return {
+          success: true,
+          passed: !hasItem,
+          details: hasItem ? data.response : {}
+        };
+      }
+
+      return { success: false, error: "Unexpected API response" };
+    }
+  };
+}
+
+const animatedAvatar = playerServiceItemCheck({
+  name: 'animated_avatar',
+  label: 'Animated avatar',
+  method: 'GetAnimatedAvatar',
+  responseKey: 'avatar'
+});
+
+const avatarFrame = playerServiceItemCheck({
+  name: 'avatar_frame',
+  label: 'Avatar frame',
+  method: 'GetAvatarFrame',
+  responseKey: 'avatar_frame'
+});
+
+const miniProfileBackground = playerServiceItemCheck({
+  name: 'mini_profile_background',
+  label: 'Mini profile background',
+  method: 'GetMiniProfileBackground',
+  responseKey: 'profile_background'
+});
+
+const profileBackground = playerServiceItemCheck({
+  name: 'profile_background',
+  label: 'Profile background',
+  method: 'GetProfileBackground',
+  responseKey: 'profile_background'
+});
+
+const steamLevel = {
+  name: 'steam_level',
+  label: 'Steam level',
+  endpoint: 'steam_level',
+  urlPattern: 'GetSteamLevel',
+  requiresApiKey: true,
+  defaultOptions: { max_level: 13 },
+  buildUrl: (steamId, { apiKey }) =>
+    `https://api.steampowered.com/IPlayerService/GetSteamLevel/v1/?key=${apiKey}&steamid=${steamId}`,
+  evaluate: (data, { steamId, options }) => {
+    if (data.response) {
+      // If response is empty, this is a private profile
+      if (Object.keys(data.response).length === 0) {
+        logger.info(`Private profile detected for ${steamId} (empty GetSteamLevel response)`);
+        return {
+          success: true,
+          passed: true,
+          details: { note: "Empty response from API - private profile detected" },
+          level: 0,
+          isPrivateProfile: true
+        };
+      }
+
+      // Regular case - response contains player_level
+      if ('player_level' in data.response) {
+        const playerLevel = data.response.player_level;
+        return {
+          success: true,
+          passed: playerLevel <= options.max_level,
+          details: { player_level: playerLevel },
+          level: playerLevel,
+          isPrivateProfile: false
+        };
+      }
+    }
+
+    logger.error(`Unexpected API response format for Steam level check: ${JSON.stringify(data)}`);
+    return { success: false, error: "Unexpected API response" };
+  },
+  // An empty GetSteamLevel response means the profile is private
+  detectsPrivateProfile: (checkResult) => checkResult.success && checkResult.isPrivateProfile === true
+};
+
+const friends = {
+  name: 'friends',
+  label: 'Friends',
+  endpoint: 'friends',
+  urlPattern: 'GetFriendList',
+  requiresApiKey: true,
+  cost: 3,
+  skipOnPrivateProfile: true,
+  defaultOptions: { max_friends: 60 },
+  buildUrl: (steamId, { apiKey }) =>
+    `https://api.steampowered.com/ISteamUser/GetFriendList/v0001/?key=${apiKey}&steamid=${steamId}&relationship=friend`,
+  evaluate: (data, { options }) => {
+    if (data.friendslist && data.friendslist.friends) {
+      const friendsCount = data.friendslist.friends.length;
+      return {
+        success: true,
+        passed: friendsCount <= options.max_friends,
+        details: {
+          friends_count: friendsCount,
+          sample_friends: data.friendslist.friends.slice(0, 3)
+        },
+        count: friendsCount
+      };
+    }
+
+    logger.error(`Unexpected API response format for friends check: ${JSON.stringify(data)}`);
+    return { success: false, error: "Unexpected API response" };
+  },
+  handleError: (result) => {
+    // Special case for private profiles (401 error)
+    const status = result.errorObj && result.errorObj.response && result.errorObj.response.status;
+    if (status === 401) {
+      return {
+        success: true,
+        passed: true,
+        details: { error: "Private profile - cannot check friends" },
+        count: 0
+      };
+    }
+    return null;
+  }
+};
+
+const csgoInventory = {
+  name: 'csgo_inventory',
+  label: 'CS:GO inventory',
+  endpoint: 'inventory',
+  urlPattern: 'inventory',
+  timeoutMs: 25000,
+  cost: 10, // steamcommunity.com, slow and quick to 429
+  skipOnPrivateProfile: true,
+  defaultOptions: { max_items: 0 },
+  buildUrl: (steamId) => `https://steamcommunity.com/inventory/${steamId}/730/2`,
+  evaluate: (data, { steamId, options }) => {
+    // Process results - pass if response is null or empty
+    if (data === null || Object.keys(data).length === 0) {
+      logger.info(`CS:GO inventory check passed for ${steamId} (empty inventory)`);
+      return {
+        success: true,
+        passed: true,
+        details: { note: "Empty inventory response" }
+      };
+    }
+
+    // Check if inventory is actually empty
+    if (typeof data === 'object' &&
+        (!data.assets || data.assets.length === 0) &&
+        (!data.descriptions || data.descriptions.length === 0)) {
+      logger.info(`CS:GO inventory check passed for ${steamId} (empty inventory structure)`);
+      return {
+        success: true,
+        passed: true,
+        details: { note: "Empty inventory structure" }
+      };
+    }
+
+    // Inventory exists - only acceptable up to the configured item count
+    const itemCount = data.assets ? data.assets.length : 0;
+    if (itemCount <= options.max_items) {
+      logger.info(`CS:GO inventory check passed for ${steamId} (found ${itemCount} items, max ${options.max_items})`);
+    } else {
+      logger.info(`CS:GO inventory check failed for ${steamId} (found ${itemCount} items - will be filtered out)`);
+    }
+    return {
+      success: true,
+      passed: itemCount <= options.max_items,
+      details: {
+        note: "Public inventory with items found",
+        item_count: itemCount,
+        sample_items: data.assets ? data.assets.slice(0, 3) : []
+      }
+    };
+  },
+  handleError: (result, { steamId }) => {
+    // Private (403) and unauthorized (401) inventories are the good ones!
+    const status = result.errorObj && result.errorObj.response && result.errorObj.response.status;
+    if (result.isPrivateInventory || status === 403) {
+      logger.info(`CS:GO inventory check passed for ${steamId} (private inventory - this is good!)`);
+      return {
+        success: true,
+        passed: true,
+        details: { note: "Private inventory - cannot check (this is desirable)" }
+      };
+    }
+
+    if (status === 401) {
+      logger.info(`CS:GO inventory check passed for ${steamId} (unauthorized - this is good!)`);
+      return {
+        success: true,
+        passed: true,
+        details: { note: "Unauthorized access - cannot check (this is desirable)" }
+      };
+    }
+
+    return null;
+  }
+};
+
+/**
+ * Build a check evaluated from a player record of one of the bulk endpoints
+ * (GetPlayerSummaries / GetPlayerBans take up to 100 Steam IDs per request).
+ * BulkPrefilter stores each player's record on the queued profile under `bulkField`; when it is
+ * there the check needs no request, otherwise the record is fetched for this Steam ID alone.
+ */
+function bulkPlayerCheck({ name, label, endpoint, method, version, bulkField, extractPlayers, defaultOptions, evaluateRecord, ...rest }) {
+  return {
+    name,
+    label,
+    endpoint,
+    urlPattern: method,
+    requiresApiKey: true,
+    cost: 0.2, // Normally answered from bulk data already on the profile
+    defaultOptions,
+    bulkField,
+    buildUrl: (steamId, { apiKey }) => bulkPlayerUrl(method, version, [steamId], apiKey),
+    buildBulkUrl: (steamIds, { apiKey }) => bulkPlayerUrl(method, version, steamIds, apiKey),
+    extractPlayers,
+    evaluateRecord,
+    evaluate: (data, context) => {
+      const players = extractPlayers(data);
+      if (!players) {
+        logger.error(`Unexpected API response format for ${label} check: ${JSON.stringify(data)}`);
+        return { success: false, error: "Unexpected API response" };
+      }
+
+      return evaluateRecord(players[context.steamId] || null, context);
+    },
+    ...rest
+  };
+}
+
+function bulkPlayerUrl(method, version, steamIds, apiKey) {
+  return `https://api.steampowered.com/ISteamUser/${method}/${version}/?key=${apiKey}&steamids=${steamIds.join(',')}`;
+}
+
+// Player records of a bulk response keyed by Steam ID (null if the response isn't the expected shape)
+function indexPlayers(players, idField) {
+  if (!Array.isArray(players)) {
+    return null;
+  }
+  const byId = {};
+  players.forEach(player => { byId[player[idField]] = player; });
+  return byId;
+}
+
+const extractSummaryPlayers = (data) => indexPlayers(data && data.response && data.response.players, 'steamid');
+const extractBanPlayers = (data) => indexPlayers(data && data.players, 'SteamId');
+
+// communityvisibilitystate values returned by GetPlayerSummaries
+const VISIBILITY_STATES = { 1: 'private', 2: 'friends_only', 3: 'public' };
+
+const accountAge = bulkPlayerCheck({
+  name: 'account_age',
+  enabledByDefault: false, // Opt in through validation rules
+  label: 'Account age',
+  endpoint: 'player_summaries',
+  method: 'GetPlayerSummaries',
+  version: 'v0002',
+  bulkField: 'player_summary',
+  extractPlayers: extractSummaryPlayers,
+  defaultOptions: { min_age_days: 0, max_age_days: 0 }, // 0 = no limit
+  evaluateRecord: (summary, { steamId, options }) => {
+    if (!summary) {
+      return { success: true, passed: false, details: { note: "Steam ID not found by GetPlayerSummaries" } };
+    }
+
+    // timecreated is hidden on private profiles
+    if (!summary.timecreated) {
+      return { success: true, passed: true, details: { note: "Account creation time not visible" } };
+    }
+
+    const ageDays = Math.floor((Date.now() / 1000 - summary.timecreated) / 86400);
+    const tooYoung = options.min_age_days > 0 && ageDays < options.min_age_days;
+    const tooOld = options.max_age_days > 0 && ageDays > options.max_age_days;
+    if (tooYoung || tooOld) {
+      logger.info(`Account age check failed for ${steamId} (${ageDays} days old)`);
+    }
+
+    return {
+      success: true,
+      passed: !tooYoung && !tooOld,
+      details: {
+        account_age_days: ageDays,
+        created_at: new Date(summary.timecreated * 1000).toISOString()
+      }
+    };
+  }
+});
+
+const communityVisibility = bulkPlayerCheck({
+  name: 'community_visibility',
+  enabledByDefault: false, // Opt in through validation rules
+  label: 'Community visibility',
+  endpoint: 'player_summaries',
+  method: 'GetPlayerSummaries',
+  version: 'v0002',
+  bulkField: 'player_summary',
+  extractPlayers: extractSummaryPlayers,
+  defaultOptions: { allow_private: true, require_profile_setup: false },
+  evaluateRecord: (summary, { options }) => {
+    if (!summary) {
+      return { success: true, passed: false, details: { note: "Steam ID not found by GetPlayerSummaries" } };
+    }
+
+    const visibility = VISIBILITY_STATES[summary.communityvisibilitystate] || 'unknown';
+    const profileSetUp = summary.profilestate === 1;
+    const isPrivateProfile = visibility === 'private';
+
+    return {
+      success: true,
+      passed: (options.allow_private || !isPrivateProfile) && (!options.require_profile_setup || profileSetUp),
+      details: { visibility, profile_set_up: profileSetUp },
+      isPrivateProfile
+    };
+  },
+  // Only fully private profiles hide friends and inventory from us - friends-only ones are still checked
+  detectsPrivateProfile: (checkResult) => checkResult.success && checkResult.isPrivateProfile === true
+});
+
+const bans = bulkPlayerCheck({
+  name: 'bans',
+  enabledByDefault: false, // Opt in through validation rules
+  label: 'VAC / trade bans',
+  endpoint: 'player_bans',
+  method: 'GetPlayerBans',
+  version: 'v1',
+  bulkField: 'player_bans',
+  extractPlayers: extractBanPlayers,
+  defaultOptions: { max_vac_bans: 0, max_game_bans: 0, allow_community_ban: false, allow_trade_ban: false },
+  evaluateRecord: (record, { steamId, options }) => {
+    if (!record) {
+      return { success: true, passed: false, details: { note: "Steam ID not found by GetPlayerBans" } };
+    }
+
+    const details = {
+      vac_bans: record.NumberOfVACBans,
+      game_bans: record.NumberOfGameBans,
+      community_banned: record.CommunityBanned,
+      economy_ban: record.EconomyBan,
+      days_since_last_ban: record.DaysSinceLastBan
+    };
+    const passed = record.NumberOfVACBans <= options.max_vac_bans &&
+      record.NumberOfGameBans <= options.max_game_bans &&
+      (options.allow_community_ban || !record.CommunityBanned) &&
+      (options.allow_trade_ban || record.EconomyBan === 'none');
+
+    if (!passed) {
+      logger.info(`Ban check failed for ${steamId}: ${JSON.stringify(details)}`);
+    }
+    return { success: true, passed, details };
+  }
+});
+
+// Registration order is the order checks are queued in (CheckPlanner decides the run order)
+module.exports = [
+  animatedAvatar,
+  avatarFrame,
+  miniProfileBackground,
+  profileBackground,
+  steamLevel,
+  friends,
+  csgoInventory,
+  accountAge,
+  communityVisibility,
+  bans
+];
@@ -0,0 +1,116 @@
+// steam-id-processor/src/cli/bulk-commands.js
+const fs = require('fs-extra');
+const CONFIG = require('../../config/config');
+const QueueManager = require('../queue-manager');
+const SteamValidator = require('../steam-validator');
+const resultHistory = require('../result-history');
+const bulkIo = require('../bulk-io');
+const { print, printJson } = require('./output');
+
+/**
+ * import <file|-> - queue a CSV/NDJSON list of steam_id,username
+ */
+async function importCommand(positionals, options) {
+  const [file] = positionals;
+  if (!file) {
+    throw new Error('Missing file (use - to read from stdin)');
+  }
+
+  const format = bulkIo.detectFormat(options.format || (file === '-' ? null : file));
+  if (!format) {
+    throw new Error(`Can't tell the format of '${file}' - pass --format ${bulkIo.FORMATS.join('|')}`);
+  }
+
+  // SteamValidator resolves vanity URLs; the queue store is the one the processor uses
+  const queueManager = new QueueManager(CONFIG, null, new SteamValidator(CONFIG));
+  try {
+    const input = file === '-' ? process.stdin : fs.createReadStream(file);
+    const summary = await bulkIo.importProfiles(queueManager, input, { format, username: options.username || null });
+
+    if (options.json) {
+      printJson(summary);
+    } else {
+      print(`Lines: ${summary.lines}, added: ${summary.added}, already queued: ${summary.already_queued}, duplicates: ${summary.duplicates}, invalid: ${summary.invalid}`);
+      for (const error of summary.errors) {
+        print(`  line ${error.line}: ${error.error}`);
+      }
+      if (summary.invalid > summary.errors.length) {
+        print(`  ... and ${summary.invalid - summary.errors.length} more`);
+      }
+    }
+    return summary.invalid > 0 ? 1 : 0;
+  } finally {
+    await queueManager.close();
+  }
+}
+
+/**
+ * export <queue|results> - stream the queue or the result history as CSV/NDJSON
+ */
+async function exportCommand(positionals, options) {
+  const [type] = positionals;
+  if (!['queue', 'results'].includes(type)) {
+    throw new Error('Specify what to export: queue or results');
+  }
+
+  const format = bulkIo.detectFormat(options.format || options.output || 'csv');
+  if (!format) {
+    throw new Error(`format must be one of: ${bulkIo.FORMATS.join(', ')}`);
+  }
+
+  const filters = {};
+  if (options.username) filters.username = options.username;
+  if (options.since) filters.since = Date.parse(options.since);
+  if (options.until) filters.until = Date.parse(options.until);
+  if (options.outcome) filters.outcome = options.outcome;
+  if (options.status) filters.status = options.status;
+  if ([filters.since, filters.until].some(value => value !== undefined && isNaN(value))) {
+    throw new Error('--since/--until must be ISO dates');
+  }
+
+  const output = options.output ? fs.createWriteStream(options.output) : process.stdout;
+  const queueManager = type === 'queue' ? new QueueManager(CONFIG) : null;
+  try {
+    const records = type === 'queue'
+      ? bulkIo.queueExportRecords(queueManager, filters)
+      : bulkIo.resultExportRecords(resultHistory, filters);
+    const count = await bulkIo.writeExport(output, records, { type, format });
+
+    if (options.output) {
+      await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+      console.error(`Exported ${count} ${type} records to ${options.output}`);
+    }
+    return 0;
+  } finally {
+    if (queueManager) {
+      await queueManager.close();
+    }
+  }
+}
+
+module.exports = {
+  import: {
+    usage: 'import <file|-> [--format csv|ndjson] [--username <name>] [--json]',
+    description: 'Queue steam_id,username lines from a CSV or NDJSON file',
+    options: {
+      format: { type: 'string' },
+      username: { type: 'string' },
+      json: { type: 'boolean' }
+    },
+    run: importCommand
+  },
+  export: {
+    usage: 'export <queue|results> [--format csv|ndjson] [--output <file>] [--username <name>] [--status <status>] [--outcome <outcome>] [--since <date>] [--until <date>]',
+    description: 'Write the queue or the result history as CSV or NDJSON',
+    options: {
+      format: { type: 'string' },
+      output: { type: 'string' },
+      username: { type: 'string' },
+      status: { type: 'string' },
+      outcome: { type: 'string' },
+      since: { type: 'string' },
+      until: { type: 'string' }
+    },
+    run: exportCommand
+  }
+};
@@ -0,0 +1,93 @@
+// steam-id-processor/src/cli/check-commands.js
+const CONFIG = require('../../config/config');
+const SteamValidator = require('../steam-validator');
+const checkRegistry = require('../check-registry');
+const { validateSteamId } = require('../one-off-validation');
+const { print, printJson, printTable, formatDuration } = require('./output');
+
+function parseCheckList(value) {
+  if (!value) {
+    return undefined;
+  }
+  const checkNames = value.split(',').map(name => name.trim()).filter(Boolean);
+  const unknownChecks = checkNames.filter(checkName => !checkRegistry.has(checkName));
+  if (unknownChecks.length > 0) {
+    throw new Error(`Unknown checks: ${unknownChecks.join(', ')} (available: ${checkRegistry.getCheckNames().join(', ')})`);
+  }
+  return checkNames;
+}
+
+function checkDetails(check) {
+  if (check.auto_passed) {
+    return `auto-passed (${check.reason})`;
+  }
+  if (!check.result) {
+    return null;
+  }
+  if (check.result.deferred) {
+    return `${check.result.error} (next available in ${formatDuration(check.result.nextAvailableIn)})`;
+  }
+  return check.result.success ? JSON.stringify(check.result.details || {}) : check.result.error;
+}
+
+/**
+ * Shared by `check` (never submits) and `validate` (the CLI side of POST /validate, submits with --submit)
+ * @returns {number} Exit code: 0 when every check passed
+ */
+async function runValidation(positionals, options, dryRun) {
+  if (!positionals[0]) {
+    throw new Error('Needs a Steam ID');
+  }
+  if (!dryRun && !options.username) {
+    throw new Error('validate --submit needs --username (the links are submitted as that user)');
+  }
+
+  const result = await validateSteamId(new SteamValidator(CONFIG), positionals[0], {
+    username: options.username,
+    checks: parseCheckList(options.only),
+    dryRun
+  });
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  if (options.json) {
+    printJson(result);
+  } else {
+    print(`Steam ID: ${result.steam_id}`);
+    print(`Outcome:  ${result.outcome}${result.failed_check ? ` (${result.failed_check})` : ''}`);
+    if (result.submission) {
+      print(`Submission: ${result.submission.result}`);
+    } else if (!dryRun && result.dry_run) {
+      print(`Not submitted: ${result.dry_run_reason === 'partial_checks' ? '--only ran a subset of the enabled checks' : result.dry_run_reason}`);
+    }
+    print();
+    printTable(
+      ['CHECK', 'RESULT', 'DETAILS'],
+      Object.entries(result.checks).map(([checkName, check]) => [checkName, check.status, checkDetails(check)])
+    );
+  }
+
+  return result.outcome === 'passed' ? 0 : 1;
+}
+
+const validationOptions = {
+  only: { type: 'string' },
+  username: { type: 'string' },
+  json: { type: 'boolean' }
+};
+
+module.exports = {
+  check: {
+    usage: 'check <steamId> [--only a,b] [--username <name>] [--json]',
+    description: 'Run the checks for one Steam ID now and print the results, never submitting (exit code 1 unless all pass)',
+    options: validationOptions,
+    run: (positionals, options) => runValidation(positionals, options, true)
+  },
+  validate: {
+    usage: 'validate <steamId> [--username <name>] [--only a,b] [--submit] [--json]',
+    description: 'Same as POST /validate: run the checks now; with --submit, queue the Steam ID for submission if all of the user\'s checks pass',
+    options: { ...validationOptions, submit: { type: 'boolean' } },
+    run: (positionals, options) => runValidation(positionals, options, !options.submit)
+  }
+};
@@ -0,0 +1,103 @@
+// steam-id-processor/src/cli/cooldown-commands.js
+const CONFIG = require('../../config/config');
+const SteamValidator = require('../steam-validator');
+const checkRegistry = require('../check-registry');
+const { print, printJson, printTable, formatDuration } = require('./output');
+
+function parseConnection(value, cooldownManager) {
+  if (value === undefined) {
+    return null;
+  }
+  const index = Number(value);
+  if (!Number.isInteger(index) || !cooldownManager.connections.some(connection => connection.index === index)) {
+    throw new Error(`--connection must be one of: ${cooldownManager.connections.map(connection => connection.index).join(', ')}`);
+  }
+  return index;
+}
+
+function parseEndpoint(value) {
+  const endpoints = checkRegistry.getEndpointNames();
+  if (!endpoints.includes(value)) {
+    throw new Error(`Unknown endpoint '${value || ''}' (available: ${endpoints.join(', ')})`);
+  }
+  return value;
+}
+
+function list(cooldownManager, positionals, options) {
+  const status = cooldownManager.getConnectionStatus();
+  if (options.json) {
+    printJson(status);
+    return 0;
+  }
+
+  const rows = [];
+  for (const connection of status.connections) {
+    for (const [endpoint, cooldown] of Object.entries(connection.endpointCooldowns)) {
+      const backoff = connection.backoffLevels[endpoint];
+      if (cooldown === 'available' && !options.all && !(backoff && backoff.level > 0)) {
+        continue;
+      }
+      rows.push([
+        `#${connection.index} ${connection.type}`,
+        endpoint,
+        cooldown === 'available' ? 'available' : `cooldown ${formatDuration(cooldown.remainingMs)}`,
+        cooldown === 'available' ? null : cooldown.reason,
+        backoff ? backoff.level : 0
+      ]);
+    }
+  }
+
+  if (rows.length === 0) {
+    print('No endpoints in cooldown (use --all to list every endpoint)');
+    return 0;
+  }
+  printTable(['CONNECTION', 'ENDPOINT', 'STATUS', 'REASON', 'BACKOFF'], rows);
+  return 0;
+}
+
+function clear(cooldownManager, positionals, options) {
+  const endpoint = positionals[0] ? parseEndpoint(positionals[0]) : null;
+  const cleared = cooldownManager.clearCooldowns(endpoint, parseConnection(options.connection, cooldownManager), !!options['reset-backoff']);
+  print(`Cleared ${cleared} cooldowns${options['reset-backoff'] ? ' and reset backoff levels' : ''}`);
+  return 0;
+}
+
+function set(cooldownManager, positionals, options) {
+  const endpoint = parseEndpoint(positionals[0]);
+  const minutes = Number(positionals[1]);
+  if (!(minutes > 0)) {
+    throw new Error('cooldowns set needs a duration in minutes greater than 0');
+  }
+
+  const applied = cooldownManager.setCooldown(endpoint, minutes * 60 * 1000, parseConnection(options.connection, cooldownManager));
+  print(`${endpoint} in cooldown for ${minutes} minutes on ${applied} connections`);
+  return 0;
+}
+
+const subcommands = { list, clear, set };
+
+async function cooldownsCommand(positionals, options) {
+  const [name, ...args] = positionals;
+  const subcommand = subcommands[name];
+  if (!subcommand) {
+    throw new Error(`Unknown cooldowns command '${name || ''}' (expected ${Object.keys(subcommands).join(', ')})`);
+  }
+
+  // Changes go to endpoint_cooldowns.json; a running processor reloads the file on its next request
+  const { cooldownManager } = new SteamValidator(CONFIG);
+  return subcommand(cooldownManager, args, options);
+}
+
+module.exports = {
+  cooldowns: {
+    usage: 'cooldowns list [--all] [--json] | clear [endpoint] [--connection <n>] [--reset-backoff] | set <endpoint> <minutes> [--connection <n>]',
+    description: 'Show, lift or set endpoint cooldowns per connection',
+    options: {
+      all: { type: 'boolean' },
+      json: { type: 'boolean' },
+      connection: { type: 'string' },
+      'reset-backoff': { type: 'boolean' }
+    },
+    run: cooldownsCommand
+  }
+};
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+// steam-id-processor/src/cli/index.js
+
+// Config and logger print to stdout - send that to stderr so stdout only carries command output
+console.log = console.error;
+
+const { parseArgs } = require('util');
+const { print } = require('./output');
+
+const commands = {
+  ...require('./queue-commands'),
+  ...require('./cooldown-commands'),
+  ...require('./redis-commands'),
+  ...require('./check-commands'),
+  ...require('./bulk-commands')
+};
+
+function printUsage() {
+  print('Usage: steam-id-processor <command> [options]');
+  print();
+  for (const command of Object.values(commands)) {
+    print(`  ${command.usage}`);
+    print(`      ${command.description}`);
+  }
+}
+
+async function main(argv) {
+  const [name, ...args] = argv;
+  const command = commands[name];
+  if (!command) {
+    printUsage();
+    return name && name !== 'help' && name !== '--help' ? 1 : 0;
+  }
+
+  const { values, positionals } = parseArgs({ args, options: command.options, allowPositionals: true });
+  return command.run(positionals, values);
+}
+
+main(process.argv.slice(2))
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,46 @@
+// steam-id-processor/src/cli/output.js
+
+// Command output goes to stdout; config and logger chatter is sent to stderr by the CLI entry point
+function print(text = '') {
+  process.stdout.write(`${text}\n`);
+}
+
+function printJson(value) {
+  print(JSON.stringify(value, null, 2));
+}
+
+/**
+ * Print rows as an aligned plain-text table
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<*>>} rows - Cell values (null/undefined print as -)
+ */
+function printTable(headers, rows) {
+  const cells = rows.map(row => row.map(value => (value === null || value === undefined ? '-' : String(value))));
+  const widths = headers.map((header, column) =>
+    Math.max(header.length, ...cells.map(row => (row[column] || '').length))
+  );
+  const format = row => row.map((value, column) => value.padEnd(widths[column])).join('  ').trimEnd();
+
+  print(format(headers));
+  print(format(widths.map(width => '-'.repeat(width))));
+  cells.forEach(row => print(format(row)));
+}
+
+/**
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} e.g. 1h 5m, 42s
+ */
+function formatDuration(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+module.exports = {
+  print,
+  printJson,
+  printTable,
+  formatDuration
+};
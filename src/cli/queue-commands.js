@@ -0,0 +1,158 @@
+// steam-id-processor/src/cli/queue-commands.js
+const CONFIG = require('../../config/config');
+const QueueManager = require('../queue-manager');
+const checkRegistry = require('../check-registry');
+const { cancelProfile } = require('../profile-completion');
+const { print, printJson, printTable } = require('./output');
+
+const CHECK_STATUSES = ['to_check', 'passed', 'failed', 'deferred', 'skipped'];
+
+function summarizeChecks(checks) {
+  const counts = {};
+  for (const status of Object.values(checks || {})) {
+    counts[status] = (counts[status] || 0) + 1;
+  }
+  return CHECK_STATUSES.filter(status => counts[status]).map(status => `${status}:${counts[status]}`).join(' ');
+}
+
+function parseCheckList(value) {
+  if (!value) {
+    return null;
+  }
+  const checkNames = value.split(',').map(name => name.trim()).filter(Boolean);
+  const unknownChecks = checkNames.filter(checkName => !checkRegistry.has(checkName));
+  if (unknownChecks.length > 0) {
+    throw new Error(`Unknown checks: ${unknownChecks.join(', ')} (available: ${checkRegistry.getCheckNames().join(', ')})`);
+  }
+  return checkNames;
+}
+
+async function list(queueManager, positionals, options) {
+  if (options.status && !CHECK_STATUSES.includes(options.status)) {
+    throw new Error(`--status must be one of: ${CHECK_STATUSES.join(', ')}`);
+  }
+
+  const result = await queueManager.queryProfiles({
+    username: options.username,
+    status: options.status,
+    limit: options.limit ? parseInt(options.limit) : 50
+  });
+
+  if (options.json) {
+    printJson({ total: result.total, stats: result.stats, profiles: result.profiles });
+    return 0;
+  }
+
+  printTable(
+    ['STEAM ID', 'USERNAME', 'QUEUED', 'CHECKS'],
+    result.profiles.map(profile => [
+      profile.steam_id,
+      profile.username,
+      profile.timestamp ? new Date(profile.timestamp).toISOString() : null,
+      summarizeChecks(profile.checks)
+    ])
+  );
+  print();
+  print(`${result.profiles.length} of ${result.total} profiles shown (queue: ${result.stats.totalProfiles} profiles)`);
+  return 0;
+}
+
+async function show(queueManager, positionals, options) {
+  const profile = await queueManager.getProfileBySteamId(positionals[0]);
+  if (!profile) {
+    throw new Error(`Profile ${positionals[0]} not found in queue`);
+  }
+
+  const { pending } = resultHistory.getResultsForSteamId(profile.steam_id);
+  if (options.json) {
+    printJson({ profile, check_results: pending });
+    return 0;
+  }
+
+  print(`Steam ID:  ${profile.steam_id}`);
+  print(`Username:  ${profile.username}`);
+  print(`Queued:    ${profile.timestamp ? new Date(profile.timestamp).toISOString() : '-'}`);
+  if (profile.callback_url) {
+    print(`Callback:  ${profile.callback_url}`);
+  }
+  print();
+  printTable(
+    ['CHECK', 'STATUS', 'CHECKED', 'DETAILS'],
+    Object.entries(profile.checks).map(([checkName, status]) => {
+      const recorded = pending[checkName];
+      const result = recorded && recorded.result;
+      return [
+        checkName,
+        status,
+        recorded ? recorded.checked_at : null,
+        result ? JSON.stringify(result.details || result.error || result) : null
+      ];
+    })
+  );
+  return 0;
+}
+
+async function requeue(queueManager, positionals, options) {
+  const checkNames = parseCheckList(options.checks);
+  const profile = await queueManager.requeueProfile(positionals[0], checkNames, 'cli');
+  if (!profile) {
+    throw new Error(`Profile ${positionals[0]} not found in queue`);
+  }
+
+  if (options.json) {
+    printJson(profile);
+  } else {
+    print(`Requeued ${profile.steam_id}: ${summarizeChecks(profile.checks)}`);
+  }
+  return 0;
+}
+
+async function remove(queueManager, positionals, options) {
+  // Same as DELETE /profiles/:steamId, but without webhooks (the CLI exits before they'd be delivered)
+  const profile = await cancelProfile(queueManager, positionals[0], 'CLI', { notify: false });
+  if (!profile) {
+    throw new Error(`Profile ${positionals[0]} not found in queue`);
+  }
+
+  if (options.json) {
+    printJson({ removed: profile });
+  } else {
+    print(`Removed ${profile.steam_id} (user: ${profile.username}) from the queue`);
+  }
+  return 0;
+}
+
+const subcommands = { list, show, requeue, remove };
+
+async function queueCommand(positionals, options) {
+  const [name, ...args] = positionals;
+  const subcommand = subcommands[name];
+  if (!subcommand) {
+    throw new Error(`Unknown queue command '${name || ''}' (expected ${Object.keys(subcommands).join(', ')})`);
+  }
+  if (name !== 'list' && !args[0]) {
+    throw new Error(`queue ${name} needs a Steam ID`);
+  }
+
+  const queueManager = new QueueManager(CONFIG);
+  try {
+    return await subcommand(queueManager, args, options);
+  } finally {
+    await queueManager.close();
+  }
+}
+
+module.exports = {
+  queue: {
+    usage: 'queue list [--status <status>] [--username <name>] [--limit <n>] | show <steamId> | requeue <steamId> [--checks a,b] | remove <steamId> [--json]',
+    description: 'Inspect and fix the local queue (remove does not complete the item in Redis)',
+    options: {
+      status: { type: 'string' },
+      username: { type: 'string' },
+      limit: { type: 'string' },
+      checks: { type: 'string' },
+      json: { type: 'boolean' }
+    },
+    run: queueCommand
+  }
+};
@@ -0,0 +1,73 @@
+// steam-id-processor/src/cli/redis-commands.js
+const CONFIG = require('../../config/config');
+const RedisQueueClient = require('../redis-queue-client');
+const { print, printJson } = require('./output');
+
+async function stats(redisQueueClient, positionals, options) {
+  const queueStats = await redisQueueClient.getStats();
+  if (!queueStats) {
+    throw new Error('Could not get validator queue stats (is the queue API reachable?)');
+  }
+
+  if (options.json) {
+    printJson(queueStats);
+  } else {
+    for (const [key, value] of Object.entries(queueStats)) {
+      print(`${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+    }
+  }
+  return 0;
+}
+
+async function release(redisQueueClient, positionals, options) {
+  if (options.all) {
+    const released = await redisQueueClient.releaseInstance();
+    print(`Released ${released} items claimed by ${redisQueueClient.instanceId}`);
+    return 0;
+  }
+
+  if (positionals.length === 0) {
+    throw new Error('redis release needs item IDs, or --all to release everything the instance claimed');
+  }
+  if (!(await redisQueueClient.releaseItems(positionals))) {
+    throw new Error('Release failed (see log output)');
+  }
+  print(`Released ${positionals.length} items claimed by ${redisQueueClient.instanceId}`);
+  return 0;
+}
+
+const subcommands = { stats, release };
+
+async function redisCommand(positionals, options) {
+  const [name, ...args] = positionals;
+  const subcommand = subcommands[name];
+  if (!subcommand) {
+    throw new Error(`Unknown redis command '${name || ''}' (expected ${Object.keys(subcommands).join(', ')})`);
+  }
+
+  // Claims belong to a processor instance - act on its behalf
+  const instanceId = options.instance || process.env.STEAM_ID_PROCESSOR_INSTANCE_ID;
+  if (name === 'release' && !instanceId) {
+    throw new Error('redis release needs --instance <id> (or STEAM_ID_PROCESSOR_INSTANCE_ID)');
+  }
+
+  const redisQueueClient = new RedisQueueClient({
+    queueApiUrl: process.env.NODE_API_SERVICE_URL || 'http://127.0.0.1:3001',
+    apiKey: CONFIG.LINK_HARVESTER_API_KEY,
+    instanceId: instanceId || 'steam-id-processor-cli'
+  });
+  return subcommand(redisQueueClient, args, options);
+}
+
+module.exports = {
+  redis: {
+    usage: 'redis stats [--json] | release <itemId...> --instance <id> | release --all --instance <id>',
+    description: 'Shared validator queue stats, and releasing items claimed by a processor instance',
+    options: {
+      instance: { type: 'string' },
+      all: { type: 'boolean' },
+      json: { type: 'boolean' }
+    },
+    run: redisCommand
+  }
+};
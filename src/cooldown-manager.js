@@ -3,13 +3,36 @@ const fs = require('fs-extra');
 const path = require('path');
 const logger = require('./utils/logger');
 const axios = require('axios');
+const checkRegistry = require('./check-registry');
+const { writeFileAtomicSync, quarantineFile } = require('./utils/atomic-file');
+const { createProxyAgent, maskProxyUrl, describeConnection } = require('./proxy-connections');
+const metrics = require('./metrics');
+
+// Connection selection strategies for createAxiosInstance
+const SELECTION_STRATEGIES = ['round_robin', 'least_recently_limited'];
 
 /**
- * Manages rate limit cooldowns for Steam API endpoints
+ * Manages rate limit cooldowns for Steam API endpoints across a pool of connections
+ * Each connection (direct, SOCKS5 or HTTP proxy) has its own per-endpoint cooldowns and backoff levels,
+ * so a 429 on one connection only takes that connection out of rotation for that endpoint.
  * Handles exponential backoff for 429 errors and fixed cooldowns for connection errors
+ *
+ * Backoff levels decay gradually instead of resetting on the first success: one level is dropped
+ * per SUCCESSES_PER_LEVEL consecutive successes or per QUIET_PERIOD_MS without a 429.
+ * Levels are persisted per connection in endpoint_cooldowns.json under `backoff_levels`.
  */
 class CooldownManager {
-  constructor(configDir, cooldownDurations, backoffSequence) {
+  /**
+   * @param {string} configDir - Directory holding endpoint_cooldowns.json
+   * @param {Object} cooldownDurations - Fixed cooldowns (ms) by error type
+   * @param {Array<number>} backoffSequence - 429 backoff ladder in minutes
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.connections] - Connections { index, type, url } (default: single direct)
+   * @param {string} [options.selectionStrategy] - round_robin or least_recently_limited
+   * @param {Object} [options.retryHints] - { ENABLED, LADDER_FLOOR, MIN_MS, MAX_MS } for server retry hints on 429s
+   * @param {Object} [options.backoffDecay] - { SUCCESSES_PER_LEVEL, QUIET_PERIOD_MS } (0 disables either rule)
+   */
+  constructor(configDir, cooldownDurations, backoffSequence, options = {}) {
     logger.debug(`🔍 [DEBUG] CooldownManager constructor called`);
     logger.debug(`🔍 [DEBUG]   configDir: ${configDir}`);
     logger.debug(`🔍 [DEBUG]   cooldownDurations: ${JSON.stringify(cooldownDurations)}`);
@@ -17,9 +40,40 @@ class CooldownManager {
 
     this.cooldownPath = path.join(configDir, 'endpoint_cooldowns.json');
     this.cooldowns = null;
+    this.fileStamp = null; // inode:mtime of the file as last read/written, to notice edits by the operator CLI
     this.cooldownDurations = cooldownDurations;
     this.backoffSequence = backoffSequence;
-    this.backoffLevels = new Map(); // key: endpoint name, value: backoff level
+    this.lastLimitedAt = new Map(); // key: "<connection index>:<endpoint name>", value: time of the last cooldown
+    this.lastUsedAt = new Map(); // key: "<connection index>:<endpoint name>", value: time the connection was last selected
+    this.roundRobinCursors = new Map(); // key: endpoint name, value: index of the last selected connection
+
+    const connections = options.connections && options.connections.length > 0
+      ? options.connections
+      : [{ index: 0, type: 'direct', url: null }];
+    this.connections = connections.map(connection => ({
+      ...connection,
+      agent: createProxyAgent(connection)
+    }));
+
+    this.retryHints = {
+      ENABLED: true,
+      LADDER_FLOOR: 0.1,
+      MIN_MS: 5000,
+      MAX_MS: 8 * 60 * 60 * 1000,
+      ...(options.retryHints || {})
+    };
+
+    this.backoffDecay = {
+      SUCCESSES_PER_LEVEL: 10,
+      QUIET_PERIOD_MS: 30 * 60 * 1000,
+      ...(options.backoffDecay || {})
+    };
+
+    this.selectionStrategy = options.selectionStrategy || 'round_robin';
+    if (!SELECTION_STRATEGIES.includes(this.selectionStrategy)) {
+      logger.warn(`Unknown connection selection strategy '${this.selectionStrategy}', using round_robin`);
+      this.selectionStrategy = 'round_robin';
+    }
 
     // Validate backoffSequence
     if (!this.backoffSequence || !Array.isArray(this.backoffSequence) || this.backoffSequence.length === 0) {
@@ -31,12 +85,14 @@ class CooldownManager {
 
     this.initializeCooldowns();
     this.initializeBackoffLevelsFromFile();
+
+    logger.info(`🔌 Connection pool: ${this.connections.map(describeConnection).join(', ')} (selection: ${this.selectionStrategy})`);
   }
 
   initializeCooldowns() {
     try {
       if (fs.existsSync(this.cooldownPath)) {
-        this.cooldowns = JSON.parse(fs.readFileSync(this.cooldownPath, 'utf8'));
+        this.cooldowns = this.parseCooldownData(fs.readFileSync(this.cooldownPath, 'utf8'));
         logger.info('Endpoint cooldowns loaded');
         this.ensureCooldownStructure();
       } else {
@@ -44,60 +100,345 @@ class CooldownManager {
         logger.info('Created default endpoint cooldowns file');
       }
     } catch (error) {
+      // Keep the unreadable file for inspection instead of silently overwriting it
+      const quarantinePath = quarantineFile(this.cooldownPath);
       logger.error(`Error initializing endpoint cooldowns: ${error.message}`);
+      logger.error(`   Corrupted cooldowns file quarantined to: ${quarantinePath || 'FAILED TO MOVE'}`);
       this.createDefaultCooldowns();
     }
   }
 
+  parseCooldownData(data) {
+    const parsed = JSON.parse(data);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error(`expected object, got ${Array.isArray(parsed) ? 'array' : typeof parsed}`);
+    }
+    return parsed;
+  }
+
   createDefaultCooldowns() {
     this.cooldowns = {
-      endpoint_cooldowns: {}
+      connections: this.connections.map(connection => this.createConnectionEntry(connection))
     };
     this.saveCooldowns();
   }
 
+  createConnectionEntry(connection, endpointCooldowns = {}, backoffLevels = {}) {
+    return {
+      index: connection.index,
+      type: connection.type,
+      url: maskProxyUrl(connection.url),
+      endpoint_cooldowns: endpointCooldowns,
+      backoff_levels: backoffLevels
+    };
+  }
+
+  /**
+   * Line the file's connection entries up with the configured pool
+   * Cooldowns follow a connection by its type and url (its index shifts when a proxy before it is
+   * removed); entries of connections no longer configured are dropped
+   */
   ensureCooldownStructure() {
-    if (!this.cooldowns.endpoint_cooldowns) {
-      this.cooldowns.endpoint_cooldowns = {};
-    }
+    const fileConnections = Array.isArray(this.cooldowns.connections) ? this.cooldowns.connections : [];
+
+    // Single-connection files kept endpoint_cooldowns at the top level - they belong to the direct connection
+    const legacyCooldowns = this.cooldowns.endpoint_cooldowns || null;
+
+    const connections = this.connections.map(connection => {
+      const existing = fileConnections.find(entry =>
+        entry.type === connection.type &&
+        (entry.url || null) === maskProxyUrl(connection.url)
+      );
+
+      let endpointCooldowns = (existing && existing.endpoint_cooldowns) || {};
+      if (legacyCooldowns && connection.type === 'direct' && Object.keys(endpointCooldowns).length === 0) {
+        endpointCooldowns = legacyCooldowns;
+      }
+
+      return this.createConnectionEntry(connection, endpointCooldowns, (existing && existing.backoff_levels) || {});
+    });
+
+    this.cooldowns = { connections };
     this.saveCooldowns();
   }
 
+  /**
+   * Write the in-memory cooldowns to the file
+   * Callers that change cooldowns must call reloadIfChangedOnDisk() before making the change, or an edit
+   * the operator CLI made since our last read would be overwritten
+   */
   saveCooldowns() {
     try {
-      fs.writeFileSync(this.cooldownPath, JSON.stringify(this.cooldowns, null, 2));
+      writeFileAtomicSync(this.cooldownPath, JSON.stringify(this.cooldowns, null, 2));
+      this.fileStamp = this.getFileStamp();
     } catch (error) {
       logger.error(`Error saving endpoint cooldowns: ${error.message}`);
     }
   }
 
+  /**
+   * Every save renames a new file into place, so the inode changes even when two writes land within
+   * the same mtime tick
+   * @returns {string} inode:mtime of the cooldowns file
+   */
+  getFileStamp() {
+    const { ino, mtimeMs } = fs.statSync(this.cooldownPath);
+    return `${ino}:${mtimeMs}`;
+  }
+
+  /**
+   * Reload the cooldowns file if another process (the processor or the operator CLI) changed it since
+   * we last read or wrote it
+   * @returns {boolean} True if reloaded
+   */
+  reloadIfChangedOnDisk() {
+    try {
+      const fileStamp = this.getFileStamp();
+      if (this.fileStamp === null || fileStamp === this.fileStamp) {
+        this.fileStamp = fileStamp;
+        return false;
+      }
+
+      this.cooldowns = this.parseCooldownData(fs.readFileSync(this.cooldownPath, 'utf8'));
+      this.fileStamp = fileStamp;
+      this.ensureCooldownStructure();
+      logger.info('Endpoint cooldowns file changed on disk - reloaded');
+      return true;
+    } catch (error) {
+      logger.warn(`Could not reload endpoint cooldowns file: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Lift cooldowns by hand
+   * @param {string|null} [endpoint] - Endpoint name (all endpoints when null)
+   * @param {number|null} [connectionIndex] - Connection (all connections when null)
+   * @param {boolean} [resetBackoff] - Also drop the 429 backoff levels
+   * @returns {number} Cooldowns lifted
+   */
+  clearCooldowns(endpoint = null, connectionIndex = null, resetBackoff = false) {
+    this.reloadIfChangedOnDisk();
+    let cleared = 0;
+
+    for (const connection of this.cooldowns.connections) {
+      if (connectionIndex !== null && connection.index !== connectionIndex) {
+        continue;
+      }
+
+      for (const name of Object.keys(connection.endpoint_cooldowns)) {
+        if (endpoint === null || name === endpoint) {
+          delete connection.endpoint_cooldowns[name];
+          this.lastLimitedAt.delete(this.getConnectionKey(connection.index, name));
+          cleared++;
+        }
+      }
+
+      if (resetBackoff) {
+        for (const name of Object.keys(connection.backoff_levels)) {
+          if (endpoint === null || name === endpoint) {
+            delete connection.backoff_levels[name];
+          }
+        }
+      }
+    }
+
+    this.saveCooldowns();
+    logger.info(`🔓 Manually cleared ${cleared} cooldowns (endpoint: ${endpoint || 'all'}, connection: ${connectionIndex === null ? 'all' : connectionIndex}${resetBackoff ? ', backoff levels reset' : ''})`);
+    return cleared;
+  }
+
+  /**
+   * Put an endpoint into cooldown by hand (e.g. ahead of known Steam maintenance)
+   * @param {string} endpoint - Endpoint name
+   * @param {number} durationMs - Cooldown length
+   * @param {number|null} [connectionIndex] - Connection (all connections when null)
+   * @returns {number} Connections put into cooldown
+   */
+  setCooldown(endpoint, durationMs, connectionIndex = null) {
+    this.reloadIfChangedOnDisk();
+    const now = Date.now();
+    let applied = 0;
+
+    for (const connection of this.cooldowns.connections) {
+      if (connectionIndex !== null && connection.index !== connectionIndex) {
+        continue;
+      }
+
+      connection.endpoint_cooldowns[endpoint] = {
+        cooldown_until: now + durationMs,
+        reason: 'manual',
+        duration_used: durationMs,
+        applied_at: now,
+        error_message: 'Set by operator'
+      };
+      applied++;
+    }
+
+    this.saveCooldowns();
+    logger.info(`🔒 Manually put ${endpoint} into cooldown for ${Math.ceil(durationMs / 60000)} minutes on ${applied} connections`);
+    return applied;
+  }
+
+  getConnectionKey(connectionIndex, endpoint) {
+    return `${connectionIndex}:${endpoint}`;
+  }
+
+  /**
+   * @param {number} connectionIndex - Connection index (not the array position)
+   * @returns {Object|undefined} Configured connection
+   */
+  getConnection(connectionIndex) {
+    return this.connections.find(connection => connection.index === connectionIndex);
+  }
+
+  /**
+   * @param {number} connectionIndex - Connection index (not the array position)
+   * @returns {Object|undefined} Persisted { endpoint_cooldowns, backoff_levels } entry of the connection
+   */
+  getConnectionEntry(connectionIndex) {
+    return this.cooldowns.connections.find(entry => entry.index === connectionIndex);
+  }
+
+  getConnectionLabel(connectionIndex) {
+    const connection = this.getConnection(connectionIndex);
+    return connection ? `connection #${connectionIndex} (${connection.type})` : `connection #${connectionIndex}`;
+  }
+
+  /**
+   * @param {number} connectionIndex - Connection index
+   * @returns {Object} { endpointName: cooldown } for the connection
+   */
+  getEndpointCooldowns(connectionIndex) {
+    const entry = this.getConnectionEntry(connectionIndex);
+    return entry ? entry.endpoint_cooldowns : {};
+  }
+
+  /**
+   * Persisted backoff state for an endpoint on a connection
+   * @param {number} connectionIndex - Connection index
+   * @param {string} endpoint - Endpoint name
+   * @param {boolean} [create] - Create a level 0 entry if there is none
+   * @returns {Object|null} { backoff_level, consecutive_successes, last_rate_limited_at, last_decay_at }
+   */
+  getBackoffState(connectionIndex, endpoint, create = false) {
+    const entry = this.getConnectionEntry(connectionIndex);
+    if (!entry) {
+      return null;
+    }
+
+    if (!entry.backoff_levels[endpoint] && create) {
+      entry.backoff_levels[endpoint] = {
+        backoff_level: 0,
+        consecutive_successes: 0,
+        last_rate_limited_at: null,
+        last_decay_at: null
+      };
+    }
+    return entry.backoff_levels[endpoint] || null;
+  }
+
+  getBackoffLevel(connectionIndex, endpoint) {
+    const state = this.getBackoffState(connectionIndex, endpoint);
+    return state ? state.backoff_level : 0;
+  }
+
+  /**
+   * Set a decayed backoff level; level 0 removes the state entry
+   * @param {number} connectionIndex - Connection index
+   * @param {string} endpoint - Endpoint name
+   * @param {number} level - New backoff level
+   * @param {number} decayedAt - Time the decay step is counted from
+   */
+  setBackoffLevel(connectionIndex, endpoint, level, decayedAt) {
+    const entry = this.getConnectionEntry(connectionIndex);
+    if (!entry) {
+      return;
+    }
+    if (level <= 0) {
+      delete entry.backoff_levels[endpoint];
+      return;
+    }
+
+    const state = this.getBackoffState(connectionIndex, endpoint, true);
+    state.backoff_level = level;
+    state.consecutive_successes = 0;
+    state.last_decay_at = decayedAt;
+  }
+
+  /**
+   * Drop one level per elapsed quiet period since the last 429 (or the last decay step)
+   * @param {number} connectionIndex - Connection index
+   * @param {string} endpoint - Endpoint name
+   * @returns {boolean} True if the level changed
+   */
+  applyQuietPeriodDecay(connectionIndex, endpoint) {
+    const state = this.getBackoffState(connectionIndex, endpoint);
+    const quietPeriod = this.backoffDecay.QUIET_PERIOD_MS;
+    if (!state || state.backoff_level === 0 || !quietPeriod) {
+      return false;
+    }
+
+    const since = Math.max(state.last_rate_limited_at || 0, state.last_decay_at || 0);
+    const steps = Math.floor((Date.now() - since) / quietPeriod);
+    if (steps <= 0) {
+      return false;
+    }
+
+    const previousLevel = state.backoff_level;
+    const newLevel = Math.max(0, previousLevel - steps);
+    this.setBackoffLevel(connectionIndex, endpoint, newLevel, since + steps * quietPeriod);
+    logger.info(`📉 Backoff for ${endpoint} endpoint on ${this.getConnectionLabel(connectionIndex)} decayed ${previousLevel} → ${newLevel} (no 429 for ${Math.round(steps * quietPeriod / 60000)} minutes)`);
+    return true;
+  }
+
+  /**
+   * Apply quiet period decay to every tracked endpoint
+   * @returns {boolean} True if any level changed
+   */
+  decayBackoffLevels() {
+    let changed = false;
+    for (const entry of this.cooldowns.connections) {
+      for (const endpoint of Object.keys(entry.backoff_levels)) {
+        changed = this.applyQuietPeriodDecay(entry.index, endpoint) || changed;
+      }
+    }
+    return changed;
+  }
+
   /**
    * Clean up expired cooldowns
    * @returns {number} Number of cooldowns cleaned up
    */
   cleanupExpiredCooldowns() {
+    this.reloadIfChangedOnDisk();
     const now = Date.now();
     let cleanupCount = 0;
 
-    const endpointNames = Object.keys(this.cooldowns.endpoint_cooldowns);
+    for (const connection of this.cooldowns.connections) {
+      for (const endpoint of Object.keys(connection.endpoint_cooldowns)) {
+        const cooldown = connection.endpoint_cooldowns[endpoint];
 
-    for (const endpoint of endpointNames) {
-      const cooldown = this.cooldowns.endpoint_cooldowns[endpoint];
+        if (cooldown.cooldown_until <= now) {
+          const label = this.getConnectionLabel(connection.index);
+          if (cooldown.reason === '429') {
+            logger.debug(`🔓 Cooldown expired for endpoint ${endpoint} on ${label} (preserving backoff level ${this.getBackoffLevel(connection.index, endpoint)})`);
+          } else {
+            logger.debug(`🔓 Cooldown expired for endpoint ${endpoint} on ${label}`);
+          }
 
-      if (cooldown.cooldown_until <= now) {
-        if (cooldown.reason === '429') {
-          logger.debug(`🔓 Cooldown expired for endpoint ${endpoint} (preserving backoff level in memory)`);
-        } else {
-          logger.debug(`🔓 Cooldown expired for endpoint ${endpoint}`);
+          delete connection.endpoint_cooldowns[endpoint];
+          cleanupCount++;
         }
-
-        delete this.cooldowns.endpoint_cooldowns[endpoint];
-        cleanupCount++;
       }
     }
 
-    if (cleanupCount > 0) {
+    const decayed = this.decayBackoffLevels();
+
+    if (cleanupCount > 0 || decayed) {
       this.saveCooldowns();
+    }
+    if (cleanupCount > 0) {
       logger.info(`🧹 Cleaned up ${cleanupCount} expired endpoint cooldowns`);
     }
 
@@ -107,49 +448,122 @@ class CooldownManager {
   /**
    * Check if a specific endpoint is available (not in cooldown)
    * @param {string} endpoint - Endpoint name
+   * @param {number} [connectionIndex] - Connection to check; any connection when omitted
    * @returns {boolean}
    */
-  isEndpointAvailable(endpoint) {
-    const cooldown = this.cooldowns.endpoint_cooldowns[endpoint];
+  isEndpointAvailable(endpoint, connectionIndex) {
+    if (connectionIndex === undefined) {
+      return this.connections.some(connection => this.isEndpointAvailable(endpoint, connection.index));
+    }
+
+    const cooldown = this.getEndpointCooldowns(connectionIndex)[endpoint];
     if (!cooldown) {
       return true;
     }
 
-    const isAvailable = cooldown.cooldown_until <= Date.now();
-    return isAvailable;
+    return cooldown.cooldown_until <= Date.now();
+  }
+
+  /**
+   * @param {string} endpoint - Endpoint name
+   * @param {Array<number>} [excludeIndexes] - Connections already tried for this request
+   * @returns {Array<Object>} Connections not in cooldown for the endpoint
+   */
+  getAvailableConnections(endpoint, excludeIndexes = []) {
+    return this.connections.filter(connection =>
+      !excludeIndexes.includes(connection.index) && this.isEndpointAvailable(endpoint, connection.index)
+    );
+  }
+
+  /**
+   * Pick the connection to use for an endpoint according to the selection strategy
+   * @param {string} endpoint - Endpoint name
+   * @param {Array<number>} [excludeIndexes] - Connections already tried for this request
+   * @returns {Object|null} Connection, or null if every candidate is in cooldown
+   */
+  selectConnection(endpoint, excludeIndexes = []) {
+    const candidates = this.getAvailableConnections(endpoint, excludeIndexes);
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    let selected;
+    if (this.selectionStrategy === 'least_recently_limited') {
+      // Never-limited connections first, then the one whose last cooldown is oldest; spread ties by last use
+      selected = candidates.reduce((best, connection) => {
+        const key = this.getConnectionKey(connection.index, endpoint);
+        const bestKey = this.getConnectionKey(best.index, endpoint);
+        const limited = this.lastLimitedAt.get(key) || 0;
+        const bestLimited = this.lastLimitedAt.get(bestKey) || 0;
+
+        if (limited !== bestLimited) {
+          return limited < bestLimited ? connection : best;
+        }
+        return (this.lastUsedAt.get(key) || 0) < (this.lastUsedAt.get(bestKey) || 0) ? connection : best;
+      });
+    } else {
+      // Round robin: next available connection after the one used last for this endpoint
+      const lastIndex = this.roundRobinCursors.has(endpoint) ? this.roundRobinCursors.get(endpoint) : -1;
+      selected = candidates.find(connection => connection.index > lastIndex) || candidates[0];
+    }
+
+    this.roundRobinCursors.set(endpoint, selected.index);
+    this.lastUsedAt.set(this.getConnectionKey(selected.index, endpoint), Date.now());
+    return selected;
   }
 
   /**
-   * Mark an endpoint as being in cooldown
+   * Mark an endpoint as being in cooldown on one connection
    * @param {string} endpoint - Endpoint name
-   * @param {string} errorType - Type of error (429, connection_error, timeout, dns_failure)
+   * @param {string} errorType - Type of error (429, connection_error, timeout, dns_failure, socks_error)
    * @param {string} errorMessage - Error message
+   * @param {number} [connectionIndex] - Connection the error happened on
+   * @param {Object} [retryHint] - Server retry hint { delayMs, source } from parseRetryHint (429 only)
    */
-  markEndpointCooldown(endpoint, errorType, errorMessage) {
+  markEndpointCooldown(endpoint, errorType, errorMessage, connectionIndex = 0, retryHint = null) {
     logger.debug(`🔍 [DEBUG] markEndpointCooldown called:`);
     logger.debug(`🔍 [DEBUG]   endpoint: ${endpoint}`);
+    logger.debug(`🔍 [DEBUG]   connection: ${connectionIndex}`);
     logger.debug(`🔍 [DEBUG]   errorType: ${errorType}`);
     logger.debug(`🔍 [DEBUG]   errorMessage: ${errorMessage}`);
 
+    this.reloadIfChangedOnDisk();
+    const key = this.getConnectionKey(connectionIndex, endpoint);
+    const label = this.getConnectionLabel(connectionIndex);
+    const endpointCooldowns = this.getEndpointCooldowns(connectionIndex);
+    this.lastLimitedAt.set(key, Date.now());
+    const connection = this.getConnection(connectionIndex);
+    metrics.recordCooldown(endpoint, errorType, connection && connection.type);
+
     // Handle 429 errors with exponential backoff
     if (errorType === '429') {
-      const currentLevel = this.backoffLevels.get(endpoint) || 0;
+      this.applyQuietPeriodDecay(connectionIndex, endpoint);
+
+      const backoffState = this.getBackoffState(connectionIndex, endpoint, true);
+      const currentLevel = backoffState.backoff_level;
       const newLevel = Math.min(currentLevel + 1, this.backoffSequence.length - 1);
 
-      // Update in-memory backoff level
-      this.backoffLevels.set(endpoint, newLevel);
+      // Persisted with the cooldown below; decays again from here
+      backoffState.backoff_level = newLevel;
+      backoffState.consecutive_successes = 0;
+      backoffState.last_rate_limited_at = Date.now();
+      backoffState.last_decay_at = null;
 
-      const cooldownMinutes = this.backoffSequence[newLevel];
-      const cooldownDuration = cooldownMinutes * 60 * 1000;
+      const ladderMinutes = this.backoffSequence[newLevel];
+      const { durationMs: cooldownDuration, source } = this.resolveRateLimitCooldown(ladderMinutes * 60 * 1000, retryHint);
+      const cooldownMinutes = Math.round(cooldownDuration / 6000) / 10;
       const cooldownUntil = Date.now() + cooldownDuration;
 
-      this.cooldowns.endpoint_cooldowns[endpoint] = {
+      endpointCooldowns[endpoint] = {
         cooldown_until: cooldownUntil,
         reason: '429',
         backoff_level: newLevel,
         applied_at: Date.now(),
         error_message: errorMessage,
-        duration_minutes: cooldownMinutes
+        duration_minutes: cooldownMinutes,
+        decision_source: source,
+        ladder_minutes: ladderMinutes,
+        retry_hint_ms: retryHint ? retryHint.delayMs : null
       };
 
       this.saveCooldowns();
@@ -157,8 +571,12 @@ class CooldownManager {
       const cooldownUntilDate = new Date(cooldownUntil);
       const sequencePosition = `${newLevel + 1}/${this.backoffSequence.length}`;
 
-      logger.warn(`🔒 Rate limit (429) cooldown applied to ${endpoint} endpoint`);
-      logger.warn(`    Backoff level: ${currentLevel} → ${newLevel} (${sequencePosition}) → ${cooldownMinutes} minutes`);
+      logger.warn(`🔒 Rate limit (429) cooldown applied to ${endpoint} endpoint on ${label}`);
+      logger.warn(`    Backoff level: ${currentLevel} → ${newLevel} (${sequencePosition}) → ladder ${ladderMinutes} minutes`);
+      if (retryHint) {
+        logger.warn(`    Server hint (${retryHint.source}): ${Math.ceil(retryHint.delayMs / 1000)}s`);
+      }
+      logger.warn(`    Cooldown: ${cooldownMinutes} minutes (decided by ${source})`);
       logger.warn(`    Available again at: ${cooldownUntilDate.toLocaleString()}`);
       logger.warn(`    Next level would be: ${this.getNextBackoffDuration(newLevel)} minutes`);
 
@@ -178,6 +596,9 @@ class CooldownManager {
     } else if (errorType === 'dns_failure') {
       cooldownDuration = this.cooldownDurations.dns_failure;
       description = `DNS failure on ${endpoint} endpoint`;
+    } else if (errorType === 'socks_error') {
+      cooldownDuration = this.cooldownDurations.socks_error;
+      description = `Proxy error on ${endpoint} endpoint`;
     } else {
       cooldownDuration = 60000; // 1 minute fallback
       description = `Unknown error on ${endpoint} endpoint`;
@@ -185,7 +606,7 @@ class CooldownManager {
 
     const cooldownUntil = Date.now() + cooldownDuration;
 
-    this.cooldowns.endpoint_cooldowns[endpoint] = {
+    endpointCooldowns[endpoint] = {
       cooldown_until: cooldownUntil,
       reason: errorType,
       duration_used: cooldownDuration,
@@ -198,10 +619,90 @@ class CooldownManager {
     const cooldownUntilDate = new Date(cooldownUntil);
     const cooldownMinutes = Math.ceil(cooldownDuration / 60000);
 
-    logger.warn(`🔒 Marked ${endpoint} endpoint as in cooldown for ${cooldownMinutes} minutes until ${cooldownUntilDate.toLocaleString()}`);
+    logger.warn(`🔒 Marked ${endpoint} endpoint on ${label} as in cooldown for ${cooldownMinutes} minutes until ${cooldownUntilDate.toLocaleString()}`);
     logger.warn(`    Reason: ${description} - ${errorMessage}`);
   }
 
+  /**
+   * Blend a server retry hint with the backoff ladder
+   * The hint wins when present, but is floored at LADDER_FLOOR x the ladder step so repeated 429s still escalate
+   * @param {number} ladderMs - Cooldown from the backoff ladder for the new level
+   * @param {Object|null} retryHint - { delayMs, source }
+   * @returns {Object} { durationMs, source } - source is the hint source, 'backoff_ladder' or 'backoff_ladder_floor'
+   */
+  resolveRateLimitCooldown(ladderMs, retryHint) {
+    if (!retryHint || !this.retryHints.ENABLED) {
+      return { durationMs: ladderMs, source: 'backoff_ladder' };
+    }
+
+    const hintMs = Math.max(retryHint.delayMs, this.retryHints.MIN_MS);
+    const floorMs = Math.round(ladderMs * this.retryHints.LADDER_FLOOR);
+
+    if (hintMs < floorMs) {
+      return { durationMs: floorMs, source: 'backoff_ladder_floor' };
+    }
+    return { durationMs: hintMs, source: retryHint.source };
+  }
+
+  /**
+   * Read a retry hint from a 429 response
+   * Checks Retry-After (seconds or HTTP date), X-RateLimit-Reset / RateLimit-Reset (seconds or epoch seconds)
+   * and a retry_after / retryAfter field (seconds) in a JSON body, in that order
+   * @param {Error} error - Axios error with a response
+   * @returns {Object|null} { delayMs, source } or null if there is no usable hint
+   */
+  parseRetryHint(error) {
+    const response = error.response;
+    if (!response) {
+      return null;
+    }
+
+    const headers = response.headers || {};
+    const getHeader = (name) => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+    const now = Date.now();
+
+    const candidates = [];
+
+    const retryAfter = getHeader('retry-after');
+    if (retryAfter !== undefined && retryAfter !== null) {
+      const seconds = Number(retryAfter);
+      const delayMs = !isNaN(seconds) ? seconds * 1000 : Date.parse(retryAfter) - now;
+      candidates.push({ delayMs, source: 'retry_after_header' });
+    }
+
+    const reset = getHeader('x-ratelimit-reset') || getHeader('ratelimit-reset');
+    if (reset !== undefined && reset !== null) {
+      const value = Number(reset);
+      // Large values are absolute epoch seconds, small ones are seconds from now
+      const delayMs = value > 1e9 ? value * 1000 - now : value * 1000;
+      candidates.push({ delayMs, source: 'ratelimit_reset_header' });
+    }
+
+    let body = response.data;
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body);
+      } catch (parseError) {
+        body = null;
+      }
+    }
+    if (body && typeof body === 'object') {
+      const seconds = Number(body.retry_after !== undefined ? body.retry_after : body.retryAfter);
+      if (!isNaN(seconds)) {
+        candidates.push({ delayMs: seconds * 1000, source: 'response_body' });
+      }
+    }
+
+    const hint = candidates.find(candidate =>
+      !isNaN(candidate.delayMs) && candidate.delayMs >= 0 && candidate.delayMs <= this.retryHints.MAX_MS
+    );
+    if (!hint) {
+      return null;
+    }
+
+    return { delayMs: Math.ceil(hint.delayMs), source: hint.source };
+  }
+
   /**
    * Get the next backoff duration for logging purposes
    * @param {number} currentLevel - Current backoff level
@@ -216,28 +717,42 @@ class CooldownManager {
   }
 
   /**
-   * Reset backoff level on successful request
+   * Record a successful request, decaying the backoff level after enough consecutive successes
    * @param {string} endpoint - Endpoint name
+   * @param {number} [connectionIndex] - Connection the request succeeded on
    */
-  resetBackoffOnSuccess(endpoint) {
-    const hadBackoffLevel = this.backoffLevels.has(endpoint);
-    const previousLevel = this.backoffLevels.get(endpoint) || 0;
-
-    if (hadBackoffLevel) {
-      this.backoffLevels.delete(endpoint);
-      logger.info(`✅ Reset 429 backoff for ${endpoint} endpoint (was level ${previousLevel})`);
+  recordSuccess(endpoint, connectionIndex = 0) {
+    this.reloadIfChangedOnDisk();
+    let changed = this.applyQuietPeriodDecay(connectionIndex, endpoint);
+
+    const state = this.getBackoffState(connectionIndex, endpoint);
+    if (state) {
+      state.consecutive_successes++;
+
+      const successesPerLevel = this.backoffDecay.SUCCESSES_PER_LEVEL;
+      if (successesPerLevel > 0 && state.consecutive_successes >= successesPerLevel) {
+        const previousLevel = state.backoff_level;
+        this.setBackoffLevel(connectionIndex, endpoint, previousLevel - 1, Date.now());
+        logger.info(`📉 Backoff for ${endpoint} endpoint on ${this.getConnectionLabel(connectionIndex)} decayed ${previousLevel} → ${previousLevel - 1} after ${successesPerLevel} consecutive successes`);
+        changed = true;
+      }
     }
 
     // Also clean up file state if it exists and was a 429 cooldown
-    const cooldown = this.cooldowns.endpoint_cooldowns[endpoint];
+    const endpointCooldowns = this.getEndpointCooldowns(connectionIndex);
+    const cooldown = endpointCooldowns[endpoint];
     if (cooldown && cooldown.reason === '429') {
-      delete this.cooldowns.endpoint_cooldowns[endpoint];
+      delete endpointCooldowns[endpoint];
+      changed = true;
+    }
+
+    if (changed) {
       this.saveCooldowns();
     }
   }
 
   /**
-   * Check if endpoint is in cooldown
+   * Check if endpoint is in cooldown on every connection
    * @param {string} endpoint - Endpoint name
    * @returns {boolean}
    */
@@ -247,42 +762,50 @@ class CooldownManager {
   }
 
   /**
-   * Alias for compatibility with old proxy-manager code
-   * Check if endpoint is in cooldown
+   * Check if every connection (other than the excluded ones) is in cooldown for an endpoint
    * @param {string} endpoint - Endpoint name
+   * @param {Array<number>} [excludeIndexes] - Connections already tried for this request
    * @returns {boolean}
    */
-  areAllConnectionsInCooldownForEndpoint(endpoint) {
-    return this.isEndpointInCooldown(endpoint);
+  areAllConnectionsInCooldownForEndpoint(endpoint, excludeIndexes = []) {
+    this.cleanupExpiredCooldowns();
+    return this.getAvailableConnections(endpoint, excludeIndexes).length === 0;
   }
 
   /**
-   * Get next available time for an endpoint
+   * Get next available time for an endpoint on any connection
    * @param {string} endpoint - Endpoint name
    * @returns {number} Milliseconds until endpoint is available (0 if available now)
    */
   getNextAvailableTimeForEndpoint(endpoint) {
-    const cooldown = this.cooldowns.endpoint_cooldowns[endpoint];
-    if (!cooldown) {
-      return 0;
+    const now = Date.now();
+    let nextAvailableIn = Infinity;
+
+    for (const connection of this.connections) {
+      const cooldown = this.getEndpointCooldowns(connection.index)[endpoint];
+      const remaining = cooldown ? Math.max(0, cooldown.cooldown_until - now) : 0;
+      nextAvailableIn = Math.min(nextAvailableIn, remaining);
     }
 
-    return Math.max(0, cooldown.cooldown_until - Date.now());
+    return nextAvailableIn === Infinity ? 0 : nextAvailableIn;
   }
 
   /**
-   * Create axios instance for a specific endpoint
+   * Create axios instance for a specific endpoint on the next connection from the pool
    * @param {string} endpoint - Full URL of the endpoint
+   * @param {Array<number>} [excludeIndexes] - Connections already tried for this request
    * @returns {Object} Axios instance or error object
    */
-  createAxiosInstance(endpoint) {
+  createAxiosInstance(endpoint, excludeIndexes = []) {
+    this.reloadIfChangedOnDisk();
     const endpointName = this.getEndpointName(endpoint);
+    const connection = this.selectConnection(endpointName, excludeIndexes);
 
-    if (!this.isEndpointAvailable(endpointName)) {
+    if (!connection) {
       const nextAvailableIn = this.getNextAvailableTimeForEndpoint(endpointName);
       const waitTimeMin = Math.ceil(nextAvailableIn / 60000);
 
-      logger.warn(`⏳ Endpoint ${endpointName} in cooldown. Next available in ~${waitTimeMin} minutes.`);
+      logger.warn(`⏳ Endpoint ${endpointName} in cooldown on all connections. Next available in ~${waitTimeMin} minutes.`);
       return {
         allInCooldown: true,
         nextAvailableIn: nextAvailableIn,
@@ -296,10 +819,20 @@ class CooldownManager {
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/111.0.0.0 Safari/537.36'
       },
       _connectionInfo: {
-        endpointName: endpointName
+        endpointName: endpointName,
+        connectionIndex: connection.index,
+        connectionType: connection.type,
+        connectionUrl: maskProxyUrl(connection.url)
       }
     };
 
+    if (connection.agent) {
+      // Route through the proxy agent and stop axios applying HTTP(S)_PROXY from the environment on top
+      axiosConfig.httpAgent = connection.agent;
+      axiosConfig.httpsAgent = connection.agent;
+      axiosConfig.proxy = false;
+    }
+
     return axios.create(axiosConfig);
   }
 
@@ -309,15 +842,7 @@ class CooldownManager {
    * @returns {string} Endpoint name
    */
   getEndpointName(url) {
-    if (url.includes('GetFriendList')) return 'friends';
-    if (url.includes('inventory')) return 'inventory';
-    if (url.includes('GetSteamLevel')) return 'steam_level';
-    if (url.includes('GetAnimatedAvatar')) return 'animated_avatar';
-    if (url.includes('GetAvatarFrame')) return 'avatar_frame';
-    if (url.includes('GetMiniProfileBackground')) return 'mini_profile_background';
-    if (url.includes('GetProfileBackground')) return 'profile_background';
-
-    return 'other';
+    return checkRegistry.getEndpointNameForUrl(url) || 'other';
   }
 
   /**
@@ -326,8 +851,7 @@ class CooldownManager {
    * @returns {number} Timeout in milliseconds
    */
   getTimeoutForEndpoint(endpointName) {
-    if (endpointName === 'inventory') return 25000;
-    return 15000;
+    return checkRegistry.getTimeoutForEndpoint(endpointName) || 15000;
   }
 
   /**
@@ -343,27 +867,56 @@ class CooldownManager {
       return { error };
     }
 
-    const { endpointName } = connectionInfo;
+    const { endpointName, connectionIndex } = connectionInfo;
+    const label = this.getConnectionLabel(connectionIndex);
 
     // Check if rate limited
     if (error.response && error.response.status === 429) {
-      logger.warn(`Rate limit (429) hit for ${endpointName}`);
-      this.markEndpointCooldown(endpointName, '429', error.message);
-      return { rateLimited: true, error, endpointName };
+      const retryHint = this.parseRetryHint(error);
+      logger.warn(`Rate limit (429) hit for ${endpointName} on ${label}${retryHint ? ` (server asked to wait ${Math.ceil(retryHint.delayMs / 1000)}s)` : ''}`);
+      this.markEndpointCooldown(endpointName, '429', error.message, connectionIndex, retryHint);
+      return { rateLimited: true, error, endpointName, connectionIndex, retryHint };
+    }
+
+    // Proxy failures take the proxy out of rotation, not the endpoint
+    if (this.isProxyError(error, connectionInfo)) {
+      logger.warn(`Proxy error for ${endpointName} on ${label}: ${error.message}`);
+      this.markEndpointCooldown(endpointName, 'socks_error', error.message, connectionIndex);
+      return { socksError: true, error, endpointName, connectionIndex };
     }
 
     // Handle connection errors
     if (this.isConnectionError(error)) {
       const errorType = this.categorizeConnectionError(error);
-      logger.warn(`${errorType} for ${endpointName}: ${error.message}`);
-      this.markEndpointCooldown(endpointName, errorType, error.message);
-      return { connectionError: true, error, endpointName, errorType };
+      logger.warn(`${errorType} for ${endpointName} on ${label}: ${error.message}`);
+      this.markEndpointCooldown(endpointName, errorType, error.message, connectionIndex);
+      return { connectionError: true, error, endpointName, errorType, connectionIndex };
     }
 
     // Handle other errors normally
     return { error };
   }
 
+  /**
+   * Detect errors raised by the proxy itself (SOCKS handshake failures, HTTP proxy auth)
+   * @param {Error} error - The error object
+   * @param {Object} connectionInfo - _connectionInfo of the failed request
+   * @returns {boolean}
+   */
+  isProxyError(error, connectionInfo) {
+    if (!connectionInfo.connectionType || connectionInfo.connectionType === 'direct') {
+      return false;
+    }
+
+    const errorMsg = error.message || '';
+
+    return (
+      /socks/i.test(errorMsg) ||
+      /proxy/i.test(errorMsg) ||
+      (error.response && error.response.status === 407)
+    );
+  }
+
   /**
    * Detect if error is a connection error
    * @param {Error} error - The error object
@@ -408,86 +961,137 @@ class CooldownManager {
 
   /**
    * Get connection status for monitoring
-   * @returns {Object} Status object with endpoint information
+   * @returns {Object} Status object with per-connection endpoint information
    */
   getConnectionStatus() {
     this.cleanupExpiredCooldowns();
 
-    const allEndpoints = ['friends', 'inventory', 'steam_level', 'animated_avatar',
-                          'avatar_frame', 'mini_profile_background', 'profile_background'];
+    const allEndpoints = checkRegistry.getEndpointNames();
 
     const status = {
+      selectionStrategy: this.selectionStrategy,
       connections: [],
       endpointSummary: {}
     };
 
     const now = Date.now();
 
-    // Single connection status
-    const connStatus = {
-      index: 0,
-      type: 'direct',
-      url: null,
-      availableEndpoints: 0,
-      totalEndpoints: allEndpoints.length,
-      endpointCooldowns: {}
-    };
+    for (const connection of this.connections) {
+      const endpointCooldowns = this.getEndpointCooldowns(connection.index);
+      const connStatus = {
+        index: connection.index,
+        type: connection.type,
+        url: maskProxyUrl(connection.url),
+        availableEndpoints: 0,
+        totalEndpoints: allEndpoints.length,
+        endpointCooldowns: {},
+        backoffLevels: {}
+      };
 
-    // Check each endpoint
-    for (const endpoint of allEndpoints) {
-      const cooldown = this.cooldowns.endpoint_cooldowns[endpoint];
+      const entry = this.getConnectionEntry(connection.index);
+      for (const endpoint of Object.keys(entry ? entry.backoff_levels : {})) {
+        connStatus.backoffLevels[endpoint] = this.getBackoffDecayStatus(connection.index, endpoint);
+      }
 
-      if (!cooldown || cooldown.cooldown_until <= now) {
-        connStatus.availableEndpoints++;
-        connStatus.endpointCooldowns[endpoint] = 'available';
-      } else {
-        const remainingMs = Math.max(0, cooldown.cooldown_until - now);
-        connStatus.endpointCooldowns[endpoint] = {
-          status: 'cooldown',
-          remainingMs: remainingMs,
-          reason: cooldown.reason,
-          until: new Date(cooldown.cooldown_until).toLocaleString()
-        };
+      // Check each endpoint
+      for (const endpoint of allEndpoints) {
+        const cooldown = endpointCooldowns[endpoint];
+
+        if (!cooldown || cooldown.cooldown_until <= now) {
+          connStatus.availableEndpoints++;
+          connStatus.endpointCooldowns[endpoint] = 'available';
+        } else {
+          const remainingMs = Math.max(0, cooldown.cooldown_until - now);
+          connStatus.endpointCooldowns[endpoint] = {
+            status: 'cooldown',
+            remainingMs: remainingMs,
+            reason: cooldown.reason,
+            backoffLevel: typeof cooldown.backoff_level === 'number' ? cooldown.backoff_level : null,
+            decisionSource: cooldown.decision_source || null,
+            until: new Date(cooldown.cooldown_until).toLocaleString()
+          };
+        }
       }
-    }
 
-    status.connections.push(connStatus);
+      status.connections.push(connStatus);
+    }
 
     // Create endpoint summary
     for (const endpoint of allEndpoints) {
-      const isAvailable = this.isEndpointAvailable(endpoint);
+      const availableConnections = this.getAvailableConnections(endpoint).length;
 
       status.endpointSummary[endpoint] = {
-        availableConnections: isAvailable ? 1 : 0,
-        totalConnections: 1,
-        nextAvailableIn: isAvailable ? 0 : this.getNextAvailableTimeForEndpoint(endpoint)
+        availableConnections: availableConnections,
+        totalConnections: this.connections.length,
+        nextAvailableIn: availableConnections > 0 ? 0 : this.getNextAvailableTimeForEndpoint(endpoint)
       };
     }
 
     return status;
   }
 
+  /**
+   * Backoff level and how far it is from decaying, for monitoring
+   * @param {number} connectionIndex - Connection index
+   * @param {string} endpoint - Endpoint name
+   * @returns {Object} { level, consecutiveSuccesses, successesUntilDecay, nextQuietDecayInMs }
+   */
+  getBackoffDecayStatus(connectionIndex, endpoint) {
+    const state = this.getBackoffState(connectionIndex, endpoint);
+    if (!state) {
+      return { level: 0, consecutiveSuccesses: 0, successesUntilDecay: null, nextQuietDecayInMs: null };
+    }
+
+    const { SUCCESSES_PER_LEVEL, QUIET_PERIOD_MS } = this.backoffDecay;
+    const since = Math.max(state.last_rate_limited_at || 0, state.last_decay_at || 0);
+
+    return {
+      level: state.backoff_level,
+      consecutiveSuccesses: state.consecutive_successes,
+      successesUntilDecay: SUCCESSES_PER_LEVEL > 0 ? Math.max(0, SUCCESSES_PER_LEVEL - state.consecutive_successes) : null,
+      nextQuietDecayInMs: QUIET_PERIOD_MS > 0 ? Math.max(0, since + QUIET_PERIOD_MS - Date.now()) : null
+    };
+  }
+
   /**
    * Initialize backoff levels from file on startup
+   * Older files only recorded backoff_level on active 429 cooldowns - those are copied into backoff_levels
    */
   initializeBackoffLevelsFromFile() {
     try {
-      if (!this.cooldowns || !this.cooldowns.endpoint_cooldowns) {
+      if (!this.cooldowns || !Array.isArray(this.cooldowns.connections)) {
         logger.debug('No cooldowns data available for backoff level initialization');
         return;
       }
 
       let initializedCount = 0;
 
-      for (const [endpoint, cooldown] of Object.entries(this.cooldowns.endpoint_cooldowns)) {
-        if (cooldown.reason === '429' && typeof cooldown.backoff_level === 'number') {
-          this.backoffLevels.set(endpoint, cooldown.backoff_level);
+      for (const connection of this.cooldowns.connections) {
+        for (const [endpoint, cooldown] of Object.entries(connection.endpoint_cooldowns)) {
+          const key = this.getConnectionKey(connection.index, endpoint);
+          if (cooldown.applied_at) {
+            this.lastLimitedAt.set(key, cooldown.applied_at);
+          }
+
+          if (cooldown.reason === '429' && typeof cooldown.backoff_level === 'number' && !connection.backoff_levels[endpoint]) {
+            connection.backoff_levels[endpoint] = {
+              backoff_level: cooldown.backoff_level,
+              consecutive_successes: 0,
+              last_rate_limited_at: cooldown.applied_at || Date.now(),
+              last_decay_at: null
+            };
+          }
+        }
+
+        for (const [endpoint, state] of Object.entries(connection.backoff_levels)) {
           initializedCount++;
-          logger.debug(`Initialized backoff level ${cooldown.backoff_level} for endpoint ${endpoint}`);
+          logger.debug(`Initialized backoff level ${state.backoff_level} for endpoint ${endpoint} on ${this.getConnectionLabel(connection.index)}`);
         }
       }
 
       if (initializedCount > 0) {
+        this.decayBackoffLevels();
+        this.saveCooldowns();
         logger.info(`✅ Initialized ${initializedCount} backoff levels from file on startup`);
       } else {
         logger.debug('No backoff levels found in file to initialize');
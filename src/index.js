@@ -5,16 +5,55 @@ const ApiService = require('./api-service');
 const QueueManager = require('./queue-manager');
 const ApiServer = require('./api-server');
 const RedisQueueClient = require('./redis-queue-client');
+const checkRegistry = require('./check-registry');
+const WorkerPool = require('./worker-pool');
+const BulkPrefilter = require('./bulk-prefilter');
+const resultHistory = require('./result-history');
+const responseCache = require('./response-cache');
+const webhookNotifier = require('./webhook-notifier');
+const submissionOutbox = require('./submission-outbox');
+const shadowReport = require('./shadow-report');
+const checkPlanner = require('./check-planner');
+const { recordProfileCompletion } = require('./profile-completion');
 const logger = require('./utils/logger');
 const crypto = require('crypto');
 
 // Global state variables
 let isProcessing = false;
 let isProcessingDeferred = false;
+let workerPool = null; // Bounded pool of concurrently processed profiles
+let bulkPrefilter = null; // Bulk GetPlayerSummaries / GetPlayerBans stage
 let apiServer = null; // NUEVO
 let queueManager = null; // For cleanup on shutdown
 let redisQueueClient = null; // For cleanup on shutdown
 
+// Run deferred checks without holding up the profile dispatcher
+function processDeferredChecksInBackground(steamValidator, queueManager) {
+  if (isProcessingDeferred) {
+    logger.debug(`🔍 [DEBUG] Deferred check processing already in progress, skipping`);
+    return;
+  }
+  
+  isProcessingDeferred = true;
+  logger.debug(`🔍 [DEBUG] Processing deferred checks...`);
+  
+  steamValidator.processDeferredChecks(queueManager)
+    .then(deferredResult => {
+      if (deferredResult.processed > 0) {
+        logger.info(`Processed ${deferredResult.processed} deferred checks, ${deferredResult.remaining} remaining`);
+      } else {
+        logger.debug(`🔍 [DEBUG] No deferred checks were processed (processed: ${deferredResult.processed}, remaining: ${deferredResult.remaining})`);
+      }
+    })
+    .catch(error => {
+      logger.error(`Deferred check processing error: ${error.message}`);
+    })
+    .finally(() => {
+      isProcessingDeferred = false;
+    });
+}
+
+// Hand processable profiles to free worker slots
 async function processQueuedProfiles(steamValidator, apiService, queueManager) {
   if (isProcessing) {
     logger.debug('Processing already in progress, skipping');
@@ -26,43 +65,90 @@ async function processQueuedProfiles(steamValidator, apiService, queueManager) {
   
   try {
     // Process deferred checks first if connections are available
-    if (!isProcessingDeferred) {
-      isProcessingDeferred = true;
-      logger.debug(`🔍 [DEBUG] Processing deferred checks...`);
-      try {
-        const deferredResult = await steamValidator.processDeferredChecks(queueManager);
-        if (deferredResult.processed > 0) {
-          logger.info(`Processed ${deferredResult.processed} deferred checks, ${deferredResult.remaining} remaining`);
-        } else {
-          logger.debug(`🔍 [DEBUG] No deferred checks were processed (processed: ${deferredResult.processed}, remaining: ${deferredResult.remaining})`);
-        }
-      } finally {
-        isProcessingDeferred = false;
-      }
-    } else {
-      logger.debug(`🔍 [DEBUG] Deferred check processing already in progress, skipping`);
+    processDeferredChecksInBackground(steamValidator, queueManager);
+    
+    if (!workerPool.hasCapacity()) {
+      logger.debug(`🔍 [DEBUG] All ${workerPool.concurrency} workers busy`);
+      return;
     }
     
-    // Find next processable profile from queue
-    logger.debug(`🔍 [DEBUG] Getting next processable profile...`);
-    const profile = await queueManager.getNextProcessableProfile();
+    // Find processable profiles for the free worker slots, skipping ones already in progress
+    logger.debug(`🔍 [DEBUG] Getting up to ${workerPool.availableSlots} processable profiles...`);
+    const profiles = await queueManager.getProcessableProfiles(workerPool.availableSlots, workerPool.activeKeys());
     
-    if (!profile) {
+    if (profiles.length === 0) {
       logger.debug('🔍 [DEBUG] No processable profiles in queue');
-      isProcessing = false;
       return;
     }
     
+    // One request per bulk endpoint covers these profiles (and up to 100 others waiting in the queue)
+    const prefiltered = await bulkPrefilter.prefilter(profiles);
+    for (const profile of profiles) {
+      Object.assign(profile, prefiltered.get(profile.steam_id) || {});
+    }
+    
+    for (const profile of profiles) {
+      workerPool.run(profile.steam_id, () => processProfile(profile, steamValidator, apiService, queueManager));
+    }
+  } catch (error) {
+    logger.error(`Queue processing error: ${error.message}`);
+  } finally {
+    isProcessing = false;
+  }
+}
+
+/**
+ * Record a profile's final outcome (result history and webhooks, or the shadow report), then remove it from the queue
+ * @param {string} steamId - Steam ID
+ * @param {QueueManager} queueManager - Queue manager
+ * @param {Object} completion - { outcome, failedCheck, submission } (see ResultHistory.recordCompletion)
+ */
+async function finalizeProfile(steamId, queueManager, completion) {
+  const profile = await queueManager.getProfileBySteamId(steamId);
+  if (profile) {
+    recordProfileCompletion(profile, completion);
+  }
+  await queueManager.removeProfileFromQueue(steamId);
+}
+
+/**
+ * Reject a profile after a failed check: skip its remaining checks and finalize it
+ * @param {string} steamId - Steam ID
+ * @param {string|null} failedCheck - Check that failed (null to take it from the queue)
+ * @param {SteamValidator} steamValidator - Validator holding the in-memory deferred checks
+ * @param {QueueManager} queueManager - Queue manager
+ */
+async function rejectProfile(steamId, failedCheck, steamValidator, queueManager) {
+  const skipped = await queueManager.skipRemainingChecks(steamId);
+  steamValidator.clearDeferredChecksForProfile(steamId);
+  if (skipped.length > 0) {
+    logger.info(`Skipped ${skipped.length} remaining checks for ${steamId}: ${skipped.join(', ')}`);
+  }
+  await finalizeProfile(steamId, queueManager, { outcome: 'rejected', failedCheck });
+}
+
+// Run the outstanding checks of one profile (executed inside a worker slot)
+async function processProfile(profile, steamValidator, apiService, queueManager) {
+  try {
     logger.debug(`🔍 [DEBUG] Found processable profile: ${profile.steam_id} (user: ${profile.username})`);
     logger.debug(`🔍 [DEBUG] Profile checks: ${JSON.stringify(profile.checks)}`);
     
     const steamId = profile.steam_id;
     const username = profile.username;
     
-    // Run checks that are marked "to_check"
-    const checksToRun = Object.entries(profile.checks)
-      .filter(([_, status]) => status === "to_check")
-      .map(([name, _]) => name);
+    // A check already failed (e.g. a deferred check that ran in the background) - nothing left worth running
+    if (Object.values(profile.checks).includes("failed")) {
+      logger.info(`A check already failed for ${steamId} (user: ${username}), removing from queue`);
+      await rejectProfile(steamId, null, steamValidator, queueManager);
+      return;
+    }
+    
+    // Run checks that are marked "to_check", cheapest / most likely to reject first
+    const checksToRun = checkPlanner.orderChecks(
+      Object.entries(profile.checks)
+        .filter(([_, status]) => status === "to_check")
+        .map(([name, _]) => name)
+    );
     
     logger.debug(`🔍 [DEBUG] Checks to run: ${checksToRun.join(', ')}`);
     
@@ -77,53 +163,25 @@ async function processQueuedProfiles(steamValidator, apiService, queueManager) {
       logger.debug(`🔍 [DEBUG] Profile ${steamId}: Completion status: ${JSON.stringify(completionStatus)}`);
       
       if (completionStatus.allComplete) {
-        if (completionStatus.allPassed) {
-          logger.info(`All checks passed for ${steamId} (user: ${username}), sending to API`);
-          logger.info(`🔑 API key being used: ${CONFIG.LINK_HARVESTER_API_KEY ? CONFIG.LINK_HARVESTER_API_KEY.substring(0, 8) + '...' : 'undefined'}`);
-          
-          const apiResult = await apiService.handleNewSteamId(steamId, username);
-          
-          if (apiResult.success) {
-            logger.info(`API submission successful for ${steamId} (user: ${username})`);
-            // Remove from queue on success
-            await queueManager.removeProfileFromQueue(steamId);
-          } else {
-            // Check if error is retryable or permanent
-            const errorMessage = apiResult.error || '';
-            const isRetryableError = 
-              errorMessage.includes('Internal server error') ||           // 500 errors
-              errorMessage.includes('No response from server') ||        // Network timeouts
-              errorMessage.includes('Request setup error') ||            // Connection issues
-              errorMessage.includes('Service temporarily unavailable') || // 503 errors
-              (apiResult.status >= 500 && apiResult.status < 600);       // Any 5xx error
-            
-            if (isRetryableError) {
-              logger.warn(`API submission failed with retryable error for ${steamId} (user: ${username}): ${apiResult.error}`);
-              logger.info(`Profile ${steamId} (user: ${username}) will remain in queue for retry`);
-              // Don't remove - will be retried in next processing cycle
-            } else {
-              // Permanent error or success case
-              if (errorMessage.includes('Link already exists')) {
-                logger.info(`Steam ID ${steamId} (user: ${username}) already exists on PythonAnywhere - removing from queue`);
-              } else {
-                logger.error(`API submission failed with permanent error for ${steamId} (user: ${username}): ${apiResult.error}`);
-                logger.info(`Removing ${steamId} (user: ${username}) from queue (non-retryable error)`);
-              }
-              // Remove from queue for permanent errors
-              await queueManager.removeProfileFromQueue(steamId);
-            }
-          }
+        if (completionStatus.allPassed && shadowReport.enabled) {
+          logger.info(`All checks passed for ${steamId} (user: ${username}), not submitting (shadow mode)`);
+          await finalizeProfile(steamId, queueManager, { outcome: 'passed' });
+        } else if (completionStatus.allPassed) {
+          logger.info(`All checks passed for ${steamId} (user: ${username}), moving to submission outbox`);
+          // The outbox worker submits it to the API (and records the outcome), so it leaves the queue now
+          submissionOutbox.enqueue(profile);
+          webhookNotifier.notifyPassed(profile);
+          await queueManager.removeProfileFromQueue(steamId);
         } else {
           // Some checks failed validation - remove from queue
           logger.info(`Some checks failed for ${steamId} (user: ${username}), removing from queue`);
-          await queueManager.removeProfileFromQueue(steamId);
+          await finalizeProfile(steamId, queueManager, { outcome: 'rejected' });
         }
       } else {
         // Has deferred checks - don't process repeatedly, just log and wait
         logger.debug(`🔍 [DEBUG] Profile ${steamId} (user: ${username}) has deferred checks, will be processed when connections are available`);
       }
       
-      isProcessing = false;
       return;
     }
     
@@ -137,58 +195,25 @@ async function processQueuedProfiles(steamValidator, apiService, queueManager) {
     // Run each check in order
     for (let i = 0; i < checksToRun.length; i++) {
       const checkName = checksToRun[i];
+      const check = checkRegistry.get(checkName);
       
       // Skip further checks if we've already identified this as a private profile
-      // and the current check is either friends or csgo_inventory
-      const isRateLimitedCheck = checkName === 'friends' || checkName === 'csgo_inventory';
-      if (isPrivateProfile && isRateLimitedCheck) {
+      // and the current check can't see anything on private profiles
+      if (isPrivateProfile && check && check.skipOnPrivateProfile) {
         logger.info(`Auto-passing check '${checkName}' for ${steamId} (user: ${username}) (private profile)`);
         await queueManager.updateProfileCheck(steamId, checkName, "passed");
+        resultHistory.recordCheckResult(steamId, checkName, 'passed', { autoPassed: true, reason: 'private_profile' });
         continue;
       }
       
       try {
-        let checkResult;
-        
         // Run the appropriate check
-        switch (checkName) {
-          case 'animated_avatar':
-            checkResult = await steamValidator.checkAnimatedAvatar(steamId);
-            break;
-          case 'avatar_frame':
-            checkResult = await steamValidator.checkAvatarFrame(steamId);
-            break;
-          case 'mini_profile_background':
-            checkResult = await steamValidator.checkMiniProfileBackground(steamId);
-            break;
-          case 'profile_background':
-            checkResult = await steamValidator.checkProfileBackground(steamId);
-            break;
-          case 'steam_level':
-            checkResult = await steamValidator.checkSteamLevel(steamId);
-            
-            // After steam level check, determine if this is a private profile
-            if (checkResult.success && 
-                checkResult.details && 
-                checkResult.details.note && 
-                checkResult.details.note.includes("Empty response from API")) {
-              isPrivateProfile = true;
-              logger.info(`Private profile detected for ${steamId} (user: ${username}) - will auto-pass remaining private checks`);
-            }
-            break;
-          case 'friends':
-            checkResult = await steamValidator.checkFriends(steamId);
-            break;
-          case 'csgo_inventory':
-            checkResult = await steamValidator.checkCsgoInventory(steamId);
-            break;
-          default:
-            logger.error(`Unknown check type: ${checkName}`);
-            checkResult = {
-              success: false,
-              passed: false,
-              error: `Unknown check type: ${checkName}`
-            };
+        const checkResult = await steamValidator.runCheck(checkName, steamId, username, profile);
+        
+        // Determine if this check revealed a private profile
+        if (check && check.detectsPrivateProfile && check.detectsPrivateProfile(checkResult)) {
+          isPrivateProfile = true;
+          logger.info(`Private profile detected for ${steamId} (user: ${username}) - will auto-pass remaining private checks`);
         }
         
         // Handle check result
@@ -210,9 +235,10 @@ async function processQueuedProfiles(steamValidator, apiService, queueManager) {
           logger.info(`Marked ${checkName} as deferred, continuing with other checks for ${steamId} (user: ${username})`);
           continue; // Continue to next check, don't exit the loop
         } else if (!checkResult.passed) {
-          // Check failed validation - remove from queue
+          // Check failed validation - skip the remaining checks and remove from queue
           logger.info(`Check '${checkName}' for ${steamId} (user: ${username}) failed validation, removing from queue`);
-          await queueManager.removeProfileFromQueue(steamId);
+          await queueManager.updateProfileCheck(steamId, checkName, "failed");
+          await rejectProfile(steamId, checkName, steamValidator, queueManager);
           break; // Exit the check loop for this profile
         } else {
           // Check passed - update status
@@ -228,16 +254,14 @@ async function processQueuedProfiles(steamValidator, apiService, queueManager) {
       }
     }
   } catch (error) {
-    logger.error(`Queue processing error: ${error.message}`);
-  } finally {
-    isProcessing = false;
+    logger.error(`Profile processing error for ${profile.steam_id}: ${error.message}`);
   }
 }
 
 async function main() {
   logger.info('Starting Steam ID Processor Service');
   logger.info('===================================');
-  logger.info(`Queue file: ${CONFIG.QUEUE_PATH || 'steam-id-processor/profiles_queue.json'}`);
+  logger.info(`Queue store: ${CONFIG.QUEUE_STORE} (${CONFIG.QUEUE_STORE === 'sqlite' ? CONFIG.QUEUE_DB_PATH : CONFIG.QUEUE_PATH})`);
   
   // DEBUG: Verificar CONFIG completo
   logger.debug(`🔍 [DEBUG] CONFIG keys: ${Object.keys(CONFIG).join(', ')}`);
@@ -264,17 +288,6 @@ async function main() {
     process.exit(1);
   }
   
-  // NUEVO: Iniciar API Server
-  try {
-    logger.info('🌐 Starting API Server...');
-    apiServer = new ApiServer();
-    await apiServer.start();
-    logger.info('✅ API Server started successfully');
-  } catch (error) {
-    logger.error(`❌ Failed to start API server: ${error.message}`);
-    process.exit(1);
-  }
-  
   // Initialize components
   logger.debug(`🔍 [DEBUG] About to initialize SteamValidator with CONFIG`);
   const steamValidator = new SteamValidator(CONFIG);
@@ -305,6 +318,25 @@ async function main() {
   // Initialize QueueManager with Redis client AND steamValidator for health checks
   queueManager = new QueueManager(CONFIG, redisQueueClient, steamValidator);
 
+  // Restore deferred checks persisted by a previous run
+  await steamValidator.initializeDeferredChecksFromQueue(queueManager);
+
+  // NUEVO: Iniciar API Server (shares the queue manager so both use the same queue store)
+  try {
+    logger.info('🌐 Starting API Server...');
+    apiServer = new ApiServer({ queueManager, steamValidator, apiService });
+    await apiServer.start();
+    logger.info('✅ API Server started successfully');
+  } catch (error) {
+    logger.error(`❌ Failed to start API server: ${error.message}`);
+    process.exit(1);
+  }
+
+  // Bounded pool of profiles processed concurrently
+  workerPool = new WorkerPool(CONFIG.WORKER_CONCURRENCY);
+  bulkPrefilter = new BulkPrefilter(steamValidator, queueManager, CONFIG.BULK_PREFILTER);
+  logger.info(`Worker pool initialized - up to ${CONFIG.WORKER_CONCURRENCY} profiles processed concurrently`);
+
   logger.info('Service initialized and ready for processing');
 
   // Convert any existing deferred checks from previous runs
@@ -341,10 +373,10 @@ async function main() {
       
       const status = steamValidator.getCooldownStatus();
 
-      // Endpoint status logging
-      const conn = status.connections[0]; // Single connection
-      const availableEndpoints = conn.availableEndpoints;
-      const totalEndpoints = conn.totalEndpoints;
+      // Endpoint status across the connection pool: an endpoint is available while any connection can reach it
+      const endpointSummaries = Object.values(status.endpointSummary);
+      const availableEndpoints = endpointSummaries.filter(summary => summary.availableConnections > 0).length;
+      const totalEndpoints = endpointSummaries.length;
 
       let connectionStatus;
       if (availableEndpoints === totalEndpoints) {
@@ -362,7 +394,7 @@ async function main() {
       const queueStats = await queueManager.getQueueStats();
 
       // Log current status
-      logger.info(`🔌 Endpoint status: ${connectionStatus}`);
+      logger.info(`🔌 Endpoint status: ${connectionStatus} (${status.connections.length} connections)`);
       logger.info(`📋 Queue status: ${queueStats.totalProfiles} profiles total`);
       
       if (queueStats.totalProfiles > 0) {
@@ -439,11 +471,28 @@ async function main() {
     setTimeout(checkCooldownStatus, 60 * 1000);
   };
 
+  // 3. Submit passed profiles waiting in the outbox
+  const processOutbox = async () => {
+    const summary = await submissionOutbox.processDue(apiService);
+    if (summary.submitted + summary.retried + summary.dead > 0) {
+      logger.info(`📮 Outbox: ${summary.submitted} submitted, ${summary.retried} to retry, ${summary.dead} dead`);
+    }
+    
+    setTimeout(processOutbox, CONFIG.SUBMISSION_OUTBOX.INTERVAL_MS);
+  };
+
   // Start all processes
   logger.debug(`🔍 [DEBUG] Starting processQueue...`);
   processQueue();
   logger.debug(`🔍 [DEBUG] Starting checkCooldownStatus...`);
   checkCooldownStatus();
+  if (shadowReport.enabled) {
+    // Nothing may reach the link API - submissions left from earlier runs wait for a normal run
+    logger.info(`👥 Shadow mode enabled - not submitting links or completing Redis items, results go to ${shadowReport.reportPath}`);
+  } else {
+    logger.debug(`🔍 [DEBUG] Starting processOutbox...`);
+    processOutbox();
+  }
   
   logger.info('All processing loops started');
   logger.info('Waiting for Steam IDs to be added to queue via Django API...');
@@ -459,6 +508,12 @@ main().catch(error => {
 process.on('SIGINT', async () => {
   logger.info('Shutting down...');
 
+  // Give in-flight profiles a moment to finish their current checks
+  if (workerPool && workerPool.activeCount > 0) {
+    logger.info(`Waiting for ${workerPool.activeCount} in-flight profiles...`);
+    await Promise.race([workerPool.onIdle(), new Promise(resolve => setTimeout(resolve, 10000))]);
+  }
+
   // Release all queued items back to Redis
   if (queueManager && redisQueueClient) {
     try {
@@ -483,6 +538,19 @@ process.on('SIGINT', async () => {
     }
   }
 
+  // Close the queue store
+  if (queueManager) {
+    try {
+      await queueManager.close();
+    } catch (error) {
+      logger.error(`Error closing queue store: ${error.message}`);
+    }
+  }
+  resultHistory.close();
+  responseCache.close();
+  submissionOutbox.close();
+  webhookNotifier.shutdown();
+
   logger.info('Shutdown complete - all items released');
 
   // Allow some time for cleanup
@@ -492,6 +560,12 @@ process.on('SIGINT', async () => {
 process.on('SIGTERM', async () => {
   logger.info('Shutting down...');
 
+  // Give in-flight profiles a moment to finish their current checks
+  if (workerPool && workerPool.activeCount > 0) {
+    logger.info(`Waiting for ${workerPool.activeCount} in-flight profiles...`);
+    await Promise.race([workerPool.onIdle(), new Promise(resolve => setTimeout(resolve, 10000))]);
+  }
+
   // Release all queued items back to Redis
   if (queueManager && redisQueueClient) {
     try {
@@ -516,6 +590,19 @@ process.on('SIGTERM', async () => {
     }
   }
 
+  // Close the queue store
+  if (queueManager) {
+    try {
+      await queueManager.close();
+    } catch (error) {
+      logger.error(`Error closing queue store: ${error.message}`);
+    }
+  }
+  resultHistory.close();
+  responseCache.close();
+  submissionOutbox.close();
+  webhookNotifier.shutdown();
+
   logger.info('Shutdown complete - all items released');
 
   // Allow some time for cleanup
@@ -0,0 +1,225 @@
+// steam-id-processor/src/metrics.js
+const client = require('prom-client');
+const logger = require('./utils/logger');
+
+/**
+ * Prometheus metrics for the processor, exposed by ApiServer on GET /metrics
+ *
+ * Modules record through the helpers below instead of touching the metric objects,
+ * so label names stay consistent everywhere they are used.
+ */
+const PREFIX = 'steam_processor_';
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+const checksTotal = new client.Counter({
+  name: `${PREFIX}checks_total`,
+  help: 'Validation checks run, by check and outcome (passed, failed, deferred, error)',
+  labelNames: ['check', 'outcome'],
+  registers: [register]
+});
+
+const steamRequestDuration = new client.Histogram({
+  name: `${PREFIX}steam_request_duration_seconds`,
+  help: 'Steam request latency by endpoint and HTTP status (network_error when there was no response)',
+  labelNames: ['endpoint', 'status'],
+  buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10, 20, 30],
+  registers: [register]
+});
+
+const steamRequestsTotal = new client.Counter({
+  name: `${PREFIX}steam_requests_total`,
+  help: 'Steam requests by endpoint, connection type and HTTP status',
+  labelNames: ['endpoint', 'connection_type', 'status'],
+  registers: [register]
+});
+
+const rateLimitedTotal = new client.Counter({
+  name: `${PREFIX}steam_rate_limited_total`,
+  help: 'Steam 429 responses by endpoint',
+  labelNames: ['endpoint'],
+  registers: [register]
+});
+
+const cooldownsAppliedTotal = new client.Counter({
+  name: `${PREFIX}cooldowns_applied_total`,
+  help: 'Endpoint cooldowns applied, by endpoint, reason and connection type',
+  labelNames: ['endpoint', 'reason', 'connection_type'],
+  registers: [register]
+});
+
+const apiSubmissionsTotal = new client.Counter({
+  name: `${PREFIX}api_submissions_total`,
+  help: 'Profiles submitted to the downstream link API, by result (ok, duplicate, invalid_id, auth_error, retryable, permanent)',
+  labelNames: ['result'],
+  registers: [register]
+});
+
+const redisOperationsTotal = new client.Counter({
+  name: `${PREFIX}redis_queue_operations_total`,
+  help: 'Redis queue API calls by operation (claim, complete, release, release_instance) and result',
+  labelNames: ['operation', 'result'],
+  registers: [register]
+});
+
+const redisItemsTotal = new client.Counter({
+  name: `${PREFIX}redis_queue_items_total`,
+  help: 'Items claimed, completed or released through the Redis queue API',
+  labelNames: ['operation'],
+  registers: [register]
+});
+
+const responseCacheTotal = new client.Counter({
+  name: `${PREFIX}response_cache_lookups_total`,
+  help: 'Steam response cache lookups by endpoint and result (hit, miss, expired)',
+  labelNames: ['endpoint', 'result'],
+  registers: [register]
+});
+
+// Queue depth is read from the queue store at scrape time
+let queueDepthProvider = null;
+
+new client.Gauge({
+  name: `${PREFIX}queue_checks`,
+  help: 'Checks in the local queue by status (to_check, passed, failed, deferred, skipped)',
+  labelNames: ['status'],
+  registers: [register],
+  async collect() {
+    if (!queueDepthProvider) {
+      return;
+    }
+
+    try {
+      const profiles = await queueDepthProvider();
+      const counts = { to_check: 0, passed: 0, failed: 0, deferred: 0, skipped: 0 };
+      for (const profile of profiles) {
+        for (const status of Object.values(profile.checks || {})) {
+          counts[status] = (counts[status] || 0) + 1;
+        }
+      }
+      this.reset();
+      Object.entries(counts).forEach(([status, count]) => this.set({ status }, count));
+    } catch (error) {
+      logger.error(`Error collecting queue depth metrics: ${error.message}`);
+    }
+  }
+});
+
+new client.Gauge({
+  name: `${PREFIX}queue_profiles`,
+  help: 'Profiles in the local queue',
+  registers: [register],
+  async collect() {
+    if (!queueDepthProvider) {
+      return;
+    }
+
+    try {
+      this.set((await queueDepthProvider()).length);
+    } catch (error) {
+      logger.error(`Error collecting queue size metric: ${error.message}`);
+    }
+  }
+});
+
+/**
+ * @param {Function} provider - Async function returning the queued profiles
+ */
+function setQueueDepthProvider(provider) {
+  queueDepthProvider = provider;
+}
+
+// Submission outbox size is read from the outbox at scrape time
+let outboxStatsProvider = null;
+
+new client.Gauge({
+  name: `${PREFIX}outbox_submissions`,
+  help: 'Passed profiles in the submission outbox by status (pending, dead)',
+  labelNames: ['status'],
+  registers: [register],
+  collect() {
+    if (!outboxStatsProvider) {
+      return;
+    }
+
+    try {
+      const stats = outboxStatsProvider();
+      this.set({ status: 'pending' }, stats.pending);
+      this.set({ status: 'dead' }, stats.dead);
+    } catch (error) {
+      logger.error(`Error collecting outbox metrics: ${error.message}`);
+    }
+  }
+});
+
+/**
+ * @param {Function} provider - Function returning the outbox stats ({ pending, dead })
+ */
+function setOutboxStatsProvider(provider) {
+  outboxStatsProvider = provider;
+}
+
+/**
+ * @param {string} checkName - Check name
+ * @param {Object} result - runCheck result
+ */
+function recordCheck(checkName, result) {
+  let outcome;
+  if (result.success) {
+    outcome = result.passed ? 'passed' : 'failed';
+  } else {
+    outcome = result.deferred ? 'deferred' : 'error';
+  }
+  checksTotal.inc({ check: checkName, outcome });
+}
+
+/**
+ * @param {string} endpointName - Endpoint name
+ * @param {string} connectionType - direct, socks5 or http
+ * @param {number|string} status - HTTP status, or 'network_error'
+ * @param {number} durationMs - Request duration
+ */
+function recordSteamRequest(endpointName, connectionType, status, durationMs) {
+  steamRequestDuration.observe({ endpoint: endpointName, status: String(status) }, durationMs / 1000);
+  steamRequestsTotal.inc({ endpoint: endpointName, connection_type: connectionType || 'direct', status: String(status) });
+  if (status === 429) {
+    rateLimitedTotal.inc({ endpoint: endpointName });
+  }
+}
+
+function recordCooldown(endpointName, reason, connectionType) {
+  cooldownsAppliedTotal.inc({ endpoint: endpointName, reason, connection_type: connectionType || 'direct' });
+}
+
+function recordCacheLookup(endpointName, result) {
+  responseCacheTotal.inc({ endpoint: endpointName, result });
+}
+
+function recordApiSubmission(result) {
+  apiSubmissionsTotal.inc({ result });
+}
+
+/**
+ * @param {string} operation - claim, complete, release or release_instance
+ * @param {boolean} success - Whether the queue API call succeeded
+ * @param {number} [itemCount] - Items claimed/completed/released
+ */
+function recordRedisOperation(operation, success, itemCount = 0) {
+  redisOperationsTotal.inc({ operation, result: success ? 'success' : 'error' });
+  if (success && itemCount > 0) {
+    redisItemsTotal.inc({ operation }, itemCount);
+  }
+}
+
+module.exports = {
+  register,
+  setQueueDepthProvider,
+  setOutboxStatsProvider,
+  recordCheck,
+  recordSteamRequest,
+  recordCooldown,
+  recordCacheLookup,
+  recordApiSubmission,
+  recordRedisOperation
+};
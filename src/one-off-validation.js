@@ -0,0 +1,150 @@
+// steam-id-processor/src/one-off-validation.js
+const checkRegistry = require('./check-registry');
+const checkPlanner = require('./check-planner');
+const validationRules = require('./validation-rules');
+const shadowReport = require('./shadow-report');
+const submissionOutbox = require('./submission-outbox');
+const resultHistory = require('./result-history');
+const webhookNotifier = require('./webhook-notifier');
+const logger = require('./utils/logger');
+const { normalizeSteamId } = require('./steam-id');
+
+function checkStatus(result) {
+  if (result.success) {
+    return result.passed ? 'passed' : 'failed';
+  }
+  return result.deferred ? 'deferred' : 'error';
+}
+
+/**
+ * Why a validation can't submit, if it can't
+ * @returns {string|null} requested, shadow_mode or partial_checks (a subset of the user's enabled checks ran)
+ */
+function getDryRunReason(options, checkNames, enabledChecks) {
+  if (options.dryRun !== false) {
+    return 'requested';
+  }
+  if (shadowReport.enabled) {
+    return 'shadow_mode';
+  }
+  const ranEnabledChecks = checkNames.length === enabledChecks.length &&
+    enabledChecks.every(checkName => checkNames.includes(checkName));
+  return ranEnabledChecks ? null : 'partial_checks';
+}
+
+/**
+ * Queue a passed Steam ID for submission the way the processor does: the outbox worker submits it
+ * and records the outcome, with these check results in the result history
+ * @returns {boolean} False if it was already waiting for submission
+ */
+function queueForSubmission(steamId, username, checks) {
+  const profile = { steam_id: steamId, username, timestamp: Date.now(), checks: {} };
+  for (const [checkName, check] of Object.entries(checks)) {
+    profile.checks[checkName] = check.status;
+    resultHistory.recordCheckResult(steamId, checkName, check.status, check.auto_passed
+      ? { autoPassed: true, reason: check.reason }
+      : check.result);
+  }
+
+  const queued = submissionOutbox.enqueue(profile);
+  if (queued) {
+    webhookNotifier.notifyPassed(profile);
+  }
+  return queued;
+}
+
+/**
+ * Run the checks for one Steam ID right away, outside the queue ("would this Steam ID pass?")
+ *
+ * Checks run in the processor's order with the same private profile handling, and stop at the
+ * first failed check. A check whose endpoint is in cooldown on every connection comes back
+ * deferred instead of waiting for it. Nothing is written to the queue, the result history or
+ * the processor's deferred checks list.
+ *
+ * It's a dry run unless options.dryRun is false, and even then only submits when the checks that
+ * ran are exactly the user's enabled checks - a subset passing doesn't mean the Steam ID would.
+ * A submission goes through the submission outbox, like the processor's.
+ *
+ * @param {SteamValidator} steamValidator - Makes the requests (rate limits, cooldowns, connection pool)
+ * @param {*} input - steam_id in any accepted format (see steam-id.js)
+ * @param {Object} [options]
+ * @param {string} [options.username] - Selects per-user validation rules; submitted with the link
+ * @param {Array<string>} [options.checks] - Run only these checks (default: the user's enabled checks)
+ * @param {boolean} [options.dryRun] - Set to false to submit the Steam ID when every check passed (default: true)
+ * @returns {Object} { success: true, steam_id, outcome, failed_check, checks, deferred_checks, dry_run, dry_run_reason, submission }
+ *   or { success: false, error }
+ */
+async function validateSteamId(steamValidator, input, options = {}) {
+  const normalized = await normalizeSteamId(input, vanityName => steamValidator.resolveVanityUrl(vanityName));
+  if (!normalized.success) {
+    return { success: false, error: `Invalid steam_id: ${normalized.error}` };
+  }
+
+  const steamId = normalized.steamId;
+  const username = options.username || null;
+  const enabledChecks = validationRules.getEnabledChecks(username);
+  const checkNames = checkPlanner.orderChecks(options.checks || enabledChecks);
+  const dryRunReason = getDryRunReason(options, checkNames, enabledChecks);
+  const dryRun = dryRunReason !== null;
+
+  const checks = {};
+  let failedCheck = null;
+  let isPrivateProfile = false;
+
+  for (const checkName of checkNames) {
+    const check = checkRegistry.get(checkName);
+
+    if (failedCheck) {
+      checks[checkName] = { status: 'skipped' };
+      continue;
+    }
+    if (isPrivateProfile && check && check.skipOnPrivateProfile) {
+      checks[checkName] = { status: 'passed', auto_passed: true, reason: 'private_profile' };
+      continue;
+    }
+
+    const result = await steamValidator.executeCheck(checkName, steamId, username);
+    if (check && check.detectsPrivateProfile && check.detectsPrivateProfile(result)) {
+      isPrivateProfile = true;
+    }
+
+    checks[checkName] = { status: checkStatus(result), result };
+    if (result.success && !result.passed) {
+      failedCheck = checkName;
+    }
+  }
+
+  const deferredChecks = Object.keys(checks).filter(checkName => checks[checkName].status === 'deferred');
+  let outcome = 'passed';
+  if (failedCheck) {
+    outcome = 'rejected';
+  } else if (Object.values(checks).some(check => check.status !== 'passed')) {
+    // Deferred or errored checks - the answer isn't known yet
+    outcome = 'incomplete';
+  }
+
+  let submission = null;
+  if (outcome === 'passed' && !dryRun) {
+    submission = { result: queueForSubmission(steamId, username, checks) ? 'queued' : 'already_queued' };
+  }
+
+  logger.info(`🔎 One-off validation of ${steamId} (user: ${username || 'default rules'}): ${outcome}${failedCheck ? ` (${failedCheck})` : ''}${dryRun ? ` [dry run: ${dryRunReason}]` : ''}${submission ? `, submission: ${submission.result}` : ''}`);
+
+  return {
+    success: true,
+    steam_id: steamId,
+    input: steamId !== input ? input : undefined,
+    username,
+    outcome,
+    failed_check: failedCheck,
+    checks,
+    deferred_checks: deferredChecks,
+    dry_run: dryRun,
+    dry_run_reason: dryRunReason,
+    submission
+  };
+}
+
+module.exports = {
+  validateSteamId
+};
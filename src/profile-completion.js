@@ -0,0 +1,52 @@
+// steam-id-processor/src/profile-completion.js
+const resultHistory = require('./result-history');
+const webhookNotifier = require('./webhook-notifier');
+const shadowReport = require('./shadow-report');
+
+/**
+ * Record a profile's final outcome in the result history and notify webhooks - or, in shadow mode,
+ * write it to the shadow report instead and leave the history and webhooks alone
+ * @param {Object} profile - Queue profile
+ * @param {Object} completion - { outcome, failedCheck, submission } (see ResultHistory.recordCompletion)
+ * @param {Object} [options]
+ * @param {boolean} [options.notify] - Send webhooks (default: true)
+ */
+function recordProfileCompletion(profile, completion, options = {}) {
+  if (shadowReport.enabled) {
+    shadowReport.record(profile, completion.outcome, completion.failedCheck);
+    return;
+  }
+
+  const record = resultHistory.recordCompletion(profile, completion);
+  if (options.notify !== false) {
+    webhookNotifier.notifyCompletion(profile, completion, record);
+  }
+}
+
+/**
+ * Cancel a queued profile: record it as cancelled, then remove it from the queue
+ * (DELETE /profiles/:steamId and `queue remove`)
+ * @param {QueueManager} queueManager - Queue manager
+ * @param {string} steamId - Steam ID
+ * @param {string} removedBy - Who removed it, for the submission error ("API by <key>", "CLI")
+ * @param {Object} [options] - See recordProfileCompletion
+ * @returns {Object|null} The removed profile, or null if it isn't queued
+ */
+async function cancelProfile(queueManager, steamId, removedBy, options = {}) {
+  const profile = await queueManager.getProfileBySteamId(steamId);
+  if (!profile) {
+    return null;
+  }
+
+  recordProfileCompletion(profile, {
+    outcome: 'cancelled',
+    submission: { result: 'cancelled', error: `Removed via ${removedBy}` }
+  }, options);
+  await queueManager.removeProfileFromQueue(steamId);
+  return profile;
+}
+
+module.exports = {
+  recordProfileCompletion,
+  cancelProfile
+};
@@ -1,12 +1,18 @@
 // steam-id-processor/src/queue-manager.js
 const fs = require('fs-extra');
-const path = require('path');
 const logger = require('./utils/logger');
+const { writeFileAtomicSync } = require('./utils/atomic-file');
+const checkRegistry = require('./check-registry');
+const validationRules = require('./validation-rules');
+const { createQueueStore } = require('./queue-stores');
+const { normalizeSteamId } = require('./steam-id');
 
 class QueueManager {
   constructor(config, redisQueueClient = null, steamValidator = null) {
     this.config = config;
-    this.queuePath = path.join(__dirname, '../profiles_queue.json');
+
+    // Pluggable storage backend (SQLite or legacy JSON file)
+    this.store = createQueueStore(config);
 
     // Redis queue client (optional - for pulling from shared queue)
     this.redisQueueClient = redisQueueClient;
@@ -14,6 +20,17 @@ class QueueManager {
     // SteamValidator reference (for health checks before claiming from Redis)
     this.steamValidator = steamValidator;
 
+    // Shadow mode: finished Redis items are released, not completed, so the regular processors still get them.
+    // Released items are remembered (with an expiry, in a file) so claiming them again doesn't re-validate them,
+    // and claiming pauses once a claim only returns such items - the shadow instance has caught up with the queue
+    const shadowConfig = config.SHADOW_MODE || {};
+    this.shadowMode = Boolean(shadowConfig.ENABLED);
+    this.shadowedItemsPath = shadowConfig.SEEN_ITEMS_PATH;
+    this.shadowedItemTtlMs = shadowConfig.SEEN_ITEM_TTL_MS;
+    this.shadowCaughtUpPauseMs = shadowConfig.CAUGHT_UP_PAUSE_MS;
+    this.shadowedItems = this.shadowMode ? this.loadShadowedItems() : new Map(); // Redis item ID -> expiry timestamp
+    this.shadowClaimsPausedUntil = 0;
+
     if (redisQueueClient) {
       logger.info('Queue Manager: Redis queue client enabled - will pull from shared validator queue');
       if (steamValidator) {
@@ -22,61 +39,65 @@ class QueueManager {
         logger.warn('Queue Manager: No steamValidator provided - health checks disabled!');
       }
     } else {
-      logger.info('Queue Manager: Using file-based queue only (legacy mode)');
+      logger.info('Queue Manager: Using local queue only (legacy mode)');
     }
 
-    // Ensure queue file exists
-    this.ensureQueueFileExists();
-  }
-
-  ensureQueueFileExists() {
-    if (!fs.existsSync(this.queuePath)) {
-      fs.ensureDirSync(path.dirname(this.queuePath));
-      fs.writeFileSync(this.queuePath, '[]', 'utf8');
-      logger.info(`Created empty queue file at: ${this.queuePath}`);
+    logger.info(`Queue Manager: Using ${this.store.type} queue store`);
+    if (this.shadowMode && redisQueueClient) {
+      logger.info('Queue Manager: Shadow mode - finished Redis items are released instead of completed');
     }
   }
 
-  async readQueueProfiles() {
+  async getQueuedProfiles() {
     try {
-      const data = await fs.readFile(this.queuePath, 'utf8');
-      const parsed = JSON.parse(data);
-      return Array.isArray(parsed) ? parsed : [];
+      return await this.store.getAll();
     } catch (error) {
-      logger.error(`Error reading queue file: ${error.message}`);
+      logger.error(`Error reading queue: ${error.message}`);
       return [];
     }
   }
 
-  async writeQueueProfiles(profiles) {
+  async saveQueuedProfiles(profiles) {
     try {
-      if (!Array.isArray(profiles)) {
-        throw new Error(`Invalid profiles data: expected array, got ${typeof profiles}`);
-      }
-
-      const jsonData = JSON.stringify(profiles, null, 2);
-      await fs.writeFile(this.queuePath, jsonData, 'utf8');
+      await this.store.replaceAll(profiles);
       return true;
     } catch (error) {
-      logger.error(`Error writing queue file: ${error.message}`);
+      logger.error(`Error writing queue: ${error.message}`);
       return false;
     }
   }
 
-  async getQueuedProfiles() {
-    return await this.readQueueProfiles();
-  }
-
-  async saveQueuedProfiles(profiles) {
-    return await this.writeQueueProfiles(profiles);
+  /**
+   * Normalize a Steam ID in any accepted format to a SteamID64 (vanity URLs need the processor's SteamValidator)
+   * @param {*} input - Raw steam_id value
+   * @returns {Object} { success: true, steamId, format } or { success: false, error }
+   */
+  async normalizeSteamId(input) {
+    const resolveVanity = this.steamValidator
+      ? vanityName => this.steamValidator.resolveVanityUrl(vanityName)
+      : null;
+    return normalizeSteamId(input, resolveVanity);
   }
 
-  async addProfileToQueue(steamId, username, apiService = null) {
+  /**
+   * Queue a profile with every enabled check set to "to_check"
+   * @param {string} steamId - Steam ID in any format parseSteamId accepts (queued as SteamID64)
+   * @param {string} username - Submitting username
+   * @param {ApiService} [apiService] - Skips IDs that already exist downstream when given
+   * @param {Object} [extraFields] - Extra fields stored on a new profile (e.g. callback_url)
+   * @returns {Object|null} Queued (or already queued) profile, or null if not queued
+   */
+  async addProfileToQueue(steamId, username, apiService = null, extraFields = {}) {
     try {
-      const profiles = await this.readQueueProfiles();
+      const normalized = await this.normalizeSteamId(steamId);
+      if (!normalized.success) {
+        logger.warn(`Not queueing invalid Steam ID (user: ${username}): ${normalized.error}`);
+        return null;
+      }
+      steamId = normalized.steamId;
 
       // Check if already in queue
-      const existing = profiles.find(p => p.steam_id === steamId);
+      const existing = await this.store.get(steamId);
       if (existing) {
         logger.info(`Profile ${steamId} (user: ${username}) already in queue`);
         return existing;
@@ -107,23 +128,16 @@ class QueueManager {
         steam_id: steamId,
         username: username,
         timestamp: Date.now(),
-        checks: {
-          animated_avatar: "to_check",
-          avatar_frame: "to_check",
-          mini_profile_background: "to_check",
-          profile_background: "to_check",
-          steam_level: "to_check",
-          friends: "to_check",
-          csgo_inventory: "to_check"
-        }
+        ...extraFields,
+        checks: checkRegistry.buildInitialChecks(validationRules.getEnabledChecks(username))
       };
 
-      // Add to queue
-      profiles.push(profile);
-      const saveSuccess = await this.writeQueueProfiles(profiles);
+      // Add to queue (the store ignores the insert if another caller queued it meanwhile)
+      const inserted = await this.store.insert(profile);
 
-      if (!saveSuccess) {
-        throw new Error('Failed to save updated queue');
+      if (!inserted) {
+        logger.info(`Profile ${steamId} (user: ${username}) already in queue`);
+        return await this.store.get(steamId);
       }
 
       logger.info(`Added profile ${steamId} (user: ${username}) to queue`);
@@ -136,31 +150,21 @@ class QueueManager {
 
   async updateProfileCheck(steamId, checkName, status) {
     try {
-      const profiles = await this.readQueueProfiles();
-
-      // Find the profile
-      const profileIndex = profiles.findIndex(p => p.steam_id === steamId);
-      if (profileIndex === -1) {
-        logger.warn(`Profile ${steamId} not found in queue`);
-        return false;
-      }
-
       // Validate status
-      const validStatuses = ["to_check", "passed", "failed", "deferred"];
+      const validStatuses = ["to_check", "passed", "failed", "deferred", "skipped"];
       if (!validStatuses.includes(status)) {
         logger.error(`Invalid status '${status}' for check update. Valid statuses: ${validStatuses.join(', ')}`);
         return false;
       }
 
       // Update the check status
-      profiles[profileIndex].checks[checkName] = status;
-      const saveSuccess = await this.writeQueueProfiles(profiles);
-
-      if (!saveSuccess) {
-        throw new Error('Failed to save updated profile check');
+      const profile = await this.store.updateCheck(steamId, checkName, status);
+      if (!profile) {
+        logger.warn(`Profile ${steamId} not found in queue`);
+        return false;
       }
 
-      const username = profiles[profileIndex].username || 'unknown';
+      const username = profile.username || 'unknown';
       logger.debug(`Updated ${steamId} (user: ${username}) check '${checkName}' to '${status}'`);
       return true;
     } catch (error) {
@@ -171,29 +175,16 @@ class QueueManager {
 
   async removeProfileFromQueue(steamId) {
     try {
-      const profiles = await this.readQueueProfiles();
-
-      // Find the profile to get username for logging
-      const profileToRemove = profiles.find(p => p.steam_id === steamId);
-      const username = profileToRemove?.username || 'unknown';
-
-      // Filter out the profile
-      const filteredProfiles = profiles.filter(p => p.steam_id !== steamId);
-
-      if (filteredProfiles.length < profiles.length) {
-        const saveSuccess = await this.writeQueueProfiles(filteredProfiles);
-
-        if (!saveSuccess) {
-          throw new Error('Failed to save queue after profile removal');
-        }
+      const removedProfile = await this.store.remove(steamId);
 
+      if (removedProfile) {
+        const username = removedProfile.username || 'unknown';
         logger.info(`Removed profile ${steamId} (user: ${username}) from local queue`);
 
-        // Mark as complete in Redis if Redis client is enabled
+        // Mark as complete in Redis if Redis client is enabled (under the ID it was claimed with)
         if (this.redisQueueClient) {
           try {
-            await this.redisQueueClient.completeItems([steamId]);
-            logger.debug(`Marked ${steamId} as complete in Redis validator queue`);
+            await this.finishRedisItem(removedProfile.redis_item_id || steamId);
           } catch (redisError) {
             logger.error(`Failed to mark ${steamId} as complete in Redis: ${redisError.message}`);
           }
@@ -210,6 +201,67 @@ class QueueManager {
     }
   }
 
+  /**
+   * @returns {Map<string, number>} Unexpired shadowed Redis item IDs from the seen items file
+   */
+  loadShadowedItems() {
+    const items = new Map();
+    try {
+      if (this.shadowedItemsPath && fs.existsSync(this.shadowedItemsPath)) {
+        const now = Date.now();
+        for (const [itemId, expiresAt] of Object.entries(JSON.parse(fs.readFileSync(this.shadowedItemsPath, 'utf8')))) {
+          if (expiresAt > now) {
+            items.set(itemId, expiresAt);
+          }
+        }
+      }
+    } catch (error) {
+      logger.warn(`Error reading shadow mode seen items from ${this.shadowedItemsPath}, starting empty: ${error.message}`);
+    }
+    return items;
+  }
+
+  /**
+   * Remember a Redis item validated in shadow mode (expired entries are dropped on the way)
+   * @param {string} itemId - Redis item ID (as claimed)
+   */
+  markItemShadowed(itemId) {
+    const now = Date.now();
+    for (const [seenItemId, expiresAt] of this.shadowedItems) {
+      if (expiresAt <= now) {
+        this.shadowedItems.delete(seenItemId);
+      }
+    }
+    this.shadowedItems.set(itemId, now + this.shadowedItemTtlMs);
+
+    try {
+      writeFileAtomicSync(this.shadowedItemsPath, JSON.stringify(Object.fromEntries(this.shadowedItems)));
+    } catch (error) {
+      logger.error(`Error saving shadow mode seen items to ${this.shadowedItemsPath}: ${error.message}`);
+    }
+  }
+
+  isItemShadowed(itemId) {
+    const expiresAt = this.shadowedItems.get(itemId);
+    return expiresAt !== undefined && expiresAt > Date.now();
+  }
+
+  /**
+   * Take a claimed item off the Redis validator queue - or, in shadow mode, hand it back
+   * @param {string} itemId - Redis item ID (as claimed)
+   */
+  async finishRedisItem(itemId) {
+    if (this.shadowMode) {
+      this.markItemShadowed(itemId);
+      await this.redisQueueClient.releaseItems([itemId]);
+      logger.debug(`Shadow mode: released ${itemId} back to Redis validator queue`);
+      return;
+    }
+
+    await this.redisQueueClient.completeItems([itemId]);
+    logger.debug(`Marked ${itemId} as complete in Redis validator queue`);
+  }
+
   async processNextQueued() {
     const profiles = await this.getQueuedProfiles();
 
@@ -223,12 +275,9 @@ class QueueManager {
   /**
    * Check if instance is healthy enough to claim new work from Redis
    */
-  isHealthyToClaimWork() {
+  async isHealthyToClaimWork() {
     // Check 1: Do we have deferred checks in local queue?
-    const profiles = this.getQueuedProfilesSync();
-    const hasDeferredChecks = profiles.some(profile =>
-      Object.values(profile.checks).some(status => status === "deferred")
-    );
+    const hasDeferredChecks = await this.store.hasCheckStatus("deferred");
 
     if (hasDeferredChecks) {
       logger.debug('Instance has deferred checks - not claiming new work from Redis');
@@ -260,19 +309,6 @@ class QueueManager {
     }
   }
 
-  /**
-   * Synchronous version of getQueuedProfiles for health checks
-   */
-  getQueuedProfilesSync() {
-    try {
-      const data = fs.readFileSync(this.queuePath, 'utf8');
-      const parsed = JSON.parse(data);
-      return Array.isArray(parsed) ? parsed : [];
-    } catch (error) {
-      return [];
-    }
-  }
-
   /**
    * Pull new profiles from Redis validator queue and add to local queue
    */
@@ -282,11 +318,16 @@ class QueueManager {
     }
 
     // Health check: Don't claim if we're unhealthy
-    if (!this.isHealthyToClaimWork()) {
+    if (!(await this.isHealthyToClaimWork())) {
       logger.debug('Instance not healthy - skipping Redis claim');
       return 0;
     }
 
+    if (this.shadowClaimsPausedUntil > Date.now()) {
+      logger.debug('Shadow mode: caught up with the Redis validator queue - skipping Redis claim');
+      return 0;
+    }
+
     try {
       const items = await this.redisQueueClient.claimItems(count);
 
@@ -294,13 +335,37 @@ class QueueManager {
         return 0;
       }
 
+      // Shadow mode: only already validated items came back - hand them back and stop claiming for a while
+      if (this.shadowMode && items.every(item => this.isItemShadowed(item.id))) {
+        await this.redisQueueClient.releaseItems(items.map(item => item.id));
+        this.shadowClaimsPausedUntil = Date.now() + this.shadowCaughtUpPauseMs;
+        logger.info(`Shadow mode: claimed ${items.length} already validated items, released them and pausing Redis claims for ${Math.round(this.shadowCaughtUpPauseMs / 1000)}s`);
+        return 0;
+      }
+
       logger.info(`Pulled ${items.length} profiles from Redis validator queue`);
 
       // Add each claimed item to local queue
       let addedCount = 0;
       for (const item of items) {
         try {
-          const profile = await this.addProfileToQueue(item.id, item.username);
+          // Shadow mode released it after validating it - it's waiting for the regular processors
+          if (this.shadowMode && this.isItemShadowed(item.id)) {
+            await this.redisQueueClient.releaseItems([item.id]);
+            logger.debug(`Shadow mode: ${item.id} already validated, released back to Redis`);
+            continue;
+          }
+
+          const normalized = await this.normalizeSteamId(item.id);
+          if (!normalized.success) {
+            // Malformed IDs would only be claimed again - drop them from the shared queue
+            logger.warn(`Dropping invalid Steam ID from Redis validator queue (user: ${item.username}): ${normalized.error}`);
+            await this.finishRedisItem(item.id);
+            continue;
+          }
+
+          const extraFields = normalized.steamId !== item.id ? { redis_item_id: item.id } : {};
+          const profile = await this.addProfileToQueue(normalized.steamId, item.username, null, extraFields);
           if (profile) {
             addedCount++;
           } else {
@@ -323,51 +388,58 @@ class QueueManager {
   }
 
   async getNextProcessableProfile() {
-    const profiles = await this.getQueuedProfiles();
+    const profiles = await this.getProcessableProfiles(1);
+    return profiles[0] || null;
+  }
+
+  /**
+   * Get profiles ready for a worker: ones with "to_check" checks, or complete ones awaiting submission
+   * @param {number} limit - Maximum number of profiles to return
+   * @param {Array<string>} excludeSteamIds - Steam IDs already being processed
+   * @returns {Array<Object>} Processable profiles in queue order
+   */
+  async getProcessableProfiles(limit = 1, excludeSteamIds = []) {
+    const candidates = this.selectProcessableProfiles(await this.getQueuedProfiles(), limit, excludeSteamIds);
 
-    // If local queue is empty and Redis is enabled, try to pull new profiles
-    if (profiles.length === 0 && this.redisQueueClient) {
-      logger.debug('Local queue empty, pulling from Redis validator queue...');
-      const pulledCount = await this.pullFromRedisQueue(5);
+    // Top up from Redis when there isn't enough local work for the free slots
+    if (candidates.length < limit && this.redisQueueClient) {
+      logger.debug(`Only ${candidates.length}/${limit} processable profiles locally, pulling from Redis validator queue...`);
+      const pulledCount = await this.pullFromRedisQueue(Math.max(limit - candidates.length, 5));
       if (pulledCount > 0) {
-        return this.getNextProcessableProfile();
+        return this.selectProcessableProfiles(await this.getQueuedProfiles(), limit, excludeSteamIds);
       }
-      return null;
     }
 
-    if (profiles.length === 0) {
-      return null;
-    }
+    return candidates;
+  }
 
-    // Look for a profile with "to_check" checks
-    for (const profile of profiles) {
-      const hasToCheck = Object.values(profile.checks).some(status => status === "to_check");
-      const hasDeferred = Object.values(profile.checks).some(status => status === "deferred");
+  selectProcessableProfiles(profiles, limit, excludeSteamIds) {
+    const candidates = [];
 
-      if (hasToCheck) {
-        return profile;
+    for (const profile of profiles) {
+      if (candidates.length >= limit) {
+        break;
       }
-
-      // If profile has no "to_check" but no "deferred" either, it's complete
-      if (!hasToCheck && !hasDeferred) {
-        return profile;
+      if (excludeSteamIds.includes(profile.steam_id)) {
+        continue;
       }
-    }
 
-    // If no profiles with "to_check" found, return first profile with deferred checks
-    for (const profile of profiles) {
+      const hasToCheck = Object.values(profile.checks).some(status => status === "to_check");
       const hasDeferred = Object.values(profile.checks).some(status => status === "deferred");
-      if (hasDeferred) {
-        return profile;
+      const hasFailed = Object.values(profile.checks).some(status => status === "failed");
+
+      // Profiles waiting only on deferred checks are picked up by the deferred check processor,
+      // unless a check already failed - then the rest are skipped and the profile is rejected
+      if (hasToCheck || !hasDeferred || hasFailed) {
+        candidates.push(profile);
       }
     }
 
-    return null;
+    return candidates;
   }
 
   async getAllChecksPassed(steamId) {
-    const profiles = await this.getQueuedProfiles();
-    const profile = profiles.find(p => p.steam_id === steamId);
+    const profile = await this.store.get(steamId);
 
     if (!profile) {
       logger.warn(`Profile ${steamId} not found in queue when checking status`);
@@ -380,7 +452,7 @@ class QueueManager {
 
   async convertDeferredChecksToToCheck() {
     try {
-      const profiles = await this.readQueueProfiles();
+      const profiles = await this.getQueuedProfiles();
       let conversionsCount = 0;
       let profilesAffected = 0;
 
@@ -389,7 +461,7 @@ class QueueManager {
 
         for (const [checkName, status] of Object.entries(profile.checks)) {
           if (status === "deferred") {
-            profile.checks[checkName] = "to_check";
+            await this.store.updateCheck(profile.steam_id, checkName, "to_check");
             conversionsCount++;
             profileChanged = true;
           }
@@ -403,12 +475,6 @@ class QueueManager {
       }
 
       if (conversionsCount > 0) {
-        const saveSuccess = await this.writeQueueProfiles(profiles);
-
-        if (!saveSuccess) {
-          throw new Error('Failed to save converted deferred checks');
-        }
-
         logger.info(`Converted ${conversionsCount} deferred checks to 'to_check' across ${profilesAffected} profiles`);
       } else {
         logger.debug('No deferred checks found to convert');
@@ -469,8 +535,7 @@ class QueueManager {
   }
 
   async getAllChecksComplete(steamId) {
-    const profiles = await this.getQueuedProfiles();
-    const profile = profiles.find(p => p.steam_id === steamId);
+    const profile = await this.store.get(steamId);
 
     if (!profile) {
       logger.warn(`Profile ${steamId} not found in queue when checking completion status`);
@@ -478,7 +543,7 @@ class QueueManager {
     }
 
     const allComplete = Object.values(profile.checks).every(status =>
-      status === "passed" || status === "failed"
+      status === "passed" || status === "failed" || status === "skipped"
     );
 
     const allPassed = Object.values(profile.checks).every(status => status === "passed");
@@ -490,8 +555,10 @@ class QueueManager {
   }
 
   async getQueueStats() {
-    const profiles = await this.getQueuedProfiles();
+    return this.computeQueueStats(await this.getQueuedProfiles());
+  }
 
+  computeQueueStats(profiles) {
     const stats = {
       totalProfiles: profiles.length,
       byUsername: {},
@@ -499,7 +566,8 @@ class QueueManager {
         to_check: 0,
         passed: 0,
         failed: 0,
-        deferred: 0
+        deferred: 0,
+        skipped: 0
       }
     };
 
@@ -523,15 +591,133 @@ class QueueManager {
     return stats;
   }
 
+  /**
+   * Filter, sort and page the queue
+   * @param {Object} [options]
+   * @param {string} [options.username] - Only profiles submitted by this username
+   * @param {string} [options.status] - Only profiles with at least one check in this status
+   * @param {Object} [options.checks] - { checkName: status } every listed check must match
+   * @param {number} [options.since] - Only profiles queued at or after this time (ms)
+   * @param {number} [options.until] - Only profiles queued at or before this time (ms)
+   * @param {string} [options.sortBy] - timestamp, username or steam_id
+   * @param {string} [options.sortOrder] - asc or desc
+   * @param {number} [options.offset] - Profiles to skip (ignored when a cursor is given)
+   * @param {Object} [options.cursor] - { value, steam_id } of the last profile of the previous page
+   * @param {number} [options.limit] - Page size
+   * @returns {Object} { profiles, total, stats, offset, limit, nextCursor }
+   */
+  async queryProfiles(options = {}) {
+    const allProfiles = await this.getQueuedProfiles();
+    const sortBy = options.sortBy || 'timestamp';
+    const direction = options.sortOrder === 'desc' ? -1 : 1;
+    const limit = options.limit || 100;
+
+    const matches = allProfiles.filter(profile => {
+      if (options.username && profile.username !== options.username) return false;
+      if (options.status && !Object.values(profile.checks).includes(options.status)) return false;
+      if (options.since && profile.timestamp < options.since) return false;
+      if (options.until && profile.timestamp > options.until) return false;
+      if (options.checks) {
+        for (const [checkName, status] of Object.entries(options.checks)) {
+          if (profile.checks[checkName] !== status) return false;
+        }
+      }
+      return true;
+    });
+
+    // steam_id breaks ties so the cursor position is unambiguous
+    const compare = (aValue, aSteamId, bValue, bSteamId) => {
+      if (aValue < bValue) return -direction;
+      if (aValue > bValue) return direction;
+      return aSteamId < bSteamId ? -1 : aSteamId > bSteamId ? 1 : 0;
+    };
+    const sortValue = profile => (sortBy === 'timestamp' ? profile.timestamp || 0 : String(profile[sortBy] || ''));
+
+    matches.sort((a, b) => compare(sortValue(a), a.steam_id, sortValue(b), b.steam_id));
+
+    let start = options.offset || 0;
+    if (options.cursor) {
+      const index = matches.findIndex(profile =>
+        compare(sortValue(profile), profile.steam_id, options.cursor.value, options.cursor.steam_id) > 0
+      );
+      start = index === -1 ? matches.length : index;
+    }
+
+    const page = matches.slice(start, start + limit);
+    const last = page[page.length - 1];
+
+    return {
+      profiles: page,
+      total: matches.length,
+      stats: this.computeQueueStats(allProfiles),
+      offset: start,
+      limit: limit,
+      nextCursor: last && start + limit < matches.length
+        ? { value: sortValue(last), steam_id: last.steam_id }
+        : null
+    };
+  }
+
   async getProfileBySteamId(steamId) {
-    const profiles = await this.getQueuedProfiles();
-    return profiles.find(p => p.steam_id === steamId) || null;
+    return await this.store.get(steamId);
+  }
+
+  async close() {
+    await this.store.close();
   }
 
   delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
+  /**
+   * Store extra data on a queued profile (e.g. bulk player summaries)
+   * @param {string} steamId - Steam ID
+   * @param {Object} fields - Fields to set on the profile
+   * @returns {boolean} True if the profile was updated
+   */
+  async updateProfileFields(steamId, fields) {
+    try {
+      const profile = await this.store.updateFields(steamId, fields);
+      if (!profile) {
+        logger.warn(`Profile ${steamId} not found in queue`);
+        return false;
+      }
+
+      logger.debug(`Updated ${steamId} (user: ${profile.username || 'unknown'}) fields: ${Object.keys(fields).join(', ')}`);
+      return true;
+    } catch (error) {
+      logger.error(`Error updating profile fields: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Mark every check that hasn't run yet (to_check / deferred) as "skipped"
+   * Used once a check fails: the profile is rejected, so the remaining requests aren't worth making
+   * @param {string} steamId - Steam ID
+   * @returns {Array<string>} Checks marked as skipped
+   */
+  async skipRemainingChecks(steamId) {
+    const profile = await this.store.get(steamId);
+    if (!profile) {
+      return [];
+    }
+
+    const skipped = [];
+    for (const [checkName, status] of Object.entries(profile.checks)) {
+      if (status === "to_check" || status === "deferred") {
+        await this.store.updateCheck(steamId, checkName, "skipped");
+        skipped.push(checkName);
+      }
+    }
+
+    if (skipped.length > 0) {
+      logger.debug(`Skipped ${skipped.length} remaining checks for ${steamId}: ${skipped.join(', ')}`);
+    }
+    return skipped;
+  }
+
   async updateProfileCheckExternal(steamId, checkName, status, source = 'external') {
     try {
       logger.info(`External update from ${source}: ${steamId} check '${checkName}' -> '${status}'`);
@@ -549,6 +735,37 @@ class QueueManager {
       return false;
     }
   }
+
+  /**
+   * Reset checks of a queued profile to "to_check" so they run again
+   * @param {string} steamId - Steam ID
+   * @param {Array<string>} [checkNames] - Checks to reset (default: every check on the profile)
+   * @param {string} [source] - Who asked for the requeue, for logging
+   * @returns {Object|null} Updated profile, or null if the profile isn't queued
+   * @throws {Error} If checkNames has a check the profile wasn't queued with
+   */
+  async requeueProfile(steamId, checkNames = null, source = 'external') {
+    const profile = await this.store.get(steamId);
+    if (!profile) {
+      logger.warn(`Profile ${steamId} not found in queue to requeue`);
+      return null;
+    }
+
+    // Only the checks the profile was queued with - the store would add any other name as a new check
+    const missingChecks = (checkNames || []).filter(checkName => !(checkName in profile.checks));
+    if (missingChecks.length > 0) {
+      throw new Error(`Checks not on profile ${steamId}: ${missingChecks.join(', ')} (profile checks: ${Object.keys(profile.checks).join(', ')})`);
+    }
+
+    const checksToReset = checkNames || Object.keys(profile.checks);
+    let updatedProfile = profile;
+    for (const checkName of checksToReset) {
+      updatedProfile = await this.store.updateCheck(steamId, checkName, "to_check");
+    }
+
+    logger.info(`Requeued ${steamId} (user: ${profile.username || 'unknown'}) checks [${checksToReset.join(', ')}] (requested by ${source})`);
+    return updatedProfile;
+  }
 }
 
 module.exports = QueueManager;
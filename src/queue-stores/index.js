@@ -0,0 +1,40 @@
+// steam-id-processor/src/queue-stores/index.js
+const logger = require('../utils/logger');
+const JsonFileQueueStore = require('./json-file-store');
+
+/**
+ * Create the queue store selected by CONFIG.QUEUE_STORE
+ *
+ * Store interface (all methods async):
+ *   getAll() -> profiles[]            get(steamId) -> profile|null      count() -> number
+ *   insert(profile) -> boolean        updateCheck(steamId, checkName, status) -> profile|null
+ *   remove(steamId) -> profile|null   replaceAll(profiles)              hasCheckStatus(status) -> boolean
+ *   close()
+ *
+ * @param {Object} config - Service configuration
+ * @returns {Object} Queue store instance
+ */
+function createQueueStore(config) {
+  const storeType = config.QUEUE_STORE || 'json';
+
+  if (storeType === 'sqlite') {
+    try {
+      // Required lazily so the JSON store keeps working where the native module isn't installed
+      const SqliteQueueStore = require('./sqlite-store');
+      return new SqliteQueueStore(config.QUEUE_DB_PATH, { legacyJsonPath: config.QUEUE_PATH });
+    } catch (error) {
+      logger.error(`Failed to open SQLite queue store, falling back to JSON file: ${error.message}`);
+    }
+  } else if (storeType !== 'json') {
+    logger.warn(`Unknown queue store '${storeType}', using JSON file`);
+  }
+
+  return new JsonFileQueueStore(config.QUEUE_PATH, {
+    journalPath: config.QUEUE_JOURNAL_PATH,
+    journalMaxEntries: config.QUEUE_JOURNAL_MAX_ENTRIES
+  });
+}
+
+module.exports = {
+  createQueueStore
+};
@@ -0,0 +1,239 @@
+// steam-id-processor/src/queue-stores/json-file-store.js
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('../utils/logger');
+const QueueJournal = require('./queue-journal');
+const { writeFileAtomic, writeFileAtomicSync, quarantineFile } = require('../utils/atomic-file');
+
+/**
+ * Queue store backed by a single JSON array file (legacy format of profiles_queue.json)
+ *
+ * Every mutation is journaled first, then the whole file is replaced atomically (temp file + rename).
+ * Mutations are serialized so concurrent callers can't interleave their read-modify-write cycles.
+ * A corrupted file is quarantined and rebuilt from the journal instead of being read as an empty queue;
+ * without a journal snapshot to rebuild from, reading the queue fails instead.
+ */
+class JsonFileQueueStore {
+  constructor(queuePath, options = {}) {
+    this.type = 'json';
+    this.queuePath = queuePath;
+    this.journal = options.journalPath
+      ? new QueueJournal(options.journalPath, options.journalMaxEntries)
+      : null;
+    this.lockChain = Promise.resolve();
+
+    // Ensure queue file exists, then replay anything a crash left only in the journal
+    this.ensureQueueFileExists();
+    this.recoverFromJournal();
+  }
+
+  ensureQueueFileExists() {
+    if (!fs.existsSync(this.queuePath)) {
+      fs.ensureDirSync(path.dirname(this.queuePath));
+      writeFileAtomicSync(this.queuePath, '[]');
+      logger.info(`Created empty queue file at: ${this.queuePath}`);
+    }
+  }
+
+  /**
+   * Parse queue file contents, throwing if they are not a JSON array
+   * @param {string} data - Raw file contents
+   * @returns {Array<Object>} Profiles
+   */
+  parseQueueData(data) {
+    const parsed = JSON.parse(data);
+    if (!Array.isArray(parsed)) {
+      throw new Error(`expected array, got ${typeof parsed}`);
+    }
+    return parsed;
+  }
+
+  /**
+   * Quarantine a corrupted queue file and rebuild the queue from the journal
+   * @param {Error} error - Parse error
+   * @returns {Array<Object>} Recovered profiles
+   * @throws {Error} If the journal doesn't start from a snapshot (the file is left in place)
+   */
+  handleCorruptQueueFile(error) {
+    logger.error(`❌ Queue file ${this.queuePath} is corrupted (${error.message})`);
+
+    // Without a snapshot the journal only holds changes since the last compaction - rebuilding from
+    // it would silently drop the rest of the queue
+    const entries = this.journal ? this.journal.readEntries() : [];
+    if (!QueueJournal.startsWithSnapshot(entries)) {
+      logger.error(`   No queue journal snapshot to rebuild it from - restore ${this.queuePath} by hand`);
+      throw new Error(`Queue file ${this.queuePath} is corrupted and can't be rebuilt from the journal: ${error.message}`);
+    }
+
+    const quarantinePath = quarantineFile(this.queuePath);
+    logger.error(`   Quarantined to: ${quarantinePath || 'FAILED TO MOVE'}`);
+
+    const profiles = QueueJournal.replay([], entries);
+    writeFileAtomicSync(this.queuePath, JSON.stringify(profiles, null, 2));
+    this.journal.compact(profiles);
+
+    logger.error(`   Rebuilt queue with ${profiles.length} profiles from ${entries.length} journal entries`);
+    return profiles;
+  }
+
+  recoverFromJournal() {
+    if (!this.journal) {
+      return;
+    }
+
+    let profiles;
+    try {
+      profiles = this.parseQueueData(fs.readFileSync(this.queuePath, 'utf8'));
+    } catch (error) {
+      this.handleCorruptQueueFile(error);
+      return;
+    }
+
+    // Write the replayed snapshot before compacting - compaction also starts the journal from a
+    // snapshot when it has none yet (first start, or a journal written before snapshots)
+    const entries = this.journal.readEntries();
+    const recovered = QueueJournal.replay(profiles, entries);
+    const replayedCount = QueueJournal.startsWithSnapshot(entries) ? entries.length - 1 : entries.length;
+    if (replayedCount > 0) {
+      logger.info(`Replayed ${replayedCount} queue journal entries on startup (${recovered.length} profiles in queue)`);
+    }
+    writeFileAtomicSync(this.queuePath, JSON.stringify(recovered, null, 2));
+    this.journal.compact(recovered);
+  }
+
+  /**
+   * Run an operation after all previously queued ones have finished
+   * @param {Function} operation - Async function
+   * @returns {Promise<*>} Operation result
+   */
+  withLock(operation) {
+    const run = this.lockChain.then(() => operation());
+    this.lockChain = run.catch(() => {});
+    return run;
+  }
+
+  async readQueueProfiles() {
+    let data;
+    try {
+      data = await fs.readFile(this.queuePath, 'utf8');
+    } catch (error) {
+      logger.error(`Error reading queue file: ${error.message}`);
+      throw error;
+    }
+
+    try {
+      return this.parseQueueData(data);
+    } catch (error) {
+      return this.handleCorruptQueueFile(error);
+    }
+  }
+
+  /**
+   * Journal a transition, then atomically replace the queue file
+   * @param {Array<Object>} profiles - Full queue after the transition
+   * @param {Object} journalEntry - Transition being persisted
+   */
+  async writeQueueProfiles(profiles, journalEntry) {
+    if (!Array.isArray(profiles)) {
+      throw new Error(`Invalid profiles data: expected array, got ${typeof profiles}`);
+    }
+
+    if (this.journal && journalEntry) {
+      this.journal.append(journalEntry);
+    }
+
+    const jsonData = JSON.stringify(profiles, null, 2);
+    await writeFileAtomic(this.queuePath, jsonData);
+
+    if (this.journal && this.journal.needsCompaction()) {
+      this.journal.compact(profiles);
+    }
+  }
+
+  async getAll() {
+    return await this.withLock(() => this.readQueueProfiles());
+  }
+
+  async get(steamId) {
+    const profiles = await this.getAll();
+    return profiles.find(p => p.steam_id === steamId) || null;
+  }
+
+  async count() {
+    const profiles = await this.getAll();
+    return profiles.length;
+  }
+
+  async insert(profile) {
+    return await this.withLock(async () => {
+      const profiles = await this.readQueueProfiles();
+      if (profiles.some(p => p.steam_id === profile.steam_id)) {
+        return false;
+      }
+
+      profiles.push(profile);
+      await this.writeQueueProfiles(profiles, { op: 'insert', profile });
+      return true;
+    });
+  }
+
+  async updateCheck(steamId, checkName, status) {
+    return await this.withLock(async () => {
+      const profiles = await this.readQueueProfiles();
+      const profile = profiles.find(p => p.steam_id === steamId);
+      if (!profile) {
+        return null;
+      }
+
+      profile.checks[checkName] = status;
+      await this.writeQueueProfiles(profiles, { op: 'update_check', steam_id: steamId, check: checkName, status });
+      return profile;
+    });
+  }
+
+  async updateFields(steamId, fields) {
+    return await this.withLock(async () => {
+      const profiles = await this.readQueueProfiles();
+      const profile = profiles.find(p => p.steam_id === steamId);
+      if (!profile) {
+        return null;
+      }
+
+      Object.assign(profile, fields);
+      await this.writeQueueProfiles(profiles, { op: 'update_fields', steam_id: steamId, fields });
+      return profile;
+    });
+  }
+
+  async remove(steamId) {
+    return await this.withLock(async () => {
+      const profiles = await this.readQueueProfiles();
+      const profile = profiles.find(p => p.steam_id === steamId);
+      if (!profile) {
+        return null;
+      }
+
+      await this.writeQueueProfiles(
+        profiles.filter(p => p.steam_id !== steamId),
+        { op: 'remove', steam_id: steamId }
+      );
+      return profile;
+    });
+  }
+
+  async replaceAll(profiles) {
+    await this.withLock(() => this.writeQueueProfiles(profiles, { op: 'replace_all', profiles }));
+  }
+
+  async hasCheckStatus(status) {
+    const profiles = await this.getAll();
+    return profiles.some(profile => Object.values(profile.checks).includes(status));
+  }
+
+  async close() {
+    // Let pending writes finish - the file is opened per operation
+    await this.lockChain;
+  }
+}
+
+module.exports = JsonFileQueueStore;
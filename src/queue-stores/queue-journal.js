@@ -0,0 +1,146 @@
+// steam-id-processor/src/queue-stores/queue-journal.js
+const fs = require('fs-extra');
+const logger = require('../utils/logger');
+const { writeFileAtomicSync } = require('../utils/atomic-file');
+
+/**
+ * Append-only journal of queue transitions (one JSON entry per line)
+ *
+ * Entries are written before the queue snapshot is replaced, so a crash between the two
+ * is recovered by replaying the journal over the last good snapshot. Every operation is
+ * idempotent when replayed in order, so replaying entries the snapshot already contains is safe.
+ *
+ * A compacted journal starts with a replace_all entry holding the whole queue, so replaying the
+ * journal on its own rebuilds the full queue when the snapshot file is lost or corrupted.
+ *
+ * Entry shapes:
+ *   { ts, op: 'insert', profile }
+ *   { ts, op: 'update_check', steam_id, check, status }
+ *   { ts, op: 'update_fields', steam_id, fields }
+ *   { ts, op: 'remove', steam_id }
+ *   { ts, op: 'replace_all', profiles }
+ */
+class QueueJournal {
+  constructor(journalPath, maxEntries = 5000) {
+    this.journalPath = journalPath;
+    this.maxEntries = maxEntries;
+    this.entryCount = 0;
+  }
+
+  /**
+   * Append an entry and flush it to disk
+   * @param {Object} entry - Journal entry (without timestamp)
+   */
+  append(entry) {
+    const line = JSON.stringify({ ts: Date.now(), ...entry }) + '\n';
+    const fd = fs.openSync(this.journalPath, 'a');
+    try {
+      fs.writeSync(fd, line);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    this.entryCount++;
+  }
+
+  /**
+   * Read all journal entries, skipping lines that were only partially written
+   * @returns {Array<Object>} Entries in write order
+   */
+  readEntries() {
+    if (!fs.existsSync(this.journalPath)) {
+      return [];
+    }
+
+    const entries = [];
+    const lines = fs.readFileSync(this.journalPath, 'utf8').split('\n');
+
+    lines.forEach((line, index) => {
+      if (!line.trim()) {
+        return;
+      }
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        logger.warn(`Skipping unreadable queue journal line ${index + 1}: ${error.message}`);
+      }
+    });
+
+    this.entryCount = entries.length;
+    return entries;
+  }
+
+  /**
+   * Replay entries over a list of profiles
+   * @param {Array<Object>} profiles - Snapshot profiles (modified in place)
+   * @param {Array<Object>} entries - Journal entries
+   * @returns {Array<Object>} Resulting profiles
+   */
+  static replay(profiles, entries) {
+    let result = profiles;
+
+    for (const entry of entries) {
+      switch (entry.op) {
+        case 'insert':
+          if (entry.profile && !result.some(p => p.steam_id === entry.profile.steam_id)) {
+            result.push(entry.profile);
+          }
+          break;
+        case 'update_check': {
+          const profile = result.find(p => p.steam_id === entry.steam_id);
+          if (profile) {
+            profile.checks[entry.check] = entry.status;
+          }
+          break;
+        }
+        case 'update_fields': {
+          const profile = result.find(p => p.steam_id === entry.steam_id);
+          if (profile) {
+            Object.assign(profile, entry.fields);
+          }
+          break;
+        }
+        case 'remove':
+          result = result.filter(p => p.steam_id !== entry.steam_id);
+          break;
+        case 'replace_all':
+          result = Array.isArray(entry.profiles) ? entry.profiles : result;
+          break;
+        default:
+          logger.warn(`Unknown queue journal operation '${entry.op}' - skipping`);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Whether the entries start from a full snapshot (see compact), i.e. replaying them alone rebuilds the queue
+   * @param {Array<Object>} entries - Journal entries
+   * @returns {boolean}
+   */
+  static startsWithSnapshot(entries) {
+    return entries.length > 0 && entries[0].op === 'replace_all' && Array.isArray(entries[0].profiles);
+  }
+
+  /**
+   * Whether the journal has grown past maxEntries and should be compacted
+   * @returns {boolean}
+   */
+  needsCompaction() {
+    return this.entryCount >= this.maxEntries;
+  }
+
+  /**
+   * Replace all entries with one replace_all entry holding the queue - only call once a snapshot
+   * containing the entries has been written
+   * @param {Array<Object>} profiles - The queue as in that snapshot
+   */
+  compact(profiles) {
+    writeFileAtomicSync(this.journalPath, JSON.stringify({ ts: Date.now(), op: 'replace_all', profiles }) + '\n');
+    this.entryCount = 1;
+    logger.debug(`Compacted queue journal at ${this.journalPath} (${profiles.length} profiles)`);
+  }
+}
+
+module.exports = QueueJournal;
@@ -0,0 +1,277 @@
+// steam-id-processor/src/queue-stores/sqlite-store.js
+const fs = require('fs-extra');
+const path = require('path');
+const Database = require('better-sqlite3');
+const logger = require('../utils/logger');
+const { quarantineFile } = require('../utils/atomic-file');
+
+// Profile fields stored in their own columns; everything else goes to the `extra` JSON column
+const PROFILE_COLUMNS = ['steam_id', 'username', 'timestamp', 'checks'];
+
+/**
+ * Queue store backed by an embedded SQLite database
+ * Each check status is its own row, so per-check updates are atomic and indexed by status
+ */
+class SqliteQueueStore {
+  constructor(dbPath, options = {}) {
+    this.type = 'sqlite';
+    this.dbPath = dbPath;
+
+    fs.ensureDirSync(path.dirname(this.dbPath));
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.pragma('busy_timeout = 5000');
+
+    this.createSchema();
+    this.prepareStatements();
+
+    if (options.legacyJsonPath) {
+      this.migrateFromJsonFile(options.legacyJsonPath);
+    }
+
+    logger.info(`SQLite queue store opened at: ${this.dbPath}`);
+  }
+
+  createSchema() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS profiles (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        steam_id TEXT NOT NULL UNIQUE,
+        username TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        extra TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_profiles_username ON profiles(username);
+
+      CREATE TABLE IF NOT EXISTS profile_checks (
+        steam_id TEXT NOT NULL REFERENCES profiles(steam_id) ON DELETE CASCADE,
+        check_name TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        status TEXT NOT NULL,
+        PRIMARY KEY (steam_id, check_name)
+      );
+      CREATE INDEX IF NOT EXISTS idx_profile_checks_status ON profile_checks(status);
+    `);
+  }
+
+  prepareStatements() {
+    this.statements = {
+      selectProfiles: this.db.prepare('SELECT steam_id, username, timestamp, extra FROM profiles ORDER BY seq'),
+      selectProfile: this.db.prepare('SELECT steam_id, username, timestamp, extra FROM profiles WHERE steam_id = ?'),
+      selectAllChecks: this.db.prepare('SELECT steam_id, check_name, status FROM profile_checks ORDER BY steam_id, position'),
+      selectChecks: this.db.prepare('SELECT check_name, status FROM profile_checks WHERE steam_id = ? ORDER BY position'),
+      countProfiles: this.db.prepare('SELECT COUNT(*) AS count FROM profiles'),
+      insertProfile: this.db.prepare(
+        'INSERT OR IGNORE INTO profiles (steam_id, username, timestamp, extra) VALUES (@steam_id, @username, @timestamp, @extra)'
+      ),
+      insertCheck: this.db.prepare(
+        'INSERT INTO profile_checks (steam_id, check_name, position, status) VALUES (?, ?, ?, ?)'
+      ),
+      updateCheck: this.db.prepare(`
+        INSERT INTO profile_checks (steam_id, check_name, position, status)
+        VALUES (@steam_id, @check_name,
+                (SELECT COALESCE(MAX(position) + 1, 0) FROM profile_checks WHERE steam_id = @steam_id),
+                @status)
+        ON CONFLICT(steam_id, check_name) DO UPDATE SET status = excluded.status
+      `),
+      updateExtra: this.db.prepare('UPDATE profiles SET extra = ? WHERE steam_id = ?'),
+      deleteProfile: this.db.prepare('DELETE FROM profiles WHERE steam_id = ?'),
+      deleteAllProfiles: this.db.prepare('DELETE FROM profiles'),
+      hasCheckStatus: this.db.prepare('SELECT 1 FROM profile_checks WHERE status = ? LIMIT 1')
+    };
+
+    // Insert a profile and its checks atomically; returns false if the steam_id already exists
+    this.insertTransaction = this.db.transaction((profile) => {
+      const info = this.statements.insertProfile.run(this.toRow(profile));
+      if (info.changes === 0) {
+        return false;
+      }
+
+      Object.entries(profile.checks || {}).forEach(([checkName, status], position) => {
+        this.statements.insertCheck.run(profile.steam_id, checkName, position, status);
+      });
+      return true;
+    });
+
+    // Merge fields into a profile's `extra` JSON column; returns false if the profile doesn't exist
+    this.updateFieldsTransaction = this.db.transaction((steamId, fields) => {
+      const row = this.statements.selectProfile.get(steamId);
+      if (!row) {
+        return false;
+      }
+
+      const extra = { ...(row.extra ? JSON.parse(row.extra) : {}) };
+      for (const [key, value] of Object.entries(fields)) {
+        if (!PROFILE_COLUMNS.includes(key)) {
+          extra[key] = value;
+        }
+      }
+      this.statements.updateExtra.run(JSON.stringify(extra), steamId);
+      return true;
+    });
+
+    this.replaceAllTransaction = this.db.transaction((profiles) => {
+      this.statements.deleteAllProfiles.run();
+      profiles.forEach(profile => this.insertTransaction(profile));
+    });
+  }
+
+  toRow(profile) {
+    const extra = {};
+    for (const [key, value] of Object.entries(profile)) {
+      if (!PROFILE_COLUMNS.includes(key)) {
+        extra[key] = value;
+      }
+    }
+
+    return {
+      steam_id: profile.steam_id,
+      username: profile.username,
+      timestamp: profile.timestamp || Date.now(),
+      extra: Object.keys(extra).length > 0 ? JSON.stringify(extra) : null
+    };
+  }
+
+  fromRow(row, checkRows) {
+    const checks = {};
+    for (const checkRow of checkRows) {
+      checks[checkRow.check_name] = checkRow.status;
+    }
+
+    return {
+      steam_id: row.steam_id,
+      username: row.username,
+      timestamp: row.timestamp,
+      ...(row.extra ? JSON.parse(row.extra) : {}),
+      checks
+    };
+  }
+
+  /**
+   * Import profiles from a legacy profiles_queue.json file, then rename it so it is only imported once
+   * @param {string} jsonPath - Path of the legacy queue file
+   * @returns {number} Number of profiles imported
+   */
+  migrateFromJsonFile(jsonPath) {
+    if (!fs.existsSync(jsonPath)) {
+      return 0;
+    }
+
+    let profiles;
+    try {
+      const parsed = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+      if (!Array.isArray(parsed)) {
+        throw new Error(`expected array, got ${typeof parsed}`);
+      }
+      profiles = parsed;
+    } catch (error) {
+      const quarantinePath = quarantineFile(jsonPath);
+      logger.error(`❌ Legacy queue file ${jsonPath} is corrupted (${error.message}) - not migrated`);
+      logger.error(`   Quarantined to: ${quarantinePath || 'FAILED TO MOVE'}`);
+      return 0;
+    }
+
+    try {
+      let imported = 0;
+      const importTransaction = this.db.transaction(() => {
+        for (const profile of profiles) {
+          if (profile && profile.steam_id && this.insertTransaction(profile)) {
+            imported++;
+          }
+        }
+      });
+      importTransaction();
+
+      const migratedPath = `${jsonPath}.migrated-${Date.now()}`;
+      fs.renameSync(jsonPath, migratedPath);
+
+      logger.info(`Migrated ${imported}/${profiles.length} profiles from ${jsonPath} into SQLite queue store`);
+      logger.info(`Legacy queue file renamed to: ${migratedPath}`);
+      return imported;
+    } catch (error) {
+      logger.error(`Error migrating legacy queue file ${jsonPath}: ${error.message}`);
+      return 0;
+    }
+  }
+
+  async getAll() {
+    const checksBySteamId = new Map();
+    for (const checkRow of this.statements.selectAllChecks.all()) {
+      if (!checksBySteamId.has(checkRow.steam_id)) {
+        checksBySteamId.set(checkRow.steam_id, []);
+      }
+      checksBySteamId.get(checkRow.steam_id).push(checkRow);
+    }
+
+    return this.statements.selectProfiles.all()
+      .map(row => this.fromRow(row, checksBySteamId.get(row.steam_id) || []));
+  }
+
+  async get(steamId) {
+    const row = this.statements.selectProfile.get(steamId);
+    if (!row) {
+      return null;
+    }
+    return this.fromRow(row, this.statements.selectChecks.all(steamId));
+  }
+
+  async count() {
+    return this.statements.countProfiles.get().count;
+  }
+
+  async insert(profile) {
+    return this.insertTransaction(profile);
+  }
+
+  async updateCheck(steamId, checkName, status) {
+    if (!this.statements.selectProfile.get(steamId)) {
+      return null;
+    }
+
+    this.statements.updateCheck.run({ steam_id: steamId, check_name: checkName, status });
+    return await this.get(steamId);
+  }
+
+  /**
+   * Store extra fields on a profile (checks and the steam_id/username/timestamp columns are left alone)
+   * @param {string} steamId - Steam ID
+   * @param {Object} fields - Fields to set
+   * @returns {Object|null} Updated profile, or null if it isn't queued
+   */
+  async updateFields(steamId, fields) {
+    if (!this.updateFieldsTransaction(steamId, fields)) {
+      return null;
+    }
+    return await this.get(steamId);
+  }
+
+  async remove(steamId) {
+    const profile = await this.get(steamId);
+    if (!profile) {
+      return null;
+    }
+
+    this.statements.deleteProfile.run(steamId);
+    return profile;
+  }
+
+  async replaceAll(profiles) {
+    if (!Array.isArray(profiles)) {
+      throw new Error(`Invalid profiles data: expected array, got ${typeof profiles}`);
+    }
+    this.replaceAllTransaction(profiles);
+  }
+
+  async hasCheckStatus(status) {
+    return !!this.statements.hasCheckStatus.get(status);
+  }
+
+  async close() {
+    if (this.db.open) {
+      this.db.close();
+    }
+  }
+}
+
+module.exports = SqliteQueueStore;
@@ -0,0 +1,104 @@
+// steam-id-processor/src/rate-limiter.js
+const logger = require('./utils/logger');
+
+/**
+ * Token bucket: refills continuously at requestsPerMinute, holds at most `burst` tokens
+ * Tokens may go negative - each negative token is a caller already waiting for its turn,
+ * so concurrent callers are spaced out in arrival order.
+ */
+class TokenBucket {
+  constructor(requestsPerMinute, burst) {
+    this.requestsPerMinute = requestsPerMinute;
+    this.burst = Math.max(1, burst);
+    this.refillPerMs = requestsPerMinute / 60000;
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.totalAcquired = 0;
+    this.totalWaitMs = 0;
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Take a token, reserving one in the future if none is available
+   * @returns {number} Milliseconds the caller must wait before using its token
+   */
+  reserve() {
+    this.refill();
+    this.tokens -= 1;
+    this.totalAcquired++;
+
+    const waitMs = this.tokens >= 0 ? 0 : Math.ceil(-this.tokens / this.refillPerMs);
+    this.totalWaitMs += waitMs;
+    return waitMs;
+  }
+
+  getStatus() {
+    this.refill();
+    return {
+      requestsPerMinute: this.requestsPerMinute,
+      burst: this.burst,
+      availableTokens: Math.max(0, Math.floor(this.tokens * 100) / 100),
+      waitingRequests: this.tokens < 0 ? Math.ceil(-this.tokens) : 0,
+      nextTokenInMs: this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillPerMs),
+      totalAcquired: this.totalAcquired,
+      totalWaitMs: this.totalWaitMs
+    };
+  }
+}
+
+/**
+ * Per-endpoint rate limiter for Steam API requests
+ */
+class RateLimiter {
+  /**
+   * @param {Object} rateLimits - { endpointName: { requestsPerMinute, burst }, default: {...} }
+   */
+  constructor(rateLimits) {
+    this.rateLimits = rateLimits || {};
+    this.buckets = new Map(); // key: endpoint name, value: TokenBucket
+  }
+
+  getBucket(endpointName) {
+    if (!this.buckets.has(endpointName)) {
+      const limit = this.rateLimits[endpointName] || this.rateLimits.default || { requestsPerMinute: 60, burst: 1 };
+      this.buckets.set(endpointName, new TokenBucket(limit.requestsPerMinute, limit.burst));
+      logger.debug(`Created rate limit bucket for ${endpointName}: ${limit.requestsPerMinute}/min, burst ${limit.burst}`);
+    }
+    return this.buckets.get(endpointName);
+  }
+
+  /**
+   * Wait until a request to the endpoint is allowed
+   * @param {string} endpointName - Endpoint name
+   */
+  async acquire(endpointName) {
+    const waitTime = this.getBucket(endpointName).reserve();
+
+    if (waitTime > 0) {
+      logger.debug(`Rate limiting: Waiting ${waitTime}ms before next ${endpointName} API call`);
+      await new Promise(resolve => setTimeout(resolve, waitTime));
+    }
+  }
+
+  /**
+   * Bucket state for monitoring
+   * @param {Array<string>} [endpointNames] - Endpoints to include even if no request was made yet
+   * @returns {Object} { endpointName: bucket status }
+   */
+  getStatus(endpointNames = []) {
+    endpointNames.forEach(endpointName => this.getBucket(endpointName));
+
+    const status = {};
+    for (const [endpointName, bucket] of this.buckets.entries()) {
+      status[endpointName] = bucket.getStatus();
+    }
+    return status;
+  }
+}
+
+module.exports = RateLimiter;
@@ -2,6 +2,7 @@
 const https = require('https');
 const http = require('http');
 const logger = require('./utils/logger');
+const metrics = require('./metrics');
 
 /**
  * Redis Queue Client for steam-id-processor
@@ -96,9 +97,11 @@ class RedisQueueClient {
             });
 
             logger.debug(`Claimed ${response.items.length} items from ${this.queueName} queue`);
+            metrics.recordRedisOperation('claim', true, response.items.length);
             return response.items;
         } catch (error) {
             logger.error(`Error claiming from ${this.queueName} queue: ${error.message}`);
+            metrics.recordRedisOperation('claim', false);
             return [];
         }
     }
@@ -115,9 +118,11 @@ class RedisQueueClient {
             });
 
             logger.debug(`Completed ${itemIds.length} items in ${this.queueName} queue`);
+            metrics.recordRedisOperation('complete', true, itemIds.length);
             return true;
         } catch (error) {
             logger.error(`Error completing items in ${this.queueName} queue: ${error.message}`);
+            metrics.recordRedisOperation('complete', false);
             return false;
         }
     }
@@ -134,9 +139,11 @@ class RedisQueueClient {
             });
 
             logger.debug(`Released ${itemIds.length} items back to ${this.queueName} queue`);
+            metrics.recordRedisOperation('release', true, itemIds.length);
             return true;
         } catch (error) {
             logger.error(`Error releasing items in ${this.queueName} queue: ${error.message}`);
+            metrics.recordRedisOperation('release', false);
             return false;
         }
     }
@@ -164,9 +171,11 @@ class RedisQueueClient {
                 instance_id: this.instanceId
             });
 
+            metrics.recordRedisOperation('release_instance', true, response.released_count || 0);
             return response.released_count || 0;
         } catch (error) {
             logger.error(`Error releasing instance claims: ${error.message}`);
+            metrics.recordRedisOperation('release_instance', false);
             return 0;
         }
     }
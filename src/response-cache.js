@@ -0,0 +1,224 @@
+// steam-id-processor/src/response-cache.js
+const fs = require('fs-extra');
+const path = require('path');
+const Database = require('better-sqlite3');
+const CONFIG = require('../config/config');
+const metrics = require('./metrics');
+const logger = require('./utils/logger');
+
+// Steam ID of a single-profile request URL: ?steamid=<id>, ?steamids=<one id>, /inventory/<id>/
+const STEAM_ID_IN_URL = /(?:[?&]steamids?=|\/inventory\/)(\d{17})(?=$|[&/])/;
+
+// Drop expired entries every this many writes
+const PRUNE_EVERY_WRITES = 500;
+
+/**
+ * Cache of successful Steam responses, keyed by endpoint + Steam ID
+ *
+ * Sits in front of SteamValidator.makeApiRequest so a re-queued Steam ID doesn't hit every
+ * endpoint again. Each endpoint has its own TTL: slow-changing data (level, backgrounds) is kept
+ * for a day, inventories only briefly. Only single-profile requests are cached, never bulk ones.
+ */
+class ResponseCache {
+  /**
+   * @param {Object} options - CONFIG.RESPONSE_CACHE
+   */
+  constructor(options = {}) {
+    this.enabled = options.ENABLED !== false;
+    this.dbPath = options.DB_PATH;
+    this.ttls = options.TTLS_MS || {};
+    this.maxEntryBytes = options.MAX_ENTRY_BYTES || 512 * 1024;
+    this.db = null;
+    this.unavailable = false;
+    this.writesSincePrune = 0;
+  }
+
+  /**
+   * Open the database on first use, so the API server and the processor share it without opening it at require time
+   * @returns {Object|null} better-sqlite3 database, or null if caching is off or it can't be opened
+   */
+  getDb() {
+    if (!this.enabled || this.db || this.unavailable) {
+      return this.db;
+    }
+
+    try {
+      fs.ensureDirSync(path.dirname(this.dbPath));
+      this.db = new Database(this.dbPath);
+      this.db.pragma('journal_mode = WAL');
+      this.db.pragma('busy_timeout = 5000');
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS response_cache (
+          endpoint TEXT NOT NULL,
+          steam_id TEXT NOT NULL,
+          data TEXT NOT NULL,
+          cached_at INTEGER NOT NULL,
+          expires_at INTEGER NOT NULL,
+          PRIMARY KEY (endpoint, steam_id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_response_cache_steam_id ON response_cache(steam_id);
+        CREATE INDEX IF NOT EXISTS idx_response_cache_expires_at ON response_cache(expires_at);
+      `);
+      this.pruneExpired();
+      logger.info(`Steam response cache opened at: ${this.dbPath}`);
+    } catch (error) {
+      this.unavailable = true;
+      logger.error(`Failed to open Steam response cache, responses will not be cached: ${error.message}`);
+    }
+
+    return this.db;
+  }
+
+  /**
+   * @param {string} endpointName - Endpoint name
+   * @returns {number} TTL in milliseconds (0 = not cached)
+   */
+  getTtl(endpointName) {
+    return endpointName in this.ttls ? this.ttls[endpointName] : (this.ttls.default || 0);
+  }
+
+  /**
+   * @param {string} url - Steam request URL
+   * @returns {string|null} Steam ID the request is for, or null for bulk / unrecognized requests
+   */
+  getSteamIdForUrl(url) {
+    const match = STEAM_ID_IN_URL.exec(url);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * @param {string} endpointName - Endpoint name
+   * @param {string} steamId - Steam ID
+   * @returns {Object|null} { data, cachedAt } of a fresh entry, or null
+   */
+  get(endpointName, steamId) {
+    if (this.getTtl(endpointName) <= 0) {
+      return null;
+    }
+
+    const db = this.getDb();
+    if (!db) {
+      return null;
+    }
+
+    try {
+      const row = db.prepare('SELECT data, cached_at, expires_at FROM response_cache WHERE endpoint = ? AND steam_id = ?')
+        .get(endpointName, steamId);
+
+      if (!row) {
+        metrics.recordCacheLookup(endpointName, 'miss');
+        return null;
+      }
+
+      if (row.expires_at <= Date.now()) {
+        db.prepare('DELETE FROM response_cache WHERE endpoint = ? AND steam_id = ?').run(endpointName, steamId);
+        metrics.recordCacheLookup(endpointName, 'expired');
+        return null;
+      }
+
+      metrics.recordCacheLookup(endpointName, 'hit');
+      logger.debug(`Cache hit for ${endpointName} ${steamId} (cached ${Math.round((Date.now() - row.cached_at) / 1000)}s ago)`);
+      return { data: JSON.parse(row.data), cachedAt: row.cached_at };
+    } catch (error) {
+      logger.error(`Error reading ${endpointName} cache entry for ${steamId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} endpointName - Endpoint name
+   * @param {string} steamId - Steam ID
+   * @param {*} data - Response body
+   */
+  set(endpointName, steamId, data) {
+    const ttl = this.getTtl(endpointName);
+    if (ttl <= 0) {
+      return;
+    }
+
+    const db = this.getDb();
+    if (!db) {
+      return;
+    }
+
+    try {
+      const serialized = JSON.stringify(data === undefined ? null : data);
+      if (serialized.length > this.maxEntryBytes) {
+        logger.debug(`Not caching ${endpointName} response for ${steamId} (${serialized.length} bytes)`);
+        return;
+      }
+
+      const now = Date.now();
+      db.prepare(`
+        INSERT INTO response_cache (endpoint, steam_id, data, cached_at, expires_at) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(endpoint, steam_id) DO UPDATE SET
+          data = excluded.data, cached_at = excluded.cached_at, expires_at = excluded.expires_at
+      `).run(endpointName, steamId, serialized, now, now + ttl);
+
+      if (++this.writesSincePrune >= PRUNE_EVERY_WRITES) {
+        this.pruneExpired();
+      }
+    } catch (error) {
+      logger.error(`Error caching ${endpointName} response for ${steamId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Drop every cached response for a Steam ID
+   * @param {string} steamId - Steam ID
+   * @returns {Array<string>} Endpoints that had a cached response
+   */
+  invalidate(steamId) {
+    const db = this.getDb();
+    if (!db) {
+      return [];
+    }
+
+    const endpoints = db.prepare('SELECT endpoint FROM response_cache WHERE steam_id = ?').all(steamId)
+      .map(row => row.endpoint);
+    db.prepare('DELETE FROM response_cache WHERE steam_id = ?').run(steamId);
+
+    if (endpoints.length > 0) {
+      logger.info(`🗑️ Invalidated cached ${endpoints.join(', ')} responses for ${steamId}`);
+    }
+    return endpoints;
+  }
+
+  pruneExpired() {
+    this.writesSincePrune = 0;
+    const info = this.db.prepare('DELETE FROM response_cache WHERE expires_at <= ?').run(Date.now());
+    if (info.changes > 0) {
+      logger.debug(`Pruned ${info.changes} expired Steam response cache entries`);
+    }
+  }
+
+  /**
+   * Cached entries per endpoint for monitoring
+   * @returns {Object} { enabled, ttls, entries: { endpointName: count } }
+   */
+  getStatus() {
+    const db = this.getDb();
+    const entries = {};
+    if (db) {
+      for (const row of db.prepare('SELECT endpoint, COUNT(*) AS count FROM response_cache WHERE expires_at > ? GROUP BY endpoint').all(Date.now())) {
+        entries[row.endpoint] = row.count;
+      }
+    }
+
+    return {
+      enabled: this.enabled && !this.unavailable,
+      ttls: this.ttls,
+      entries
+    };
+  }
+
+  close() {
+    if (this.db && this.db.open) {
+      this.db.close();
+    }
+  }
+}
+
+// Export singleton instance shared by the processor and the API server
+const responseCache = new ResponseCache(CONFIG.RESPONSE_CACHE);
+module.exports = responseCache;
@@ -0,0 +1,343 @@
+// steam-id-processor/src/result-history.js
+const fs = require('fs-extra');
+const path = require('path');
+const Database = require('better-sqlite3');
+const CONFIG = require('../config/config');
+const logger = require('./utils/logger');
+
+// Final outcome of a profile that left the queue
+const OUTCOMES = ['accepted', 'rejected', 'submission_failed', 'cancelled'];
+
+/**
+ * History of validation results, kept after profiles leave the queue
+ *
+ * While a profile is queued, each finished check's full result (details such as friends_count,
+ * player_level or item_count) is kept in `pending_check_results`. When the profile completes
+ * (accepted, rejected, submission failed or cancelled) the results are folded into one
+ * `validation_results` row, so we can explain a decision long after the queue entry is gone.
+ * A later record for the same queue entry (a replayed submission) reuses the earlier record's results.
+ */
+class ResultHistory {
+  constructor(dbPath) {
+    this.dbPath = dbPath;
+    this.db = null;
+    this.unavailable = false;
+    this.outcomes = OUTCOMES;
+  }
+
+  /**
+   * Open the database on first use, so the API server and the processor share it without opening it at require time
+   * @returns {Object|null} better-sqlite3 database, or null if it can't be opened
+   */
+  getDb() {
+    if (this.db || this.unavailable) {
+      return this.db;
+    }
+
+    try {
+      fs.ensureDirSync(path.dirname(this.dbPath));
+      this.db = new Database(this.dbPath);
+      this.db.pragma('journal_mode = WAL');
+      this.db.pragma('busy_timeout = 5000');
+      this.createSchema();
+      logger.info(`Validation result history opened at: ${this.dbPath}`);
+    } catch (error) {
+      this.unavailable = true;
+      logger.error(`Failed to open validation result history, results will not be recorded: ${error.message}`);
+    }
+
+    return this.db;
+  }
+
+  createSchema() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS validation_results (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        steam_id TEXT NOT NULL,
+        username TEXT,
+        outcome TEXT NOT NULL,
+        failed_check TEXT,
+        queued_at INTEGER,
+        completed_at INTEGER NOT NULL,
+        submission_result TEXT,
+        submission_error TEXT,
+        checks TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_results_steam_id ON validation_results(steam_id);
+      CREATE INDEX IF NOT EXISTS idx_results_username ON validation_results(username, completed_at);
+      CREATE INDEX IF NOT EXISTS idx_results_outcome ON validation_results(outcome, completed_at);
+
+      CREATE TABLE IF NOT EXISTS pending_check_results (
+        steam_id TEXT NOT NULL,
+        check_name TEXT NOT NULL,
+        status TEXT NOT NULL,
+        result TEXT,
+        checked_at INTEGER NOT NULL,
+        PRIMARY KEY (steam_id, check_name)
+      );
+    `);
+  }
+
+  /**
+   * Keep the result of a finished check until the profile completes
+   * @param {string} steamId - Steam ID
+   * @param {string} checkName - Check name
+   * @param {string} status - passed or failed
+   * @param {Object} result - Check result ({ details, error, ... }) or a note for manual changes
+   */
+  recordCheckResult(steamId, checkName, status, result) {
+    const db = this.getDb();
+    if (!db) {
+      return;
+    }
+
+    try {
+      db.prepare(`
+        INSERT INTO pending_check_results (steam_id, check_name, status, result, checked_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(steam_id, check_name) DO UPDATE SET
+          status = excluded.status, result = excluded.result, checked_at = excluded.checked_at
+      `).run(steamId, checkName, status, JSON.stringify(result || null), Date.now());
+    } catch (error) {
+      logger.error(`Error recording ${checkName} result for ${steamId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write the final record for a profile leaving the queue
+   * @param {Object} profile - Queue profile (steam_id, username, timestamp, checks)
+   * @param {Object} completion
+   * @param {string} completion.outcome - accepted, rejected, submission_failed or cancelled
+   * @param {string} [completion.failedCheck] - Check that rejected the profile
+   * @param {Object} [completion.submission] - { result, error } from the downstream API submission
+   * @returns {Object|null} The stored record (as returned by getResultsForSteamId)
+   */
+  recordCompletion(profile, completion) {
+    const db = this.getDb();
+    if (!db || !profile) {
+      return null;
+    }
+
+    try {
+      const pendingRows = db.prepare(
+        'SELECT check_name, status, result, checked_at FROM pending_check_results WHERE steam_id = ?'
+      ).all(profile.steam_id);
+      const pendingByCheck = new Map(pendingRows.map(row => [row.check_name, row]));
+
+      // The pending results went into the first record of this queue entry (e.g. submission_failed
+      // before a replay) - carry them over from it
+      let previousChecks = {};
+      if (Object.keys(profile.checks || {}).some(checkName => !pendingByCheck.has(checkName))) {
+        const previous = db.prepare(
+          'SELECT checks FROM validation_results WHERE steam_id = ? AND queued_at IS ? ORDER BY id DESC LIMIT 1'
+        ).get(profile.steam_id, profile.timestamp || null);
+        previousChecks = previous ? JSON.parse(previous.checks) : {};
+      }
+
+      // Queue status for every check, with the detailed result where one was recorded
+      const checks = {};
+      for (const [checkName, status] of Object.entries(profile.checks || {})) {
+        const pending = pendingByCheck.get(checkName);
+        if (pending) {
+          checks[checkName] = {
+            status: pending.status,
+            result: JSON.parse(pending.result),
+            checked_at: new Date(pending.checked_at).toISOString()
+          };
+        } else {
+          checks[checkName] = previousChecks[checkName] || { status, result: null, checked_at: null };
+        }
+      }
+
+      const failedCheck = completion.failedCheck ||
+        Object.keys(checks).find(checkName => checks[checkName].status === 'failed') || null;
+      const submission = completion.submission || {};
+
+      const row = {
+        steam_id: profile.steam_id,
+        username: profile.username || null,
+        outcome: completion.outcome,
+        failed_check: failedCheck,
+        queued_at: profile.timestamp || null,
+        completed_at: Date.now(),
+        submission_result: submission.result || null,
+        submission_error: submission.error || null,
+        checks: JSON.stringify(checks)
+      };
+
+      row.id = db.transaction(() => {
+        const info = db.prepare(`
+          INSERT INTO validation_results
+            (steam_id, username, outcome, failed_check, queued_at, completed_at, submission_result, submission_error, checks)
+          VALUES (@steam_id, @username, @outcome, @failed_check, @queued_at, @completed_at, @submission_result, @submission_error, @checks)
+        `).run(row);
+        db.prepare('DELETE FROM pending_check_results WHERE steam_id = ?').run(profile.steam_id);
+        return Number(info.lastInsertRowid);
+      })();
+
+      logger.debug(`Recorded ${completion.outcome} result for ${profile.steam_id} in history (#${row.id})`);
+      return this.fromRow(row);
+    } catch (error) {
+      logger.error(`Error recording completion for ${profile.steam_id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Drop a profile's pending check results without writing a record (shadow mode reports them itself)
+   * @param {string} steamId - Steam ID
+   * @returns {Object} The dropped results per check, shaped like getResultsForSteamId().pending
+   */
+  discardPendingResults(steamId) {
+    const db = this.getDb();
+    if (!db) {
+      return {};
+    }
+
+    try {
+      const pending = {};
+      db.transaction(() => {
+        for (const row of db.prepare('SELECT * FROM pending_check_results WHERE steam_id = ?').all(steamId)) {
+          pending[row.check_name] = {
+            status: row.status,
+            result: JSON.parse(row.result),
+            checked_at: new Date(row.checked_at).toISOString()
+          };
+        }
+        db.prepare('DELETE FROM pending_check_results WHERE steam_id = ?').run(steamId);
+      })();
+      return pending;
+    } catch (error) {
+      logger.error(`Error discarding pending results for ${steamId}: ${error.message}`);
+      return {};
+    }
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      steam_id: row.steam_id,
+      username: row.username,
+      outcome: row.outcome,
+      failed_check: row.failed_check,
+      queued_at: row.queued_at ? new Date(row.queued_at).toISOString() : null,
+      completed_at: new Date(row.completed_at).toISOString(),
+      submission: row.submission_result || row.submission_error
+        ? { result: row.submission_result, error: row.submission_error }
+        : null,
+      checks: JSON.parse(row.checks)
+    };
+  }
+
+  /**
+   * @param {string} steamId - Steam ID
+   * @returns {Object} { results (newest first), pending } for the Steam ID
+   */
+  getResultsForSteamId(steamId) {
+    const db = this.getDb();
+    if (!db) {
+      return { results: [], pending: {} };
+    }
+
+    const results = db.prepare('SELECT * FROM validation_results WHERE steam_id = ? ORDER BY completed_at DESC, id DESC')
+      .all(steamId)
+      .map(row => this.fromRow(row));
+
+    const pending = {};
+    for (const row of db.prepare('SELECT * FROM pending_check_results WHERE steam_id = ?').all(steamId)) {
+      pending[row.check_name] = {
+        status: row.status,
+        result: JSON.parse(row.result),
+        checked_at: new Date(row.checked_at).toISOString()
+      };
+    }
+
+    return { results, pending };
+  }
+
+  /**
+   * @param {Object} [filters]
+   * @param {string} [filters.username] - Submitting username
+   * @param {string} [filters.outcome] - accepted, rejected, submission_failed or cancelled
+   * @param {string} [filters.failedCheck] - Check that rejected the profile
+   * @param {number} [filters.since] - Completed at or after (ms)
+   * @param {number} [filters.until] - Completed at or before (ms)
+   * @param {number} [filters.limit] - Page size (default 100)
+   * @param {number} [filters.offset] - Records to skip
+   * @returns {Object} { results (newest first), total }
+   */
+  queryResults(filters = {}) {
+    const db = this.getDb();
+    if (!db) {
+      return { results: [], total: 0 };
+    }
+
+    const conditions = [];
+    const params = [];
+    if (filters.username) { conditions.push('username = ?'); params.push(filters.username); }
+    if (filters.outcome) { conditions.push('outcome = ?'); params.push(filters.outcome); }
+    if (filters.failedCheck) { conditions.push('failed_check = ?'); params.push(filters.failedCheck); }
+    if (filters.since) { conditions.push('completed_at >= ?'); params.push(filters.since); }
+    if (filters.until) { conditions.push('completed_at <= ?'); params.push(filters.until); }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const total = db.prepare(`SELECT COUNT(*) AS count FROM validation_results ${where}`).get(...params).count;
+    const results = db.prepare(`SELECT * FROM validation_results ${where} ORDER BY completed_at DESC, id DESC LIMIT ? OFFSET ?`)
+      .all(...params, filters.limit || 100, filters.offset || 0)
+      .map(row => this.fromRow(row));
+
+    return { results, total };
+  }
+
+  /**
+   * Pass/fail counts per check, for learning which checks reject most often
+   * Only checks that actually ran count: skipped, private-profile auto-passes and manual updates are left out.
+   * @param {number} [since] - Only results completed/checked at or after this time (ms)
+   * @returns {Object} { checkName: { passed, failed } }
+   */
+  getCheckStats(since = 0) {
+    const db = this.getDb();
+    if (!db) {
+      return {};
+    }
+
+    try {
+      const rows = db.prepare(`
+        SELECT check_name, status, COUNT(*) AS count FROM (
+          SELECT checks.key AS check_name,
+                 json_extract(checks.value, '$.status') AS status,
+                 json_extract(checks.value, '$.result') AS result
+          FROM validation_results, json_each(validation_results.checks) AS checks
+          WHERE validation_results.completed_at >= ?
+          UNION ALL
+          SELECT check_name, status, result FROM pending_check_results WHERE checked_at >= ?
+        )
+        WHERE status IN ('passed', 'failed')
+          AND result IS NOT NULL
+          AND json_extract(result, '$.autoPassed') IS NULL
+          AND json_extract(result, '$.manual') IS NULL
+        GROUP BY check_name, status
+      `).all(since, since);
+
+      const stats = {};
+      for (const row of rows) {
+        stats[row.check_name] = stats[row.check_name] || { passed: 0, failed: 0 };
+        stats[row.check_name][row.status] = row.count;
+      }
+      return stats;
+    } catch (error) {
+      logger.error(`Error reading check stats from result history: ${error.message}`);
+      return {};
+    }
+  }
+
+  close() {
+    if (this.db && this.db.open) {
+      this.db.close();
+    }
+  }
+}
+
+// Export singleton instance shared by the processor and the API server
+const resultHistory = new ResultHistory(CONFIG.RESULTS_DB_PATH);
+module.exports = resultHistory;
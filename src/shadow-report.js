@@ -0,0 +1,73 @@
+// steam-id-processor/src/shadow-report.js
+const fs = require('fs-extra');
+const CONFIG = require('../config/config');
+const resultHistory = require('./result-history');
+const logger = require('./utils/logger');
+
+/**
+ * Report of what the pipeline would have done, written in shadow mode
+ *
+ * In shadow mode (STEAM_ID_PROCESSOR_SHADOW_MODE=enabled) profiles are claimed and validated as
+ * usual, but passed profiles are not submitted to the link API, Redis items are released instead
+ * of completed (so the regular processors still handle them) and no webhooks are sent. Each
+ * profile leaving the queue is appended to the report instead, one JSON line with the outcome it
+ * would have had and its per-check results - to try new thresholds or check logic on real traffic
+ * without touching the link database.
+ */
+class ShadowReport {
+  /**
+   * @param {Object} options - CONFIG.SHADOW_MODE
+   */
+  constructor(options = {}) {
+    this.enabled = options.ENABLED === true;
+    this.reportPath = options.REPORT_PATH;
+    this.stats = { passed: 0, rejected: 0, cancelled: 0 };
+  }
+
+  /**
+   * Report a profile leaving the queue (takes its pending check results out of the result history)
+   * @param {Object} profile - Queue profile
+   * @param {string} outcome - passed (would have been submitted), rejected or cancelled (removed via the API)
+   * @param {string|null} [failedCheck] - Check that rejected the profile
+   * @returns {Object} The report entry
+   */
+  record(profile, outcome, failedCheck = null) {
+    const pending = resultHistory.discardPendingResults(profile.steam_id);
+    const checks = {};
+    for (const [checkName, status] of Object.entries(profile.checks || {})) {
+      checks[checkName] = pending[checkName] || { status, result: null, checked_at: null };
+    }
+
+    const entry = {
+      steam_id: profile.steam_id,
+      username: profile.username || null,
+      outcome,
+      would_submit: outcome === 'passed',
+      failed_check: failedCheck || Object.keys(checks).find(checkName => checks[checkName].status === 'failed') || null,
+      queued_at: profile.timestamp ? new Date(profile.timestamp).toISOString() : null,
+      completed_at: new Date().toISOString(),
+      checks
+    };
+
+    this.stats[outcome] = (this.stats[outcome] || 0) + 1;
+    logger.info(`👥 Shadow mode: ${profile.steam_id} (user: ${entry.username}) ${outcome}${entry.failed_check ? ` (${entry.failed_check})` : ''} - written to report`);
+
+    try {
+      fs.appendFileSync(this.reportPath, JSON.stringify(entry) + '\n');
+    } catch (error) {
+      logger.error(`Error writing shadow report entry for ${profile.steam_id}: ${error.message}`);
+    }
+    return entry;
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      reportPath: this.reportPath,
+      stats: this.stats
+    };
+  }
+}
+
+const shadowReport = new ShadowReport(CONFIG.SHADOW_MODE);
+module.exports = shadowReport;
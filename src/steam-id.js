@@ -0,0 +1,110 @@
+// steam-id-processor/src/steam-id.js
+
+// SteamID64 of account 0 in the public universe (individual account type, desktop instance)
+const STEAM_ID64_BASE = 76561197960265728n;
+const MAX_ACCOUNT_ID = 0xFFFFFFFFn;
+
+const STEAM_ID64_PATTERN = /^\d{17}$/;
+const STEAM_ID2_PATTERN = /^STEAM_[0-5]:([01]):(\d{1,10})$/i;
+const STEAM_ID3_PATTERN = /^\[?U:1:(\d{1,10})\]?$/i;
+const PROFILE_URL_PATTERN = /^(?:https?:\/\/)?(?:www\.)?steamcommunity\.com\/profiles\/([^/?#]+)\/?(?:[?#].*)?$/i;
+const VANITY_URL_PATTERN = /^(?:https?:\/\/)?(?:www\.)?steamcommunity\.com\/id\/([A-Za-z0-9_-]{2,32})\/?(?:[?#].*)?$/i;
+
+function fromAccountId(accountId) {
+  if (accountId < 1n || accountId > MAX_ACCOUNT_ID) {
+    return null;
+  }
+  return (STEAM_ID64_BASE + accountId).toString();
+}
+
+/**
+ * Parse any accepted Steam ID format without network access
+ *
+ * Accepted formats:
+ * - SteamID64: 76561197960287930
+ * - SteamID2: STEAM_0:1:11101
+ * - SteamID3: [U:1:22202]
+ * - Profile URL: https://steamcommunity.com/profiles/76561197960287930 (or with a SteamID3)
+ * - Vanity URL: https://steamcommunity.com/id/gabelogannewell (needs resolving, see normalizeSteamId)
+ *
+ * @param {*} input - Raw steam_id value
+ * @returns {Object} { steamId, format } for IDs, { vanity, format: 'vanity_url' } for vanity URLs, or { error }
+ */
+function parseSteamId(input) {
+  if (typeof input === 'number') {
+    return { error: 'steam_id must be a string (a SteamID64 number loses precision in JSON)' };
+  }
+  if (typeof input !== 'string' || input.trim() === '') {
+    return { error: 'steam_id must be a non-empty string' };
+  }
+
+  const value = input.trim();
+
+  if (STEAM_ID64_PATTERN.test(value)) {
+    const steamId = fromAccountId(BigInt(value) - STEAM_ID64_BASE);
+    return steamId ? { steamId, format: 'steamid64' } : { error: `'${value}' is not an individual account SteamID64` };
+  }
+
+  const steamId2 = value.match(STEAM_ID2_PATTERN);
+  if (steamId2) {
+    const steamId = fromAccountId(BigInt(steamId2[2]) * 2n + BigInt(steamId2[1]));
+    return steamId ? { steamId, format: 'steamid2' } : { error: `'${value}' is out of range` };
+  }
+
+  const steamId3 = value.match(STEAM_ID3_PATTERN);
+  if (steamId3) {
+    const steamId = fromAccountId(BigInt(steamId3[1]));
+    return steamId ? { steamId, format: 'steamid3' } : { error: `'${value}' is out of range` };
+  }
+
+  const profileUrl = value.match(PROFILE_URL_PATTERN);
+  if (profileUrl) {
+    const parsed = parseSteamId(decodeURIComponent(profileUrl[1]));
+    return parsed.steamId ? { steamId: parsed.steamId, format: 'profile_url' } : { error: `'${value}' is not a valid profile URL` };
+  }
+
+  const vanityUrl = value.match(VANITY_URL_PATTERN);
+  if (vanityUrl) {
+    return { vanity: vanityUrl[1], format: 'vanity_url' };
+  }
+
+  return { error: `'${value}' is not a SteamID64, SteamID2, SteamID3 or steamcommunity.com profile URL` };
+}
+
+/**
+ * Normalize any accepted Steam ID format to a SteamID64
+ * @param {*} input - Raw steam_id value
+ * @param {Function} [resolveVanity] - async (vanityName) => { success, steamId, error } (SteamValidator.resolveVanityUrl);
+ *   vanity URLs are rejected when not given
+ * @returns {Object} { success: true, steamId, format } or { success: false, error }
+ */
+async function normalizeSteamId(input, resolveVanity = null) {
+  const parsed = parseSteamId(input);
+  if (parsed.error) {
+    return { success: false, error: parsed.error };
+  }
+  if (parsed.steamId) {
+    return { success: true, steamId: parsed.steamId, format: parsed.format };
+  }
+
+  if (!resolveVanity) {
+    return { success: false, error: `Vanity URL '${parsed.vanity}' can't be resolved here - send a SteamID64 instead` };
+  }
+
+  const resolved = await resolveVanity(parsed.vanity);
+  if (!resolved.success) {
+    return { success: false, error: resolved.error };
+  }
+
+  // Don't trust the resolved value blindly - it ends up in Steam URLs
+  const canonical = parseSteamId(resolved.steamId);
+  if (!canonical.steamId) {
+    return { success: false, error: `Vanity URL '${parsed.vanity}' resolved to an invalid Steam ID` };
+  }
+  return { success: true, steamId: canonical.steamId, format: parsed.format };
+}
+
+module.exports = {
+  parseSteamId,
+  normalizeSteamId
+};
@@ -1,8 +1,14 @@
 // steam-id-processor/src/steam-validator.js
-const fs = require('fs-extra');
 const path = require('path');
 const logger = require('./utils/logger');
 const CooldownManager = require('./cooldown-manager');
+const RateLimiter = require('./rate-limiter');
+const { loadProxyConnections } = require('./proxy-connections');
+const checkRegistry = require('./check-registry');
+const validationRules = require('./validation-rules');
+const metrics = require('./metrics');
+const resultHistory = require('./result-history');
+const responseCache = require('./response-cache');
 
 // Load environment variables
 require('dotenv').config({ path: path.resolve(__dirname, '../../.env') });
@@ -11,8 +17,7 @@ class SteamValidator {
   constructor(config) {
     this.config = config;
     this.apiKey = null;
-    this.lastApiCallTime = 0;
-    this.minApiCallInterval = 1000; // 1 second between calls
+    this.rateLimiter = new RateLimiter(config.RATE_LIMITS); // Token bucket per endpoint
     this.loadApiKey();
     
     // DEBUG: Verificar que config tiene la secuencia de backoff
@@ -35,67 +40,55 @@ class SteamValidator {
     this.cooldownManager = new CooldownManager(
       configDir,
       config.COOLDOWN_DURATIONS,
-      config.BACKOFF_SEQUENCE_MINUTES
+      config.BACKOFF_SEQUENCE_MINUTES,
+      {
+        connections: loadProxyConnections(config.PROXY_CONFIG_PATH),
+        selectionStrategy: config.CONNECTION_SELECTION,
+        retryHints: config.RETRY_HINTS,
+        backoffDecay: config.BACKOFF_DECAY
+      }
     );
 
     logger.debug(`🔍 [DEBUG] CooldownManager initialized`);
     
     // Add a property to track deferred checks
+    // (populated from the queue store on startup via initializeDeferredChecksFromQueue)
     this.deferredChecks = new Map();
-  
-    // NEW: Initialize deferred checks from queue file on startup
-    this.initializeDeferredChecksFromQueue();
   }
 
-  async initializeDeferredChecksFromQueue() {
+  /**
+   * Rebuild the in-memory deferred check list from the queue store (called on startup)
+   * @param {QueueManager} queueManager - Queue manager holding the persisted profiles
+   */
+  async initializeDeferredChecksFromQueue(queueManager) {
     try {
-      logger.debug(`🔍 [DEBUG] Initializing deferred checks from queue file...`);
-      
-      // We need access to the queue manager, but it's not available in constructor
-      // So we'll delay this initialization
-      setTimeout(async () => {
-        try {
-          // Read queue file directly
-          const queuePath = path.join(__dirname, '../profiles_queue.json');
-          if (!fs.existsSync(queuePath)) {
-            logger.debug(`🔍 [DEBUG] Queue file doesn't exist yet: ${queuePath}`);
-            return;
-          }
-          
-          const queueData = JSON.parse(fs.readFileSync(queuePath, 'utf8'));
-          if (!Array.isArray(queueData)) {
-            logger.debug(`🔍 [DEBUG] Invalid queue data format`);
-            return;
-          }
-          
-          let totalDeferredFound = 0;
-          let profilesWithDeferred = 0;
-          
-          for (const profile of queueData) {
-            const steamId = profile.steam_id;
-            const deferredChecks = Object.entries(profile.checks)
-              .filter(([_, status]) => status === "deferred")
-              .map(([checkName, _]) => checkName);
-            
-            if (deferredChecks.length > 0) {
-              profilesWithDeferred++;
-              totalDeferredFound += deferredChecks.length;
-              
-              // Add to in-memory deferred checks Map
-              this.deferredChecks.set(steamId, new Set(deferredChecks));
-              logger.debug(`🔍 [DEBUG] Loaded ${deferredChecks.length} deferred checks for ${steamId}: ${deferredChecks.join(', ')}`);
-            }
-          }
-          
-          logger.info(`✅ Initialized ${totalDeferredFound} deferred checks from ${profilesWithDeferred} profiles`);
+      logger.debug(`🔍 [DEBUG] Initializing deferred checks from queue store...`);
+      
+      const profiles = await queueManager.getQueuedProfiles();
+      
+      let totalDeferredFound = 0;
+      let profilesWithDeferred = 0;
+      
+      for (const profile of profiles) {
+        const steamId = profile.steam_id;
+        const deferredChecks = Object.entries(profile.checks)
+          .filter(([_, status]) => status === "deferred")
+          .map(([checkName, _]) => checkName);
+        
+        if (deferredChecks.length > 0) {
+          profilesWithDeferred++;
+          totalDeferredFound += deferredChecks.length;
           
-        } catch (error) {
-          logger.error(`Error initializing deferred checks from queue: ${error.message}`);
+          // Add to in-memory deferred checks Map
+          this.deferredChecks.set(steamId, new Set(deferredChecks));
+          logger.debug(`🔍 [DEBUG] Loaded ${deferredChecks.length} deferred checks for ${steamId}: ${deferredChecks.join(', ')}`);
         }
-      }, 1000); // Wait 1 second for other components to initialize
+      }
+      
+      logger.info(`✅ Initialized ${totalDeferredFound} deferred checks from ${profilesWithDeferred} profiles`);
       
     } catch (error) {
-      logger.error(`Error in initializeDeferredChecksFromQueue: ${error.message}`);
+      logger.error(`Error initializing deferred checks from queue: ${error.message}`);
     }
   }
 
@@ -111,29 +104,35 @@ class SteamValidator {
     }
   }
 
-  async respectRateLimit() {
-    const currentTime = Date.now();
-    const timeSinceLast = currentTime - this.lastApiCallTime;
-    
-    if (timeSinceLast < this.minApiCallInterval) {
-      const waitTime = this.minApiCallInterval - timeSinceLast;
-      logger.debug(`Rate limiting: Waiting ${waitTime}ms before next API call`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
+  /**
+   * Request a Steam URL over the connection pool
+   * @param {string} url - Steam API / community URL
+   * @param {Array<number>} [attemptedConnections] - Connections that already failed for this request
+   * @returns {Object} { success, data, cached } or error / { allInCooldown, nextAvailableIn, endpointName }
+   */
+  async makeApiRequest(url, attemptedConnections = []) {
+    const endpointName = this.cooldownManager.getEndpointName(url);
+    const cacheSteamId = responseCache.getSteamIdForUrl(url);
+
+    // Serve single-profile requests from the response cache (failover retries always go to Steam)
+    if (cacheSteamId && attemptedConnections.length === 0) {
+      const cached = responseCache.get(endpointName, cacheSteamId);
+      if (cached) {
+        return { success: true, data: cached.data, cached: true };
+      }
     }
-    
-    this.lastApiCallTime = Date.now();
-  }
 
-  async makeApiRequest(url) {
-    await this.respectRateLimit();
+    await this.rateLimiter.acquire(endpointName);
     
-    const endpointName = this.cooldownManager.getEndpointName(url);
     logger.debug(`🔍 [DEBUG] Starting makeApiRequest for ${endpointName} endpoint: ${url}`);
     
+    let axiosInstance = null;
+    let requestStartedAt = null;
+    
     try {
-      // Get axios instance for this endpoint
+      // Get axios instance for this endpoint (skipping connections that already failed for this request)
       logger.debug(`🔍 [DEBUG] Getting axios instance for ${endpointName}`);
-      const axiosInstance = this.cooldownManager.createAxiosInstance(url);
+      axiosInstance = this.cooldownManager.createAxiosInstance(url, attemptedConnections);
       
       // Check if all connections are in cooldown for this endpoint
       if (axiosInstance && axiosInstance.allInCooldown) {
@@ -159,13 +158,20 @@ class SteamValidator {
 
       logger.debug(`🔍 [DEBUG] Making HTTP request to ${endpointName} endpoint`);
 
+      requestStartedAt = Date.now();
       const response = await axiosInstance.get(url);
 
       logger.debug(`🔍 [DEBUG] HTTP request successful for ${endpointName}, status: ${response.status}`);
+      metrics.recordSteamRequest(endpointName, axiosInstance.defaults._connectionInfo.connectionType, response.status, Date.now() - requestStartedAt);
 
-      // Reset backoff on successful request
-      logger.debug(`🔍 [DEBUG] Resetting backoff for endpoint ${endpointName}`);
-      this.cooldownManager.resetBackoffOnSuccess(endpointName);
+      // Count the success towards backoff decay
+      const { connectionIndex } = axiosInstance.defaults._connectionInfo;
+      logger.debug(`🔍 [DEBUG] Recording success for endpoint ${endpointName} on connection ${connectionIndex}`);
+      this.cooldownManager.recordSuccess(endpointName, connectionIndex);
+      
+      if (cacheSteamId) {
+        responseCache.set(endpointName, cacheSteamId, response.data);
+      }
       
       logger.debug(`✅ ${endpointName} request successful`);
       return { success: true, data: response.data };
@@ -174,6 +180,15 @@ class SteamValidator {
       const errorStatus = error.response ? error.response.status : 'no status';
       const errorMessage = error.message || 'Unknown error';
       
+      if (requestStartedAt) {
+        metrics.recordSteamRequest(
+          endpointName,
+          axiosInstance.defaults._connectionInfo.connectionType,
+          error.response ? error.response.status : 'network_error',
+          Date.now() - requestStartedAt
+        );
+      }
+      
     if (!(errorStatus === 403 && endpointName === 'inventory')) {
       logger.debug(`🔍 [DEBUG] HTTP request failed for ${endpointName}`);
     }
@@ -195,29 +210,12 @@ class SteamValidator {
         return { success: false, error: errorMessage, errorObj: error, isPrivateProfile: true };
       }
       
-      logger.debug(`🔍 [DEBUG] Getting axios instance for error handling`);
-      // Get the axios instance again to ensure we have a valid one for error handling
-      const axiosInstanceForError = this.cooldownManager.createAxiosInstance(url);
-      
-      logger.debug(`🔍 [DEBUG] axiosInstanceForError type: ${typeof axiosInstanceForError}`);
-      if (axiosInstanceForError) {
-        logger.debug(`🔍 [DEBUG] axiosInstanceForError.allInCooldown: ${axiosInstanceForError.allInCooldown}`);
-        if (axiosInstanceForError.defaults) {
-          logger.debug(`🔍 [DEBUG] axiosInstanceForError.defaults exists`);
-        } else {
-          logger.debug(`🔍 [DEBUG] axiosInstanceForError.defaults is missing`);
-        }
-      }
-      
-      // Only try to handle the error if we have a valid axios instance with defaults
-      if (axiosInstanceForError && 
-          !axiosInstanceForError.allInCooldown && 
-          axiosInstanceForError.defaults) {
-        
+      // Only try to handle the error if the request went out on a pool connection
+      if (axiosInstance && axiosInstance.defaults && axiosInstance.defaults._connectionInfo) {
         logger.debug(`🔍 [DEBUG] Calling handleRequestError for ${endpointName}`);
         
-        // Let ProxyManager handle the error and mark cooldowns
-        const errorResult = this.cooldownManager.handleRequestError(error, axiosInstanceForError.defaults);
+        // Let CooldownManager mark the cooldown on the connection the request used
+        const errorResult = this.cooldownManager.handleRequestError(error, axiosInstance.defaults);
         
         logger.debug(`🔍 [DEBUG] handleRequestError result: ${JSON.stringify({
           rateLimited: errorResult.rateLimited,
@@ -226,17 +224,17 @@ class SteamValidator {
         })}`);
         
         if (errorResult.rateLimited || errorResult.socksError || errorResult.connectionError) {
-          logger.warn(`⚠️ Error handled by ProxyManager for ${endpointName}: ${errorResult.error.message}`);
+          logger.warn(`⚠️ Error handled by CooldownManager for ${endpointName}: ${errorResult.error.message}`);
           
           logger.debug(`🔍 [DEBUG] Calling retryWithNextConnection for ${endpointName}`);
-          // Try to get another connection immediately
-          return this.retryWithNextConnection(url, endpointName);
+          // Fail over to another connection immediately
+          return this.retryWithNextConnection(url, endpointName, [
+            ...attemptedConnections,
+            axiosInstance.defaults._connectionInfo.connectionIndex
+          ]);
         }
       } else {
-        logger.debug(`🔍 [DEBUG] Cannot handle error properly for ${endpointName}`);
-        logger.debug(`🔍 [DEBUG] axiosInstanceForError: ${typeof axiosInstanceForError}`);
-        logger.debug(`🔍 [DEBUG] allInCooldown: ${axiosInstanceForError?.allInCooldown}`);
-        logger.debug(`🔍 [DEBUG] has defaults: ${!!axiosInstanceForError?.defaults}`);
+        logger.debug(`🔍 [DEBUG] Cannot handle error properly for ${endpointName} - no connection info`);
       }
       
       // Handle other errors (these are the actual problems)
@@ -245,14 +243,20 @@ class SteamValidator {
     }
   }
 
-  async retryWithNextConnection(url, endpointName) {
+  /**
+   * Fail over to a connection that hasn't been tried for this request yet
+   * @param {string} url - Steam URL
+   * @param {string} endpointName - Endpoint name
+   * @param {Array<number>} [attemptedConnections] - Connections that already failed for this request
+   */
+  async retryWithNextConnection(url, endpointName, attemptedConnections = []) {
     // Check if we have another connection available for this endpoint
-    if (!this.cooldownManager.areAllConnectionsInCooldownForEndpoint(endpointName)) {
-      logger.info(`🔄 Retrying ${endpointName} with next available connection...`);
-      return this.makeApiRequest(url);
+    if (!this.cooldownManager.areAllConnectionsInCooldownForEndpoint(endpointName, attemptedConnections)) {
+      logger.info(`🔄 Retrying ${endpointName} with next available connection (already tried: ${attemptedConnections.join(', ')})...`);
+      return this.makeApiRequest(url, attemptedConnections);
     }
     
-    // All connections in cooldown for this endpoint
+    // All connections in cooldown (or already tried) for this endpoint
     const nextAvailableIn = this.cooldownManager.getNextAvailableTimeForEndpoint(endpointName);
     const waitTimeMin = Math.ceil(nextAvailableIn / 60000);
     
@@ -264,255 +268,61 @@ class SteamValidator {
     };
   }
 
-  async checkAnimatedAvatar(steamId) {
-    try {
-      const url = `https://api.steampowered.com/IPlayerService/GetAnimatedAvatar/v1/?steamid=${steamId}`;
-      const result = await this.makeApiRequest(url);
-      
-      // Check if all connections are in cooldown
-      if (result.allInCooldown) {
-        logger.warn(`Animated avatar check for ${steamId} deferred - all connections in cooldown`);
-        this.addToDeferredChecks(steamId, 'animated_avatar');
-        return { 
-          success: false, 
-          deferred: true,
-          error: "All connections in cooldown", 
-          nextAvailableIn: result.nextAvailableIn 
-        };
-      }
-      
-      if (!result.success) {
-        logger.error(`Animated avatar check failed for ${steamId}: ${result.error}`);
-        return { success: false, error: result.error };
-      }
-      
-      const data = result.data;
-      
-      if (data.response && 'avatar' in data.response) {
-        // Check if avatar is empty object or empty array
-        const hasAnimatedAvatar = data.response.avatar && 
-                                Object.keys(data.response.avatar).length > 0;
-        return {
-          success: true,
-          passed: !hasAnimatedAvatar,
-          details: hasAnimatedAvatar ? data.response : {}
-        };
-      }
-      
-      return { success: false, error: "Unexpected API response" };
-    } catch (error) {
-      logger.error(`Animated avatar check failed for ${steamId}: ${error.message}`);
-      return { success: false, error: error.message };
+  /**
+   * Run a registered check for a Steam ID
+   * @param {string} checkName - Check name from the check registry
+   * @param {string} steamId - Steam ID to check
+   * @param {string} [username] - Submitting username (selects per-user validation rules)
+   * @param {Object} [profile] - Queued profile; bulk player data stored on it saves the check's request
+   * @returns {Object} Check result { success, passed, details } or { success: false, deferred, error }
+   */
+  async runCheck(checkName, steamId, username = null, profile = null) {
+    const result = await this.executeCheck(checkName, steamId, username, profile);
+    metrics.recordCheck(checkName, result);
+    if (result.success) {
+      resultHistory.recordCheckResult(steamId, checkName, result.passed ? 'passed' : 'failed', result);
     }
+    return result;
   }
 
-  async checkAvatarFrame(steamId) {
-    try {
-      const url = `https://api.steampowered.com/IPlayerService/GetAvatarFrame/v1/?steamid=${steamId}`;
-      const result = await this.makeApiRequest(url);
-      
-      // Check if all connections are in cooldown
-      if (result.allInCooldown) {
-        logger.warn(`Avatar frame check for ${steamId} deferred - all connections in cooldown`);
-        this.addToDeferredChecks(steamId, 'avatar_frame');
-        return { 
-          success: false, 
-          deferred: true,
-          error: "All connections in cooldown", 
-          nextAvailableIn: result.nextAvailableIn 
-        };
-      }
-      
-      if (!result.success) {
-        logger.error(`Avatar frame check failed for ${steamId}: ${result.error}`);
-        return { success: false, error: result.error };
-      }
-      
-      const data = result.data;
-      
-      if (data.response && 'avatar_frame' in data.response) {
-        // Check if avatar_frame is empty object
-        const hasFrame = data.response.avatar_frame && 
-                        Object.keys(data.response.avatar_frame).length > 0;
-        return {
-          success: true,
-          passed: !hasFrame,
-          details: hasFrame ? data.response : {}
-        };
-      }
-      
-      return { success: false, error: "Unexpected API response" };
-    } catch (error) {
-      logger.error(`Avatar frame check failed for ${steamId}: ${error.message}`);
-      return { success: false, error: error.message };
+  async executeCheck(checkName, steamId, username, profile = null) {
+    const check = checkRegistry.get(checkName);
+    if (!check) {
+      logger.error(`Unknown check type: ${checkName}`);
+      return {
+        success: false,
+        passed: false,
+        error: `Unknown check type: ${checkName}`
+      };
     }
-  }
 
-  async checkMiniProfileBackground(steamId) {
-    try {
-      const url = `https://api.steampowered.com/IPlayerService/GetMiniProfileBackground/v1/?steamid=${steamId}`;
-      const result = await this.makeApiRequest(url);
-      
-      // Check if all connections are in cooldown
-      if (result.allInCooldown) {
-        logger.warn(`Mini profile background check for ${steamId} deferred - all connections in cooldown`);
-        this.addToDeferredChecks(steamId, 'mini_profile_background');
-        return { 
-          success: false, 
-          deferred: true,
-          error: "All connections in cooldown", 
-          nextAvailableIn: result.nextAvailableIn 
-        };
-      }
-      
-      if (!result.success) {
-        logger.error(`Mini profile background check failed for ${steamId}: ${result.error}`);
-        return { success: false, error: result.error };
-      }
-      
-      const data = result.data;
-      
-      if (data.response && 'profile_background' in data.response) {
-        // Check if profile_background is empty object
-        const hasBackground = data.response.profile_background && 
-                            Object.keys(data.response.profile_background).length > 0;
-        return {
-          success: true,
-          passed: !hasBackground,
-          details: hasBackground ? data.response : {}
-        };
-      }
-      
-      return { success: false, error: "Unexpected API response" };
-    } catch (error) {
-      logger.error(`Mini profile background check failed for ${steamId}: ${error.message}`);
-      return { success: false, error: error.message };
-    }
-  }
+    const context = {
+      steamId,
+      username,
+      options: validationRules.getCheckOptions(checkName, username)
+    };
 
-  async checkProfileBackground(steamId) {
-    try {
-      const url = `https://api.steampowered.com/IPlayerService/GetProfileBackground/v1/?steamid=${steamId}`;
-      const result = await this.makeApiRequest(url);
-      
-      // Check if all connections are in cooldown
-      if (result.allInCooldown) {
-        logger.warn(`Profile background check for ${steamId} deferred - all connections in cooldown`);
-        this.addToDeferredChecks(steamId, 'profile_background');
-        return { 
-          success: false, 
-          deferred: true,
-          error: "All connections in cooldown", 
-          nextAvailableIn: result.nextAvailableIn 
-        };
-      }
-      
-      if (!result.success) {
-        logger.error(`Profile background check failed for ${steamId}: ${result.error}`);
-        return { success: false, error: result.error };
-      }
-      
-      const data = result.data;
-      
-      if (data.response && 'profile_background' in data.response) {
-        // Check if profile_background is empty object
-        const hasBackground = data.response.profile_background && 
-                            Object.keys(data.response.profile_background).length > 0;
-        return {
-          success: true,
-          passed: !hasBackground,
-          details: hasBackground ? data.response : {}
-        };
-      }
-      
-      return { success: false, error: "Unexpected API response" };
-    } catch (error) {
-      logger.error(`Profile background check failed for ${steamId}: ${error.message}`);
-      return { success: false, error: error.message };
+    // Player record already fetched by the bulk prefilter (null = the bulk endpoint didn't return this ID)
+    if (check.bulkField && profile && profile[check.bulkField] !== undefined) {
+      logger.debug(`${check.label} check for ${steamId} evaluated from bulk ${check.bulkField} data`);
+      return { ...check.evaluateRecord(profile[check.bulkField], context), source: 'bulk_prefilter' };
     }
-  }
 
-  async checkSteamLevel(steamId) {
     try {
-      if (!this.apiKey) {
+      if (check.requiresApiKey && !this.apiKey) {
         return { 
           success: false, 
           error: "Steam API key not available (check STEAM_API_KEY environment variable)" 
         };
       }
-      
-      const url = `https://api.steampowered.com/IPlayerService/GetSteamLevel/v1/?key=${this.apiKey}&steamid=${steamId}`;
-      const result = await this.makeApiRequest(url);
-      
-      // Check if all connections are in cooldown
-      if (result.allInCooldown) {
-        logger.warn(`Steam level check for ${steamId} deferred - all connections in cooldown`);
-        this.addToDeferredChecks(steamId, 'steam_level');
-        return { 
-          success: false, 
-          deferred: true,
-          error: "All connections in cooldown", 
-          nextAvailableIn: result.nextAvailableIn 
-        };
-      }
-      
-      if (!result.success) {
-        logger.error(`Steam level check failed for ${steamId}: ${result.error}`);
-        return { success: false, error: result.error };
-      }
-      
-      const data = result.data;
-      
-      if (data.response) {
-        // If response is empty, this is a private profile
-        if (Object.keys(data.response).length === 0) {
-          logger.info(`Private profile detected for ${steamId} (empty GetSteamLevel response)`);
-          return {
-            success: true,
-            passed: true,
-            details: { note: "Empty response from API - private profile detected" },
-            level: 0,
-            isPrivateProfile: true
-          };
-        }
-        
-        // Regular case - response contains player_level
-        if ('player_level' in data.response) {
-          const playerLevel = data.response.player_level;
-          return {
-            success: true,
-            passed: playerLevel <= 13,
-            details: { player_level: playerLevel },
-            level: playerLevel,
-            isPrivateProfile: false
-          };
-        }
-      }
-      
-      logger.error(`Unexpected API response format for Steam level check: ${JSON.stringify(data)}`);
-      return { success: false, error: "Unexpected API response" };
-    } catch (error) {
-      logger.error(`Steam level check failed for ${steamId}: ${error.message}`);
-      return { success: false, error: error.message };
-    }
-  }
 
-  async checkFriends(steamId) {
-    try {
-      if (!this.apiKey) {
-        return { 
-          success: false, 
-          error: "Steam API key not available (check STEAM_API_KEY environment variable)" 
-        };
-      }
-      
-      const url = `https://api.steampowered.com/ISteamUser/GetFriendList/v0001/?key=${this.apiKey}&steamid=${steamId}&relationship=friend`;
+      const url = check.buildUrl(steamId, { apiKey: this.apiKey });
       const result = await this.makeApiRequest(url);
       
       // Check if all connections are in cooldown
       if (result.allInCooldown) {
-        logger.warn(`Friends check for ${steamId} deferred - all connections in cooldown`);
-        this.addToDeferredChecks(steamId, 'friends');
+        // Not added to the deferred checks list here - the processor does that, one-off validations don't
+        logger.warn(`${check.label} check for ${steamId} deferred - all connections in cooldown`);
         return { 
           success: false, 
           deferred: true,
@@ -522,145 +332,25 @@ class SteamValidator {
       }
       
       if (!result.success) {
-        // Special case for private profiles (401 error)
-        if (result.errorObj && result.errorObj.response && result.errorObj.response.status === 401) {
-          return {
-            success: true,
-            passed: true,
-            details: { error: "Private profile - cannot check friends" },
-            count: 0
-          };
+        const handled = check.handleError ? check.handleError(result, context) : null;
+        if (handled) {
+          return handled;
         }
-        
-        logger.error(`Friends check failed for ${steamId}: ${result.error}`);
-        return { success: false, error: result.error };
-      }
-      
-      const data = result.data;
-      
-      if (data.friendslist && data.friendslist.friends) {
-        const friendsCount = data.friendslist.friends.length;
-        return {
-          success: true,
-          passed: friendsCount <= 60,
-          details: {
-            friends_count: friendsCount,
-            sample_friends: data.friendslist.friends.slice(0, 3)
-          },
-          count: friendsCount
-        };
-      }
-      
-      logger.error(`Unexpected API response format for friends check: ${JSON.stringify(data)}`);
-      return { success: false, error: "Unexpected API response" };
-    } catch (error) {
-      // Special case for private profiles (401 error)
-      if (error.response && error.response.status === 401) {
-        return {
-          success: true,
-          passed: true,
-          details: { error: "Private profile - cannot check friends" },
-          count: 0
-        };
-      }
-      
-      logger.error(`Friends check failed for ${steamId}: ${error.message}`);
-      return { success: false, error: error.message };
-    }
-  }
 
-  async checkCsgoInventory(steamId) {
-    try {
-      const url = `https://steamcommunity.com/inventory/${steamId}/730/2`;
-      const result = await this.makeApiRequest(url);
-      
-      // Check if all connections are in cooldown
-      if (result.allInCooldown) {
-        logger.warn(`CS:GO inventory check for ${steamId} deferred - all connections in cooldown`);
-        this.addToDeferredChecks(steamId, 'csgo_inventory');
-        return { 
-          success: false, 
-          deferred: true,
-          error: "All connections in cooldown", 
-          nextAvailableIn: result.nextAvailableIn 
-        };
-      }
-      
-      if (!result.success) {
-        // Special case for private inventories (403) - this is actually good!
-        if (result.isPrivateInventory || 
-            (result.errorObj && result.errorObj.response && result.errorObj.response.status === 403)) {
-          logger.info(`CS:GO inventory check passed for ${steamId} (private inventory - this is good!)`);
-          return {
-            success: true,
-            passed: true,
-            details: { note: "Private inventory - cannot check (this is desirable)" }
-          };
-        }
-        
-        // Special case for unauthorized access (401)
-        if (result.errorObj && result.errorObj.response && result.errorObj.response.status === 401) {
-          logger.info(`CS:GO inventory check passed for ${steamId} (unauthorized - this is good!)`);
-          return {
-            success: true,
-            passed: true,
-            details: { note: "Unauthorized access - cannot check (this is desirable)" }
-          };
-        }
-        
-        logger.error(`CS:GO inventory check failed for ${steamId}: ${result.error}`);
+        logger.error(`${check.label} check failed for ${steamId}: ${result.error}`);
         return { success: false, error: result.error };
       }
       
-      const data = result.data;
-      
-      // Process results - pass if response is null or empty
-      if (data === null || Object.keys(data).length === 0) {
-        logger.info(`CS:GO inventory check passed for ${steamId} (empty inventory)`);
-        return {
-          success: true,
-          passed: true,
-          details: { note: "Empty inventory response" }
-        };
-      }
-      
-      // Check if inventory is actually empty
-      if (typeof data === 'object' && 
-          (!data.assets || data.assets.length === 0) && 
-          (!data.descriptions || data.descriptions.length === 0)) {
-        logger.info(`CS:GO inventory check passed for ${steamId} (empty inventory structure)`);
-        return {
-          success: true,
-          passed: true,
-          details: { note: "Empty inventory structure" }
-        };
-      }
-      
-      // Inventory exists - this is bad for your filtering criteria
-      const itemCount = data.assets ? data.assets.length : 0;
-      logger.info(`CS:GO inventory check failed for ${steamId} (found ${itemCount} items - will be filtered out)`);
-      return {
-        success: true,
-        passed: false,
-        details: {
-          note: "Public inventory with items found",
-          item_count: itemCount,
-          sample_items: data.assets ? data.assets.slice(0, 3) : []
-        }
-      };
+      return check.evaluate(result.data, context);
     } catch (error) {
-      // Special case for private inventories (these are the good ones!)
-      if (error.response && (error.response.status === 401 || error.response.status === 403)) {
-        const errorType = error.response.status === 401 ? "Unauthorized" : "Private inventory";
-        logger.info(`CS:GO inventory check passed for ${steamId}: ${errorType} - this is good!`);
-        return {
-          success: true,
-          passed: true,
-          details: { note: `${errorType} - cannot check (this is desirable)` }
-        };
+      const handled = check.handleError
+        ? check.handleError({ success: false, error: error.message, errorObj: error }, context)
+        : null;
+      if (handled) {
+        return handled;
       }
-      
-      logger.error(`CS:GO inventory check failed for ${steamId}: ${error.message}`);
+
+      logger.error(`${check.label} check failed for ${steamId}: ${error.message}`);
       return { success: false, error: error.message };
     }
   }
@@ -697,6 +387,13 @@ class SteamValidator {
     }
   }
 
+  // Drop every deferred check of a profile (profile removed or requeued)
+  clearDeferredChecksForProfile(steamId) {
+    if (this.deferredChecks.delete(steamId)) {
+      logger.debug(`Cleared all deferred checks for ${steamId}`);
+    }
+  }
+
   // Method to process deferred checks when connections become available
   async processDeferredChecks(queueManager) {
     let processed = 0;
@@ -716,6 +413,9 @@ class SteamValidator {
     
     for (const [steamId, checkTypes] of deferredEntries) {
       const checkTypesToProcess = Array.from(checkTypes);
+      // Username selects the validation rules the deferred checks are evaluated against
+      const profile = await queueManager.getProfileBySteamId(steamId);
+      const username = profile ? profile.username : null;
       logger.debug(`🔍 [DEBUG] processDeferredChecks: Processing ${steamId} with checks: ${checkTypesToProcess.join(', ')}`);
       
       for (const checkType of checkTypesToProcess) {
@@ -734,24 +434,7 @@ class SteamValidator {
         
         logger.info(`🔄 Processing deferred check ${checkType} for ${steamId} - connections now available`);
         
-        let result;
-        
-        // Run the appropriate check
-        if (checkType === 'friends') {
-          result = await this.checkFriends(steamId);
-        } else if (checkType === 'csgo_inventory') {
-          result = await this.checkCsgoInventory(steamId);
-        } else if (checkType === 'animated_avatar') {
-          result = await this.checkAnimatedAvatar(steamId);
-        } else if (checkType === 'avatar_frame') {
-          result = await this.checkAvatarFrame(steamId);
-        } else if (checkType === 'mini_profile_background') {
-          result = await this.checkMiniProfileBackground(steamId);
-        } else if (checkType === 'profile_background') {
-          result = await this.checkProfileBackground(steamId);
-        } else if (checkType === 'steam_level') {
-          result = await this.checkSteamLevel(steamId);
-        }
+        const result = await this.runCheck(checkType, steamId, username, profile);
         
         logger.debug(`🔍 [DEBUG] processDeferredChecks: ${checkType} result: ${JSON.stringify(result)}`);
         
@@ -761,6 +444,12 @@ class SteamValidator {
           this.clearDeferredCheck(steamId, checkType);
           processed++;
           logger.info(`✅ Deferred check ${checkType} for ${steamId} completed: ${result.passed ? 'PASSED' : 'FAILED'}`);
+
+          // Profile is rejected - its other deferred checks will be skipped, don't spend requests on them
+          if (!result.passed) {
+            this.clearDeferredChecksForProfile(steamId);
+            break;
+          }
         } else if (result.deferred) {
           // Still in cooldown, keep in deferred list
           // logger.debug(`Deferred check ${checkType} for ${steamId} still in cooldown`);
@@ -792,17 +481,7 @@ class SteamValidator {
 
   // Helper method to map check type to endpoint name
   mapCheckTypeToEndpoint(checkType) {
-    const mapping = {
-      'friends': 'friends',
-      'csgo_inventory': 'inventory', // This is the key mapping!
-      'steam_level': 'steam_level',
-      'animated_avatar': 'animated_avatar',
-      'avatar_frame': 'avatar_frame',
-      'mini_profile_background': 'mini_profile_background',
-      'profile_background': 'profile_background'
-    };
-    
-    return mapping[checkType] || checkType;
+    return checkRegistry.getEndpointForCheck(checkType) || checkType;
   }
 
   // Helper method to calculate final results
@@ -840,10 +519,50 @@ class SteamValidator {
     };
   }
 
-  // Get the proxy manager status
+  // Get the connection pool cooldown status
   getCooldownStatus() {
     return this.cooldownManager.getConnectionStatus();
   }
+
+  // Get the per-endpoint token bucket state
+  getRateLimitStatus() {
+    return this.rateLimiter.getStatus(checkRegistry.getEndpointNames());
+  }
+  
+  /**
+   * Resolve a steamcommunity.com/id/<name> vanity name through ISteamUser/ResolveVanityURL
+   * @param {string} vanityName - Custom URL name
+   * @returns {Object} { success: true, steamId } or { success: false, error }
+   */
+  async resolveVanityUrl(vanityName) {
+    if (!this.apiKey) {
+      return { success: false, error: 'Vanity URLs can\'t be resolved without STEAM_API_KEY - send a SteamID64 instead' };
+    }
+
+    try {
+      const url = `https://api.steampowered.com/ISteamUser/ResolveVanityURL/v1/?key=${this.apiKey}&vanityurl=${encodeURIComponent(vanityName)}`;
+      const result = await this.makeApiRequest(url);
+
+      if (result.allInCooldown) {
+        return { success: false, error: `Steam API is rate limited, can't resolve vanity URL '${vanityName}' right now` };
+      }
+      if (!result.success) {
+        logger.warn(`Failed to resolve vanity URL '${vanityName}': ${result.error}`);
+        return { success: false, error: `Failed to resolve vanity URL '${vanityName}': ${result.error}` };
+      }
+
+      const response = (result.data && result.data.response) || {};
+      if (response.success !== 1 || !response.steamid) {
+        return { success: false, error: `No Steam profile found for vanity URL '${vanityName}'` };
+      }
+
+      logger.debug(`Resolved vanity URL '${vanityName}' to ${response.steamid}`);
+      return { success: true, steamId: response.steamid };
+    } catch (error) {
+      logger.error(`Error resolving vanity URL '${vanityName}': ${error.message}`);
+      return { success: false, error: `Failed to resolve vanity URL '${vanityName}': ${error.message}` };
+    }
+  }
   
   async testProxyConnection() {
     try {
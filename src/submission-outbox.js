@@ -0,0 +1,269 @@
+// steam-id-processor/src/submission-outbox.js
+const fs = require('fs-extra');
+const path = require('path');
+const Database = require('better-sqlite3');
+const CONFIG = require('../config/config');
+const resultHistory = require('./result-history');
+const webhookNotifier = require('./webhook-notifier');
+const logger = require('./utils/logger');
+
+// pending: waiting for its next attempt; dead: out of attempts or permanently rejected, kept until replayed
+const STATUSES = ['pending', 'dead'];
+
+/**
+ * Outbox of profiles waiting to be submitted to the downstream link API
+ *
+ * Profiles that passed every check leave the queue and wait here. A separate worker
+ * (processDue) submits them and acts on ApiService's result class: `retryable` failures are
+ * retried with exponential backoff and jitter, and a profile that runs out of attempts or gets
+ * `invalid_id`, `auth_error` or `permanent` is kept in the `dead` state until it is replayed through the API.
+ * Submitted profiles are removed and their outcome written to the result history.
+ */
+class SubmissionOutbox {
+  /**
+   * @param {Object} options - CONFIG.SUBMISSION_OUTBOX
+   */
+  constructor(options = {}) {
+    this.dbPath = options.DB_PATH;
+    this.maxAttempts = options.MAX_ATTEMPTS || 8;
+    this.baseDelayMs = options.BASE_DELAY_MS || 30000;
+    this.maxDelayMs = options.MAX_DELAY_MS || 60 * 60 * 1000;
+    this.jitter = options.JITTER !== undefined ? options.JITTER : 0.2;
+    this.batchSize = options.BATCH_SIZE || 10;
+    this.statuses = STATUSES;
+    this.db = null;
+    this.isProcessing = false;
+  }
+
+  /**
+   * Open the database on first use, so the API server and the processor share it without opening it at require time
+   * @returns {Object} better-sqlite3 database
+   */
+  getDb() {
+    if (this.db) {
+      return this.db;
+    }
+
+    fs.ensureDirSync(path.dirname(this.dbPath));
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS submission_outbox (
+        steam_id TEXT PRIMARY KEY,
+        username TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at INTEGER NOT NULL,
+        last_result TEXT,
+        last_error TEXT,
+        last_status INTEGER,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        profile TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_outbox_status ON submission_outbox(status, next_attempt_at);
+    `);
+    logger.info(`Submission outbox opened at: ${this.dbPath}`);
+    return this.db;
+  }
+
+  /**
+   * Move a passed profile into the outbox
+   * @param {Object} profile - Queue profile
+   * @returns {boolean} True if added, false if the Steam ID is already waiting for submission
+   */
+  enqueue(profile) {
+    const now = Date.now();
+    const info = this.getDb().prepare(`
+      INSERT OR IGNORE INTO submission_outbox (steam_id, username, status, attempts, next_attempt_at, created_at, updated_at, profile)
+      VALUES (?, ?, 'pending', 0, ?, ?, ?, ?)
+    `).run(profile.steam_id, profile.username, now, now, now, JSON.stringify(profile));
+
+    if (info.changes > 0) {
+      logger.info(`📮 Queued ${profile.steam_id} (user: ${profile.username}) for submission`);
+    } else {
+      logger.info(`📮 ${profile.steam_id} (user: ${profile.username}) is already waiting for submission`);
+    }
+    return info.changes > 0;
+  }
+
+  /**
+   * Backoff before the next attempt: base * 2^(attempts - 1), capped, +/- jitter
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    const delay = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempts - 1));
+    const jitterFactor = 1 + (Math.random() * 2 - 1) * this.jitter;
+    return Math.round(delay * jitterFactor);
+  }
+
+  /**
+   * Submit every pending profile whose next attempt is due
+   * @param {ApiService} apiService - Downstream API client
+   * @returns {Object} { submitted, retried, dead }
+   */
+  async processDue(apiService) {
+    const summary = { submitted: 0, retried: 0, dead: 0 };
+    if (this.isProcessing) {
+      return summary;
+    }
+
+    this.isProcessing = true;
+    try {
+      const dueRows = this.getDb().prepare(
+        "SELECT * FROM submission_outbox WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at LIMIT ?"
+      ).all(Date.now(), this.batchSize);
+
+      for (const row of dueRows) {
+        const outcome = await this.submit(row, apiService);
+        summary[outcome]++;
+      }
+    } catch (error) {
+      logger.error(`Submission outbox processing error: ${error.message}`);
+    } finally {
+      this.isProcessing = false;
+    }
+
+    return summary;
+  }
+
+  /**
+   * @param {Object} row - Outbox row
+   * @param {ApiService} apiService - Downstream API client
+   * @returns {string} submitted, retried or dead
+   */
+  async submit(row, apiService) {
+    const profile = JSON.parse(row.profile);
+    const attempts = row.attempts + 1;
+
+    logger.info(`📮 Submitting ${row.steam_id} (user: ${row.username}), attempt ${attempts}/${this.maxAttempts}`);
+    const apiResult = await apiService.handleNewSteamId(row.steam_id, row.username);
+
+    if (apiResult.result === 'ok' || apiResult.result === 'duplicate') {
+      if (apiResult.result === 'duplicate') {
+        logger.info(`Steam ID ${row.steam_id} (user: ${row.username}) already exists on PythonAnywhere - removing from outbox`);
+      } else {
+        logger.info(`API submission successful for ${row.steam_id} (user: ${row.username})`);
+      }
+      this.getDb().prepare('DELETE FROM submission_outbox WHERE steam_id = ?').run(row.steam_id);
+      this.complete(profile, {
+        outcome: 'accepted',
+        submission: apiResult.result === 'duplicate' ? { result: 'duplicate', error: apiResult.error } : { result: 'success' }
+      });
+      return 'submitted';
+    }
+
+    if (apiResult.result === 'retryable' && attempts < this.maxAttempts) {
+      const delay = this.getRetryDelay(attempts);
+      logger.warn(`API submission failed with retryable error for ${row.steam_id} (user: ${row.username}): ${apiResult.error} - retrying in ${Math.round(delay / 1000)}s`);
+      this.getDb().prepare(`
+        UPDATE submission_outbox SET attempts = ?, next_attempt_at = ?, last_result = ?, last_error = ?, last_status = ?, updated_at = ?
+        WHERE steam_id = ?
+      `).run(attempts, Date.now() + delay, apiResult.result, apiResult.error || null, apiResult.status || null, Date.now(), row.steam_id);
+      return 'retried';
+    }
+
+    const reason = apiResult.result === 'retryable' ? `gave up after ${attempts} attempts` : `${apiResult.result} error`;
+    logger.error(`API submission failed for ${row.steam_id} (user: ${row.username}), ${reason}: ${apiResult.error} - moved to dead letters`);
+    this.getDb().prepare(`
+      UPDATE submission_outbox SET status = 'dead', attempts = ?, last_result = ?, last_error = ?, last_status = ?, updated_at = ?
+      WHERE steam_id = ?
+    `).run(attempts, apiResult.result, apiResult.error || null, apiResult.status || null, Date.now(), row.steam_id);
+    this.complete(profile, {
+      outcome: 'submission_failed',
+      submission: { result: apiResult.result, error: apiResult.error }
+    });
+    return 'dead';
+  }
+
+  complete(profile, completion) {
+    webhookNotifier.notifyCompletion(profile, completion, resultHistory.recordCompletion(profile, completion));
+  }
+
+  fromRow(row) {
+    return {
+      steam_id: row.steam_id,
+      username: row.username,
+      status: row.status,
+      attempts: row.attempts,
+      next_attempt_at: row.status === 'pending' ? new Date(row.next_attempt_at).toISOString() : null,
+      last_result: row.last_result,
+      last_error: row.last_error,
+      last_status: row.last_status,
+      created_at: new Date(row.created_at).toISOString(),
+      updated_at: new Date(row.updated_at).toISOString()
+    };
+  }
+
+  /**
+   * @param {string} steamId - Steam ID
+   * @returns {Object|null} Outbox entry
+   */
+  get(steamId) {
+    const row = this.getDb().prepare('SELECT * FROM submission_outbox WHERE steam_id = ?').get(steamId);
+    return row ? this.fromRow(row) : null;
+  }
+
+  /**
+   * @param {Object} [filters] - { status, limit, offset }
+   * @returns {Object} { entries (oldest first), total }
+   */
+  list(filters = {}) {
+    const where = filters.status ? 'WHERE status = ?' : '';
+    const params = filters.status ? [filters.status] : [];
+
+    const total = this.getDb().prepare(`SELECT COUNT(*) AS count FROM submission_outbox ${where}`).get(...params).count;
+    const entries = this.getDb().prepare(`SELECT * FROM submission_outbox ${where} ORDER BY created_at LIMIT ? OFFSET ?`)
+      .all(...params, filters.limit || 100, filters.offset || 0)
+      .map(row => this.fromRow(row));
+
+    return { entries, total };
+  }
+
+  /**
+   * Make entries due for submission again with a fresh attempt budget
+   * @param {string} [steamId] - One Steam ID, or every dead entry when omitted
+   * @returns {number} Entries replayed
+   */
+  replay(steamId = null) {
+    const now = Date.now();
+    const info = steamId
+      ? this.getDb().prepare(
+        "UPDATE submission_outbox SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = ? WHERE steam_id = ?"
+      ).run(now, now, steamId)
+      : this.getDb().prepare(
+        "UPDATE submission_outbox SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = ? WHERE status = 'dead'"
+      ).run(now, now);
+
+    if (info.changes > 0) {
+      logger.info(`📮 Replaying ${info.changes} outbox submissions${steamId ? ` (${steamId})` : ''}`);
+    }
+    return info.changes;
+  }
+
+  /**
+   * @returns {Object} { pending, dead, due }
+   */
+  getStats() {
+    const stats = { pending: 0, dead: 0, due: 0 };
+    for (const row of this.getDb().prepare('SELECT status, COUNT(*) AS count FROM submission_outbox GROUP BY status').all()) {
+      stats[row.status] = row.count;
+    }
+    stats.due = this.getDb().prepare(
+      "SELECT COUNT(*) AS count FROM submission_outbox WHERE status = 'pending' AND next_attempt_at <= ?"
+    ).get(Date.now()).count;
+    return stats;
+  }
+
+  close() {
+    if (this.db && this.db.open) {
+      this.db.close();
+    }
+  }
+}
+
+// Export singleton instance shared by the processor and the API server
+const submissionOutbox = new SubmissionOutbox(CONFIG.SUBMISSION_OUTBOX);
+module.exports = submissionOutbox;
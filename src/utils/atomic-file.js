@@ -0,0 +1,103 @@
+// steam-id-processor/src/utils/atomic-file.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Temp file next to the target so rename() stays on the same filesystem
+function tempPathFor(filePath) {
+  return path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`
+  );
+}
+
+// Best-effort fsync of the containing directory so the rename itself is durable
+function syncDirectory(dirPath) {
+  let fd;
+  try {
+    fd = fs.openSync(dirPath, 'r');
+    fs.fsyncSync(fd);
+  } catch (error) {
+    // Not supported on every platform/filesystem - the rename is still atomic
+  } finally {
+    if (fd !== undefined) {
+      fs.closeSync(fd);
+    }
+  }
+}
+
+/**
+ * Write a file atomically: write to a temp file, fsync, then rename over the target
+ * A crash mid-write leaves either the old or the new contents, never a truncated file
+ * @param {string} filePath - Target file
+ * @param {string} data - File contents
+ */
+function writeFileAtomicSync(filePath, data) {
+  const tempPath = tempPathFor(filePath);
+  let fd;
+
+  try {
+    fd = fs.openSync(tempPath, 'w');
+    fs.writeSync(fd, data, null, 'utf8');
+    fs.fsyncSync(fd);
+    fs.closeSync(fd);
+    fd = undefined;
+
+    fs.renameSync(tempPath, filePath);
+    syncDirectory(path.dirname(filePath));
+  } catch (error) {
+    if (fd !== undefined) {
+      try { fs.closeSync(fd); } catch (e) { /* ignore */ }
+    }
+    try { fs.unlinkSync(tempPath); } catch (e) { /* ignore */ }
+    throw error;
+  }
+}
+
+/**
+ * Async version of writeFileAtomicSync
+ * @param {string} filePath - Target file
+ * @param {string} data - File contents
+ */
+async function writeFileAtomic(filePath, data) {
+  const tempPath = tempPathFor(filePath);
+  let handle;
+
+  try {
+    handle = await fs.promises.open(tempPath, 'w');
+    await handle.writeFile(data, 'utf8');
+    await handle.sync();
+    await handle.close();
+    handle = undefined;
+
+    await fs.promises.rename(tempPath, filePath);
+    syncDirectory(path.dirname(filePath));
+  } catch (error) {
+    if (handle) {
+      try { await handle.close(); } catch (e) { /* ignore */ }
+    }
+    try { await fs.promises.unlink(tempPath); } catch (e) { /* ignore */ }
+    throw error;
+  }
+}
+
+/**
+ * Move a corrupted file out of the way, keeping it for inspection
+ * @param {string} filePath - Corrupted file
+ * @returns {string|null} Path the file was moved to (null if it could not be moved)
+ */
+function quarantineFile(filePath) {
+  const quarantinePath = `${filePath}.corrupt-${Date.now()}`;
+  try {
+    fs.renameSync(filePath, quarantinePath);
+    return quarantinePath;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  writeFileAtomic,
+  writeFileAtomicSync,
+  quarantineFile
+};
@@ -0,0 +1,102 @@
+// steam-id-processor/src/utils/callback-url.js
+const dns = require('dns');
+const net = require('net');
+
+// Addresses a caller-supplied callback must never reach: loopback, private, link-local
+// (incl. cloud metadata at 169.254.169.254), CGNAT, unspecified, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if the address is publicly routable
+ */
+function isPublicAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address it carries
+  const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) {
+    return isPublicAddress(mapped[1]);
+  }
+
+  const family = net.isIP(address);
+  if (family === 0) {
+    return false;
+  }
+  return !BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * @param {string} hostname - URL hostname
+ * @param {Array<string>} allowedHosts - example.com (exact) or .example.com (any subdomain); empty allows every host
+ * @returns {boolean}
+ */
+function isAllowedHost(hostname, allowedHosts) {
+  if (!allowedHosts || allowedHosts.length === 0) {
+    return true;
+  }
+  return allowedHosts.some(allowed => allowed.startsWith('.')
+    ? hostname.endsWith(allowed)
+    : hostname === allowed
+  );
+}
+
+/**
+ * DNS lookup that refuses non-public addresses (axios `lookup` option), so a callback host
+ * can't be re-pointed at an internal address between validation and delivery
+ * @param {string} hostname - Host to resolve
+ * @returns {Promise<Array<Object>>} [{ address, family }]
+ */
+async function publicOnlyLookup(hostname) {
+  const addresses = await dns.promises.lookup(hostname, { all: true });
+  const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+  if (blocked) {
+    throw new Error(`${hostname} resolves to non-public address ${blocked.address}`);
+  }
+  return addresses;
+}
+
+/**
+ * Validate a caller-supplied callback URL: absolute http(s), allowed host, public addresses only
+ * @param {*} url - callback_url value
+ * @param {Array<string>} [allowedHosts] - Host allowlist (see isAllowedHost)
+ * @returns {Promise<string|null>} Why the URL is refused, or null if it's fine
+ */
+async function checkCallbackUrl(url, allowedHosts = []) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'callback_url must be an absolute http(s) URL';
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return 'callback_url must be an absolute http(s) URL';
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (!isAllowedHost(hostname, allowedHosts)) {
+    return `callback_url host ${hostname} is not in the allowed callback hosts`;
+  }
+
+  if (net.isIP(hostname)) {
+    return isPublicAddress(hostname) ? null : `callback_url must not point to a non-public address (${hostname})`;
+  }
+
+  try {
+    await publicOnlyLookup(hostname);
+    return null;
+  } catch (error) {
+    return error.code ? `callback_url host ${hostname} can't be resolved` : `callback_url must not point to a non-public address (${error.message})`;
+  }
+}
+
+module.exports = {
+  isPublicAddress,
+  publicOnlyLookup,
+  checkCallbackUrl
+};
@@ -0,0 +1,181 @@
+// steam-id-processor/src/validation-rules.js
+const fs = require('fs-extra');
+const CONFIG = require('../config/config');
+const checkRegistry = require('./check-registry');
+const logger = require('./utils/logger');
+const { writeFileAtomicSync } = require('./utils/atomic-file');
+
+/**
+ * Validation rules: which checks are enabled and their thresholds, with per-username overrides
+ *
+ * File format (validation_rules.json):
+ * {
+ *   "defaults": { "friends": { "enabled": true, "max_friends": 60 } },
+ *   "users": { "alice": { "friends": { "max_friends": 100 }, "csgo_inventory": { "enabled": false } } }
+ * }
+ *
+ * Anything not set falls back to the check's defaultOptions from the check registry. Checks are
+ * enabled unless registered with enabledByDefault: false (account_age, community_visibility, bans).
+ */
+class ValidationRules {
+  constructor(rulesPath) {
+    this.rulesPath = rulesPath;
+    this.rules = { defaults: {}, users: {} };
+    this.loadRules();
+  }
+
+  loadRules() {
+    try {
+      if (fs.existsSync(this.rulesPath)) {
+        const parsed = JSON.parse(fs.readFileSync(this.rulesPath, 'utf8'));
+        this.rules = {
+          defaults: parsed.defaults || {},
+          users: parsed.users || {}
+        };
+        this.validateRuleSet(this.rules.defaults);
+        Object.values(this.rules.users).forEach(userRules => this.validateRuleSet(userRules));
+        logger.info(`Validation rules loaded (${Object.keys(this.rules.users).length} user overrides)`);
+      } else {
+        logger.info('No validation rules file found - using check defaults');
+      }
+    } catch (error) {
+      logger.error(`Error loading validation rules, using check defaults: ${error.message}`);
+      this.rules = { defaults: {}, users: {} };
+    }
+  }
+
+  saveRules() {
+    try {
+      writeFileAtomicSync(this.rulesPath, JSON.stringify(this.rules, null, 2));
+    } catch (error) {
+      logger.error(`Error saving validation rules: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate a { checkName: { enabled, ...options } } rule set, throwing on unknown checks or options
+   * @param {Object} ruleSet - Rule set to validate
+   */
+  validateRuleSet(ruleSet) {
+    if (!ruleSet || typeof ruleSet !== 'object' || Array.isArray(ruleSet)) {
+      throw new Error('Rules must be an object keyed by check name');
+    }
+
+    for (const [checkName, checkRules] of Object.entries(ruleSet)) {
+      const check = checkRegistry.get(checkName);
+      if (!check) {
+        throw new Error(`Unknown check '${checkName}'`);
+      }
+
+      if (!checkRules || typeof checkRules !== 'object' || Array.isArray(checkRules)) {
+        throw new Error(`Rules for '${checkName}' must be an object`);
+      }
+
+      for (const [key, value] of Object.entries(checkRules)) {
+        if (key === 'enabled') {
+          if (typeof value !== 'boolean') {
+            throw new Error(`'${checkName}.enabled' must be a boolean`);
+          }
+          continue;
+        }
+
+        if (!(key in check.defaultOptions)) {
+          throw new Error(`Unknown option '${key}' for check '${checkName}'`);
+        }
+
+        if (typeof value !== typeof check.defaultOptions[key]) {
+          throw new Error(`'${checkName}.${key}' must be a ${typeof check.defaultOptions[key]}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Resolve effective rules for a username (defaults + per-user overrides)
+   * @param {string} [username] - Submitting username from the queue profile
+   * @returns {Object} { checkName: { enabled, ...options } } for every registered check
+   */
+  getRulesForUser(username) {
+    const userRules = (username && this.rules.users[username]) || {};
+    const resolved = {};
+
+    for (const check of checkRegistry.getAll()) {
+      resolved[check.name] = {
+        enabled: check.enabledByDefault,
+        ...check.defaultOptions,
+        ...(this.rules.defaults[check.name] || {}),
+        ...(userRules[check.name] || {})
+      };
+    }
+
+    return resolved;
+  }
+
+  /**
+   * @param {string} [username] - Submitting username
+   * @returns {Array<string>} Names of checks enabled for this user, in registry order
+   */
+  getEnabledChecks(username) {
+    return Object.entries(this.getRulesForUser(username))
+      .filter(([_, rules]) => rules.enabled)
+      .map(([checkName, _]) => checkName);
+  }
+
+  /**
+   * @param {string} checkName - Check name
+   * @param {string} [username] - Submitting username
+   * @returns {Object} Threshold options for the check
+   */
+  getCheckOptions(checkName, username) {
+    const { enabled, ...options } = this.getRulesForUser(username)[checkName] || {};
+    return options;
+  }
+
+  getRawRules() {
+    return this.rules;
+  }
+
+  /**
+   * Replace the default rule set
+   * @param {Object} ruleSet - { checkName: { enabled, ...options } }
+   */
+  setDefaultRules(ruleSet) {
+    this.validateRuleSet(ruleSet);
+    this.rules.defaults = ruleSet;
+    this.saveRules();
+    logger.info(`Updated default validation rules`);
+  }
+
+  /**
+   * Replace the overrides for one username
+   * @param {string} username - Submitting username
+   * @param {Object} ruleSet - { checkName: { enabled, ...options } }
+   */
+  setUserRules(username, ruleSet) {
+    this.validateRuleSet(ruleSet);
+    this.rules.users[username] = ruleSet;
+    this.saveRules();
+    logger.info(`Updated validation rules for user ${username}`);
+  }
+
+  /**
+   * Remove the overrides for one username
+   * @param {string} username - Submitting username
+   * @returns {boolean} True if overrides existed
+   */
+  removeUserRules(username) {
+    if (!this.rules.users[username]) {
+      return false;
+    }
+
+    delete this.rules.users[username];
+    this.saveRules();
+    logger.info(`Removed validation rules for user ${username}`);
+    return true;
+  }
+}
+
+// Export singleton instance shared by the processor and the API server
+const validationRules = new ValidationRules(CONFIG.VALIDATION_RULES_PATH);
+module.exports = validationRules;
@@ -0,0 +1,305 @@
+// steam-id-processor/src/webhook-notifier.js
+const crypto = require('crypto');
+const axios = require('axios');
+const fs = require('fs-extra');
+const CONFIG = require('../config/config');
+const logger = require('./utils/logger');
+const { checkCallbackUrl, publicOnlyLookup } = require('./utils/callback-url');
+
+const EVENTS = ['profile.passed', 'profile.failed', 'profile.submitted', 'profile.submission_failed', 'profile.cancelled'];
+
+// Result history outcome -> webhook event sent when the profile leaves the queue
+const OUTCOME_EVENTS = {
+  accepted: 'profile.submitted',
+  rejected: 'profile.failed',
+  submission_failed: 'profile.submission_failed',
+  cancelled: 'profile.cancelled'
+};
+
+/**
+ * Signed webhook / callback notifications about profile outcomes
+ *
+ * Every event goes to the profile's own `callback_url` (set through POST /profiles) and to the
+ * global subscriptions in config_webhooks.json:
+ * {
+ *   "subscriptions": [
+ *     { "url": "https://example.com/hook", "events": ["profile.failed"], "secret": "optional per-hook secret" }
+ *   ]
+ * }
+ *
+ * Requests are POSTed as JSON with `X-Webhook-Event`, `X-Delivery-Id`, `X-Timestamp` and
+ * `X-Signature: sha256=hex(HMAC-SHA256(secret, "<timestamp>.<body>"))`. Failed deliveries
+ * (network errors, 429, 5xx) are retried with backoff; deliveries that run out of attempts, get
+ * another 4xx, or are still pending at shutdown go to the dead-letter log (one JSON line each).
+ * Redirects are not followed. Per-profile callbacks come from API callers, so they may only reach
+ * public addresses (checked again on every attempt, with a lookup that refuses internal addresses)
+ * and, when WEBHOOK_CALLBACK_ALLOWED_HOSTS is set, only the listed hosts.
+ */
+class WebhookNotifier {
+  /**
+   * @param {Object} options - CONFIG.WEBHOOKS
+   */
+  constructor(options = {}) {
+    this.enabled = options.ENABLED !== false;
+    this.configPath = options.CONFIG_PATH;
+    this.secret = options.SECRET || null;
+    this.callbackAllowedHosts = options.CALLBACK_ALLOWED_HOSTS || [];
+    this.retryDelaysMs = options.RETRY_DELAYS_MS || [30000, 120000, 600000];
+    this.timeoutMs = options.TIMEOUT_MS || 10000;
+    this.deadLetterPath = options.DEAD_LETTER_PATH;
+    this.subscriptions = null;
+    this.pending = new Map(); // key: delivery id, value: { delivery, timer }
+    this.stats = { delivered: 0, retried: 0, deadLettered: 0 };
+  }
+
+  /**
+   * Load global subscriptions on first use
+   * @returns {Array<Object>} { url, events, secret }
+   */
+  getSubscriptions() {
+    if (this.subscriptions) {
+      return this.subscriptions;
+    }
+
+    this.subscriptions = [];
+    try {
+      if (!this.configPath || !fs.existsSync(this.configPath)) {
+        logger.debug('No webhook subscriptions file found - only per-profile callbacks will be sent');
+        return this.subscriptions;
+      }
+
+      const parsed = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+      (Array.isArray(parsed.subscriptions) ? parsed.subscriptions : []).forEach((entry, position) => {
+        if (!entry || !isValidUrl(entry.url)) {
+          logger.warn(`Skipping webhook subscription #${position}: missing or invalid url`);
+          return;
+        }
+
+        const events = Array.isArray(entry.events) && entry.events.length > 0 ? entry.events : EVENTS;
+        const unknownEvents = events.filter(event => !EVENTS.includes(event));
+        if (unknownEvents.length > 0) {
+          logger.warn(`Webhook subscription #${position} has unknown events (${unknownEvents.join(', ')}) - ignored`);
+        }
+
+        this.subscriptions.push({ url: entry.url, events, secret: entry.secret || null });
+      });
+
+      logger.info(`🪝 Loaded ${this.subscriptions.length} webhook subscriptions from ${this.configPath}`);
+    } catch (error) {
+      logger.error(`Error loading webhook subscriptions: ${error.message}`);
+    }
+
+    if (!this.secret && this.subscriptions.some(subscription => !subscription.secret)) {
+      logger.warn('⚠️ STEAM_PROCESSOR_WEBHOOK_SECRET not set - webhooks without their own secret are sent unsigned');
+    }
+
+    return this.subscriptions;
+  }
+
+  /**
+   * Notify that all checks of a profile passed (sent before the downstream submission)
+   * @param {Object} profile - Queue profile
+   */
+  notifyPassed(profile) {
+    this.notify('profile.passed', profile, {
+      steam_id: profile.steam_id,
+      username: profile.username,
+      queued_at: profile.timestamp ? new Date(profile.timestamp).toISOString() : null,
+      checks: profile.checks
+    });
+  }
+
+  /**
+   * Notify the final outcome of a profile leaving the queue
+   * @param {Object} profile - Queue profile
+   * @param {Object} completion - { outcome, failedCheck, submission } (see ResultHistory.recordCompletion)
+   * @param {Object} [record] - Result history record, for per-check details
+   */
+  notifyCompletion(profile, completion, record = null) {
+    const event = OUTCOME_EVENTS[completion.outcome];
+    if (!event || !profile) {
+      return;
+    }
+
+    const checks = record ? record.checks : null;
+    const failedCheck = record ? record.failed_check : (completion.failedCheck || null);
+    const failedResult = checks && failedCheck && checks[failedCheck] ? checks[failedCheck].result : null;
+
+    this.notify(event, profile, {
+      steam_id: profile.steam_id,
+      username: profile.username,
+      queued_at: profile.timestamp ? new Date(profile.timestamp).toISOString() : null,
+      outcome: completion.outcome,
+      failed_check: failedCheck,
+      failure_details: failedResult ? (failedResult.details || failedResult) : null,
+      checks: checks
+        ? Object.fromEntries(Object.entries(checks).map(([checkName, check]) => [checkName, check.status]))
+        : profile.checks,
+      submission: completion.submission || null
+    });
+  }
+
+  /**
+   * Queue deliveries of an event to the profile's callback and every subscription that wants it
+   * @param {string} event - Event name
+   * @param {Object} profile - Queue profile (callback_url is read from it)
+   * @param {Object} data - Event payload
+   */
+  notify(event, profile, data) {
+    if (!this.enabled) {
+      return;
+    }
+
+    const targets = this.getSubscriptions()
+      .filter(subscription => subscription.events.includes(event))
+      .map(subscription => ({ url: subscription.url, secret: subscription.secret || this.secret, isCallback: false }));
+
+    if (profile && profile.callback_url) {
+      targets.push({ url: profile.callback_url, secret: this.secret, isCallback: true });
+    }
+
+    for (const target of targets) {
+      const delivery = {
+        id: crypto.randomUUID(),
+        url: target.url,
+        secret: target.secret,
+        isCallback: target.isCallback,
+        event,
+        payload: { event, ...data },
+        attempts: 0,
+        createdAt: Date.now()
+      };
+      delivery.payload.delivery_id = delivery.id;
+      this.attemptDelivery(delivery);
+    }
+  }
+
+  /**
+   * POST a delivery once, scheduling a retry or dead-lettering it on failure
+   * @param {Object} delivery - Delivery
+   */
+  async attemptDelivery(delivery) {
+    this.pending.delete(delivery.id);
+    delivery.attempts++;
+
+    const body = JSON.stringify({ ...delivery.payload, timestamp: new Date().toISOString() });
+    const timestamp = Date.now();
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'steam-id-processor-webhooks',
+      'X-Webhook-Event': delivery.event,
+      'X-Delivery-Id': delivery.id,
+      'X-Timestamp': String(timestamp)
+    };
+    if (delivery.secret) {
+      headers['X-Signature'] = `sha256=${crypto.createHmac('sha256', delivery.secret).update(`${timestamp}.${body}`).digest('hex')}`;
+    }
+
+    // Operator-configured subscriptions may be internal; caller-supplied callbacks may not
+    const callbackError = delivery.isCallback ? await this.checkCallbackUrl(delivery.url) : null;
+    if (callbackError) {
+      this.deadLetter(delivery, callbackError);
+      return;
+    }
+
+    try {
+      await axios.post(delivery.url, body, {
+        headers,
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        ...(delivery.isCallback ? { lookup: publicOnlyLookup } : {})
+      });
+      this.stats.delivered++;
+      logger.debug(`🪝 Delivered ${delivery.event} for ${delivery.payload.steam_id} to ${delivery.url} (attempt ${delivery.attempts})`);
+    } catch (error) {
+      const status = error.response ? error.response.status : null;
+      const retryable = !status || status === 429 || status >= 500;
+      const lastError = status ? `HTTP ${status}` : error.message;
+
+      if (retryable && delivery.attempts <= this.retryDelaysMs.length) {
+        const delay = this.retryDelaysMs[delivery.attempts - 1];
+        logger.warn(`🪝 Webhook ${delivery.event} to ${delivery.url} failed (${lastError}) - retrying in ${Math.round(delay / 1000)}s`);
+        this.stats.retried++;
+        const timer = setTimeout(() => this.attemptDelivery(delivery), delay);
+        timer.unref();
+        this.pending.set(delivery.id, { delivery, timer, lastError });
+        return;
+      }
+
+      this.deadLetter(delivery, lastError);
+    }
+  }
+
+  /**
+   * Append an undeliverable delivery to the dead-letter log
+   * @param {Object} delivery - Delivery
+   * @param {string} reason - Last error
+   */
+  deadLetter(delivery, reason) {
+    this.stats.deadLettered++;
+    logger.error(`🪝 Webhook ${delivery.event} for ${delivery.payload.steam_id} to ${delivery.url} dead-lettered after ${delivery.attempts} attempts: ${reason}`);
+
+    try {
+      fs.appendFileSync(this.deadLetterPath, JSON.stringify({
+        failed_at: new Date().toISOString(),
+        delivery_id: delivery.id,
+        url: delivery.url,
+        event: delivery.event,
+        attempts: delivery.attempts,
+        last_error: reason,
+        payload: delivery.payload
+      }) + '\n');
+    } catch (error) {
+      logger.error(`Error writing webhook dead letter: ${error.message}`);
+    }
+  }
+
+  /**
+   * @param {*} url - Callback URL given for a profile
+   * @returns {Promise<string|null>} Why the URL is refused (not http(s), host not allowed, non-public address), or null
+   */
+  async checkCallbackUrl(url) {
+    if (typeof url !== 'string') {
+      return 'callback_url must be an absolute http(s) URL';
+    }
+    return checkCallbackUrl(url, this.callbackAllowedHosts);
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      subscriptions: this.getSubscriptions().map(subscription => ({
+        url: subscription.url,
+        events: subscription.events,
+        signed: Boolean(subscription.secret || this.secret)
+      })),
+      pendingRetries: this.pending.size,
+      ...this.stats,
+      deadLetterPath: this.deadLetterPath
+    };
+  }
+
+  /**
+   * Dead-letter deliveries still waiting for a retry (called on shutdown)
+   */
+  shutdown() {
+    for (const { delivery, timer, lastError } of this.pending.values()) {
+      clearTimeout(timer);
+      this.deadLetter(delivery, `shutdown before retry (last error: ${lastError})`);
+    }
+    this.pending.clear();
+  }
+}
+
+function isValidUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+// Export singleton instance shared by the processor and the API server
+const webhookNotifier = new WebhookNotifier(CONFIG.WEBHOOKS);
+module.exports = webhookNotifier;
@@ -0,0 +1,75 @@
+// steam-id-processor/src/worker-pool.js
+const logger = require('./utils/logger');
+
+/**
+ * Bounded pool of concurrent async tasks, keyed so the same item is never run twice at once
+ */
+class WorkerPool {
+  constructor(concurrency) {
+    this.concurrency = Math.max(1, concurrency || 1);
+    this.active = new Map(); // key: task key (steam ID), value: task promise
+    this.idleWaiters = [];
+  }
+
+  get activeCount() {
+    return this.active.size;
+  }
+
+  get availableSlots() {
+    return Math.max(0, this.concurrency - this.active.size);
+  }
+
+  hasCapacity() {
+    return this.availableSlots > 0;
+  }
+
+  isRunning(key) {
+    return this.active.has(key);
+  }
+
+  activeKeys() {
+    return Array.from(this.active.keys());
+  }
+
+  /**
+   * Start a task if there is a free slot and the key isn't already running
+   * @param {string} key - Task key
+   * @param {Function} task - Async function to run
+   * @returns {boolean} True if the task was started
+   */
+  run(key, task) {
+    if (!this.hasCapacity() || this.isRunning(key)) {
+      return false;
+    }
+
+    const promise = Promise.resolve()
+      .then(task)
+      .catch(error => {
+        logger.error(`Worker task ${key} failed: ${error.message}`);
+      })
+      .finally(() => {
+        this.active.delete(key);
+        logger.debug(`Worker slot released by ${key} (${this.active.size}/${this.concurrency} busy)`);
+        if (this.active.size === 0) {
+          this.idleWaiters.splice(0).forEach(resolve => resolve());
+        }
+      });
+
+    this.active.set(key, promise);
+    logger.debug(`Worker slot taken by ${key} (${this.active.size}/${this.concurrency} busy)`);
+    return true;
+  }
+
+  /**
+   * Resolve once no tasks are running
+   * @returns {Promise<void>}
+   */
+  onIdle() {
+    if (this.active.size === 0) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+}
+
+module.exports = WorkerPool;
@@ -0,0 +1,128 @@
+// steam-id-processor/test/api-auth.test.js
+const { CONFIG } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const ApiServer = require('../src/api-server');
+const QueueManager = require('../src/queue-manager');
+
+CONFIG.API_AUTH = {
+  ENABLED: true,
+  KEYS: [
+    { name: 'dashboard', secret: 'read-secret', scopes: ['read'] },
+    { name: 'bot', secret: 'enqueue-secret', scopes: ['enqueue'] },
+    { name: 'ops', secret: 'admin-secret', scopes: ['admin'] }
+  ],
+  HMAC_MAX_SKEW_MS: 60 * 1000
+};
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Headers signing a request as `keyName`
+ * @param {Object} request - { keyName, secret, method, url, body (raw string), contentSha256, timestamp }
+ */
+function signHeaders({ keyName, secret, method, url, body = '', contentSha256, timestamp = Date.now() }) {
+  const signedBody = contentSha256 || body;
+  const headers = {
+    'X-Key-Id': keyName,
+    'X-Timestamp': String(timestamp),
+    'X-Signature': crypto.createHmac('sha256', secret).update(`${timestamp}.${method}.${url}.${signedBody}`).digest('hex')
+  };
+  if (contentSha256) {
+    headers['X-Content-SHA256'] = contentSha256;
+  }
+  return headers;
+}
+
+async function withServer(fn) {
+  const apiServer = new ApiServer({ queueManager: new QueueManager(CONFIG) });
+  const server = apiServer.app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, url, { headers = {}, body } = {}) => {
+    const response = await fetch(baseUrl + url, { method, headers, body });
+    return { status: response.status, body: await response.json() };
+  };
+
+  try {
+    return await fn(request);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('API keys are checked and each route needs its scope (or a higher one)', async () => {
+  await withServer(async request => {
+    assert.strictEqual((await request('GET', '/profiles/queue')).status, 401);
+    assert.strictEqual((await request('GET', '/profiles/queue', { headers: { 'X-API-Key': 'nope' } })).body.error, 'Invalid API key');
+    assert.strictEqual((await request('GET', '/health')).status, 200);
+
+    assert.strictEqual((await request('GET', '/profiles/queue', { headers: { 'X-API-Key': 'read-secret' } })).status, 200);
+    assert.strictEqual((await request('GET', '/profiles/queue', { headers: { Authorization: 'Bearer admin-secret' } })).status, 200);
+
+    const body = JSON.stringify({ steam_id: '76561197960287950', username: 'auth-user' });
+    const json = { 'Content-Type': 'application/json' };
+    const denied = await request('POST', '/profiles', { headers: { ...json, 'X-API-Key': 'read-secret' }, body });
+    assert.strictEqual(denied.status, 403);
+    assert.match(denied.body.error, /'dashboard' does not have the 'enqueue' scope/);
+
+    assert.strictEqual((await request('POST', '/profiles', { headers: { ...json, 'X-API-Key': 'enqueue-secret' }, body })).status, 200);
+    assert.strictEqual((await request('DELETE', '/profiles/76561197960287950', { headers: { 'X-API-Key': 'enqueue-secret' } })).status, 403);
+    assert.strictEqual((await request('DELETE', '/profiles/76561197960287950', { headers: { 'X-API-Key': 'admin-secret' } })).status, 200);
+  });
+});
+
+test('signed requests are accepted once, with the body, path and timestamp they were signed for', async () => {
+  await withServer(async request => {
+    const url = '/profiles/queue?limit=5';
+    const headers = signHeaders({ keyName: 'dashboard', secret: 'read-secret', method: 'GET', url });
+    assert.strictEqual((await request('GET', url, { headers })).status, 200);
+
+    const replayed = await request('GET', url, { headers });
+    assert.strictEqual(replayed.status, 401);
+    assert.strictEqual(replayed.body.error, 'Replayed request signature');
+
+    const otherPath = signHeaders({ keyName: 'dashboard', secret: 'read-secret', method: 'GET', url });
+    assert.strictEqual((await request('GET', '/profiles/queue?limit=6', { headers: otherPath })).body.error, 'Invalid request signature');
+
+    const stale = signHeaders({ keyName: 'dashboard', secret: 'read-secret', method: 'GET', url, timestamp: Date.now() - 2 * 60 * 1000 });
+    assert.strictEqual((await request('GET', url, { headers: stale })).body.error, 'Missing or expired X-Timestamp');
+
+    const unknownKey = signHeaders({ keyName: 'someone', secret: 'read-secret', method: 'GET', url });
+    assert.strictEqual((await request('GET', url, { headers: unknownKey })).body.error, 'Unknown X-Key-Id');
+
+    const body = JSON.stringify({ steam_id: '76561197960287951', username: 'auth-user' });
+    const signed = signHeaders({ keyName: 'bot', secret: 'enqueue-secret', method: 'POST', url: '/profiles', body });
+    const tampered = body.replace('auth-user', 'someone-else');
+    const rejected = await request('POST', '/profiles', { headers: { ...signed, 'Content-Type': 'application/json' }, body: tampered });
+    assert.strictEqual(rejected.status, 401);
+    assert.strictEqual(rejected.body.error, 'Invalid request signature');
+
+    const accepted = await request('POST', '/profiles', { headers: { ...signed, 'Content-Type': 'application/json' }, body });
+    assert.strictEqual(accepted.status, 200);
+  });
+});
+
+test('signed imports are checked against X-Content-SHA256 as the body streams in', async () => {
+  await withServer(async request => {
+    const url = '/profiles/import?format=csv&username=auth-import';
+    const csv = '76561197960287952\n76561197960287953\n';
+
+    const missingHash = signHeaders({ keyName: 'bot', secret: 'enqueue-secret', method: 'POST', url, body: csv });
+    const noHash = await request('POST', url, { headers: missingHash, body: csv });
+    assert.strictEqual(noHash.status, 401);
+    assert.match(noHash.body.error, /need X-Content-SHA256/);
+
+    const wrongHash = signHeaders({ keyName: 'bot', secret: 'enqueue-secret', method: 'POST', url, contentSha256: sha256('76561197960287954\n') });
+    const mismatch = await request('POST', url, { headers: wrongHash, body: csv });
+    assert.strictEqual(mismatch.status, 401);
+    assert.strictEqual(mismatch.body.error, 'Request body does not match X-Content-SHA256');
+
+    const headers = signHeaders({ keyName: 'bot', secret: 'enqueue-secret', method: 'POST', url, contentSha256: sha256(csv) });
+    const imported = await request('POST', url, { headers, body: csv });
+    assert.strictEqual(imported.status, 200);
+    assert.strictEqual(imported.body.summary.added, 2);
+  });
+});
@@ -0,0 +1,147 @@
+// steam-id-processor/test/api-server.test.js
+const { CONFIG } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const ApiServer = require('../src/api-server');
+const QueueManager = require('../src/queue-manager');
+const submissionOutbox = require('../src/submission-outbox');
+const resultHistory = require('../src/result-history');
+
+CONFIG.API_AUTH.ENABLED = false;
+
+/**
+ * Serve an ApiServer's routes on a free local port for the duration of fn
+ * @returns {*} fn's result
+ */
+async function withServer(options, fn) {
+  const apiServer = new ApiServer(options);
+  const server = apiServer.app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, url, body) => {
+    const response = await fetch(baseUrl + url, {
+      method,
+      headers: body !== undefined ? { 'Content-Type': 'application/json' } : {},
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  try {
+    return await fn(request, apiServer);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+const parseQueueQuery = query => ApiServer.prototype.parseQueueQuery.call(null, query);
+const parseResultsQuery = query => ApiServer.prototype.parseResultsQuery.call(null, query);
+
+test('parseQueueQuery maps filters, sort and paging', () => {
+  const { options, error } = parseQueueQuery({ username: 'bob', status: 'deferred', check: ['friends:failed'], sort: '-username', limit: '50' });
+  assert.strictEqual(error, undefined);
+  assert.deepStrictEqual(options, { username: 'bob', status: 'deferred', checks: { friends: 'failed' }, sortBy: 'username', sortOrder: 'desc', limit: 50 });
+});
+
+test('parseQueueQuery rejects repeated or nested single-value parameters instead of throwing', () => {
+  for (const field of ['sort', 'username', 'status', 'since', 'until', 'limit', 'cursor']) {
+    assert.match(parseQueueQuery({ [field]: ['a', 'b'] }).error, new RegExp(`^${field} must be given once`));
+  }
+  assert.match(parseQueueQuery({ sort: { '-timestamp': '' } }).error, /^sort must be given once/);
+});
+
+test('parseResultsQuery rejects repeated single-value parameters', () => {
+  assert.match(parseResultsQuery({ outcome: ['accepted', 'rejected'] }).error, /^outcome must be given once/);
+  assert.deepStrictEqual(parseResultsQuery({ outcome: 'accepted' }).options, { limit: 100, offset: 0, outcome: 'accepted' });
+});
+
+test('POST /profiles/:steamId/requeue only resets checks the profile was queued with', async () => {
+  const queueManager = new QueueManager(CONFIG);
+  const steamId = '76561197960287930';
+  await queueManager.addProfileToQueue(steamId, 'requeue-user');
+  await queueManager.updateProfileCheck(steamId, 'friends', 'failed');
+
+  await withServer({ queueManager }, async request => {
+    const missing = await request('POST', `/profiles/${steamId}/requeue`, { checks: ['bans'] });
+    assert.strictEqual(missing.status, 404);
+    assert.match(missing.body.error, /Checks not found on profile .*: bans/);
+    assert.ok(!('bans' in (await queueManager.getProfileBySteamId(steamId)).checks));
+
+    assert.strictEqual((await request('POST', `/profiles/${steamId}/requeue`, { checks: ['nope'] })).status, 400);
+
+    const requeued = await request('POST', `/profiles/${steamId}/requeue`, { checks: ['friends'] });
+    assert.strictEqual(requeued.status, 200);
+    assert.strictEqual(requeued.body.profile.checks.friends, 'to_check');
+  });
+
+  await queueManager.removeProfileFromQueue(steamId);
+});
+
+test('POST /profiles refuses callback URLs that point at internal addresses', async () => {
+  const queueManager = new QueueManager(CONFIG);
+  const steamId = '76561197960287972';
+
+  await withServer({ queueManager }, async request => {
+    for (const callbackUrl of ['http://169.254.169.254/latest/meta-data/', 'http://127.0.0.1:3002/profiles', 'gopher://example.com/']) {
+      const response = await request('POST', '/profiles', { steam_id: steamId, username: 'hook-user', callback_url: callbackUrl });
+      assert.strictEqual(response.body.results[0].success, false, callbackUrl);
+      assert.match(response.body.results[0].error, /^callback_url must/);
+    }
+    assert.strictEqual(await queueManager.getProfileBySteamId(steamId), null);
+
+    const accepted = await request('POST', '/profiles', { steam_id: steamId, username: 'hook-user', callback_url: 'https://8.8.8.8/hook' });
+    assert.strictEqual(accepted.body.results[0].added, true);
+    assert.strictEqual((await queueManager.getProfileBySteamId(steamId)).callback_url, 'https://8.8.8.8/hook');
+  });
+
+  await queueManager.removeProfileFromQueue(steamId);
+});
+
+test('POST /validate is a dry run unless dry_run is false, and then only with the full check set', async () => {
+  const queueManager = new QueueManager(CONFIG);
+  const executed = [];
+  const steamValidator = {
+    resolveVanityUrl: async () => ({ success: false }),
+    executeCheck: async checkName => {
+      executed.push(checkName);
+      return { success: true, passed: true, details: {} };
+    }
+  };
+  const steamId = '76561197960287990';
+
+  await withServer({ queueManager }, async request => {
+    assert.strictEqual((await request('POST', '/validate', { steam_id: steamId })).status, 503);
+  });
+
+  await withServer({ queueManager, steamValidator }, async request => {
+    const dryRun = await request('POST', '/validate', { steam_id: steamId });
+    assert.strictEqual(dryRun.status, 200);
+    assert.strictEqual(dryRun.body.outcome, 'passed');
+    assert.strictEqual(dryRun.body.dry_run, true);
+    assert.strictEqual(dryRun.body.dry_run_reason, 'requested');
+    assert.strictEqual(dryRun.body.submission, null);
+    assert.ok(executed.length > 0);
+
+    assert.strictEqual((await request('POST', '/validate', { steam_id: steamId, dry_run: 'false' })).status, 400);
+    assert.match((await request('POST', '/validate', { steam_id: steamId, dry_run: false })).body.error, /username is required when dry_run is false/);
+
+    const partial = await request('POST', '/validate', { steam_id: steamId, username: 'validate-user', checks: ['steam_level'], dry_run: false });
+    assert.strictEqual(partial.body.dry_run, true);
+    assert.strictEqual(partial.body.dry_run_reason, 'partial_checks');
+
+    // Nothing was written anywhere by the dry runs
+    assert.strictEqual(submissionOutbox.get(steamId), null);
+    assert.strictEqual(resultHistory.getResultsForSteamId(steamId).results.length, 0);
+    assert.strictEqual(await queueManager.getProfileBySteamId(steamId), null);
+
+    const submitted = await request('POST', '/validate', { steam_id: steamId, username: 'validate-user', dry_run: false });
+    assert.strictEqual(submitted.body.dry_run, false);
+    assert.strictEqual(submitted.body.dry_run_reason, null);
+    assert.deepStrictEqual(submitted.body.submission, { result: 'queued' });
+    assert.strictEqual(submissionOutbox.get(steamId).status, 'pending');
+
+    const again = await request('POST', '/validate', { steam_id: steamId, username: 'validate-user', dry_run: false });
+    assert.deepStrictEqual(again.body.submission, { result: 'already_queued' });
+  });
+});
@@ -0,0 +1,42 @@
+// steam-id-processor/test/api-service.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const CONFIG = require('../config/config');
+const ApiService = require('../src/api-service');
+
+const apiService = new ApiService(CONFIG);
+
+test('classifyResponse treats 2xx as ok', () => {
+  assert.strictEqual(apiService.classifyResponse(200, {}), 'ok');
+  assert.strictEqual(apiService.classifyResponse(201), 'ok');
+});
+
+test('classifyResponse prefers the structured error code over the status', () => {
+  assert.strictEqual(apiService.classifyResponse(400, { code: 'link_exists' }), 'duplicate');
+  assert.strictEqual(apiService.classifyResponse(400, { code: 'invalid_steam_id' }), 'invalid_id');
+  assert.strictEqual(apiService.classifyResponse(400, { code: 'invalid_api_key' }), 'auth_error');
+  assert.strictEqual(apiService.classifyResponse(500, { code: 'duplicate' }), 'duplicate');
+});
+
+test('classifyResponse only matches legacy error messages when there is no code', () => {
+  assert.strictEqual(apiService.classifyResponse(400, { error: 'Link already exists' }), 'duplicate');
+  assert.strictEqual(apiService.classifyResponse(400, { error: 'Invalid Steam ID format: abc' }), 'invalid_id');
+  assert.strictEqual(apiService.classifyResponse(400, { error: 'Link already exists', code: 'other' }), 'permanent');
+});
+
+test('classifyResponse falls back to the HTTP status', () => {
+  assert.strictEqual(apiService.classifyResponse(409, {}), 'duplicate');
+  assert.strictEqual(apiService.classifyResponse(401, {}), 'auth_error');
+  assert.strictEqual(apiService.classifyResponse(403, { error: 'Forbidden' }), 'auth_error');
+  assert.strictEqual(apiService.classifyResponse(408, {}), 'retryable');
+  assert.strictEqual(apiService.classifyResponse(429, {}), 'retryable');
+  assert.strictEqual(apiService.classifyResponse(503, null), 'retryable');
+  assert.strictEqual(apiService.classifyResponse(400, { error: 'Something else' }), 'permanent');
+  assert.strictEqual(apiService.classifyResponse(404, 'Not Found'), 'permanent');
+});
+
+test('classifyResponse always returns a known result class', () => {
+  for (const status of [200, 301, 400, 401, 404, 409, 418, 429, 500, 502]) {
+    assert.ok(apiService.submissionResults.includes(apiService.classifyResponse(status, {})));
+  }
+});
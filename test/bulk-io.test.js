@@ -0,0 +1,50 @@
+// steam-id-processor/test/bulk-io.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const { readImportRecords, detectFormat } = require('../src/bulk-io');
+
+async function readAll(text, format) {
+  const records = [];
+  for await (const record of readImportRecords(Readable.from([text]), format)) {
+    records.push(record);
+  }
+  return records;
+}
+
+test('detectFormat reads explicit values, content types and file names', () => {
+  assert.strictEqual(detectFormat('csv'), 'csv');
+  assert.strictEqual(detectFormat('text/csv; charset=utf-8'), 'csv');
+  assert.strictEqual(detectFormat('application/x-ndjson'), 'ndjson');
+  assert.strictEqual(detectFormat('profiles.ndjson'), 'ndjson');
+  assert.strictEqual(detectFormat('application/json'), null);
+});
+
+test('CSV without a header is steam_id,username', async () => {
+  assert.deepStrictEqual(await readAll('76561197960287930,alice\n76561197960287931\n', 'csv'), [
+    { line: 1, steamId: '76561197960287930', username: 'alice' },
+    { line: 2, steamId: '76561197960287931', username: undefined }
+  ]);
+});
+
+test('CSV header may name the columns in any order', async () => {
+  const records = await readAll('\uFEFFusername,Steam_ID\r\nbob,76561197960287930\r\n', 'csv');
+  assert.deepStrictEqual(records, [{ line: 2, steamId: '76561197960287930', username: 'bob' }]);
+});
+
+test('CSV quoted fields, blank lines and comments', async () => {
+  const records = await readAll('# exported list\n\n"76561197960287930"," ""quoted"", name "\n', 'csv');
+  assert.deepStrictEqual(records, [{ line: 3, steamId: '76561197960287930', username: '"quoted", name' }]);
+});
+
+test('unparseable lines are reported with their line number', async () => {
+  const [csvRecord] = await readAll('76561197960287930,"unterminated\n', 'csv');
+  assert.strictEqual(csvRecord.line, 1);
+  assert.match(csvRecord.error, /Unterminated quoted field/);
+
+  const ndjsonRecords = await readAll('{"steam_id":"76561197960287930","username":"a"}\n[1]\nnot json\n', 'ndjson');
+  assert.deepStrictEqual(ndjsonRecords[0], { line: 1, steamId: '76561197960287930', username: 'a' });
+  assert.match(ndjsonRecords[1].error, /Expected a JSON object/);
+  assert.strictEqual(ndjsonRecords[2].line, 3);
+  assert.ok(ndjsonRecords[2].error);
+});
@@ -0,0 +1,82 @@
+// steam-id-processor/test/check-planner.test.js
+const { CONFIG } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const checkPlanner = require('../src/check-planner');
+const checkRegistry = require('../src/check-registry');
+const resultHistory = require('../src/result-history');
+const QueueManager = require('../src/queue-manager');
+const { validateSteamId } = require('../src/one-off-validation');
+
+// The planner is exported as a singleton; tests build their own so the stats they load don't leak
+const CheckPlanner = checkPlanner.constructor;
+
+function recordResults(checkName, status, count) {
+  for (let i = 0; i < count; i++) {
+    resultHistory.recordCheckResult(`7656119796028${8000 + i}`, checkName, status, { success: true, passed: status === 'passed' });
+  }
+}
+
+test('without history checks run cheapest first, private-profile checks last', () => {
+  const planner = new CheckPlanner({});
+  assert.deepStrictEqual(
+    planner.orderChecks(['csgo_inventory', 'friends', 'steam_level', 'bans']),
+    ['bans', 'steam_level', 'friends', 'csgo_inventory']
+  );
+});
+
+test('checks that reject often move ahead of cheaper ones that rarely do', () => {
+  recordResults('steam_level', 'failed', 40);
+  recordResults('bans', 'passed', 40);
+  recordResults('friends', 'failed', 40);
+
+  const planner = new CheckPlanner({});
+  planner.refreshStats();
+  assert.ok(planner.getRejectionRate('steam_level') > planner.getRejectionRate('bans'));
+  assert.deepStrictEqual(
+    planner.orderChecks(['csgo_inventory', 'friends', 'steam_level', 'bans']),
+    ['steam_level', 'bans', 'friends', 'csgo_inventory']
+  );
+});
+
+test('fixed ordering runs checks in registration order', () => {
+  const planner = new CheckPlanner({ ENABLED: false });
+  const registered = checkRegistry.getCheckNames();
+  assert.deepStrictEqual(planner.orderChecks([...registered].reverse()), registered);
+});
+
+test('skipRemainingChecks skips what has not run and keeps what has', async () => {
+  const queueManager = new QueueManager(CONFIG);
+  const steamId = '76561197960287960';
+  await queueManager.addProfileToQueue(steamId, 'planner-user');
+  const [first, second, third] = Object.keys((await queueManager.getProfileBySteamId(steamId)).checks);
+  await queueManager.updateProfileCheck(steamId, first, 'failed');
+  await queueManager.updateProfileCheck(steamId, second, 'deferred');
+
+  const skipped = await queueManager.skipRemainingChecks(steamId);
+  const { checks } = await queueManager.getProfileBySteamId(steamId);
+  assert.ok(skipped.includes(second) && skipped.includes(third) && !skipped.includes(first));
+  assert.strictEqual(checks[first], 'failed');
+  assert.ok(Object.entries(checks).every(([checkName, status]) => checkName === first || status === 'skipped'));
+  assert.deepStrictEqual(await queueManager.skipRemainingChecks(steamId), []);
+
+  await queueManager.removeProfileFromQueue(steamId);
+});
+
+test('a one-off validation stops requesting once a check fails', async () => {
+  const executed = [];
+  const steamValidator = {
+    resolveVanityUrl: async () => ({ success: false }),
+    executeCheck: async checkName => {
+      executed.push(checkName);
+      return { success: true, passed: false, details: {} };
+    }
+  };
+
+  const result = await validateSteamId(steamValidator, '76561197960287961', { checks: ['bans', 'steam_level', 'friends'] });
+  assert.strictEqual(executed.length, 1);
+  assert.strictEqual(result.outcome, 'rejected');
+  assert.strictEqual(result.failed_check, executed[0]);
+  const skipped = Object.keys(result.checks).filter(checkName => result.checks[checkName].status === 'skipped');
+  assert.deepStrictEqual(skipped.sort(), ['bans', 'friends', 'steam_level'].filter(checkName => checkName !== executed[0]).sort());
+});
@@ -0,0 +1,107 @@
+// steam-id-processor/test/cooldown-manager.test.js
+const { tempPath } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const CooldownManager = require('../src/cooldown-manager');
+
+// Only the retry hint settings are needed - constructing a CooldownManager would load (and rewrite) the cooldowns file
+const cooldownManager = {
+  retryHints: { ENABLED: true, MIN_MS: 1000, MAX_MS: 60 * 60 * 1000, LADDER_FLOOR: 0.5 }
+};
+const parseRetryHint = error => CooldownManager.prototype.parseRetryHint.call(cooldownManager, error);
+const resolveRateLimitCooldown = (ladderMs, retryHint) =>
+  CooldownManager.prototype.resolveRateLimitCooldown.call(cooldownManager, ladderMs, retryHint);
+
+test('parseRetryHint reads Retry-After in seconds or as an HTTP date', () => {
+  assert.deepStrictEqual(parseRetryHint({ response: { headers: { 'retry-after': '120' } } }), { delayMs: 120000, source: 'retry_after_header' });
+
+  const date = new Date(Date.now() + 90000).toUTCString();
+  const hint = parseRetryHint({ response: { headers: { 'retry-after': date } } });
+  assert.strictEqual(hint.source, 'retry_after_header');
+  assert.ok(hint.delayMs > 85000 && hint.delayMs <= 90000);
+});
+
+test('parseRetryHint reads rate limit reset headers as relative or epoch seconds', () => {
+  assert.deepStrictEqual(parseRetryHint({ response: { headers: { 'x-ratelimit-reset': '30' } } }), { delayMs: 30000, source: 'ratelimit_reset_header' });
+
+  const epochSeconds = Math.floor(Date.now() / 1000) + 60;
+  const hint = parseRetryHint({ response: { headers: { 'ratelimit-reset': String(epochSeconds) } } });
+  assert.strictEqual(hint.source, 'ratelimit_reset_header');
+  assert.ok(hint.delayMs > 55000 && hint.delayMs <= 60000);
+});
+
+test('parseRetryHint falls back to a retry_after field in the body', () => {
+  assert.deepStrictEqual(parseRetryHint({ response: { headers: {}, data: '{"retry_after": 5}' } }), { delayMs: 5000, source: 'response_body' });
+  assert.deepStrictEqual(parseRetryHint({ response: { headers: {}, data: { retryAfter: 7 } } }), { delayMs: 7000, source: 'response_body' });
+});
+
+test('parseRetryHint skips unusable hints', () => {
+  assert.strictEqual(parseRetryHint({}), null);
+  assert.strictEqual(parseRetryHint({ response: { headers: {}, data: 'Too Many Requests' } }), null);
+  assert.strictEqual(parseRetryHint({ response: { headers: { 'retry-after': 'soon' } } }), null);
+  assert.strictEqual(parseRetryHint({ response: { headers: { 'retry-after': '-5' } } }), null);
+  assert.strictEqual(parseRetryHint({ response: { headers: { 'retry-after': String(24 * 60 * 60) } } }), null); // Over MAX_MS
+
+  // An unusable Retry-After doesn't hide a usable reset header
+  assert.deepStrictEqual(
+    parseRetryHint({ response: { headers: { 'retry-after': 'soon', 'x-ratelimit-reset': '10' } } }),
+    { delayMs: 10000, source: 'ratelimit_reset_header' }
+  );
+});
+
+test('resolveRateLimitCooldown uses the ladder without a hint', () => {
+  assert.deepStrictEqual(resolveRateLimitCooldown(600000, null), { durationMs: 600000, source: 'backoff_ladder' });
+});
+
+test('resolveRateLimitCooldown prefers the hint, floored by the ladder and MIN_MS', () => {
+  assert.deepStrictEqual(resolveRateLimitCooldown(600000, { delayMs: 900000, source: 'retry_after_header' }), { durationMs: 900000, source: 'retry_after_header' });
+  assert.deepStrictEqual(resolveRateLimitCooldown(600000, { delayMs: 60000, source: 'retry_after_header' }), { durationMs: 300000, source: 'backoff_ladder_floor' });
+  assert.deepStrictEqual(resolveRateLimitCooldown(1000, { delayMs: 0, source: 'response_body' }), { durationMs: 1000, source: 'response_body' });
+});
+
+test('resolveRateLimitCooldown ignores hints when they are disabled', () => {
+  const disabled = { retryHints: { ...cooldownManager.retryHints, ENABLED: false } };
+  assert.deepStrictEqual(
+    CooldownManager.prototype.resolveRateLimitCooldown.call(disabled, 600000, { delayMs: 900000, source: 'retry_after_header' }),
+    { durationMs: 600000, source: 'backoff_ladder' }
+  );
+});
+
+// The processor and the operator CLI each hold their own CooldownManager over the same file
+function createSharedCooldownManagers(dirName) {
+  const configDir = tempPath(dirName);
+  fs.mkdirSync(configDir);
+  const durations = { connection_reset: 60000, timeout: 60000, dns_failure: 60000, socks_error: 60000 };
+  const create = () => new CooldownManager(configDir, durations, [1, 2, 4]);
+  const processor = create();
+  return { processor, cli: create(), configDir };
+}
+
+const readEndpointCooldowns = configDir =>
+  JSON.parse(fs.readFileSync(`${configDir}/endpoint_cooldowns.json`, 'utf8')).connections[0].endpoint_cooldowns;
+
+test('a cooldown cleared by the CLI stays cleared when the processor saves afterwards', () => {
+  const { processor, cli, configDir } = createSharedCooldownManagers('cooldowns-clear');
+  processor.markEndpointCooldown('GetPlayerSummaries', '429', 'Too Many Requests');
+  cli.reloadIfChangedOnDisk();
+
+  assert.strictEqual(cli.clearCooldowns(null, null, true), 1);
+  processor.markEndpointCooldown('GetFriendList', 'timeout', 'timed out');
+
+  assert.deepStrictEqual(Object.keys(readEndpointCooldowns(configDir)), ['GetFriendList']);
+  assert.deepStrictEqual(Object.keys(processor.getEndpointCooldowns(0)), ['GetFriendList']);
+  assert.strictEqual(processor.getBackoffState(0, 'GetPlayerSummaries'), null);
+});
+
+test('a cooldown set by the CLI survives the processor recording a success', () => {
+  const { processor, cli, configDir } = createSharedCooldownManagers('cooldowns-set');
+  processor.markEndpointCooldown('GetPlayerSummaries', '429', 'Too Many Requests');
+
+  cli.setCooldown('GetFriendList', 10 * 60 * 1000);
+  processor.recordSuccess('GetPlayerSummaries');
+
+  const endpointCooldowns = readEndpointCooldowns(configDir);
+  assert.deepStrictEqual(Object.keys(endpointCooldowns), ['GetFriendList']);
+  assert.strictEqual(endpointCooldowns.GetFriendList.reason, 'manual');
+});
@@ -0,0 +1,33 @@
+// steam-id-processor/test/helpers.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point every runtime file at a temp dir before the config (and the singletons built from it) load
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'steam-id-processor-test-'));
+const tempPath = name => path.join(tempDir, name);
+
+Object.assign(process.env, {
+  STEAM_ID_PROCESSOR_LOG_LEVEL: 'error',
+  STEAM_ID_PROCESSOR_QUEUE_STORE: 'json',
+  STEAM_ID_PROCESSOR_QUEUE_DB_PATH: tempPath('profiles_queue.db'),
+  STEAM_ID_PROCESSOR_RESULTS_DB_PATH: tempPath('validation_results.db'),
+  STEAM_ID_PROCESSOR_OUTBOX_DB_PATH: tempPath('submission_outbox.db'),
+  STEAM_ID_PROCESSOR_CACHE_DB_PATH: tempPath('steam_response_cache.db'),
+  STEAM_ID_PROCESSOR_RULES_PATH: tempPath('validation_rules.json'),
+  STEAM_ID_PROCESSOR_PROXIES_PATH: tempPath('config_proxies.json'),
+  STEAM_ID_PROCESSOR_WEBHOOKS_PATH: tempPath('config_webhooks.json'),
+  STEAM_ID_PROCESSOR_WEBHOOK_DEAD_LETTER_PATH: tempPath('webhook_dead_letters.jsonl'),
+  STEAM_ID_PROCESSOR_SHADOW_REPORT_PATH: tempPath('shadow_report.jsonl'),
+  STEAM_ID_PROCESSOR_SHADOW_SEEN_ITEMS_PATH: tempPath('shadow_seen_items.json')
+});
+
+const CONFIG = require('../config/config');
+CONFIG.QUEUE_PATH = tempPath('profiles_queue.json');
+CONFIG.QUEUE_JOURNAL_PATH = tempPath('profiles_queue.journal');
+
+module.exports = {
+  CONFIG,
+  tempDir,
+  tempPath
+};
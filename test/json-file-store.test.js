@@ -0,0 +1,74 @@
+// steam-id-processor/test/json-file-store.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonFileQueueStore = require('../src/queue-stores/json-file-store');
+const QueueJournal = require('../src/queue-stores/queue-journal');
+
+function tempPaths() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queue-store-test-'));
+  return { dir, queuePath: path.join(dir, 'queue.json'), journalPath: path.join(dir, 'queue.journal') };
+}
+
+function profile(steamId) {
+  return { steam_id: steamId, username: 'tester', timestamp: Date.now(), checks: { friends: 'to_check' } };
+}
+
+test('mutations are journaled and survive a reopen', async () => {
+  const { queuePath, journalPath } = tempPaths();
+  const store = new JsonFileQueueStore(queuePath, { journalPath });
+  assert.strictEqual(await store.insert(profile('1')), true);
+  assert.strictEqual(await store.insert(profile('1')), false);
+  await store.insert(profile('2'));
+  await store.updateCheck('1', 'friends', 'passed');
+  await store.remove('2');
+  await store.close();
+
+  const reopened = new JsonFileQueueStore(queuePath, { journalPath });
+  assert.deepStrictEqual((await reopened.getAll()).map(p => [p.steam_id, p.checks.friends]), [['1', 'passed']]);
+});
+
+test('a crash after journaling but before the snapshot write is replayed on startup', async () => {
+  const { queuePath, journalPath } = tempPaths();
+  const store = new JsonFileQueueStore(queuePath, { journalPath });
+  await store.insert(profile('1'));
+  await store.close();
+
+  // The entry made it to the journal, the snapshot rename never happened
+  new QueueJournal(journalPath).append({ op: 'insert', profile: profile('2') });
+
+  const reopened = new JsonFileQueueStore(queuePath, { journalPath });
+  assert.deepStrictEqual((await reopened.getAll()).map(p => p.steam_id), ['1', '2']);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(queuePath, 'utf8')).map(p => p.steam_id), ['1', '2']);
+});
+
+test('a corrupted queue file is quarantined and rebuilt in full after compactions', async () => {
+  const { dir, queuePath, journalPath } = tempPaths();
+  const store = new JsonFileQueueStore(queuePath, { journalPath, journalMaxEntries: 3 });
+  for (let i = 1; i <= 10; i++) {
+    await store.insert(profile(String(i)));
+  }
+  await store.updateCheck('4', 'friends', 'failed');
+  await store.close();
+
+  fs.writeFileSync(queuePath, '[{"steam_id": "1", "trunc');
+
+  const reopened = new JsonFileQueueStore(queuePath, { journalPath, journalMaxEntries: 3 });
+  const profiles = await reopened.getAll();
+  assert.deepStrictEqual(profiles.map(p => p.steam_id), ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10']);
+  assert.strictEqual(profiles.find(p => p.steam_id === '4').checks.friends, 'failed');
+  assert.strictEqual(fs.readdirSync(dir).filter(name => name.startsWith('queue.json.corrupt-')).length, 1);
+});
+
+test('a corrupted queue file with nothing to rebuild it from fails instead of emptying the queue', async () => {
+  const { queuePath, journalPath } = tempPaths();
+  const corrupted = '[{"steam_id": "1", "trunc';
+  fs.writeFileSync(queuePath, corrupted);
+  fs.writeFileSync(journalPath, JSON.stringify({ ts: 1, op: 'insert', profile: profile('2') }) + '\n');
+
+  assert.throws(() => new JsonFileQueueStore(queuePath, { journalPath }), /can't be rebuilt from the journal/);
+  await assert.rejects(new JsonFileQueueStore(queuePath).getAll(), /can't be rebuilt from the journal/);
+  assert.strictEqual(fs.readFileSync(queuePath, 'utf8'), corrupted);
+});
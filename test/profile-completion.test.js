@@ -0,0 +1,54 @@
+// steam-id-processor/test/profile-completion.test.js
+const { CONFIG } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const QueueManager = require('../src/queue-manager');
+const resultHistory = require('../src/result-history');
+const shadowReport = require('../src/shadow-report');
+const webhookNotifier = require('../src/webhook-notifier');
+const { cancelProfile } = require('../src/profile-completion');
+
+test('cancelProfile records the cancellation in the result history and notifies webhooks', async t => {
+  const notified = [];
+  t.mock.method(webhookNotifier, 'notifyCompletion', (profile, completion) => notified.push(completion.outcome));
+  const queueManager = new QueueManager(CONFIG);
+  await queueManager.addProfileToQueue('76561197960287930', 'cancel-user');
+
+  const removed = await cancelProfile(queueManager, '76561197960287930', 'test');
+  assert.strictEqual(removed.steam_id, '76561197960287930');
+  assert.strictEqual(await queueManager.getProfileBySteamId('76561197960287930'), null);
+  assert.deepStrictEqual(notified, ['cancelled']);
+
+  const [record] = resultHistory.getResultsForSteamId('76561197960287930').results;
+  assert.strictEqual(record.outcome, 'cancelled');
+  assert.deepStrictEqual(record.submission, { result: 'cancelled', error: 'Removed via test' });
+
+  assert.strictEqual(await cancelProfile(queueManager, '76561197960287930', 'test'), null);
+});
+
+test('cancelProfile without notify leaves webhooks alone', async t => {
+  const notify = t.mock.method(webhookNotifier, 'notifyCompletion', () => {});
+  const queueManager = new QueueManager(CONFIG);
+  await queueManager.addProfileToQueue('76561197960287931', 'cancel-user');
+
+  await cancelProfile(queueManager, '76561197960287931', 'CLI', { notify: false });
+  assert.strictEqual(notify.mock.callCount(), 0);
+  assert.strictEqual(resultHistory.getResultsForSteamId('76561197960287931').results.length, 1);
+});
+
+test('in shadow mode cancelProfile writes the shadow report, not the history or webhooks', async t => {
+  const notify = t.mock.method(webhookNotifier, 'notifyCompletion', () => {});
+  shadowReport.enabled = true;
+  t.after(() => { shadowReport.enabled = false; });
+  const queueManager = new QueueManager(CONFIG);
+  await queueManager.addProfileToQueue('76561197960287932', 'cancel-user');
+
+  await cancelProfile(queueManager, '76561197960287932', 'CLI', { notify: false });
+  assert.strictEqual(await queueManager.getProfileBySteamId('76561197960287932'), null);
+  assert.strictEqual(notify.mock.callCount(), 0);
+  assert.strictEqual(resultHistory.getResultsForSteamId('76561197960287932').results.length, 0);
+
+  const entries = fs.readFileSync(shadowReport.reportPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepStrictEqual(entries.map(entry => [entry.steam_id, entry.outcome, entry.would_submit]), [['76561197960287932', 'cancelled', false]]);
+});
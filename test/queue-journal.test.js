@@ -0,0 +1,75 @@
+// steam-id-processor/test/queue-journal.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const QueueJournal = require('../src/queue-stores/queue-journal');
+
+function tempJournal(maxEntries) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queue-journal-test-'));
+  return new QueueJournal(path.join(dir, 'queue.journal'), maxEntries);
+}
+
+function profile(steamId) {
+  return { steam_id: steamId, username: 'tester', timestamp: 1, checks: { friends: 'to_check' } };
+}
+
+const entries = [
+  { op: 'insert', profile: profile('1') },
+  { op: 'insert', profile: profile('2') },
+  { op: 'update_check', steam_id: '1', check: 'friends', status: 'passed' },
+  { op: 'update_fields', steam_id: '2', fields: { deferred_checks: ['friends'] } },
+  { op: 'remove', steam_id: '2' },
+  { op: 'insert', profile: profile('3') },
+  { op: 'rename', steam_id: '3' }
+];
+
+test('replay applies every operation in order and skips unknown ones', () => {
+  const profiles = QueueJournal.replay([], structuredClone(entries));
+  assert.deepStrictEqual(profiles.map(p => [p.steam_id, p.checks.friends]), [['1', 'passed'], ['3', 'to_check']]);
+});
+
+test('replaying entries a snapshot already contains changes nothing', () => {
+  const once = QueueJournal.replay([], structuredClone(entries));
+  const twice = QueueJournal.replay(structuredClone(once), structuredClone(entries));
+  assert.deepStrictEqual(twice, once);
+});
+
+test('replace_all starts the queue over from its profiles', () => {
+  const profiles = QueueJournal.replay([profile('9')], [
+    { op: 'replace_all', profiles: [profile('1')] },
+    { op: 'insert', profile: profile('2') }
+  ]);
+  assert.deepStrictEqual(profiles.map(p => p.steam_id), ['1', '2']);
+  assert.strictEqual(QueueJournal.startsWithSnapshot([{ op: 'replace_all', profiles: [] }]), true);
+  assert.strictEqual(QueueJournal.startsWithSnapshot([{ op: 'insert', profile: profile('1') }]), false);
+  assert.strictEqual(QueueJournal.startsWithSnapshot([]), false);
+});
+
+test('a partially written last line is skipped when reading', () => {
+  const journal = tempJournal();
+  journal.append({ op: 'insert', profile: profile('1') });
+  journal.append({ op: 'insert', profile: profile('2') });
+  fs.appendFileSync(journal.journalPath, '{"ts": 1, "op": "remove", "steam_');
+
+  const read = journal.readEntries();
+  assert.deepStrictEqual(read.map(entry => entry.profile.steam_id), ['1', '2']);
+  assert.ok(read.every(entry => typeof entry.ts === 'number'));
+});
+
+test('compaction replaces the entries with one full snapshot', () => {
+  const journal = tempJournal(3);
+  for (const steamId of ['1', '2', '3']) {
+    journal.append({ op: 'insert', profile: profile(steamId) });
+  }
+  assert.strictEqual(journal.needsCompaction(), true);
+
+  journal.compact([profile('1'), profile('2'), profile('3')]);
+  assert.strictEqual(journal.needsCompaction(), false);
+
+  const read = journal.readEntries();
+  assert.strictEqual(read.length, 1);
+  assert.strictEqual(QueueJournal.startsWithSnapshot(read), true);
+  assert.deepStrictEqual(QueueJournal.replay([], read).map(p => p.steam_id), ['1', '2', '3']);
+});
@@ -0,0 +1,38 @@
+// steam-id-processor/test/queue-manager.test.js
+const { CONFIG } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const QueueManager = require('../src/queue-manager');
+
+const STEAM_ID = '76561197960287930';
+
+test('requeueProfile resets the listed checks, or all of them', async () => {
+  const queueManager = new QueueManager(CONFIG);
+  await queueManager.addProfileToQueue(STEAM_ID, 'requeue-user');
+  const checkNames = Object.keys((await queueManager.getProfileBySteamId(STEAM_ID)).checks);
+  for (const checkName of checkNames) {
+    await queueManager.updateProfileCheck(STEAM_ID, checkName, 'passed');
+  }
+
+  let profile = await queueManager.requeueProfile(STEAM_ID, ['friends'], 'test');
+  assert.strictEqual(profile.checks.friends, 'to_check');
+  assert.strictEqual(Object.values(profile.checks).filter(status => status === 'to_check').length, 1);
+
+  profile = await queueManager.requeueProfile(STEAM_ID, null, 'test');
+  assert.ok(Object.values(profile.checks).every(status => status === 'to_check'));
+  assert.strictEqual(await queueManager.requeueProfile('76561197960287931', null, 'test'), null);
+
+  await queueManager.removeProfileFromQueue(STEAM_ID);
+});
+
+test('requeueProfile refuses checks the profile was not queued with', async () => {
+  const queueManager = new QueueManager(CONFIG);
+  await queueManager.addProfileToQueue(STEAM_ID, 'requeue-user');
+  const before = await queueManager.getProfileBySteamId(STEAM_ID);
+  assert.ok(!('bans' in before.checks)); // Opt-in check, not in the default rules
+
+  await assert.rejects(queueManager.requeueProfile(STEAM_ID, ['friends', 'bans'], 'test'), /Checks not on profile .*: bans/);
+  assert.deepStrictEqual((await queueManager.getProfileBySteamId(STEAM_ID)).checks, before.checks);
+
+  await queueManager.removeProfileFromQueue(STEAM_ID);
+});
@@ -0,0 +1,101 @@
+// steam-id-processor/test/shadow-mode.test.js
+process.env.STEAM_ID_PROCESSOR_SHADOW_MODE = 'enabled';
+const { CONFIG } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const QueueManager = require('../src/queue-manager');
+const shadowReport = require('../src/shadow-report');
+const submissionOutbox = require('../src/submission-outbox');
+const resultHistory = require('../src/result-history');
+const { recordProfileCompletion } = require('../src/profile-completion');
+const { validateSteamId } = require('../src/one-off-validation');
+
+// Redis validator queue client stub: claims hand out `items`, completions and releases are recorded
+function stubRedisClient(items = []) {
+  const calls = { claimed: 0, completed: [], released: [] };
+  return {
+    calls,
+    claimItems: async count => {
+      calls.claimed++;
+      return items.splice(0, count);
+    },
+    completeItems: async itemIds => { calls.completed.push(...itemIds); },
+    releaseItems: async itemIds => { calls.released.push(...itemIds); }
+  };
+}
+
+const reportEntries = () => fs.existsSync(shadowReport.reportPath)
+  ? fs.readFileSync(shadowReport.reportPath, 'utf8').trim().split('\n').map(line => JSON.parse(line))
+  : [];
+
+test('finished Redis items are released and remembered instead of completed', async () => {
+  const redisClient = stubRedisClient([{ id: '76561197960288100', username: 'shadow-user' }]);
+  const queueManager = new QueueManager(CONFIG, redisClient);
+  assert.strictEqual(queueManager.shadowMode, true);
+
+  assert.strictEqual(await queueManager.pullFromRedisQueue(5), 1);
+  await queueManager.removeProfileFromQueue('76561197960288100');
+
+  assert.deepStrictEqual(redisClient.calls.completed, []);
+  assert.deepStrictEqual(redisClient.calls.released, ['76561197960288100']);
+  assert.strictEqual(queueManager.isItemShadowed('76561197960288100'), true);
+
+  // Remembered across restarts
+  assert.strictEqual(new QueueManager(CONFIG, stubRedisClient()).isItemShadowed('76561197960288100'), true);
+
+  const normalManager = new QueueManager({ ...CONFIG, SHADOW_MODE: { ENABLED: false } }, redisClient);
+  await normalManager.addProfileToQueue('76561197960288101', 'shadow-user');
+  await normalManager.removeProfileFromQueue('76561197960288101');
+  assert.deepStrictEqual(redisClient.calls.completed, ['76561197960288101']);
+});
+
+test('already validated items are handed back, and a claim of only those pauses claiming', async () => {
+  const items = [
+    { id: '76561197960288110', username: 'shadow-user' },
+    { id: '76561197960288111', username: 'shadow-user' }
+  ];
+  const redisClient = stubRedisClient(items);
+  const queueManager = new QueueManager(CONFIG, redisClient);
+  queueManager.markItemShadowed('76561197960288110');
+
+  assert.strictEqual(await queueManager.pullFromRedisQueue(2), 1);
+  assert.deepStrictEqual(redisClient.calls.released, ['76561197960288110']);
+  assert.strictEqual(await queueManager.getProfileBySteamId('76561197960288110'), null);
+  await queueManager.removeProfileFromQueue('76561197960288111');
+
+  items.push({ id: '76561197960288110', username: 'shadow-user' }, { id: '76561197960288111', username: 'shadow-user' });
+  redisClient.calls.released.length = 0;
+  assert.strictEqual(await queueManager.pullFromRedisQueue(2), 0);
+  assert.deepStrictEqual(redisClient.calls.released, ['76561197960288110', '76561197960288111']);
+  assert.ok(queueManager.shadowClaimsPausedUntil > Date.now());
+
+  const claims = redisClient.calls.claimed;
+  assert.strictEqual(await queueManager.pullFromRedisQueue(2), 0);
+  assert.strictEqual(redisClient.calls.claimed, claims);
+});
+
+test('outcomes go to the shadow report, never the result history or the outbox', () => {
+  const profile = { steam_id: '76561197960288120', username: 'shadow-user', timestamp: Date.now(), checks: { friends: 'passed' } };
+  recordProfileCompletion(profile, { outcome: 'passed' });
+
+  const entry = reportEntries().find(line => line.steam_id === profile.steam_id);
+  assert.strictEqual(entry.outcome, 'passed');
+  assert.strictEqual(entry.would_submit, true);
+  assert.strictEqual(resultHistory.getResultsForSteamId(profile.steam_id).results.length, 0);
+  assert.strictEqual(submissionOutbox.get(profile.steam_id), null);
+});
+
+test('one-off validations never submit in shadow mode', async () => {
+  const steamValidator = {
+    resolveVanityUrl: async () => ({ success: false }),
+    executeCheck: async () => ({ success: true, passed: true, details: {} })
+  };
+
+  const result = await validateSteamId(steamValidator, '76561197960288130', { username: 'shadow-user', dryRun: false });
+  assert.strictEqual(result.outcome, 'passed');
+  assert.strictEqual(result.dry_run, true);
+  assert.strictEqual(result.dry_run_reason, 'shadow_mode');
+  assert.strictEqual(result.submission, null);
+  assert.strictEqual(submissionOutbox.get('76561197960288130'), null);
+});
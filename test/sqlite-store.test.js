@@ -0,0 +1,83 @@
+// steam-id-processor/test/sqlite-store.test.js
+const { tempPath } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const SqliteQueueStore = require('../src/queue-stores/sqlite-store');
+
+function tempPaths(name) {
+  const dir = tempPath(name);
+  fs.mkdirSync(dir);
+  return { dir, dbPath: path.join(dir, 'queue.db'), legacyJsonPath: path.join(dir, 'profiles_queue.json') };
+}
+
+function profile(steamId, checks = { friends: 'to_check', bans: 'to_check' }) {
+  return { steam_id: steamId, username: 'tester', timestamp: 1700000000000, checks };
+}
+
+test('profiles, check order and extra fields survive a reopen', async () => {
+  const { dbPath } = tempPaths('sqlite-reopen');
+  const store = new SqliteQueueStore(dbPath);
+  assert.strictEqual(await store.insert(profile('2')), true);
+  assert.strictEqual(await store.insert(profile('2')), false);
+  await store.insert(profile('1'));
+  await store.insert(profile('3'));
+  assert.strictEqual((await store.updateCheck('1', 'bans', 'passed')).checks.bans, 'passed');
+  assert.strictEqual(await store.updateCheck('missing', 'bans', 'passed'), null);
+  await store.updateFields('2', { deferred_checks: ['bans'], steam_id: 'ignored' });
+  assert.strictEqual((await store.remove('3')).steam_id, '3');
+  assert.strictEqual(await store.remove('3'), null);
+  await store.close();
+
+  const reopened = new SqliteQueueStore(dbPath);
+  const profiles = await reopened.getAll();
+  assert.deepStrictEqual(profiles.map(p => p.steam_id), ['2', '1']);
+  assert.deepStrictEqual(Object.entries(profiles[1].checks), [['friends', 'to_check'], ['bans', 'passed']]);
+  assert.deepStrictEqual(profiles[0].deferred_checks, ['bans']);
+  assert.strictEqual(await reopened.count(), 2);
+  assert.strictEqual(await reopened.hasCheckStatus('passed'), true);
+  assert.strictEqual(await reopened.hasCheckStatus('deferred'), false);
+  await reopened.close();
+});
+
+test('replaceAll swaps the whole queue in one transaction', async () => {
+  const { dbPath } = tempPaths('sqlite-replace');
+  const store = new SqliteQueueStore(dbPath);
+  await store.insert(profile('1'));
+  await store.replaceAll([profile('4'), profile('5', { friends: 'failed' })]);
+  assert.deepStrictEqual((await store.getAll()).map(p => p.steam_id), ['4', '5']);
+  await assert.rejects(store.replaceAll({}), /expected array/);
+  assert.strictEqual(await store.count(), 2);
+  await store.close();
+});
+
+test('a legacy JSON queue is imported once and renamed out of the way', async () => {
+  const { dir, dbPath, legacyJsonPath } = tempPaths('sqlite-migrate');
+  fs.writeFileSync(legacyJsonPath, JSON.stringify([profile('1'), { username: 'no steam id' }, profile('2'), profile('1')]));
+
+  const store = new SqliteQueueStore(dbPath, { legacyJsonPath });
+  assert.deepStrictEqual((await store.getAll()).map(p => p.steam_id), ['1', '2']);
+  await store.close();
+
+  assert.strictEqual(fs.existsSync(legacyJsonPath), false);
+  const migrated = fs.readdirSync(dir).filter(name => /^profiles_queue\.json\.migrated-\d+$/.test(name));
+  assert.strictEqual(migrated.length, 1);
+
+  // A second start finds no legacy file and leaves the store alone
+  const reopened = new SqliteQueueStore(dbPath, { legacyJsonPath });
+  assert.strictEqual(await reopened.count(), 2);
+  await reopened.close();
+});
+
+test('a corrupted legacy JSON queue is quarantined, not imported', async () => {
+  const { dir, dbPath, legacyJsonPath } = tempPaths('sqlite-migrate-corrupt');
+  fs.writeFileSync(legacyJsonPath, '[{"steam_id": "1"');
+
+  const store = new SqliteQueueStore(dbPath, { legacyJsonPath });
+  assert.strictEqual(await store.count(), 0);
+  await store.close();
+
+  assert.strictEqual(fs.existsSync(legacyJsonPath), false);
+  assert.strictEqual(fs.readdirSync(dir).filter(name => /^profiles_queue\.json\.corrupt-\d+$/.test(name)).length, 1);
+});
@@ -0,0 +1,65 @@
+// steam-id-processor/test/steam-id.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSteamId, normalizeSteamId } = require('../src/steam-id');
+
+const STEAM_ID64 = '76561197960287930';
+
+test('parseSteamId accepts every supported format', () => {
+  assert.deepStrictEqual(parseSteamId(STEAM_ID64), { steamId: STEAM_ID64, format: 'steamid64' });
+  assert.deepStrictEqual(parseSteamId('STEAM_0:0:11101'), { steamId: STEAM_ID64, format: 'steamid2' });
+  assert.deepStrictEqual(parseSteamId('steam_1:0:11101'), { steamId: STEAM_ID64, format: 'steamid2' });
+  assert.deepStrictEqual(parseSteamId('[U:1:22202]'), { steamId: STEAM_ID64, format: 'steamid3' });
+  assert.deepStrictEqual(parseSteamId('U:1:22202'), { steamId: STEAM_ID64, format: 'steamid3' });
+  assert.deepStrictEqual(parseSteamId(`https://steamcommunity.com/profiles/${STEAM_ID64}/`), { steamId: STEAM_ID64, format: 'profile_url' });
+  assert.deepStrictEqual(parseSteamId('steamcommunity.com/profiles/[U:1:22202]?l=en'), { steamId: STEAM_ID64, format: 'profile_url' });
+  assert.deepStrictEqual(parseSteamId(`  ${STEAM_ID64}\n`), { steamId: STEAM_ID64, format: 'steamid64' });
+});
+
+test('parseSteamId returns vanity URLs for resolving', () => {
+  assert.deepStrictEqual(parseSteamId('https://steamcommunity.com/id/gabelogannewell'), { vanity: 'gabelogannewell', format: 'vanity_url' });
+});
+
+test('parseSteamId rejects malformed and out of range IDs', () => {
+  assert.match(parseSteamId(76561197960287930).error, /must be a string/);
+  assert.match(parseSteamId('').error, /non-empty string/);
+  assert.match(parseSteamId(null).error, /non-empty string/);
+  assert.match(parseSteamId('76561197960265728').error, /not an individual account/); // Account 0
+  assert.match(parseSteamId('12345678901234567').error, /not an individual account/); // Below the base
+  assert.match(parseSteamId('STEAM_0:1:9999999999').error, /out of range/);
+  assert.match(parseSteamId('[U:1:0]').error, /out of range/);
+  assert.match(parseSteamId('https://steamcommunity.com/profiles/nope').error, /not a valid profile URL/);
+  assert.ok(parseSteamId('https://evil.example/profiles/76561197960287930').error);
+  assert.ok(parseSteamId('7656119796028793').error); // 16 digits
+});
+
+test('normalizeSteamId converts to SteamID64', async () => {
+  assert.deepStrictEqual(await normalizeSteamId('STEAM_0:0:11101'), { success: true, steamId: STEAM_ID64, format: 'steamid2' });
+  assert.deepStrictEqual(await normalizeSteamId('bogus'), {
+    success: false,
+    error: "'bogus' is not a SteamID64, SteamID2, SteamID3 or steamcommunity.com profile URL"
+  });
+});
+
+test('normalizeSteamId resolves vanity URLs only with a resolver', async () => {
+  const vanityUrl = 'https://steamcommunity.com/id/gabelogannewell';
+
+  const unresolved = await normalizeSteamId(vanityUrl);
+  assert.strictEqual(unresolved.success, false);
+  assert.match(unresolved.error, /can't be resolved here/);
+
+  const resolved = await normalizeSteamId(vanityUrl, async vanityName => {
+    assert.strictEqual(vanityName, 'gabelogannewell');
+    return { success: true, steamId: STEAM_ID64 };
+  });
+  assert.deepStrictEqual(resolved, { success: true, steamId: STEAM_ID64, format: 'vanity_url' });
+
+  const failed = await normalizeSteamId(vanityUrl, async () => ({ success: false, error: 'No match' }));
+  assert.deepStrictEqual(failed, { success: false, error: 'No match' });
+});
+
+test('normalizeSteamId does not trust what a vanity URL resolves to', async () => {
+  const result = await normalizeSteamId('https://steamcommunity.com/id/gabelogannewell', async () => ({ success: true, steamId: '../../admin' }));
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /resolved to an invalid Steam ID/);
+});
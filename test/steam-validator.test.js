@@ -0,0 +1,123 @@
+// steam-id-processor/test/steam-validator.test.js
+const { tempPath } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const axios = require('axios');
+const CooldownManager = require('../src/cooldown-manager');
+const SteamValidator = require('../src/steam-validator');
+const checkRegistry = require('../src/check-registry');
+
+const CONNECTIONS = [
+  { index: 0, type: 'direct', url: null },
+  { index: 1, type: 'http', url: 'http://127.0.0.1:3128' }
+];
+const DURATIONS = { connection_reset: 60000, timeout: 60000, dns_failure: 60000, socks_error: 60000 };
+
+let poolCount = 0;
+
+// A validator over a two-connection pool kept in a temp dir (the real constructor uses the repo's cooldowns file)
+function createValidator(selectionStrategy) {
+  const configDir = tempPath(`connection-pool-${++poolCount}`);
+  fs.mkdirSync(configDir);
+  const validator = Object.create(SteamValidator.prototype);
+  validator.cooldownManager = new CooldownManager(configDir, DURATIONS, [1, 2, 4], { connections: CONNECTIONS, selectionStrategy });
+  validator.rateLimiter = { acquire: async () => {} };
+  return validator;
+}
+
+// Stub axios so each connection answers with respond(connectionIndex); returns the connections used, in order
+function stubConnections(t, respond) {
+  const used = [];
+  t.mock.method(axios, 'create', config => ({
+    defaults: config,
+    get: async () => {
+      used.push(config._connectionInfo.connectionIndex);
+      return respond(config._connectionInfo.connectionIndex);
+    }
+  }));
+  return used;
+}
+
+const httpError = (status, message = `Request failed with status code ${status}`) =>
+  Object.assign(new Error(message), { response: { status, headers: {} } });
+
+// A new Steam ID per request, so none is answered from the response cache
+let nextSteamId = 76561197960290000n;
+const levelUrl = () => checkRegistry.get('steam_level').buildUrl(String(nextSteamId++), { apiKey: 'test' });
+
+test('a 429 on one connection fails the request over to the next one', async t => {
+  const validator = createValidator();
+  const used = stubConnections(t, index => {
+    if (index === 0) {
+      throw httpError(429);
+    }
+    return { status: 200, data: { response: { player_level: 12 } } };
+  });
+
+  const result = await validator.makeApiRequest(levelUrl());
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.data, { response: { player_level: 12 } });
+  assert.deepStrictEqual(used, [0, 1]);
+
+  const { cooldownManager } = validator;
+  assert.strictEqual(cooldownManager.isEndpointAvailable('steam_level', 0), false);
+  assert.strictEqual(cooldownManager.isEndpointAvailable('steam_level', 1), true);
+  assert.strictEqual(cooldownManager.getBackoffLevel(0, 'steam_level'), 1);
+
+  // Later requests skip the limited connection instead of trying it first
+  await validator.makeApiRequest(levelUrl());
+  assert.deepStrictEqual(used, [0, 1, 1]);
+});
+
+test('a request that fails on every connection tries each once and is deferred', async t => {
+  const validator = createValidator();
+  const used = stubConnections(t, index => {
+    throw new Error(index === 0 ? 'read ECONNRESET' : 'Proxy connection refused');
+  });
+
+  const result = await validator.makeApiRequest(levelUrl());
+  assert.strictEqual(result.allInCooldown, true);
+  assert.strictEqual(result.endpointName, 'steam_level');
+  assert.ok(result.nextAvailableIn > 0 && result.nextAvailableIn <= 60000);
+  assert.deepStrictEqual(used, [0, 1]);
+
+  const cooldowns = [0, 1].map(index => validator.cooldownManager.getEndpointCooldowns(index).steam_level.reason);
+  assert.deepStrictEqual(cooldowns, ['connection_error', 'socks_error']);
+});
+
+test('errors that are not connection problems do not fail over', async t => {
+  const validator = createValidator();
+  const used = stubConnections(t, () => { throw httpError(500); });
+
+  const result = await validator.makeApiRequest(levelUrl());
+  assert.strictEqual(result.success, false);
+  assert.deepStrictEqual(used, [0]);
+  assert.strictEqual(validator.cooldownManager.isEndpointAvailable('steam_level', 0), true);
+});
+
+test('connections are picked round robin, or least recently limited first', () => {
+  const roundRobin = createValidator().cooldownManager;
+  const picks = [0, 1, 2].map(() => roundRobin.selectConnection('friends').index);
+  assert.deepStrictEqual(picks, [0, 1, 0]);
+  assert.strictEqual(roundRobin.selectConnection('friends', [0]).index, 1);
+
+  const leastLimited = createValidator('least_recently_limited').cooldownManager;
+  leastLimited.lastLimitedAt.set(leastLimited.getConnectionKey(0, 'friends'), Date.now() - 1000);
+  assert.strictEqual(leastLimited.selectConnection('friends').index, 1);
+  assert.strictEqual(leastLimited.selectConnection('friends').index, 1);
+});
+
+test('proxy connections route through their agent with the environment proxy turned off', t => {
+  const { cooldownManager } = createValidator();
+  t.mock.method(axios, 'create', config => ({ defaults: config }));
+
+  const direct = cooldownManager.createAxiosInstance(levelUrl(), [1]).defaults;
+  assert.strictEqual(direct.httpAgent, undefined);
+  assert.strictEqual(direct._connectionInfo.connectionIndex, 0);
+
+  const proxied = cooldownManager.createAxiosInstance(levelUrl(), [0]).defaults;
+  assert.strictEqual(proxied.httpsAgent, cooldownManager.getConnection(1).agent);
+  assert.strictEqual(proxied.proxy, false);
+  assert.strictEqual(proxied._connectionInfo.connectionType, 'http');
+});
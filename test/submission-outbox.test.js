@@ -0,0 +1,127 @@
+// steam-id-processor/test/submission-outbox.test.js
+const { tempPath } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const submissionOutbox = require('../src/submission-outbox');
+const resultHistory = require('../src/result-history');
+
+const SubmissionOutbox = submissionOutbox.constructor;
+
+let outboxCount = 0;
+
+function createOutbox(options = {}) {
+  return new SubmissionOutbox({
+    DB_PATH: tempPath(`submission_outbox_${++outboxCount}.db`),
+    MAX_ATTEMPTS: 3,
+    BASE_DELAY_MS: 1000,
+    MAX_DELAY_MS: 4000,
+    JITTER: 0,
+    ...options
+  });
+}
+
+// ApiService stub answering handleNewSteamId with the given results in turn
+function stubApiService(...results) {
+  const calls = [];
+  return {
+    calls,
+    handleNewSteamId: async (steamId, username) => {
+      calls.push([steamId, username]);
+      return results.length > 1 ? results.shift() : results[0];
+    }
+  };
+}
+
+// Bring every pending entry's next attempt forward to now
+const makeDue = outbox => outbox.getDb().prepare("UPDATE submission_outbox SET next_attempt_at = 0 WHERE status = 'pending'").run();
+
+const profile = steamId => ({ steam_id: steamId, username: 'outbox-user', timestamp: Date.now(), checks: { friends: 'passed' } });
+const lastOutcome = steamId => resultHistory.getResultsForSteamId(steamId).results[0];
+
+test('retry delays double from the base delay up to the cap, within the jitter', () => {
+  const outbox = createOutbox();
+  assert.deepStrictEqual([1, 2, 3, 4, 5].map(attempts => outbox.getRetryDelay(attempts)), [1000, 2000, 4000, 4000, 4000]);
+
+  const jittered = createOutbox({ JITTER: 0.2 });
+  for (let i = 0; i < 20; i++) {
+    const delay = jittered.getRetryDelay(2);
+    assert.ok(delay >= 1600 && delay <= 2400, String(delay));
+  }
+});
+
+test('accepted and duplicate submissions leave the outbox and are recorded', async () => {
+  const outbox = createOutbox();
+  assert.strictEqual(outbox.enqueue(profile('76561197960287980')), true);
+  assert.strictEqual(outbox.enqueue(profile('76561197960287980')), false);
+  outbox.enqueue(profile('76561197960287981'));
+
+  const apiService = stubApiService({ result: 'ok' }, { result: 'duplicate', error: 'Already linked' });
+  assert.deepStrictEqual(await outbox.processDue(apiService), { submitted: 2, retried: 0, dead: 0 });
+  assert.deepStrictEqual(apiService.calls.map(([steamId]) => steamId), ['76561197960287980', '76561197960287981']);
+  assert.strictEqual(outbox.list().total, 0);
+
+  assert.deepStrictEqual(lastOutcome('76561197960287980').submission, { result: 'success', error: null });
+  assert.deepStrictEqual(lastOutcome('76561197960287981').submission, { result: 'duplicate', error: 'Already linked' });
+  assert.strictEqual(lastOutcome('76561197960287981').outcome, 'accepted');
+});
+
+test('retryable failures back off, then the entry is dead-lettered after the last attempt', async () => {
+  const outbox = createOutbox();
+  const steamId = '76561197960287982';
+  outbox.enqueue(profile(steamId));
+  const apiService = stubApiService({ result: 'retryable', error: 'HTTP 503', status: 503 });
+
+  const before = Date.now();
+  assert.deepStrictEqual(await outbox.processDue(apiService), { submitted: 0, retried: 1, dead: 0 });
+  let entry = outbox.get(steamId);
+  assert.strictEqual(entry.attempts, 1);
+  assert.ok(Date.parse(entry.next_attempt_at) >= before + 1000);
+
+  // Not due yet
+  assert.deepStrictEqual(await outbox.processDue(apiService), { submitted: 0, retried: 0, dead: 0 });
+  assert.strictEqual(apiService.calls.length, 1);
+
+  makeDue(outbox);
+  assert.deepStrictEqual(await outbox.processDue(apiService), { submitted: 0, retried: 1, dead: 0 });
+  makeDue(outbox);
+  assert.deepStrictEqual(await outbox.processDue(apiService), { submitted: 0, retried: 0, dead: 1 });
+
+  entry = outbox.get(steamId);
+  assert.strictEqual(entry.status, 'dead');
+  assert.strictEqual(entry.attempts, 3);
+  assert.strictEqual(entry.last_status, 503);
+  assert.strictEqual(entry.next_attempt_at, null);
+  assert.strictEqual(lastOutcome(steamId).outcome, 'submission_failed');
+
+  makeDue(outbox);
+  assert.deepStrictEqual(await outbox.processDue(apiService), { submitted: 0, retried: 0, dead: 0 });
+  assert.deepStrictEqual(outbox.getStats(), { pending: 0, dead: 1, due: 0 });
+});
+
+test('permanent failures are dead-lettered on the first attempt', async () => {
+  const outbox = createOutbox();
+  outbox.enqueue(profile('76561197960287983'));
+
+  assert.deepStrictEqual(await outbox.processDue(stubApiService({ result: 'invalid_id', error: 'Unknown Steam ID', status: 400 })), { submitted: 0, retried: 0, dead: 1 });
+  assert.strictEqual(outbox.get('76561197960287983').last_result, 'invalid_id');
+});
+
+test('replaying dead entries gives them a fresh attempt budget', async () => {
+  const outbox = createOutbox();
+  outbox.enqueue(profile('76561197960287984'));
+  outbox.enqueue(profile('76561197960287985'));
+  await outbox.processDue(stubApiService({ result: 'auth_error', error: 'HTTP 401', status: 401 }));
+  assert.strictEqual(outbox.list({ status: 'dead' }).total, 2);
+
+  assert.strictEqual(outbox.replay('76561197960287984'), 1);
+  assert.strictEqual(outbox.replay('76561197960287999'), 0);
+  const replayed = outbox.get('76561197960287984');
+  assert.strictEqual(replayed.status, 'pending');
+  assert.strictEqual(replayed.attempts, 0);
+
+  assert.deepStrictEqual(await outbox.processDue(stubApiService({ result: 'ok' })), { submitted: 1, retried: 0, dead: 0 });
+  assert.strictEqual(outbox.get('76561197960287984'), null);
+
+  assert.strictEqual(outbox.replay(), 1);
+  assert.deepStrictEqual(outbox.getStats(), { pending: 1, dead: 0, due: 1 });
+});
@@ -0,0 +1,122 @@
+// steam-id-processor/test/webhook-notifier.test.js
+const { tempPath } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const webhookNotifier = require('../src/webhook-notifier');
+const { isPublicAddress, checkCallbackUrl } = require('../src/utils/callback-url');
+
+const WebhookNotifier = webhookNotifier.constructor;
+
+test('isPublicAddress refuses loopback, private, link-local and mapped internal addresses', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fe80::1', 'fd00::1', '::ffff:10.0.0.1', '::ffff:127.0.0.1', 'not-an-address']) {
+    assert.strictEqual(isPublicAddress(address), false, address);
+  }
+  for (const address of ['8.8.8.8', '1.1.1.1', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+    assert.strictEqual(isPublicAddress(address), true, address);
+  }
+});
+
+test('checkCallbackUrl refuses non-http URLs, internal addresses and hosts outside the allowlist', async () => {
+  assert.match(await checkCallbackUrl('not a url'), /absolute http\(s\) URL/);
+  assert.match(await checkCallbackUrl('file:///etc/passwd'), /absolute http\(s\) URL/);
+  assert.match(await checkCallbackUrl('http://127.0.0.1:3002/profiles'), /non-public address \(127\.0\.0\.1\)/);
+  assert.match(await checkCallbackUrl('http://[::1]:3002/'), /non-public address \(::1\)/);
+  assert.match(await checkCallbackUrl('http://169.254.169.254/latest/meta-data/'), /non-public address/);
+  assert.match(await checkCallbackUrl('http://localhost:3002/'), /non-public address \(localhost resolves to/);
+  assert.strictEqual(await checkCallbackUrl('https://8.8.8.8/hook'), null);
+
+  assert.match(await checkCallbackUrl('https://8.8.8.8/hook', ['.example.com']), /not in the allowed callback hosts/);
+  assert.match(await checkCallbackUrl('https://example.com.evil.net/hook', ['.example.com']), /not in the allowed callback hosts/);
+});
+
+test('checkCallbackUrl refuses hosts with any internal address among their DNS records', async t => {
+  const records = {
+    'hooks.example.com': [{ address: '93.184.216.34', family: 4 }],
+    'rebind.example.com': [{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.5', family: 4 }]
+  };
+  t.mock.method(dns.promises, 'lookup', async hostname => {
+    if (!records[hostname]) {
+      throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: 'ENOTFOUND' });
+    }
+    return records[hostname];
+  });
+
+  assert.strictEqual(await checkCallbackUrl('https://hooks.example.com/steam', ['.example.com']), null);
+  assert.match(await checkCallbackUrl('https://rebind.example.com/steam'), /non-public address \(rebind\.example\.com resolves to non-public address 10\.0\.0\.5\)/);
+  assert.match(await checkCallbackUrl('https://missing.example.com/steam'), /can't be resolved/);
+});
+
+/**
+ * A notifier whose deliveries can be awaited, dead-lettering to its own file
+ * @returns {Object} { notifier, settled (resolves once every delivery so far has finished), deadLetters }
+ */
+function createNotifier(name, subscriptions = []) {
+  const configPath = tempPath(`${name}-webhooks.json`);
+  fs.writeFileSync(configPath, JSON.stringify({ subscriptions }));
+  const deadLetterPath = tempPath(`${name}-dead-letters.jsonl`);
+  const notifier = new WebhookNotifier({ CONFIG_PATH: configPath, DEAD_LETTER_PATH: deadLetterPath, SECRET: 'hook-secret', RETRY_DELAYS_MS: [] });
+
+  const attempts = [];
+  const attemptDelivery = notifier.attemptDelivery.bind(notifier);
+  notifier.attemptDelivery = delivery => {
+    const attempt = attemptDelivery(delivery);
+    attempts.push(attempt);
+    return attempt;
+  };
+
+  return {
+    notifier,
+    settled: () => Promise.all(attempts),
+    deadLetters: () => fs.existsSync(deadLetterPath)
+      ? fs.readFileSync(deadLetterPath, 'utf8').trim().split('\n').map(line => JSON.parse(line))
+      : []
+  };
+}
+
+async function withHttpServer(handler, fn) {
+  const server = http.createServer(handler);
+  server.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('a profile callback pointing at an internal address is dead-lettered without a request', async () => {
+  const hits = [];
+  await withHttpServer((req, res) => { hits.push(req.url); res.end(); }, async baseUrl => {
+    const { notifier, settled, deadLetters } = createNotifier('internal-callback');
+    notifier.notifyPassed({ steam_id: '76561197960287970', username: 'hook-user', checks: {}, callback_url: `${baseUrl}/callback` });
+    await settled();
+
+    assert.deepStrictEqual(hits, []);
+    const [deadLetter] = deadLetters();
+    assert.strictEqual(deadLetter.event, 'profile.passed');
+    assert.match(deadLetter.last_error, /non-public address \(127\.0\.0\.1\)/);
+  });
+});
+
+test('redirects are not followed', async () => {
+  const hits = [];
+  await withHttpServer((req, res) => {
+    hits.push(req.url);
+    if (req.url === '/hook') {
+      res.writeHead(302, { Location: '/redirected' });
+    }
+    res.end();
+  }, async baseUrl => {
+    // Operator subscriptions may be internal, so this one is delivered - but only to the URL configured
+    const { notifier, settled, deadLetters } = createNotifier('redirect', [{ url: `${baseUrl}/hook` }]);
+    notifier.notifyPassed({ steam_id: '76561197960287971', username: 'hook-user', checks: {} });
+    await settled();
+
+    assert.deepStrictEqual(hits, ['/hook']);
+    assert.strictEqual(deadLetters()[0].last_error, 'HTTP 302');
+  });
+});
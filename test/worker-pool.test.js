@@ -0,0 +1,80 @@
+// steam-id-processor/test/worker-pool.test.js
+const { CONFIG } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const WorkerPool = require('../src/worker-pool');
+const QueueManager = require('../src/queue-manager');
+
+// A task that stays running until release() is called
+function deferredTask(tracker) {
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  const task = async () => {
+    tracker.running++;
+    tracker.peak = Math.max(tracker.peak, tracker.running);
+    await done;
+    tracker.running--;
+  };
+  return { task, release };
+}
+
+test('never runs more tasks than its concurrency, or the same key twice', async () => {
+  const pool = new WorkerPool(2);
+  const tracker = { running: 0, peak: 0 };
+  const first = deferredTask(tracker);
+  const second = deferredTask(tracker);
+
+  assert.strictEqual(pool.run('a', first.task), true);
+  assert.strictEqual(pool.run('a', deferredTask(tracker).task), false);
+  assert.strictEqual(pool.run('b', second.task), true);
+  assert.strictEqual(pool.run('c', deferredTask(tracker).task), false);
+  assert.strictEqual(pool.hasCapacity(), false);
+  assert.deepStrictEqual(pool.activeKeys(), ['a', 'b']);
+
+  first.release();
+  await new Promise(setImmediate);
+  assert.strictEqual(pool.availableSlots, 1);
+  assert.strictEqual(pool.isRunning('a'), false);
+
+  const third = deferredTask(tracker);
+  assert.strictEqual(pool.run('c', third.task), true);
+  second.release();
+  third.release();
+  await pool.onIdle();
+
+  assert.strictEqual(pool.activeCount, 0);
+  assert.strictEqual(tracker.peak, 2);
+});
+
+test('a failing task frees its slot', async () => {
+  const pool = new WorkerPool(1);
+  assert.strictEqual(pool.run('a', async () => { throw new Error('boom'); }), true);
+  await pool.onIdle();
+  assert.strictEqual(pool.run('a', async () => {}), true);
+  await pool.onIdle();
+});
+
+test('concurrency below 1 falls back to a single worker', () => {
+  assert.strictEqual(new WorkerPool(0).concurrency, 1);
+  assert.strictEqual(new WorkerPool(undefined).concurrency, 1);
+});
+
+test('getProcessableProfiles fills the free slots and skips profiles already in a worker', async () => {
+  const queueManager = new QueueManager(CONFIG);
+  const steamIds = ['76561197960287940', '76561197960287941', '76561197960287942'];
+  for (const steamId of steamIds) {
+    await queueManager.addProfileToQueue(steamId, 'pool-user');
+  }
+
+  const pool = new WorkerPool(2);
+  pool.run(steamIds[0], () => new Promise(() => {}));
+  const profiles = await queueManager.getProcessableProfiles(pool.availableSlots, pool.activeKeys());
+  assert.deepStrictEqual(profiles.map(profile => profile.steam_id), [steamIds[1]]);
+
+  const all = await queueManager.getProcessableProfiles(5, []);
+  assert.deepStrictEqual(all.map(profile => profile.steam_id), steamIds);
+
+  for (const steamId of steamIds) {
+    await queueManager.removeProfileFromQueue(steamId);
+  }
+});